@@ -1,5 +1,5 @@
 require('dotenv').config();
-const { generateAuthUrl, getTokenFromCode } = require('./src/services/google');
+const { generateAuthUrl, getTokenFromCode, saveGlobalTokens } = require('./src/services/google');
 const readline = require('readline');
 
 const rl = readline.createInterface({
@@ -26,7 +26,8 @@ async function main() {
             // Decode URL component just in case users paste full URL or encoded chars
             const cleanCode = code.trim();
             try {
-                await getTokenFromCode(cleanCode);
+                const tokens = await getTokenFromCode(cleanCode);
+                saveGlobalTokens(tokens);
                 console.log('\n✅ Autenticação realizada com sucesso! O arquivo tokens.json foi criado.');
                 console.log('Agora você pode rodar o bot normalmente.');
             } catch (e) {
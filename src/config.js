@@ -3,6 +3,12 @@
  * Evita "magic numbers" espalhados pelo código
  */
 
+// Número do .env; ausente ou inválido usa o padrão (0 é um valor válido)
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
 module.exports = {
     // ===========================================
     // RATE LIMITING
@@ -50,6 +56,10 @@ module.exports = {
         maxPendingPerUser: 1      // Máximo de confirmações pendentes por usuário
     },
 
+    slotFilling: {
+        timeoutMs: 10 * 60 * 1000 // Pedido incompleto aguardando resposta: 10 minutos
+    },
+
     actionHistory: {
         maxActionsPerUser: 10,    // Quantidade de ações para manter no histórico
         undoWindowMs: 5 * 60 * 1000 // Janela para desfazer: 5 minutos
@@ -71,10 +81,148 @@ module.exports = {
         afternoonCheckHour: 14,   // Hora do check da tarde
         reminderMinutes: 15,      // Minutos antes do evento para lembrete
         maxEventsInSummary: 10,   // Máximo de eventos no resumo
+        maxTasksInSummary: 10,    // Máximo de tarefas (Google Tasks) no resumo
+        rsvpLookaheadDays: 7,     // Reuniões acompanhadas para avisar respostas aos convites
 
         maxCardsInSummary: 10     // Máximo de cards Trello no resumo
     },
 
+    // ===========================================
+    // REGRAS DE AGENDA (padrão; cada usuário ajusta as suas, ver /expediente)
+    // ===========================================
+    scheduling: {
+        workDays: [1, 2, 3, 4, 5], // Dias úteis (luxon: 1 = segunda ... 7 = domingo)
+        workStart: '09:00',       // Expediente considerado ao procurar horário
+        workEnd: '18:00',
+        lunchStart: '12:00',      // Almoço nunca é oferecido (null = sem almoço)
+        lunchEnd: '13:00',
+        bufferMinutes: 0,         // Intervalo mínimo antes e depois de cada compromisso
+        focusBlocks: [],          // Blocos protegidos: [{ days: [2, 4], start: '09:00', end: '11:00' }]
+        maxMeetingsPerDay: null   // Dia com esse número de compromissos não recebe mais (null = sem limite)
+    },
+
+    // ===========================================
+    // BUSCA DE HORÁRIO (smart_schedule e reuniões em grupo)
+    // ===========================================
+    meeting: {
+        searchDays: 5,            // Dias úteis procurados quando o pedido não cita data
+        stepMinutes: 30,          // Opções começam em horas cheias ou meias
+        defaultDuration: 60,      // Minutos, quando o pedido não diz
+        maxOptions: 3,            // Botões oferecidos
+        maxPerDay: 2,             // Opções do mesmo dia (espalha as sugestões)
+        historyDays: 90,          // Eventos lidos para achar o e-mail de quem foi citado pelo nome
+        choiceTimeoutMs: 30 * 60 * 1000 // Opções valem 30 minutos
+    },
+
+    // ===========================================
+    // IA (function calling)
+    // ===========================================
+    ai: {
+        temperature: 0.2,
+        maxToolRounds: 4,         // Rodadas de consulta -> resposta por mensagem (a última só aceita ações)
+        maxLookupResults: 10,     // Itens devolvidos ao modelo por consulta (cards, eventos, tarefas)
+        // Abaixo desta confiança (0 a 1), o bot mostra as leituras possíveis em botões em vez de executar (0 = nunca pergunta)
+        confidenceThreshold: envNumber('AI_CONFIDENCE_THRESHOLD', 0.6),
+        maxReadings: 3,           // Leituras mostradas na escolha ("você quis dizer...?")
+        choiceTimeoutMs: 10 * 60 * 1000, // Escolha aguardando clique: 10 minutos
+        fastPath: process.env.FAST_PATH !== 'false', // Frases triviais ("agenda de hoje", "oi") sem passar pela IA
+        promptSlicing: process.env.PROMPT_SLICING !== 'false' // Só as seções do prompt dos domínios da mensagem (agenda, trello, memória)
+    },
+
+    // ===========================================
+    // MEMÓRIA DA CONVERSA (resumo corrido)
+    // ===========================================
+    memory: {
+        summaryMaxChars: 1500,    // Tamanho máximo do resumo que vai no prompt
+        maxEntitiesPerType: 10,   // Pessoas, cards e eventos lembrados (cada)
+        maxPendingTurns: 40       // Turnos aguardando resumo quando o LLM falha (os mais antigos são descartados)
+    },
+
+    // ===========================================
+    // PROVEDORES DE LLM (fallback em ordem)
+    // ===========================================
+    llm: {
+        // Ordem de preferência: gemini, openai (ou compatível: Ollama, llama.cpp), mock
+        providers: (process.env.LLM_PROVIDERS || 'gemini').split(',').map(p => p.trim()).filter(Boolean),
+        cooldownMs: 60 * 1000,    // Provedor que falhou é pulado por 1 minuto
+        gemini: {
+            model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+            economyModel: process.env.GEMINI_ECONOMY_MODEL || 'gemini-2.5-flash-lite', // Usado acima do orçamento
+            timeoutMs: 30000,
+            // Cache de contexto: instruções fixas do prompt + funções ficam no servidor do Gemini
+            contextCache: process.env.GEMINI_CONTEXT_CACHE !== 'false',
+            cacheTtlSeconds: 60 * 60, // Cada variação do prompt (modelo + domínios) fica guardada 1 hora, depois é recriada
+            cacheRetryMs: 10 * 60 * 1000 // Criação falhou (prompt curto demais, cota...): tenta de novo em 10 minutos
+        },
+        openai: {
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            economyModel: process.env.OPENAI_ECONOMY_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            timeoutMs: 45000      // Modelos locais costumam ser mais lentos
+        },
+        mock: {
+            timeoutMs: 1000
+        }
+    },
+
+    // ===========================================
+    // USO E CUSTO DA IA (por usuário)
+    // ===========================================
+    usage: {
+        retentionDays: 120,       // Dias guardados no data/usage.json (cobre o mês atual e os anteriores no /uso)
+        // Tokens de entrada lidos do cache de contexto custam esta fração do preço de entrada
+        cachedInputRatio: 0.25,
+        // Preço em US$ por 1 milhão de tokens (entrada/saída). Modelo casa pelo prefixo mais longo
+        pricing: {
+            'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+            'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+            'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+            'gpt-4o-mini': { input: 0.15, output: 0.60 },
+            'gpt-4o': { input: 2.50, output: 10.00 },
+            'mock': { input: 0, output: 0 }
+        },
+        // Orçamentos em US$ por usuário (vazio = sem limite)
+        // Aviso: o usuário é avisado uma vez por período. Limite: passa a usar o modelo econômico
+        budgets: {
+            dailySoftUsd: Number(process.env.USAGE_DAILY_SOFT_USD) || null,
+            dailyHardUsd: Number(process.env.USAGE_DAILY_HARD_USD) || null,
+            monthlySoftUsd: Number(process.env.USAGE_MONTHLY_SOFT_USD) || null,
+            monthlyHardUsd: Number(process.env.USAGE_MONTHLY_HARD_USD) || null
+        }
+    },
+
+    // ===========================================
+    // TRANSCRIÇÃO DE ÁUDIO (Mensagens de voz)
+    // ===========================================
+    transcription: {
+        provider: process.env.TRANSCRIPTION_PROVIDER || 'gemini', // 'gemini' ou 'stub'
+        geminiModel: 'gemini-2.5-flash',
+        maxDurationSec: 300,      // Voice notes acima disso são recusadas (5 minutos)
+        maxFileSizeBytes: 20 * 1024 * 1024 // Limite de download da Bot API (20MB)
+    },
+
+    // ===========================================
+    // FOTOS E DOCUMENTOS (Leitura multimodal)
+    // ===========================================
+    fileIngestion: {
+        maxFileSizeBytes: 20 * 1024 * 1024, // Limite de download da Bot API (20MB)
+        supportedMimeTypes: ['image/', 'application/pdf'] // Prefixos aceitos em documentos
+    },
+
+    // ===========================================
+    // GOOGLE OAUTH (Contas por usuário)
+    // ===========================================
+    googleOAuth: {
+        stateTtlMs: 10 * 60 * 1000 // Link de conexão expira em 10 minutos
+    },
+
+    // ===========================================
+    // NOTIFICAÇÕES DO TRELLO (webhook ou polling)
+    // ===========================================
+    trelloNotifications: {
+        pollIntervalMinutes: 5    // Sem TRELLO_WEBHOOK_URL: compara os boards a cada 5 minutos
+    },
+
     // ===========================================
     // LOGGING
     // ===========================================
@@ -84,6 +232,14 @@ module.exports = {
         maxOutputLength: 500      // Chars máx do output no log
     },
 
+    // ===========================================
+    // IDIOMA (catálogos em src/locales)
+    // ===========================================
+    i18n: {
+        defaultLanguage: process.env.DEFAULT_LANGUAGE || 'pt-BR', // Usuário sem /idioma nem idioma detectável no Telegram
+        supportedLanguages: ['pt-BR', 'en', 'es']
+    },
+
     // ===========================================
     // TIMEZONE
     // ===========================================
@@ -1,21 +1,38 @@
 require('dotenv').config();
 const { Telegraf, Markup } = require('telegraf');
 const LocalSession = require('telegraf-session-local');
-const { interpretMessage, getStatus: getAiStatus } = require('./services/ai');
+const { interpretMessage, interpretImage, rememberTurn, clearConversation, getStatus: getAiStatus } = require('./services/ai');
+const { transcribeAudio, getStatus: getTranscriptionStatus } = require('./services/transcription');
 const googleService = require('./services/google');
 const trelloService = require('./services/trello');
+const tasksService = require('./services/tasks');
 const knowledgeService = require('./services/knowledge');
 const smartScheduling = require('./services/smartScheduling');
+const eventTemplates = require('./services/eventTemplates');
 const { DateTime } = require('luxon');
 const scheduler = require('./services/scheduler');
-const { log, runWithContext } = require('./utils/logger');
+const oauthServer = require('./services/oauthServer');
+const trelloNotifications = require('./services/trelloNotifications');
+const { log, runWithContext, getContext } = require('./utils/logger');
 const { rateLimiter } = require('./utils/rateLimiter');
 const crypto = require('crypto');
-const { formatFriendlyDate, getEventStatusEmoji, formatEventForDisplay } = require('./utils/dateFormatter');
-const { findEventFuzzy, findTrelloCardFuzzy, findTrelloListFuzzy } = require('./utils/fuzzySearch');
-const { getEventSuggestions, getTrelloSuggestions, getConflictButtons } = require('./utils/suggestions');
+const { formatFriendlyDate, getEventStatusEmoji, formatEventForDisplay, formatTaskForDisplay, capitalizeFirst } = require('./utils/dateFormatter');
+const { validateRecurrence, humanizeRRule, getNextOccurrences } = require('./utils/rrule');
+const { findEventFuzzy, findTrelloCardFuzzy, findTrelloListFuzzy, findCalendarFuzzy, findBoardFuzzy, findTaskFuzzy } = require('./utils/fuzzySearch');
+const { getEventSuggestions, getTrelloSuggestions, getConflictButtons, getRecurrenceButtons } = require('./utils/suggestions');
 const actionHistory = require('./utils/actionHistory');
 const confirmation = require('./utils/confirmation');
+const userPreferences = require('./utils/userPreferences');
+const i18n = require('./utils/i18n');
+const { t } = i18n;
+const tokenStore = require('./utils/tokenStore');
+const usageTracker = require('./utils/usageTracker');
+const slotFilling = require('./utils/slotFilling');
+const disambiguation = require('./utils/disambiguation');
+const fastPath = require('./utils/fastPath');
+const rsvp = require('./utils/rsvp');
+const schedulingRules = require('./utils/schedulingRules');
+const dateParser = require('./utils/dateParser');
 const { batchProcess } = require('./utils/batchProcessor');
 const { formatTrelloCardListItem, cleanTrelloName, splitTelegramMessage } = require('./utils/trelloFormatter');
 const config = require('./config');
@@ -31,11 +48,13 @@ const localSession = new LocalSession({
 bot.use(localSession.middleware());
 
 // MIDDLEWARE: Request Context (Traceability)
+// O idioma do usuário vai junto no contexto: t() e os formatadores de data usam como padrão
 bot.use(async (ctx, next) => {
     const requestId = crypto.randomUUID();
     const userId = ctx.from?.id;
+    const lang = i18n.resolveLanguage(userId, ctx.from?.language_code);
 
-    return runWithContext({ requestId, userId }, async () => {
+    return runWithContext({ requestId, userId, lang }, async () => {
         // Log request start
         if (ctx.message?.text) {
             log.info('📩 Nova mensagem recebida', {
@@ -86,14 +105,41 @@ const normalize = str => str.toLowerCase().normalize('NFD').replace(/[\u0300-\u0
 
 // Função utilitária: sanitiza mensagem de erro para o usuário (não expõe detalhes internos)
 function sanitizeErrorMessage(error) {
-    const msg = error.message || 'Erro desconhecido';
+    const msg = error.message || t('common.unknownError');
     // Remove caminhos de arquivo, tokens, e stack traces
     if (msg.includes('/') || msg.includes('\\') || msg.length > 100) {
-        return 'Ocorreu um erro interno. Tente novamente.';
+        return t('common.internalError');
     }
     return msg;
 }
 
+// Admins recebem alertas operacionais (ex: conta Google global desconectada)
+// Padrão: todos os ALLOWED_CHAT_IDS
+function getAdminChatIds() {
+    const raw = process.env.ADMIN_CHAT_IDS || process.env.ALLOWED_CHAT_IDS || '';
+    return raw.split(',').map(id => id.trim()).filter(id => id);
+}
+
+/**
+ * Responde a erros de token Google revogado/expirado com o botão de reconexão
+ * @returns {Promise<boolean>} true se o erro foi tratado
+ */
+async function replyGoogleAuthError(ctx, error) {
+    if (error?.code !== 'GOOGLE_REAUTH_REQUIRED') return false;
+
+    const userId = String(ctx.from.id);
+    if (error.account !== 'global') {
+        await ctx.reply(t('googleAuth.userExpired'),
+            Markup.inlineKeyboard([[Markup.button.callback(t('googleAuth.relinkUser'), 'google_relink:user')]]));
+    } else if (getAdminChatIds().includes(userId)) {
+        await ctx.reply(t('googleAuth.globalExpiredAdmin'),
+            Markup.inlineKeyboard([[Markup.button.callback(t('googleAuth.relinkGlobal'), 'google_relink:global')]]));
+    } else {
+        await ctx.reply(t('googleAuth.globalUnavailable'), { parse_mode: 'Markdown' });
+    }
+    return true;
+}
+
 // ============================================
 // MIDDLEWARE: Autenticação
 // ============================================
@@ -106,7 +152,7 @@ bot.use(async (ctx, next) => {
     const userId = String(ctx.from.id);
     if (allowedIds.length > 0 && !allowedIds.includes(userId)) {
         log.bot('Acesso negado', { userId, username: ctx.from.username });
-        return ctx.reply(`🚫 Acesso negado. Seu ID é: ${userId}`);
+        return ctx.reply(t('access.denied', { userId }));
     }
     return next();
 });
@@ -135,15 +181,21 @@ bot.use(async (ctx, next) => {
 // TECLADO FIXO DE AÇÕES RÁPIDAS
 // ============================================
 
-const mainKeyboard = Markup.keyboard([
-    ['📅 Agenda de Hoje', '📅 Agenda da Semana'],
-    ['🗂️ Meu Trello', '🧠 Minha Memória'],
-    ['🔄 Atualizar Tudo']
-]).resize();
+/**
+ * Teclado fixo no idioma do usuário
+ * Os textos dos botões voltam como mensagem: os bot.hears aceitam as traduções de todos os idiomas
+ */
+function getMainKeyboard(lang = i18n.getLanguage()) {
+    return Markup.keyboard([
+        [t('keyboard.today', {}, lang), t('keyboard.week', {}, lang)],
+        [t('keyboard.trello', {}, lang), t('keyboard.memory', {}, lang)],
+        [t('keyboard.refresh', {}, lang)]
+    ]).resize();
+}
 
 // Função helper para enviar com teclado
 function replyWithKeyboard(ctx, message, options = {}) {
-    return ctx.reply(message, { ...mainKeyboard, ...options });
+    return ctx.reply(message, { ...getMainKeyboard(), ...options });
 }
 
 // ============================================
@@ -152,17 +204,18 @@ function replyWithKeyboard(ctx, message, options = {}) {
 
 bot.start((ctx) => {
     log.bot('Start', { userId: ctx.from.id });
-    replyWithKeyboard(ctx, '👋 Olá! Sou seu Assistente Supremo!\n\nPosso ajudar com:\n📅 Google Calendar\n🗂️ Trello\n🧠 Guardar informações\n\nDigite /ajuda para ver exemplos ou use os botões abaixo! 👇');
+    replyWithKeyboard(ctx, t('start.welcome'));
 });
 
 bot.command('api', async (ctx) => {
     log.bot('Comando /api solicitado');
 
-    const statusMsg = await ctx.reply('🔍 Verificando status dos serviços...');
+    const statusMsg = await ctx.reply(t('api.checking'));
 
     try {
         // Coleta status
         const ai = getAiStatus();
+        const transcription = getTranscriptionStatus();
         const trello = trelloService.getStatus();
         const google = await googleService.getStatus();
         const cacheData = await scheduler.getData();
@@ -183,72 +236,100 @@ bot.command('api', async (ctx) => {
         const heapTotal = `${Math.round(memory.heapTotal / 1024 / 1024)}MB`;
 
         const now = DateTime.now().setZone('America/Sao_Paulo');
-        const timestamp = now.toFormat('dd/MM/yyyy HH:mm:ss');
+        const timestamp = now.toFormat(t('dates.dateTime'));
 
-        let msg = `📊 *Status do Sistema*\n`;
+        let msg = `${t('api.title')}\n`;
         msg += `🕒 ${timestamp}\n`;
         msg += `🤖 v1.0.0 — Assistente Supremo\n\n`;
 
         // ═══ AI ═══
-        msg += `🧠 *Inteligência Artificial*\n`;
-        msg += `   • Modelo: \`${ai.model}\`\n`;
-        msg += `   • Status: ${ai.online ? '✅ Online' : '❌ Offline'}\n`;
+        msg += `${t('api.ai')}\n`;
+        msg += `   • ${t('api.model')}: \`${ai.model}\`\n`;
+        msg += `   • ${t('api.status')}: ${ai.online ? t('api.online') : t('api.offline')}\n`;
+        // Cadeia de fallback: um provedor por linha, na ordem em que são tentados
+        (ai.providers || []).forEach(p => {
+            const emoji = !p.configured ? '⚪' : p.coolingDown ? '🔴' : p.lastError && !p.lastSuccessAt ? '🟡' : '🟢';
+            let line = `   ${p.order}. ${emoji} \`${p.name}\` (${p.model})`;
+            if (!p.configured) line += ` — ${t('api.notConfigured')}`;
+            else {
+                line += ` — ${t('api.providerCalls', { calls: p.calls, failures: p.failures })}`;
+                if (p.lastLatencyMs !== null) line += `, ${(p.lastLatencyMs / 1000).toFixed(1)}s`;
+            }
+            msg += line + '\n';
+            if (p.coolingDown && p.lastError) msg += `      ⚠️ _${p.lastError.substring(0, 80).replace(/[_*`[\]]/g, '')}_\n`;
+        });
         if (ai.usage) {
-            msg += `   • Requisições: ${ai.usage.totalRequests.toLocaleString()}\n`;
-            msg += `   • Tokens Totais: ${ai.usage.totalTokens.toLocaleString()}\n`;
-            msg += `   • Tokens Prompt: ${ai.usage.promptTokens.toLocaleString()}\n`;
-            msg += `   • Tokens Resposta: ${ai.usage.candidateTokens.toLocaleString()}\n`;
-            msg += `   • Última Chamada: ${ai.usage.lastRequestTokens} tokens\n`;
-            msg += `   • Sessões Ativas: ${ai.sessions || 0}\n`;
+            const { today, month } = ai.usage;
+            msg += `   • ${t('api.usageToday')}: ${formatUsageTotals(today)}\n`;
+            msg += `   • ${t('api.usageMonth')}: ${formatUsageTotals(month)}\n`;
+            if (today.cachedTokens > 0) {
+                msg += `   • ${t('api.promptCache')}: ${t('api.promptCacheStats', {
+                    rate: Math.round((today.cachedTokens / today.promptTokens) * 100),
+                    tokens: today.cachedTokens.toLocaleString(i18n.getLocale())
+                })}\n`;
+            }
+            msg += `   • ${t('api.activeSessions')}: ${ai.sessions || 0}\n`;
+        }
+        const shortcuts = fastPath.getStats();
+        if (shortcuts.total > 0) {
+            msg += `   • ${t('api.fastPath')}: ${t('api.fastPathStats', {
+                hits: shortcuts.hits,
+                total: shortcuts.total,
+                rate: Math.round(shortcuts.hitRate * 100),
+                saved: (shortcuts.savedMs / 1000).toFixed(1)
+            })}\n`;
         }
+        msg += `   • ${t('api.transcription')}: \`${transcription.provider}\`\n`;
         msg += '\n';
 
         // ═══ Trello ═══
         msg += `🗂️ *Trello*\n`;
-        msg += `   • Status: ${trello.online ? '✅ Online' : '❌ Configurar .env'}\n`;
+        msg += `   • ${t('api.status')}: ${trello.online ? t('api.online') : t('api.trelloConfigure')}\n`;
         if (trello.rateLimit && trello.rateLimit.limit) {
             const rlPercent = Math.round((trello.rateLimit.remaining / trello.rateLimit.limit) * 100);
             const rlEmoji = rlPercent > 50 ? '🟢' : rlPercent > 20 ? '🟡' : '🔴';
             msg += `   • Rate Limit: ${rlEmoji} ${trello.rateLimit.remaining}/${trello.rateLimit.limit} (${rlPercent}%)\n`;
             if (trello.rateLimit.lastUpdate) {
                 const rlTime = DateTime.fromJSDate(new Date(trello.rateLimit.lastUpdate)).setZone('America/Sao_Paulo');
-                msg += `   • Último Request: ${rlTime.toFormat('HH:mm:ss')}\n`;
+                msg += `   • ${t('api.lastRequest')}: ${rlTime.toFormat('HH:mm:ss')}\n`;
             }
         } else {
-            msg += `   • Rate Limit: _(sem dados recentes)_\n`;
+            msg += `   • Rate Limit: ${t('api.noRecentData')}\n`;
         }
         // Cards em cache
         const cachedCards = cacheData.trelloCards || [];
-        msg += `   • Cards no Cache: ${cachedCards.length}\n`;
+        msg += `   • ${t('api.cachedCards')}: ${cachedCards.length}\n`;
         msg += '\n';
 
         // ═══ Google ═══
-        msg += `📅 *Google Services*\n`;
-        msg += `   • Status: ${google.online ? '✅ Online' : '❌ Erro'}\n`;
-        msg += `   • Autenticado: ${google.authenticated ? '✅ Sim' : '❌ Não'}\n`;
-        if (google.error) msg += `   • Erro: _${google.error}_\n`;
+        msg += `${t('api.googleTitle')}\n`;
+        msg += `   • ${t('api.status')}: ${google.online ? t('api.online') : t('api.googleError')}\n`;
+        msg += `   • ${t('api.authenticated')}: ${google.authenticated ? t('api.yes') : t('api.no')}\n`;
+        msg += `   • ${t('api.account')}: ${google.account === 'user' ? t('api.accountUser') : t('api.accountGlobal')}\n`;
+        if (google.needsReauth) msg += `   • ${t('api.needsReauth')}\n`;
+        if (google.error) msg += `   • ${t('api.errorLabel')}: _${google.error}_\n`;
         // Eventos em cache
         const cachedEvents = cacheData.events || [];
-        msg += `   • Eventos no Cache: ${cachedEvents.length}\n`;
+        msg += `   • ${t('api.cachedEvents')}: ${cachedEvents.length}\n`;
         msg += '\n';
 
         // ═══ Cache ═══
-        msg += `📦 *Cache*\n`;
+        msg += `${t('api.cacheTitle')}\n`;
         if (cacheData.lastUpdate) {
             const lastUpdt = DateTime.fromISO(cacheData.lastUpdate).setZone('America/Sao_Paulo');
             const cacheAge = now.diff(lastUpdt, 'minutes').minutes;
             const cacheEmoji = cacheAge < 5 ? '🟢' : cacheAge < 30 ? '🟡' : '🔴';
-            msg += `   • Última Atualização: ${lastUpdt.toFormat('HH:mm:ss')}\n`;
-            msg += `   • Idade: ${cacheEmoji} ${Math.round(cacheAge)} min\n`;
+            msg += `   • ${t('api.lastUpdate')}: ${lastUpdt.toFormat('HH:mm:ss')}\n`;
+            msg += `   • ${t('api.age')}: ${cacheEmoji} ${Math.round(cacheAge)} min\n`;
         } else {
-            msg += `   • Status: ⚠️ Não inicializado\n`;
+            msg += `   • ${t('api.status')}: ${t('api.notInitialized')}\n`;
         }
         msg += `   • TTL: ${Math.round(config.cache.ttlMs / 60000)} min\n`;
         msg += '\n';
 
         // ═══ Knowledge Base ═══
-        msg += `🧠 *Memória (Knowledge Base)*\n`;
-        msg += `   • Itens Salvos: ${knowledgeItems.length}\n`;
+        msg += `${t('api.memoryTitle')}\n`;
+        msg += `   • ${t('api.savedItems')}: ${knowledgeItems.length}\n`;
         // Agrupa por categoria para mostrar distribuição
         if (knowledgeItems.length > 0) {
             const catCounts = {};
@@ -257,26 +338,26 @@ bot.command('api', async (ctx) => {
                 catCounts[cat] = (catCounts[cat] || 0) + 1;
             });
             const catList = Object.entries(catCounts).map(([cat, count]) => `${cat}(${count})`).join(', ');
-            msg += `   • Categorias: ${catList}\n`;
+            msg += `   • ${t('api.categories')}: ${catList}\n`;
         }
         msg += '\n';
 
         // ═══ Agendamentos ═══
-        msg += `⏰ *Tarefas Agendadas*\n`;
-        msg += `   • Resumo Matinal: ${config.scheduler.morningAlertHour}:00\n`;
-        msg += `   • Check da Tarde: ${config.scheduler.afternoonCheckHour}:00\n`;
-        msg += `   • Lembrete Eventos: ${config.scheduler.reminderMinutes} min antes\n`;
-        msg += `   • Refresh Cache: a cada ${Math.round(config.cache.refreshIntervalMs / 60000)} min\n`;
+        msg += `${t('api.scheduledTitle')}\n`;
+        msg += `   • ${t('api.morningSummary')}: ${config.scheduler.morningAlertHour}:00\n`;
+        msg += `   • ${t('api.afternoonCheck')}: ${config.scheduler.afternoonCheckHour}:00\n`;
+        msg += `   • ${t('api.eventReminder')}: ${t('api.minutesBefore', { minutes: config.scheduler.reminderMinutes })}\n`;
+        msg += `   • ${t('api.cacheRefresh')}: ${t('api.everyMinutes', { minutes: Math.round(config.cache.refreshIntervalMs / 60000) })}\n`;
         msg += '\n';
 
         // ═══ Servidor ═══
-        msg += `⚙️ *Servidor*\n`;
+        msg += `${t('api.serverTitle')}\n`;
         msg += `   • Uptime: ${uptimeString}\n`;
-        msg += `   • Memória RSS: ${rssStr}\n`;
+        msg += `   • ${t('api.rssMemory')}: ${rssStr}\n`;
         msg += `   • Heap: ${heapUsed} / ${heapTotal}\n`;
         msg += `   • Node: ${process.version}\n`;
         msg += `   • PID: ${process.pid}\n`;
-        msg += `   • Plataforma: ${process.platform} ${process.arch}\n`;
+        msg += `   • ${t('api.platform')}: ${process.platform} ${process.arch}\n`;
 
         await ctx.telegram.editMessageText(
             ctx.chat.id,
@@ -288,189 +369,41 @@ bot.command('api', async (ctx) => {
 
     } catch (error) {
         log.apiError('Status', error);
-        ctx.reply('❌ Erro ao verificar status.');
+        ctx.reply(t('api.error'));
     }
 });
 
 // Comando /help com menu interativo
-bot.command('ajuda', (ctx) => {
-    log.bot('Ajuda', { userId: ctx.from.id });
-
-    const helpMessage = `
-🤖 *Assistente Supremo - Ajuda*
-
-Escolha uma categoria abaixo para ver exemplos de comandos:
-    `;
-
-    const keyboard = Markup.inlineKeyboard([
-        [Markup.button.callback('📅 Eventos (Calendar)', 'help_events')],
-        [Markup.button.callback('🗂️ Trello', 'help_trello')],
-        [Markup.button.callback('🧠 Memória', 'help_memory')],
-        [Markup.button.callback('💡 Dicas Gerais', 'help_tips')],
-        [Markup.button.callback('⚡ Comandos Disponíveis', 'help_commands')]
+function getHelpMenuKeyboard() {
+    return Markup.inlineKeyboard([
+        [Markup.button.callback(t('help.eventsButton'), 'help_events')],
+        [Markup.button.callback(t('help.tasksButton'), 'help_tasks')],
+        [Markup.button.callback(t('help.trelloButton'), 'help_trello')],
+        [Markup.button.callback(t('help.memoryButton'), 'help_memory')],
+        [Markup.button.callback(t('help.tipsButton'), 'help_tips')],
+        [Markup.button.callback(t('help.commandsButton'), 'help_commands')]
     ]);
+}
 
-    ctx.reply(helpMessage, { parse_mode: 'Markdown', ...keyboard });
-});
-
-// Callbacks do menu de ajuda
-bot.action('help_events', (ctx) => {
-    ctx.answerCbQuery();
-    ctx.editMessageText(`
-📅 *Eventos (Google Calendar)*
-
-*Criar:*
-• "Reunião amanhã às 14h"
-• "Consulta dia 15 às 10h"
-• "Call online com cliente sexta"
-• "Yoga toda terça às 7h" (recorrente)
-
-*Listar:*
-• "O que tenho hoje?"
-• "Agenda da semana"
-• "Próximos compromissos"
-
-*Editar:*
-• "Muda a reunião para 16h"
-• "Cancela a consulta de amanhã"
-• "Marcar reunião como concluída"
-
-*Dica:* Diga "online" para criar link do Meet automaticamente! 📹
-    `, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('⬅️ Voltar', 'help_back')]]) });
-});
-
-
-bot.action('help_trello', (ctx) => {
-    ctx.answerCbQuery();
-    ctx.editMessageText(`
-🗂️ *Trello (Projetos)*
-
-*Criar:*
-• "Criar card Bug no login"
-• "Card: Refatorar módulo com checklist: testes, deploy"
-
-*Listar e Buscar:*
-• "Listar cards" / "Meu board"
-• "Procura cards sobre relatório" 🔍
-• "Cards atrasados" / "Cards vencidos" ⏰
-• "Estatísticas do trello" 📊
-
-*Ver Detalhes:*
-• "Detalhes do card X"
-• "Checklists do card X"
-• "Histórico do card X" 📋
-
-*Gerenciar Cards:*
-• "Mover Bug no login para Feito"
-• "Adicionar etiqueta Urgente no card X"
-• "Remover etiqueta do card X"
-• "Arquivar card X"
-• "Deletar card X" 🗑️
-• "Concluir prazo do card X" ✅
-
-*Checklists:*
-• "Marca item 1 como feito no card X" ✅
-• "Desmarca item Deploy no card X"
-• "Remove item 2 do card X"
-• "Deletar checklist do card X" 🗑️
-
-*Listas:*
-• "Listar listas do board"
-• "Criar lista Sprint 2"
-• "Renomear lista X para Y" ✏️
-• "Arquivar lista Concluídos" 📦
-
-*Dica:* Use Trello para tarefas maiores que precisam de rastreamento e subtarefas!
-    `, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('⬅️ Voltar', 'help_back')]]) });
-});
-
-bot.action('help_tips', (ctx) => {
-    ctx.answerCbQuery();
-    ctx.editMessageText(`
-💡 *Dicas Gerais*
-
-*Entendo linguagem natural:*
-• "amanhã às 14h" ✅
-• "semana que vem" ✅
-• "toda segunda às 9h" ✅
-
-*Múltiplas ações:*
-• "Agendar daily às 9h e criar card no Trello revisar métricas"
-
-*Correções rápidas:*
-• Depois de criar algo, diga "muda para 15h" e eu entendo!
-
-*Emojis de status:*
-• 🟢 Evento confirmado
-• 🟡 Evento próximo (< 1h)
-• 📹 Evento online
-• 🔄 Evento recorrente
-
-*Resumos automáticos:*
-• 08:00 - Resumo do dia
-• 14:00 - Check da tarde
-• 15 min antes - Lembrete de eventos
-    `, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('⬅️ Voltar', 'help_back')]]) });
+bot.command('ajuda', (ctx) => {
+    log.bot('Ajuda', { userId: ctx.from.id });
+    ctx.reply(t('help.menu'), { parse_mode: 'Markdown', ...getHelpMenuKeyboard() });
 });
 
-bot.action('help_memory', (ctx) => {
-    ctx.answerCbQuery();
-    ctx.editMessageText(`
-🧠 *Memória (Segundo Cérebro)*
-
-*Guardar informação:*
-• "Guarda aí: a senha do wifi é 1234"
-• "Lembra que o código do portão é 4590"
-• "Anota: a ração do cachorro é Premium"
+// Callbacks do menu de ajuda: help_<seção> mostra help.<seção> do catálogo
+const HELP_SECTIONS = { help_events: 'events', help_trello: 'trello', help_tasks: 'tasks', help_tips: 'tips', help_memory: 'memory', help_commands: 'commands' };
 
-*Consultar:*
-• "Qual a senha do wifi?"
-• "Qual o código do portão?"
-• "Qual a marca da ração?"
-
-*Listar tudo:*
-• "O que você lembra?"
-• "Lista minhas memórias"
-
-*Dica:* Use para guardar senhas, códigos, contatos e qualquer informação útil! 📝
-    `, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('⬅️ Voltar', 'help_back')]]) });
-});
-
-bot.action('help_commands', (ctx) => {
+bot.action(Object.keys(HELP_SECTIONS), (ctx) => {
     ctx.answerCbQuery();
-    ctx.editMessageText(`
-⚡ *Comandos Disponíveis*
-
-/start — Inicia o bot e mostra menu principal
-/ajuda — Exibe este menu de ajuda com todas as categorias
-/api — Mostra status detalhado de todos os serviços (IA, Trello, Google, Cache, Servidor)
-/desfazer — Desfaz a última ação realizada (criar evento, criar card, etc)
-
-📱 *Botões Rápidos (teclado fixo):*
-• 📅 Agenda de Hoje
-• 📅 Agenda da Semana
-• 🗂️ Meu Trello
-• 🧠 Minha Memória
-• 🔄 Atualizar Tudo
-
-_Dica: Você também pode digitar qualquer coisa em linguagem natural!_ 💬
-    `, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('⬅️ Voltar', 'help_back')]]) });
+    ctx.editMessageText(t(`help.${HELP_SECTIONS[ctx.match[0]]}`), {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([[Markup.button.callback(t('common.back'), 'help_back')]])
+    });
 });
 
 bot.action('help_back', (ctx) => {
     ctx.answerCbQuery();
-    const keyboard = Markup.inlineKeyboard([
-        [Markup.button.callback('📅 Eventos (Calendar)', 'help_events')],
-        [Markup.button.callback('🗂️ Trello', 'help_trello')],
-        [Markup.button.callback('🧠 Memória', 'help_memory')],
-        [Markup.button.callback('💡 Dicas Gerais', 'help_tips')],
-        [Markup.button.callback('⚡ Comandos Disponíveis', 'help_commands')]
-    ]);
-    ctx.editMessageText(`
-🤖 *Assistente Supremo - Ajuda*
-
-Escolha uma categoria abaixo para ver exemplos de comandos:
-    `, { parse_mode: 'Markdown', ...keyboard });
+    ctx.editMessageText(t('help.menu'), { parse_mode: 'Markdown', ...getHelpMenuKeyboard() });
 });
 
 // ============================================
@@ -481,7 +414,7 @@ bot.command('desfazer', async (ctx) => {
     const lastAction = actionHistory.getLastAction(userId);
 
     if (!lastAction) {
-        return ctx.reply('🔙 Nenhuma ação recente para desfazer.');
+        return ctx.reply(t('undo.nothing'));
     }
 
     log.bot('Desfazer solicitado', { userId, actionType: lastAction.type });
@@ -493,9 +426,9 @@ bot.command('desfazer', async (ctx) => {
         switch (lastAction.type) {
             case 'create_event':
                 if (lastAction.result?.id) {
-                    await googleService.deleteEvent(lastAction.result.id);
+                    await googleService.deleteEvent(lastAction.result.id, lastAction.result.calendarId);
                     scheduler.invalidateCache('events');
-                    msg = `🔙 Evento "${lastAction.data.summary || lastAction.result.summary}" foi removido.`;
+                    msg = t('undo.eventRemoved', { summary: lastAction.data.summary || lastAction.result.summary });
                     undone = true;
                 }
                 break;
@@ -503,9 +436,9 @@ bot.command('desfazer', async (ctx) => {
             case 'complete_event':
                 if (lastAction.result?.id) {
                     const originalSummary = lastAction.data.originalSummary || lastAction.result.summary.replace('✅ ', '');
-                    await googleService.updateEvent(lastAction.result.id, { summary: originalSummary });
+                    await googleService.updateEvent(lastAction.result.id, { summary: originalSummary }, lastAction.result.calendarId);
                     scheduler.invalidateCache('events');
-                    msg = `🔙 Evento "${originalSummary}" desmarcado como concluído.`;
+                    msg = t('undo.eventUncompleted', { summary: originalSummary });
                     undone = true;
                 }
                 break;
@@ -514,7 +447,7 @@ bot.command('desfazer', async (ctx) => {
                 if (lastAction.result?.id) {
                     await trelloService.deleteCard(lastAction.result.id);
                     scheduler.invalidateCache('trello');
-                    msg = `🔙 Card "${lastAction.data.name}" foi removido.`;
+                    msg = t('undo.cardRemoved', { name: lastAction.data.name });
                     undone = true;
                 }
                 break;
@@ -523,13 +456,13 @@ bot.command('desfazer', async (ctx) => {
                 if (lastAction.result?.id) {
                     await trelloService.updateCard(lastAction.result.id, { closed: false });
                     scheduler.invalidateCache('trello');
-                    msg = `🔙 Card "${lastAction.data.name}" foi restaurado.`;
+                    msg = t('undo.cardRestored', { name: lastAction.data.name });
                     undone = true;
                 }
                 break;
 
             default:
-                msg = `⚠️ Não é possível desfazer a ação "${lastAction.type}".`;
+                msg = t('undo.unsupported', { type: lastAction.type });
         }
 
         if (undone) {
@@ -540,8 +473,483 @@ bot.command('desfazer', async (ctx) => {
 
     } catch (error) {
         log.apiError('Undo', error);
-        ctx.reply(`❌ Erro ao desfazer: ${sanitizeErrorMessage(error)}`);
+        ctx.reply(t('undo.error', { error: sanitizeErrorMessage(error) }));
+    }
+});
+
+// ============================================
+// COMANDO: /esquecer (Limpa a memória da conversa)
+// ============================================
+bot.command('esquecer', (ctx) => {
+    const userId = String(ctx.from.id);
+    log.bot('Comando /esquecer', { userId });
+
+    const hadSomething = clearConversation(userId);
+    ctx.reply(hadSomething ? t('forget.done') : t('forget.nothing'), { parse_mode: 'Markdown' });
+});
+
+// Cancela o pedido incompleto (slot filling)
+bot.action('slot_cancel', async (ctx) => {
+    await ctx.answerCbQuery();
+    const hadPending = !!ctx.session?.pendingSlot;
+    if (ctx.session) delete ctx.session.pendingSlot;
+    await ctx.editMessageText(hadPending ? t('common.dismissed') : t('slots.expired')).catch(() => { });
+});
+
+// Escolha da leitura de um pedido ambíguo ("você quis dizer...?")
+bot.action(/^choice:(\d+|none)$/, async (ctx) => {
+    const userId = String(ctx.from.id);
+    const pending = ctx.session?.pendingChoice;
+    if (ctx.session) delete ctx.session.pendingChoice;
+
+    if (disambiguation.isExpired(pending)) {
+        await ctx.answerCbQuery();
+        return ctx.editMessageText(t('choice.expired')).catch(() => { });
+    }
+
+    // Registro das escolhas: base para ajustar o prompt do classificador
+    const readings = disambiguation.describeReadings(pending.readings);
+    if (ctx.match[1] === 'none') {
+        log.ai('Leitura escolhida', { userId, utterance: pending.utterance, readings, chosen: null });
+        await ctx.answerCbQuery();
+        return ctx.editMessageText(t('choice.rephrase')).catch(() => { });
+    }
+
+    const reading = pending.readings[Number(ctx.match[1])];
+    if (!reading) {
+        await ctx.answerCbQuery();
+        return ctx.editMessageText(t('choice.expired')).catch(() => { });
+    }
+
+    log.ai('Leitura escolhida', { userId, utterance: pending.utterance, readings, chosen: reading.intent.tipo, position: Number(ctx.match[1]) });
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(t('choice.chosen', { label: disambiguation.getReadingLabel(reading) })).catch(() => { });
+
+    const intent = { ...reading.intent };
+    dateParser.reconcileIntentDates([intent], pending.utterance);
+    await processIntents(ctx, [intent], { utterance: pending.utterance });
+});
+
+// ============================================
+// COMANDO: /idioma (Idioma das respostas)
+// ============================================
+bot.command('idioma', (ctx) => {
+    const buttons = config.i18n.supportedLanguages.map(lang =>
+        [Markup.button.callback(t('language.name', {}, lang), `lang_set:${lang}`)]
+    );
+    ctx.reply(`${t('language.choose')}\n\n${t('language.current', { name: t('language.name') })}`, {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard(buttons)
+    });
+});
+
+bot.action(/^lang_set:(.+)$/, async (ctx) => {
+    const userId = String(ctx.from.id);
+    const lang = ctx.match[1];
+
+    try {
+        i18n.setUserLanguage(userId, lang);
+    } catch (error) {
+        if (error.code !== 'UNSUPPORTED_LANGUAGE') throw error;
+        return ctx.answerCbQuery(t('language.invalid'));
+    }
+
+    log.bot('Idioma alterado', { userId, lang });
+    await ctx.answerCbQuery();
+    // Teclado fixo só muda com uma nova mensagem: troca o menu pela confirmação
+    await ctx.deleteMessage().catch(() => { });
+    await ctx.reply(t('language.changed', {}, lang), getMainKeyboard(lang));
+});
+
+// ============================================
+// COMANDO: /modelos (Modelos de evento)
+// ============================================
+
+/**
+ * Lista os modelos do usuário com um botão para apagar cada um
+ * @param {Object} ctx
+ * @param {string} method - 'reply' ou 'editMessageText' (depois de apagar)
+ */
+function replyTemplatesList(ctx, method = 'reply') {
+    const templates = eventTemplates.listTemplates(ctx.from.id);
+    if (templates.length === 0) return ctx[method](t('templates.none'));
+
+    const msg = [t('templates.title'), '', ...templates.map(eventTemplates.formatTemplate), '', t('templates.hint')].join('\n');
+    const buttons = templates.map(template =>
+        [Markup.button.callback(`🗑️ ${template.name}`.substring(0, 60), `tpl_delete:${template.id}`)]
+    );
+    return ctx[method](msg, Markup.inlineKeyboard(buttons));
+}
+
+function replyTemplateNotFound(ctx, name) {
+    const names = eventTemplates.listTemplates(ctx.from.id).map(template => template.name);
+    let msg = t('templates.notFound', { name });
+    if (names.length > 0) msg += `\n${t('templates.available', { names: names.join(', ') })}`;
+    return ctx.reply(msg);
+}
+
+bot.command('modelos', (ctx) => {
+    log.bot('Comando /modelos', { userId: ctx.from.id });
+    return replyTemplatesList(ctx);
+});
+
+bot.action(/^tpl_delete:(.+)$/, async (ctx) => {
+    const deleted = eventTemplates.deleteTemplate(ctx.from.id, ctx.match[1]);
+    await ctx.answerCbQuery(deleted ? t('templates.deleted', { name: deleted.name }) : t('common.listExpired'));
+    await replyTemplatesList(ctx, 'editMessageText').catch(() => { });
+});
+
+// ============================================
+// COMANDO: /expediente (Regras usadas para achar horário)
+// ============================================
+bot.command('expediente', (ctx) => {
+    log.bot('Comando /expediente', { userId: ctx.from.id });
+    ctx.reply(schedulingRules.formatRules(schedulingRules.getRules(ctx.from.id)),
+        Markup.inlineKeyboard([[Markup.button.callback(t('schedulingRules.reset'), 'rules_reset')]]));
+});
+
+bot.action('rules_reset', async (ctx) => {
+    schedulingRules.resetRules(ctx.from.id);
+    log.bot('Regras de agenda restauradas', { userId: ctx.from.id });
+    await ctx.answerCbQuery(t('schedulingRules.resetDone'));
+    await ctx.editMessageText(schedulingRules.formatRules(schedulingRules.getRules(ctx.from.id))).catch(() => { });
+});
+
+// ============================================
+// COMANDO: /uso (Tokens e custo da IA por usuário)
+// ============================================
+function formatUsageTotals(totals) {
+    const locale = i18n.getLocale();
+    return t('usage.totals', {
+        requests: totals.requests.toLocaleString(locale),
+        tokens: totals.totalTokens.toLocaleString(locale),
+        cost: usageTracker.formatUsd(totals.costUsd)
+    });
+}
+
+function formatBudgetLine(label, spentUsd, softUsd, hardUsd) {
+    if (!softUsd && !hardUsd) return null;
+    const limits = [
+        softUsd ? t('usage.softLimit', { value: usageTracker.formatUsd(softUsd) }) : null,
+        hardUsd ? t('usage.hardLimit', { value: usageTracker.formatUsd(hardUsd) }) : null
+    ].filter(Boolean).join(' · ');
+    const emoji = hardUsd && spentUsd >= hardUsd ? '🔴' : softUsd && spentUsd >= softUsd ? '🟡' : '🟢';
+    return `${emoji} ${label}: US$ ${usageTracker.formatUsd(spentUsd)} (${limits})`;
+}
+
+function buildUsageReport(userId) {
+    const { today, month, previousMonth, daily } = usageTracker.getUserUsage(userId);
+    const now = DateTime.now().setZone(config.timezone).setLocale(i18n.getLocale());
+
+    let msg = `${t('usage.title')}\n\n`;
+    msg += `*${t('usage.today')}:* ${formatUsageTotals(today)}\n`;
+    msg += `*${capitalizeFirst(now.toFormat('LLLL'))}:* ${formatUsageTotals(month)}\n`;
+    if (previousMonth.requests > 0) {
+        msg += `_${capitalizeFirst(now.minus({ months: 1 }).toFormat('LLLL'))}: ${formatUsageTotals(previousMonth)}_\n`;
+    }
+
+    msg += `\n${t('usage.lastDays')}\n`;
+    daily.forEach(({ day, requests, costUsd }) => {
+        const label = DateTime.fromISO(day).setLocale(i18n.getLocale()).toFormat(t('dates.shortWeekdayDayMonth'));
+        msg += `• ${t('usage.dayLine', { label, count: requests, cost: usageTracker.formatUsd(costUsd) })}\n`;
+    });
+
+    const byTipo = Object.entries(month.byTipo).sort((a, b) => b[1].costUsd - a[1].costUsd).slice(0, 5);
+    if (byTipo.length > 0) {
+        msg += `\n${t('usage.byTipo')}\n`;
+        byTipo.forEach(([tipo, totals]) => {
+            msg += `• \`${tipo}\`: ${Math.round(totals.requests)} · US$ ${usageTracker.formatUsd(totals.costUsd)}\n`;
+        });
+    }
+
+    const byModel = Object.entries(month.byModel).sort((a, b) => b[1].costUsd - a[1].costUsd);
+    if (byModel.length > 0) {
+        msg += `\n${t('usage.byModel')}\n`;
+        byModel.forEach(([model, totals]) => {
+            msg += `• \`${model}\`: ${formatUsageTotals(totals)}\n`;
+        });
+    }
+
+    const { dailySoftUsd, dailyHardUsd, monthlySoftUsd, monthlyHardUsd } = config.usage.budgets;
+    const budgetLines = [
+        formatBudgetLine(t('usage.today'), today.costUsd, dailySoftUsd, dailyHardUsd),
+        formatBudgetLine(t('usage.month'), month.costUsd, monthlySoftUsd, monthlyHardUsd)
+    ].filter(Boolean);
+    if (budgetLines.length > 0) {
+        msg += `\n${t('usage.budget')}\n${budgetLines.join('\n')}\n`;
+        if (usageTracker.shouldUseEconomyModel(userId)) {
+            msg += `${t('usage.economyActive')}\n`;
+        }
+    }
+
+    msg += `\n${t('usage.footer')}`;
+    return msg;
+}
+
+bot.command('uso', async (ctx) => {
+    const userId = String(ctx.from.id);
+    log.bot('Comando /uso', { userId });
+    await ctx.reply(buildUsageReport(userId), { parse_mode: 'Markdown' });
+});
+
+/**
+ * Envia o aviso de orçamento da IA, se houver um novo (uma vez por nível e período)
+ */
+async function replyBudgetNotice(ctx) {
+    const notice = usageTracker.takeBudgetNotice(String(ctx.from.id));
+    if (notice) await ctx.reply(notice, { parse_mode: 'Markdown' });
+}
+
+// ============================================
+// COMANDO: /conectar_google (Conta Google por usuário)
+// ============================================
+bot.command('conectar_google', async (ctx) => {
+    const userId = String(ctx.from.id);
+    log.bot('Comando /conectar_google', { userId });
+
+    if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
+        return ctx.reply(t('googleAuth.missingClient'));
+    }
+    if (!tokenStore.isEncryptionConfigured()) {
+        return ctx.reply(t('googleAuth.missingEncryption'));
+    }
+
+    const state = oauthServer.createAuthState(userId);
+    const url = googleService.generateAuthUrl(state);
+    const minutes = Math.round(config.googleOAuth.stateTtlMs / 60000);
+
+    let msg = `${t('googleAuth.connectTitle')}\n\n`;
+    msg += `${t('googleAuth.connectInstructions')}\n`;
+    msg += t('googleAuth.linkExpires', { minutes });
+    if (tokenStore.hasUserTokens(userId)) {
+        msg += `\n\n${t('googleAuth.willReplace')}`;
+    }
+
+    await ctx.reply(msg, {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([[Markup.button.url(t('googleAuth.authorize'), url)]])
+    });
+});
+
+bot.command('desconectar_google', async (ctx) => {
+    const userId = String(ctx.from.id);
+    log.bot('Comando /desconectar_google', { userId });
+
+    if (!tokenStore.deleteUserTokens(userId)) {
+        return ctx.reply(t('googleAuth.notConnected'));
+    }
+
+    googleService.clearUserCache(userId);
+    scheduler.invalidateCache('events');
+    await ctx.reply(t('googleAuth.disconnected'));
+});
+
+// Reconexão após token revogado/expirado (gera um link novo a cada clique)
+bot.action(/google_relink:(user|global)/, async (ctx) => {
+    const target = ctx.match[1];
+    const userId = String(ctx.from.id);
+
+    if (target === 'global' && !getAdminChatIds().includes(userId)) {
+        return ctx.answerCbQuery(t('googleAuth.adminOnly'));
+    }
+    if (target === 'user' && !tokenStore.isEncryptionConfigured()) {
+        return ctx.answerCbQuery(t('googleAuth.missingEncryptionToast'));
+    }
+
+    await ctx.answerCbQuery();
+    const state = oauthServer.createAuthState(userId, { target });
+    const url = googleService.generateAuthUrl(state);
+    const minutes = Math.round(config.googleOAuth.stateTtlMs / 60000);
+
+    await ctx.reply(t('googleAuth.reauthorize', { minutes }),
+        Markup.inlineKeyboard([[Markup.button.url(t('googleAuth.authorize'), url)]]));
+});
+
+// ============================================
+// COMANDO: /agendas (Múltiplas agendas)
+// ============================================
+
+/**
+ * Monta a mensagem de seleção de agendas com ✅/⬜ para cada uma
+ * O callback leva o índice (IDs de agenda estouram o limite de 64 bytes do Telegram)
+ */
+function buildCalendarsMenu(calendars, enabledIds) {
+    let msg = `${t('calendars.title')}\n\n`;
+    msg += `${t('calendars.instructions')}\n`;
+    msg += t('calendars.defaultHint');
+
+    const buttons = calendars.map((cal, idx) => {
+        const mark = enabledIds.includes(cal.id) ? '✅' : '⬜';
+        const label = cal.primary ? t('calendars.primary', { name: cal.summary }) : cal.summary;
+        return [Markup.button.callback(`${mark} ${label}`.substring(0, 60), `cal_toggle:${idx}`)];
+    });
+
+    return { msg, keyboard: Markup.inlineKeyboard(buttons) };
+}
+
+bot.command('agendas', async (ctx) => {
+    log.bot('Comando /agendas', { userId: ctx.from.id });
+
+    try {
+        const calendars = await googleService.listCalendars({ forceRefresh: true });
+        if (calendars.length === 0) {
+            return ctx.reply(t('calendars.none'));
+        }
+
+        // Guarda a lista na sessão para os callbacks resolverem o índice
+        ctx.session = ctx.session || {};
+        ctx.session.calendarOptions = calendars.map(c => ({ id: c.id, summary: c.summary, primary: c.primary }));
+
+        const { msg, keyboard } = buildCalendarsMenu(ctx.session.calendarOptions, getUserCalendarIds(ctx.from.id));
+        await ctx.reply(msg, { parse_mode: 'Markdown', ...keyboard });
+    } catch (error) {
+        log.apiError('Bot', error);
+        if (await replyGoogleAuthError(ctx, error)) return;
+        ctx.reply(t('calendars.listError', { error: sanitizeErrorMessage(error) }));
+    }
+});
+
+bot.action(/cal_toggle:(\d+)/, async (ctx) => {
+    const idx = parseInt(ctx.match[1]);
+    const calendars = ctx.session?.calendarOptions;
+    const calendar = calendars?.[idx];
+
+    if (!calendar) {
+        await ctx.answerCbQuery(t('common.listExpired'));
+        return ctx.editMessageText(t('calendars.expired'));
+    }
+
+    const userId = ctx.from.id;
+    let enabled = getUserCalendarIds(userId);
+
+    if (enabled.includes(calendar.id)) {
+        if (enabled.length === 1) {
+            return ctx.answerCbQuery(t('calendars.keepOne'));
+        }
+        enabled = enabled.filter(id => id !== calendar.id);
+    } else {
+        enabled = [...enabled, calendar.id];
+    }
+
+    userPreferences.setPreference(userId, 'calendars', enabled);
+    scheduler.invalidateCache('events');
+    log.bot('Agendas atualizadas', { userId, count: enabled.length });
+
+    await ctx.answerCbQuery(t(enabled.includes(calendar.id) ? 'calendars.enabled' : 'calendars.disabled', { name: calendar.summary }));
+
+    const { msg, keyboard } = buildCalendarsMenu(calendars, enabled);
+    await ctx.editMessageText(msg, { parse_mode: 'Markdown', ...keyboard });
+});
+
+// ============================================
+// COMANDO: /quadro (Múltiplos boards do Trello)
+// ============================================
+
+/**
+ * Monta a mensagem de seleção de boards: 📍 marca o ativo, ✅/⬜ os acompanhados nos resumos
+ * Assim como nas agendas, o callback leva só o índice
+ */
+function buildBoardsMenu(boards, activeId, followedIds) {
+    let msg = `${t('boards.title')}\n\n`;
+    msg += `${t('boards.activeHint')}\n`;
+    msg += `${t('boards.followHint')}\n`;
+    msg += t('boards.mentionHint');
+
+    const buttons = boards.map((board, idx) => {
+        const isActive = board.id === activeId || board.shortLink === activeId;
+        const isFollowed = followedIds.includes(board.id) || followedIds.includes(board.shortLink);
+        return [
+            Markup.button.callback(`${isActive ? '📍' : '▫️'} ${board.name}`.substring(0, 60), `board_set:${idx}`),
+            Markup.button.callback(isFollowed ? '👁️ ✅' : '👁️ ⬜', `board_follow:${idx}`)
+        ];
+    });
+
+    return { msg, keyboard: Markup.inlineKeyboard(buttons) };
+}
+
+function replyBoardsMenu(ctx, boards, method = 'reply') {
+    const userId = ctx.from.id;
+    const { msg, keyboard } = buildBoardsMenu(
+        boards,
+        trelloService.getActiveBoardId(userId),
+        trelloService.getFollowedBoardIds(userId)
+    );
+    return ctx[method](msg, { parse_mode: 'Markdown', ...keyboard });
+}
+
+bot.command('quadro', async (ctx) => {
+    log.bot('Comando /quadro', { userId: ctx.from.id });
+
+    try {
+        const boards = await trelloService.listBoards();
+        if (boards.length === 0) {
+            return ctx.reply(t('boards.none'));
+        }
+
+        ctx.session = ctx.session || {};
+        ctx.session.boardOptions = boards.map(b => ({ id: b.id, name: b.name, shortLink: b.shortLink }));
+
+        await replyBoardsMenu(ctx, ctx.session.boardOptions);
+    } catch (error) {
+        log.apiError('Bot', error);
+        ctx.reply(t('boards.listError', { error: sanitizeErrorMessage(error) }));
+    }
+});
+
+bot.action(/board_set:(\d+)/, async (ctx) => {
+    const boards = ctx.session?.boardOptions;
+    const board = boards?.[parseInt(ctx.match[1])];
+
+    if (!board) {
+        await ctx.answerCbQuery(t('common.listExpired'));
+        return ctx.editMessageText(t('boards.expired'));
+    }
+
+    const userId = ctx.from.id;
+    userPreferences.setPreference(userId, 'trelloBoard', board.id);
+
+    // Quem ainda não escolheu quadros para acompanhar passa a acompanhar o novo ativo
+    const followed = userPreferences.getPreference(userId, 'trelloBoards', null);
+    if (!followed || followed.length === 0) {
+        userPreferences.setPreference(userId, 'trelloBoards', [board.id]);
+    }
+
+    scheduler.invalidateCache('trello');
+    log.bot('Quadro ativo alterado', { userId, boardId: board.id });
+
+    await ctx.answerCbQuery(t('boards.active', { name: board.name }));
+    await replyBoardsMenu(ctx, boards, 'editMessageText');
+});
+
+bot.action(/board_follow:(\d+)/, async (ctx) => {
+    const boards = ctx.session?.boardOptions;
+    const board = boards?.[parseInt(ctx.match[1])];
+
+    if (!board) {
+        await ctx.answerCbQuery(t('common.listExpired'));
+        return ctx.editMessageText(t('boards.expired'));
+    }
+
+    const userId = ctx.from.id;
+    // Normaliza para IDs longos (TRELLO_BOARD_ID pode ser o short link)
+    let followed = trelloService.getFollowedBoardIds(userId)
+        .map(id => boards.find(b => b.shortLink === id)?.id || id);
+
+    if (followed.includes(board.id)) {
+        if (followed.length === 1) {
+            return ctx.answerCbQuery(t('boards.keepOne'));
+        }
+        followed = followed.filter(id => id !== board.id);
+    } else {
+        followed = [...followed, board.id];
     }
+
+    userPreferences.setPreference(userId, 'trelloBoards', followed);
+    scheduler.invalidateCache('trello');
+    log.bot('Quadros acompanhados atualizados', { userId, count: followed.length });
+
+    await ctx.answerCbQuery(t(followed.includes(board.id) ? 'boards.following' : 'boards.unfollowed', { name: board.name }));
+    await replyBoardsMenu(ctx, boards, 'editMessageText');
 });
 
 // ============================================
@@ -555,7 +963,7 @@ bot.action(/^confirm_yes_(.+)$/, async (ctx) => {
     await ctx.answerCbQuery();
 
     if (!pending || pending.id !== confirmationId) {
-        return ctx.editMessageText('⚠️ Esta confirmação expirou ou já foi processada.');
+        return ctx.editMessageText(t('confirmation.expired'));
     }
 
     confirmation.clearConfirmation(userId);
@@ -566,7 +974,7 @@ bot.action(/^confirm_yes_(.+)$/, async (ctx) => {
         await executeConfirmedAction(ctx, pending);
     } catch (error) {
         log.apiError('ConfirmAction', error);
-        ctx.reply(`❌ Erro ao executar: ${error.message}`);
+        ctx.reply(t('confirmation.error', { error: error.message }));
     }
 });
 
@@ -574,8 +982,8 @@ bot.action(/^confirm_no_(.+)$/, async (ctx) => {
     const userId = String(ctx.from.id);
     confirmation.clearConfirmation(userId);
 
-    await ctx.answerCbQuery('Ação cancelada');
-    ctx.editMessageText('❌ Ação cancelada.');
+    await ctx.answerCbQuery(t('confirmation.cancelledToast'));
+    ctx.editMessageText(t('confirmation.cancelled'));
 });
 
 // Função que executa ações confirmadas
@@ -588,17 +996,22 @@ async function executeConfirmedAction(ctx, pending) {
             // Usa batchProcess para evitar rate limit da API Google Calendar
             await batchProcess(
                 events,
-                e => googleService.updateEvent(e.id, { summary: `✅ ${e.summary}`, colorId: '8' }),
+                e => googleService.updateEvent(e.id, { summary: `✅ ${e.summary}`, colorId: '8' }, e.calendarId),
                 10,
                 1000
             );
             scheduler.invalidateCache('events');
             actionHistory.recordAction(userId, pending.actionType, { count: events.length }, { eventIds: events.map(e => e.id) });
-            await ctx.editMessageText(`✅ ${events.length} eventos marcados como concluídos!`);
+            await ctx.editMessageText(t('confirmation.eventsCompleted', { count: events.length }));
+            break;
+
+        case 'create_recurring_event':
+            await ctx.editMessageText(t('confirmation.creatingSeries'));
+            await createEventAndReply(ctx, pending.data.intent, pending.data.warnings);
             break;
 
         default:
-            await ctx.editMessageText('⚠️ Tipo de confirmação não suportado.');
+            await ctx.editMessageText(t('confirmation.unsupported'));
     }
 }
 
@@ -606,21 +1019,22 @@ async function executeConfirmedAction(ctx, pending) {
 // HANDLERS DO TECLADO FIXO
 // ============================================
 
-bot.hears('📅 Agenda de Hoje', async (ctx) => {
+bot.hears(i18n.allTranslations('keyboard.today'), async (ctx) => {
     log.bot('Teclado: Agenda de Hoje', { userId: ctx.from.id });
 
     try {
         const now = DateTime.now().setZone('America/Sao_Paulo');
         const events = await googleService.listEvents(
             now.startOf('day').toISO(),
-            now.endOf('day').toISO()
+            now.endOf('day').toISO(),
+            getUserCalendarIds(ctx.from.id)
         );
 
         if (events.length === 0) {
-            return replyWithKeyboard(ctx, '📅 *Hoje*\n\n✨ Nenhum evento agendado para hoje!', { parse_mode: 'Markdown' });
+            return replyWithKeyboard(ctx, `${t('quick.todayTitle')}\n\n${t('quick.todayEmpty')}`, { parse_mode: 'Markdown' });
         }
 
-        let msg = `📅 *Agenda de Hoje (${now.toFormat('dd/MM')})*\n\n`;
+        let msg = `${t('quick.todayAgenda', { date: now.toFormat(t('dates.dayMonth')) })}\n\n`;
         events.forEach(e => {
             msg += formatEventForDisplay(e) + '\n';
         });
@@ -628,25 +1042,27 @@ bot.hears('📅 Agenda de Hoje', async (ctx) => {
         replyWithKeyboard(ctx, msg, { parse_mode: 'Markdown' });
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.reply('❌ Erro ao buscar agenda.');
+        if (await replyGoogleAuthError(ctx, error)) return;
+        ctx.reply(t('quick.agendaError'));
     }
 });
 
-bot.hears('📅 Agenda da Semana', async (ctx) => {
+bot.hears(i18n.allTranslations('keyboard.week'), async (ctx) => {
     log.bot('Teclado: Agenda da Semana', { userId: ctx.from.id });
 
     try {
         const now = DateTime.now().setZone('America/Sao_Paulo');
         const events = await googleService.listEvents(
             now.startOf('day').toISO(),
-            now.plus({ days: 7 }).endOf('day').toISO()
+            now.plus({ days: 7 }).endOf('day').toISO(),
+            getUserCalendarIds(ctx.from.id)
         );
 
         if (events.length === 0) {
-            return replyWithKeyboard(ctx, '📅 *Próximos 7 dias*\n\n✨ Nenhum evento agendado!', { parse_mode: 'Markdown' });
+            return replyWithKeyboard(ctx, `${t('quick.weekTitle')}\n\n${t('quick.weekEmpty')}`, { parse_mode: 'Markdown' });
         }
 
-        let msg = `📅 *Agenda da Semana*\n\n`;
+        let msg = `${t('quick.weekAgenda')}\n\n`;
         events.forEach(e => {
             msg += formatEventForDisplay(e) + '\n';
         });
@@ -654,27 +1070,28 @@ bot.hears('📅 Agenda da Semana', async (ctx) => {
         replyWithKeyboard(ctx, msg, { parse_mode: 'Markdown' });
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.reply('❌ Erro ao buscar agenda.');
+        if (await replyGoogleAuthError(ctx, error)) return;
+        ctx.reply(t('quick.agendaError'));
     }
 });
 
 
 
-bot.hears('🗂️ Meu Trello', async (ctx) => {
+bot.hears(i18n.allTranslations('keyboard.trello'), async (ctx) => {
     log.bot('Teclado: Meu Trello', { userId: ctx.from.id });
 
     try {
         const groups = await trelloService.listAllCardsGrouped();
 
         if (groups.length === 0) {
-            return replyWithKeyboard(ctx, '🗂️ *Trello*\n\n📭 Nenhuma lista encontrada.', { parse_mode: 'Markdown' });
+            return replyWithKeyboard(ctx, `${t('quick.trelloTitle')}\n\n${t('quick.trelloEmpty')}`, { parse_mode: 'Markdown' });
         }
 
-        let msg = '🗂️ *Meu Trello*\n\n';
+        let msg = `${t('quick.myTrello')}\n\n`;
         groups.forEach(group => {
             msg += `📁 *${group.name}* (${group.cards.length})\n`;
             if (group.cards.length === 0) {
-                msg += `   _(vazia)_\n`;
+                msg += `   ${t('quick.emptyList')}\n`;
             } else {
                 group.cards.forEach(c => {
                     msg += formatTrelloCardListItem(c, { descLength: 80 }) + '\n';
@@ -690,37 +1107,46 @@ bot.hears('🗂️ Meu Trello', async (ctx) => {
         }
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.reply('❌ Erro ao buscar Trello.');
+        ctx.reply(t('quick.trelloError'));
     }
 });
 
-bot.hears('🔄 Atualizar Tudo', async (ctx) => {
+bot.hears(i18n.allTranslations('keyboard.refresh'), async (ctx) => {
     log.bot('Teclado: Atualizar Tudo', { userId: ctx.from.id });
 
-    const processingMsg = await ctx.reply('🔄 Atualizando cache...');
+    const processingMsg = await ctx.reply(t('quick.refreshing'));
 
     try {
         await scheduler.invalidateCache('all');
         await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id).catch(() => { });
-        replyWithKeyboard(ctx, '✅ Cache atualizado! Dados sincronizados com Google e Trello.');
+        replyWithKeyboard(ctx, t('quick.refreshed'));
     } catch (error) {
         log.apiError('Bot', error);
         await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id).catch(() => { });
-        ctx.reply('❌ Erro ao atualizar cache.');
+        ctx.reply(t('quick.refreshError'));
     }
 });
 
-bot.hears('🧠 Minha Memória', async (ctx) => {
+/**
+ * Nome de exibição da categoria da memória (as padrão são traduzidas; as criadas pelo usuário ficam como estão)
+ */
+function formatKnowledgeCategory(category) {
+    const key = `knowledge.categories.${category}`;
+    const label = t(key);
+    return label === key ? capitalizeFirst(category) : label;
+}
+
+bot.hears(i18n.allTranslations('keyboard.memory'), async (ctx) => {
     log.bot('Teclado: Minha Memória', { userId: ctx.from.id });
 
     try {
         const items = knowledgeService.listInfo();
 
         if (items.length === 0) {
-            return replyWithKeyboard(ctx, '🧠 *Memória*\n\n📭 Nenhuma informação guardada ainda.\n\n_Dica: Diga "Guarda aí: ..." para salvar algo!_', { parse_mode: 'Markdown' });
+            return replyWithKeyboard(ctx, `${t('quick.memoryTitle')}\n\n${t('quick.memoryEmpty')}`, { parse_mode: 'Markdown' });
         }
 
-        let msg = '🧠 *Minha Memória*\n\n';
+        let msg = `${t('quick.myMemory')}\n\n`;
 
         // Agrupa por categoria
         const grouped = {};
@@ -738,7 +1164,7 @@ bot.hears('🧠 Minha Memória', async (ctx) => {
                 'geral': '📁'
             }[category] || '📁';
 
-            msg += `${categoryEmoji} *${category.charAt(0).toUpperCase() + category.slice(1)}*\n`;
+            msg += `${categoryEmoji} *${formatKnowledgeCategory(category)}*\n`;
             catItems.forEach(item => {
                 msg += `   📝 *${item.key}*\n`;
                 msg += `      ${item.value}\n`;
@@ -746,12 +1172,12 @@ bot.hears('🧠 Minha Memória', async (ctx) => {
             msg += '\n';
         }
 
-        msg += `_Total: ${items.length} informações_`;
+        msg += t('knowledge.total', { count: items.length });
 
         replyWithKeyboard(ctx, msg, { parse_mode: 'Markdown' });
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.reply('❌ Erro ao buscar memória.');
+        ctx.reply(t('quick.memoryError'));
     }
 });
 
@@ -765,7 +1191,7 @@ bot.action(/event_add_meet:(.+)/, async (ctx) => {
     log.bot('Ação: Adicionar Meet', { eventId });
 
     try {
-        await ctx.answerCbQuery('📹 Adicionando link do Meet...');
+        await ctx.answerCbQuery(t('eventActions.addingMeet'));
 
         // Atualiza com conferência (conferenceDataVersion é tratado em google.js)
         const event = await googleService.updateEvent(eventId, {
@@ -779,40 +1205,135 @@ bot.action(/event_add_meet:(.+)/, async (ctx) => {
 
         scheduler.invalidateCache('events');
 
-        const meetLink = event.hangoutLink ? `\n📹 Link: ${event.hangoutLink}` : '';
+        const meetLink = event.hangoutLink ? t('eventActions.meetLink', { link: event.hangoutLink }) : '';
         await ctx.editMessageText(
-            `✅ Link do Meet adicionado ao evento!${meetLink}`,
+            t('eventActions.meetAdded', { link: meetLink }),
             { parse_mode: 'Markdown' }
         );
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.answerCbQuery('❌ Erro ao adicionar Meet');
+        ctx.answerCbQuery(t('eventActions.meetError'));
     }
 });
 
-// Editar evento (mostra opções)
-bot.action(/event_edit:(.+)/, async (ctx) => {
-    const eventId = ctx.match[1];
-    log.bot('Ação: Editar evento', { eventId });
+// Escopo de alterações em eventos recorrentes (códigos usados nos botões rec_scope)
+const RECURRENCE_SCOPE_CODES = { s: 'single', f: 'following', a: 'all' };
+const RECURRENCE_SCOPE_LABELS = {
+    single: 'eventActions.scopeSingle',
+    following: 'eventActions.scopeFollowing',
+    all: 'eventActions.scopeAll'
+};
+
+// Rótulo do escopo no idioma do usuário ("só esta ocorrência")
+function getScopeLabel(scope) {
+    return t(RECURRENCE_SCOPE_LABELS[scope]);
+}
 
-    await ctx.answerCbQuery();
+// Perguntas de escopo guardadas na sessão (as mais antigas saem)
+const MAX_RECURRENCE_REFS = 10;
+
+/**
+ * Botões de escopo para a ocorrência: o ID fica na sessão e o botão leva só a referência
+ * (IDs de ocorrência podem passar dos 64 bytes do callback_data)
+ * @param {Object} ctx
+ * @param {string} eventId
+ * @param {string} action - 'e' | 'd' | 'u' (ver getRecurrenceButtons)
+ */
+function askRecurrenceScope(ctx, eventId, action) {
+    ctx.session = ctx.session || {};
+    const refs = ctx.session.recurrenceRefs || {};
+    const ref = (ctx.session.recurrenceRefSeq || 0) + 1;
+
+    refs[ref] = eventId;
+    Object.keys(refs).map(Number).filter(key => key <= ref - MAX_RECURRENCE_REFS).forEach(key => delete refs[key]);
+
+    ctx.session.recurrenceRefs = refs;
+    ctx.session.recurrenceRefSeq = ref;
+    return getRecurrenceButtons(ref, action);
+}
+
+/**
+ * Verifica se o evento é recorrente (busca no Google; em caso de erro trata como evento simples)
+ */
+async function isRecurringEventId(eventId) {
+    try {
+        const event = await googleService.getEvent(eventId);
+        return googleService.isRecurringEvent(event);
+    } catch (error) {
+        log.apiError('Bot', error, { eventId });
+        return false;
+    }
+}
+
+/**
+ * Escopo escolhido para o evento no menu de edição (padrão: só a ocorrência)
+ */
+function getEventScope(ctx, eventId) {
+    const selected = ctx.session?.eventScope;
+    return selected && selected.id === eventId ? selected.scope : 'single';
+}
 
+async function showEventEditMenu(ctx, eventId) {
     const editKeyboard = Markup.inlineKeyboard([
         [
-            Markup.button.callback('🕐 Mudar Horário', `event_edit_time:${eventId}`),
-            Markup.button.callback('📝 Mudar Título', `event_edit_title:${eventId}`)
+            Markup.button.callback(t('eventActions.editTime'), `event_edit_time:${eventId}`),
+            Markup.button.callback(t('eventActions.editTitle'), `event_edit_title:${eventId}`)
         ],
         [
-            Markup.button.callback('📍 Mudar Local', `event_edit_location:${eventId}`),
-            Markup.button.callback('✅ Marcar Concluído', `event_complete:${eventId}`)
+            Markup.button.callback(t('eventActions.editLocation'), `event_edit_location:${eventId}`),
+            Markup.button.callback(t('eventActions.markComplete'), `event_complete:${eventId}`)
         ],
-        [Markup.button.callback('⬅️ Voltar', `event_back:${eventId}`)]
+        [Markup.button.callback(t('common.back'), `event_back:${eventId}`)]
     ]);
 
+    const scope = getEventScope(ctx, eventId);
+    const scopeInfo = ctx.session?.eventScope?.id === eventId ? t('eventActions.scopeInfo', { scope: getScopeLabel(scope) }) : '';
+
     await ctx.editMessageText(
-        '✏️ *O que você quer editar?*\n\nEscolha uma opção abaixo:',
+        t('eventActions.editMenu', { scopeInfo }),
         { parse_mode: 'Markdown', ...editKeyboard }
     );
+}
+
+/**
+ * Escopo de recorrência pedido na mensagem (scope, all_occurrences ou data específica)
+ * @returns {string|null} null quando o usuário não disse — aí o bot pergunta
+ */
+function getIntentRecurrenceScope(intent) {
+    if (intent.scope) return intent.scope;
+    if (intent.all_occurrences) return 'all';
+    if (intent.target_date) return 'single';
+    return null;
+}
+
+// Só os campos de atualização do intent (sem tipo, query, etc.)
+function pickEventUpdates(intent) {
+    const updates = {};
+    for (const key of ['summary', 'start', 'end', 'description', 'location']) {
+        if (intent[key]) updates[key] = intent[key];
+    }
+    return updates;
+}
+
+// Editar evento (mostra opções)
+bot.action(/event_edit:(.+)/, async (ctx) => {
+    const eventId = ctx.match[1];
+    log.bot('Ação: Editar evento', { eventId });
+
+    await ctx.answerCbQuery();
+
+    ctx.session = ctx.session || {};
+    delete ctx.session.eventScope;
+
+    // Evento recorrente: pergunta primeiro o escopo da edição
+    if (await isRecurringEventId(eventId)) {
+        return ctx.editMessageText(
+            t('eventActions.recurringEdit'),
+            { parse_mode: 'Markdown', ...askRecurrenceScope(ctx, eventId, 'e') }
+        );
+    }
+
+    await showEventEditMenu(ctx, eventId);
 });
 
 // Editar horário - pede input
@@ -821,10 +1342,10 @@ bot.action(/event_edit_time:(.+)/, async (ctx) => {
     await ctx.answerCbQuery();
 
     ctx.session = ctx.session || {};
-    ctx.session.pendingEventUpdate = { id: eventId, field: 'time' };
+    ctx.session.pendingEventUpdate = { id: eventId, field: 'time', scope: getEventScope(ctx, eventId) };
 
     await ctx.editMessageText(
-        `🕐 *Editar Horário*\n\nDigite o novo horário no formato natural:\n\n_Exemplo: "amanhã às 15h" ou "14:30"_`,
+        t('eventActions.askTime'),
         { parse_mode: 'Markdown' }
     );
 });
@@ -835,10 +1356,10 @@ bot.action(/event_edit_title:(.+)/, async (ctx) => {
     await ctx.answerCbQuery();
 
     ctx.session = ctx.session || {};
-    ctx.session.pendingEventUpdate = { id: eventId, field: 'summary' };
+    ctx.session.pendingEventUpdate = { id: eventId, field: 'summary', scope: getEventScope(ctx, eventId) };
 
     await ctx.editMessageText(
-        `📝 *Editar Título*\n\nDigite o novo título para o evento:`,
+        t('eventActions.askTitle'),
         { parse_mode: 'Markdown' }
     );
 });
@@ -849,10 +1370,10 @@ bot.action(/event_edit_location:(.+)/, async (ctx) => {
     await ctx.answerCbQuery();
 
     ctx.session = ctx.session || {};
-    ctx.session.pendingEventUpdate = { id: eventId, field: 'location' };
+    ctx.session.pendingEventUpdate = { id: eventId, field: 'location', scope: getEventScope(ctx, eventId) };
 
     await ctx.editMessageText(
-        `📍 *Editar Local*\n\nDigite o novo local do evento:\n\n_Exemplo: "Sala 3" ou "Rua X, 123"_`,
+        t('eventActions.askLocation'),
         { parse_mode: 'Markdown' }
     );
 });
@@ -863,29 +1384,30 @@ bot.action(/event_complete:(.+)/, async (ctx) => {
     log.bot('Ação: Completar evento', { eventId });
 
     try {
-        await ctx.answerCbQuery('✅ Marcando como concluído...');
+        await ctx.answerCbQuery(t('eventActions.completing'));
 
         // Busca evento para pegar o título atual
         const now = DateTime.now().setZone('America/Sao_Paulo');
         const events = await googleService.listEvents(
             now.minus({ days: 7 }).toISO(),
-            now.plus({ days: 30 }).toISO()
+            now.plus({ days: 30 }).toISO(),
+            getUserCalendarIds(ctx.from.id)
         );
 
         const event = events.find(e => e.id === eventId);
         if (!event) {
-            return ctx.editMessageText('⚠️ Evento não encontrado.');
+            return ctx.editMessageText(t('common.eventNotFound'));
         }
 
         const newSummary = event.summary.startsWith('✅') ? event.summary : `✅ ${event.summary}`;
-        await googleService.updateEvent(eventId, { summary: newSummary, colorId: '8' });
+        await googleService.updateEvent(eventId, { summary: newSummary, colorId: '8' }, event.calendarId);
 
         scheduler.invalidateCache('events');
 
-        await ctx.editMessageText(`✅ Evento "${event.summary}" marcado como concluído!`);
+        await ctx.editMessageText(t('eventActions.completed', { summary: event.summary }));
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.answerCbQuery('❌ Erro ao marcar como concluído');
+        ctx.answerCbQuery(t('eventActions.completeError'));
     }
 });
 
@@ -896,16 +1418,24 @@ bot.action(/event_delete:(.+)/, async (ctx) => {
 
     await ctx.answerCbQuery();
 
+    // Evento recorrente: a escolha do escopo já serve como confirmação
+    if (await isRecurringEventId(eventId)) {
+        return ctx.editMessageText(
+            t('eventActions.recurringDelete'),
+            { parse_mode: 'Markdown', ...askRecurrenceScope(ctx, eventId, 'd') }
+        );
+    }
+
     // Confirmação
     const confirmKeyboard = Markup.inlineKeyboard([
         [
-            Markup.button.callback('✅ Sim, cancelar', `event_confirm_delete:${eventId}`),
-            Markup.button.callback('❌ Não', `event_cancel_delete:${eventId}`)
+            Markup.button.callback(t('eventActions.confirmDeleteButton'), `event_confirm_delete:${eventId}`),
+            Markup.button.callback(t('common.no'), `event_cancel_delete:${eventId}`)
         ]
     ]);
 
     await ctx.editMessageText(
-        '⚠️ *Tem certeza que deseja cancelar este evento?*\n\nEsta ação não pode ser desfeita.',
+        t('eventActions.confirmDelete'),
         { parse_mode: 'Markdown', ...confirmKeyboard }
     );
 });
@@ -915,26 +1445,81 @@ bot.action(/event_confirm_delete:(.+)/, async (ctx) => {
     const eventId = ctx.match[1];
 
     try {
-        await ctx.answerCbQuery('🗑️ Cancelando evento...');
+        await ctx.answerCbQuery(t('eventActions.deleting'));
         await googleService.deleteEvent(eventId);
         scheduler.invalidateCache('events');
-        await ctx.editMessageText('🗑️ Evento cancelado com sucesso!');
+        await ctx.editMessageText(t('eventActions.deleted'));
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.editMessageText('❌ Erro ao cancelar evento.');
+        ctx.editMessageText(t('eventActions.deleteError'));
     }
 });
 
 // Cancelar deleção
 bot.action(/event_cancel_delete:(.+)/, async (ctx) => {
-    await ctx.answerCbQuery('Operação cancelada');
-    await ctx.editMessageText('👍 Ok, evento mantido!');
+    await ctx.answerCbQuery(t('common.operationCancelled'));
+    await ctx.editMessageText(t('eventActions.kept'));
+});
+
+// Escopo escolhido para evento recorrente
+bot.action(/^rec_scope:([edu]):([sfa]):(\d+)$/, async (ctx) => {
+    const [, action, code, ref] = ctx.match;
+    const scope = RECURRENCE_SCOPE_CODES[code];
+
+    ctx.session = ctx.session || {};
+    const eventId = ctx.session.recurrenceRefs?.[ref];
+    if (!eventId) {
+        await ctx.answerCbQuery();
+        return ctx.editMessageText(t('eventActions.updateExpired')).catch(() => { });
+    }
+    log.bot('Ação: Escopo de recorrência', { eventId, action, scope });
+
+    try {
+        if (action === 'e') {
+            await ctx.answerCbQuery();
+            ctx.session.eventScope = { id: eventId, scope };
+            return showEventEditMenu(ctx, eventId);
+        }
+
+        if (action === 'd') {
+            await ctx.answerCbQuery(t('eventActions.deleting'));
+            await googleService.deleteEventWithScope(eventId, scope);
+            scheduler.invalidateCache('events');
+            return ctx.editMessageText(t('eventActions.deletedScope', { scope: getScopeLabel(scope) }));
+        }
+
+        // action === 'u': atualização pedida por texto aguardando o escopo
+        const pending = ctx.session.pendingRecurringUpdate;
+        if (!pending || pending.id !== eventId) {
+            await ctx.answerCbQuery();
+            return ctx.editMessageText(t('eventActions.updateExpired'));
+        }
+
+        await ctx.answerCbQuery(t('eventActions.updating'));
+        await googleService.updateEventWithScope(eventId, pending.updates, scope, pending.calendarId);
+        delete ctx.session.pendingRecurringUpdate;
+        scheduler.invalidateCache('events');
+        await ctx.editMessageText(t('eventActions.updatedScope', { summary: pending.summary, scope: getScopeLabel(scope) }));
+    } catch (error) {
+        if (await replyGoogleAuthError(ctx, error)) return;
+        log.apiError('Bot', error);
+        ctx.editMessageText(t('eventActions.recurringError'));
+    }
+});
+
+bot.action('rec_scope_cancel', async (ctx) => {
+    await ctx.answerCbQuery(t('common.operationCancelled'));
+    if (ctx.session) {
+        delete ctx.session.eventScope;
+        delete ctx.session.pendingRecurringUpdate;
+    }
+    await ctx.editMessageText(t('eventActions.kept'));
 });
 
 // Voltar (remove botões de edição)
 bot.action(/event_back:(.+)/, async (ctx) => {
     await ctx.answerCbQuery();
-    await ctx.editMessageText('👍 Ok! Use os botões abaixo para outras ações.', { parse_mode: 'Markdown' });
+    await ctx.editMessageText(t('eventActions.backHint'), { parse_mode: 'Markdown' });
 });
 
 // ============================================
@@ -952,7 +1537,7 @@ bot.action(/suggest_trello_checklist:(.+)/, async (ctx) => {
     ctx.session = ctx.session || {};
     ctx.session.pendingTrelloUpdate = { id: cardId, action: 'add_checklist' };
 
-    await ctx.editMessageText('☑️ Digite os itens da checklist separados por vírgula (ex: "item 1, item 2"):');
+    await ctx.editMessageText(t('trelloActions.askChecklist'));
 });
 
 // Add prazo
@@ -963,7 +1548,7 @@ bot.action(/suggest_trello_due:(.+)/, async (ctx) => {
     ctx.session = ctx.session || {};
     ctx.session.pendingTrelloUpdate = { id: cardId, action: 'set_due' };
 
-    await ctx.editMessageText('📅 Digite o prazo para este card (ex: "amanhã"):');
+    await ctx.editMessageText(t('trelloActions.askDue'));
 });
 
 // Add descrição
@@ -974,7 +1559,7 @@ bot.action(/suggest_trello_desc:(.+)/, async (ctx) => {
     ctx.session = ctx.session || {};
     ctx.session.pendingTrelloUpdate = { id: cardId, action: 'set_desc' };
 
-    await ctx.editMessageText('📝 Digite a descrição para o card:');
+    await ctx.editMessageText(t('trelloActions.askDesc'));
 });
 
 // Add etiqueta
@@ -985,7 +1570,7 @@ bot.action(/suggest_trello_label:(.+)/, async (ctx) => {
     ctx.session = ctx.session || {};
     ctx.session.pendingTrelloUpdate = { id: cardId, action: 'add_label' };
 
-    await ctx.editMessageText('🏷️ Digite o nome ou cor da etiqueta (ex: "urgente", "red"):');
+    await ctx.editMessageText(t('trelloActions.askLabel'));
 });
 
 // ============================================
@@ -994,54 +1579,54 @@ bot.action(/suggest_trello_label:(.+)/, async (ctx) => {
 
 // Forçar agendamento mesmo com conflito
 bot.action('conflict_force', async (ctx) => {
-    await ctx.answerCbQuery('📅 Criando evento...');
+    await ctx.answerCbQuery(t('conflict.creating'));
 
     try {
         if (!ctx.session?.pendingEvent) {
-            return ctx.editMessageText('⚠️ Dados do evento perdidos. Por favor, tente novamente.');
+            return ctx.editMessageText(t('conflict.lostData'));
         }
 
         const intent = ctx.session.pendingEvent;
-        const event = await googleService.createEvent(intent);
+        const event = await googleService.createEvent(intent, intent.calendarId);
         scheduler.invalidateCache('events');
 
         const friendlyDate = formatFriendlyDate(intent.start);
-        await ctx.editMessageText(`✅ *Agendado (com conflito):* ${intent.summary}\n📅 ${friendlyDate}`, { parse_mode: 'Markdown' });
+        await ctx.editMessageText(t('conflict.scheduledWithConflict', { summary: intent.summary, date: friendlyDate }), { parse_mode: 'Markdown' });
 
         // Limpa sessão
         delete ctx.session.pendingEvent;
         delete ctx.session.conflictSuggestions;
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.editMessageText('❌ Erro ao criar evento.');
+        ctx.editMessageText(t('conflict.createError'));
     }
 });
 
 // Cancelar agendamento
 bot.action('conflict_cancel', async (ctx) => {
-    await ctx.answerCbQuery('Agendamento cancelado');
+    await ctx.answerCbQuery(t('conflict.cancelledToast'));
 
     if (ctx.session) {
         delete ctx.session.pendingEvent;
         delete ctx.session.conflictSuggestions;
     }
 
-    await ctx.editMessageText('👍 Ok, evento não criado.');
+    await ctx.editMessageText(t('conflict.notCreated'));
 });
 
 // Aceitar sugestão de horário alternativo
 bot.action(/conflict_accept:(\d+)/, async (ctx) => {
     const suggestionIndex = parseInt(ctx.match[1]);
-    await ctx.answerCbQuery('📅 Criando evento...');
+    await ctx.answerCbQuery(t('conflict.creating'));
 
     try {
         if (!ctx.session?.pendingEvent || !ctx.session?.conflictSuggestions) {
-            return ctx.editMessageText('⚠️ Dados do evento perdidos. Por favor, tente novamente.');
+            return ctx.editMessageText(t('conflict.lostData'));
         }
 
         const suggestion = ctx.session.conflictSuggestions[suggestionIndex];
         if (!suggestion) {
-            return ctx.editMessageText('⚠️ Sugestão inválida.');
+            return ctx.editMessageText(t('conflict.invalidSuggestion'));
         }
 
         const intent = {
@@ -1050,18 +1635,85 @@ bot.action(/conflict_accept:(\d+)/, async (ctx) => {
             end: suggestion.endISO
         };
 
-        const event = await googleService.createEvent(intent);
+        const event = await googleService.createEvent(intent, intent.calendarId);
         scheduler.invalidateCache('events');
 
         const friendlyDate = formatFriendlyDate(suggestion.startISO);
-        await ctx.editMessageText(`✅ *Agendado:* ${intent.summary}\n📅 ${friendlyDate}`, { parse_mode: 'Markdown' });
+        await ctx.editMessageText(t('conflict.scheduled', { summary: intent.summary, date: friendlyDate }), { parse_mode: 'Markdown' });
 
         // Limpa sessão
         delete ctx.session.pendingEvent;
         delete ctx.session.conflictSuggestions;
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.editMessageText('❌ Erro ao criar evento.');
+        ctx.editMessageText(t('conflict.createError'));
+    }
+});
+
+/**
+ * Oferece horários livres em botões (smart_schedule e find_meeting_time)
+ * O clique cria o evento (ver slot_pick); as opções ficam na sessão até expirar
+ * @param {Object} ctx
+ * @param {Object} pending - { summary, attendees: [emails], names, options: [{ start, end }] }
+ * @param {string} message - Texto acima dos botões
+ */
+async function replySlotOptions(ctx, pending, message) {
+    ctx.session = ctx.session || {};
+    ctx.session.pendingSlotChoice = { ...pending, expiresAt: Date.now() + config.meeting.choiceTimeoutMs };
+
+    const timeFormat = t('dates.time');
+    const buttons = pending.options.map((slot, i) => {
+        const start = DateTime.fromISO(slot.start).setZone('America/Sao_Paulo').setLocale(i18n.getLocale());
+        const end = DateTime.fromISO(slot.end).setZone('America/Sao_Paulo');
+        const label = `${start.toFormat(t('dates.shortWeekdayDayMonth'))} ${start.toFormat(timeFormat)}–${end.toFormat(timeFormat)}`;
+        return [Markup.button.callback(label, `slot_pick:${i}`)];
+    });
+    buttons.push([Markup.button.callback(t('meeting.none'), 'slot_pick:none')]);
+
+    await ctx.reply(message, Markup.inlineKeyboard(buttons));
+}
+
+// Escolha de um dos horários livres oferecidos
+bot.action(/^slot_pick:(\d+|none)$/, async (ctx) => {
+    const pending = ctx.session?.pendingSlotChoice;
+    if (ctx.session) delete ctx.session.pendingSlotChoice;
+    await ctx.answerCbQuery();
+
+    if (!pending || Date.now() > pending.expiresAt) {
+        return ctx.editMessageText(t('meeting.expired')).catch(() => { });
+    }
+    if (ctx.match[1] === 'none') {
+        return ctx.editMessageText(t('common.dismissed')).catch(() => { });
+    }
+
+    const slot = pending.options[Number(ctx.match[1])];
+    if (!slot) return ctx.editMessageText(t('meeting.expired')).catch(() => { });
+
+    try {
+        await googleService.createEvent({
+            summary: pending.summary,
+            start: slot.start,
+            end: slot.end,
+            attendees: pending.attendees
+        }, undefined, {
+            // Reunião marcada com os convidados: o Google envia o convite por e-mail
+            sendUpdates: pending.attendees.length > 0 ? 'all' : undefined
+        });
+        scheduler.invalidateCache('events');
+
+        log.bot('Horário escolhido', { summary: pending.summary, attendees: pending.attendees.length, start: slot.start });
+        if (pending.attendees.length > 0) {
+            await ctx.editMessageText(t('meeting.scheduled', {
+                summary: pending.summary,
+                date: formatFriendlyDate(slot.start),
+                names: pending.names
+            }));
+        } else {
+            await ctx.editMessageText(t('events.autoScheduled', { date: formatFriendlyDate(slot.start), summary: pending.summary }), { parse_mode: 'Markdown' });
+        }
+    } catch (error) {
+        log.apiError('Bot', error);
+        await ctx.editMessageText(t('meeting.createError')).catch(() => { });
     }
 });
 
@@ -1072,18 +1724,18 @@ bot.action(/conflict_accept:(\d+)/, async (ctx) => {
 // Deletar informação da KB
 bot.action(/kb_delete:(.+)/, async (ctx) => {
     const id = ctx.match[1];
-    await ctx.answerCbQuery('🗑️ Deletando...');
+    await ctx.answerCbQuery(t('knowledge.deleting'));
 
     try {
         const deleted = knowledgeService.deleteInfo(id);
         if (deleted) {
-            await ctx.editMessageText('🗑️ Informação deletada da memória.');
+            await ctx.editMessageText(t('knowledge.deleted'));
         } else {
-            await ctx.editMessageText('⚠️ Informação não encontrada.');
+            await ctx.editMessageText(t('knowledge.missing'));
         }
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.editMessageText('❌ Erro ao deletar.');
+        ctx.editMessageText(t('knowledge.deleteError'));
     }
 });
 
@@ -1096,7 +1748,7 @@ bot.action(/kb_update:(.+)/, async (ctx) => {
     ctx.session = ctx.session || {};
     ctx.session.pendingKBUpdate = id;
 
-    await ctx.editMessageText('✏️ Digite o novo valor para esta informação:');
+    await ctx.editMessageText(t('knowledge.askNewValue'));
 });
 
 // ============================================
@@ -1108,7 +1760,7 @@ bot.action(/trello_confirm_delete:(.+)/, async (ctx) => {
     const cardId = ctx.match[1];
 
     try {
-        await ctx.answerCbQuery('🗑️ Deletando card...');
+        await ctx.answerCbQuery(t('trelloActions.deleting'));
 
         // Pega o nome da sessão se disponível
         const cardName = ctx.session?.pendingTrelloDelete?.name || 'Card';
@@ -1116,7 +1768,7 @@ bot.action(/trello_confirm_delete:(.+)/, async (ctx) => {
         await trelloService.deleteCard(cardId);
         scheduler.invalidateCache('trello');
 
-        await ctx.editMessageText(`🗑️ Card "${cardName}" deletado permanentemente.`);
+        await ctx.editMessageText(t('trelloActions.deleted', { name: cardName }));
 
         // Limpa sessão
         if (ctx.session?.pendingTrelloDelete) {
@@ -1124,26 +1776,49 @@ bot.action(/trello_confirm_delete:(.+)/, async (ctx) => {
         }
     } catch (error) {
         log.apiError('Bot', error);
-        ctx.editMessageText('❌ Erro ao deletar card.');
+        ctx.editMessageText(t('trelloActions.deleteError'));
     }
 });
 
 // Cancelar deleção de card
 bot.action(/trello_cancel_delete:(.+)/, async (ctx) => {
-    await ctx.answerCbQuery('Operação cancelada');
+    await ctx.answerCbQuery(t('common.operationCancelled'));
 
     if (ctx.session?.pendingTrelloDelete) {
         delete ctx.session.pendingTrelloDelete;
     }
 
-    await ctx.editMessageText('👍 Ok, card mantido!');
+    await ctx.editMessageText(t('trelloActions.kept'));
 });
 
 // ============================================
 // HELPERS INTELIGENTES (com Fuzzy Search)
 // ============================================
 
-async function findEventByQuery(query, targetDate = null) {
+/**
+ * IDs das agendas habilitadas pelo usuário (padrão: só a agenda principal)
+ * @param {string|number} userId
+ * @returns {string[]}
+ */
+function getUserCalendarIds(userId) {
+    const calendars = userPreferences.getPreference(userId, 'calendars', null);
+    return Array.isArray(calendars) && calendars.length > 0
+        ? calendars
+        : [googleService.DEFAULT_CALENDAR_ID];
+}
+
+/**
+ * Resolve o nome de uma agenda citada pelo usuário ("agenda da obra") para a agenda real
+ * @param {string} query - Nome aproximado da agenda
+ * @returns {Promise<Object|null>} { id, summary, ... } ou null
+ */
+async function resolveCalendarQuery(query) {
+    if (!query) return null;
+    const calendars = await googleService.listCalendars();
+    return findCalendarFuzzy(calendars, query);
+}
+
+async function findEventByQuery(query, targetDate = null, calendarIds = [googleService.DEFAULT_CALENDAR_ID]) {
     let start, end;
 
     if (targetDate) {
@@ -1156,7 +1831,7 @@ async function findEventByQuery(query, targetDate = null) {
         end = now.plus({ days: 30 }).toISO();
     }
 
-    const events = await googleService.listEvents(start, end);
+    const events = await googleService.listEvents(start, end, calendarIds);
 
     // Usa busca fuzzy
     return findEventFuzzy(events, query);
@@ -1209,8 +1884,130 @@ async function findTrelloCardByQuery(query) {
 // PROCESSADOR DE MENSAGENS
 // ============================================
 
-bot.on('text', async (ctx) => {
-    const text = ctx.message.text;
+bot.on('text', (ctx) => handleUserText(ctx, ctx.message.text));
+
+// Mensagens de voz: transcreve e segue o mesmo fluxo do texto digitado
+bot.on('voice', async (ctx) => {
+    const voice = ctx.message.voice;
+    const userId = String(ctx.from.id);
+
+    log.bot('Mensagem de voz recebida', { userId, duration: voice.duration, size: voice.file_size });
+
+    if (voice.duration > config.transcription.maxDurationSec) {
+        return ctx.reply(t('media.voiceTooLong', { minutes: Math.round(config.transcription.maxDurationSec / 60) }));
+    }
+    if (voice.file_size && voice.file_size > config.transcription.maxFileSizeBytes) {
+        return ctx.reply(t('media.voiceTooBig'));
+    }
+
+    let transcript;
+    try {
+        await ctx.sendChatAction('typing');
+
+        const buffer = await downloadTelegramFile(ctx, voice.file_id);
+        transcript = await transcribeAudio(buffer, voice.mime_type || 'audio/ogg');
+    } catch (error) {
+        log.apiError('Transcription', error, { userId });
+        return ctx.reply(t('media.transcriptionError'));
+    }
+
+    if (!transcript) {
+        return ctx.reply(t('media.notUnderstood'));
+    }
+
+    await ctx.reply(t('media.transcript', { text: transcript }), { parse_mode: 'Markdown' })
+        // Transcrição pode conter caracteres que quebram o Markdown
+        .catch(() => ctx.reply(t('media.transcriptPlain', { text: transcript })));
+
+    return handleUserText(ctx, transcript);
+});
+
+// Fotos: convites, recibos, quadros brancos → evento, card ou memória
+bot.on('photo', (ctx) => {
+    // Telegram envia várias resoluções; a última é a maior
+    const photo = ctx.message.photo[ctx.message.photo.length - 1];
+    return handleFileMessage(ctx, {
+        fileId: photo.file_id,
+        fileSize: photo.file_size,
+        fileName: `foto_${ctx.message.message_id}.jpg`,
+        mimeType: 'image/jpeg'
+    });
+});
+
+// Documentos: imagens enviadas "sem compressão" e PDFs
+bot.on('document', (ctx) => {
+    const doc = ctx.message.document;
+    const mimeType = doc.mime_type || '';
+
+    if (!config.fileIngestion.supportedMimeTypes.some(type => mimeType.startsWith(type))) {
+        return ctx.reply(t('media.unsupportedFile'));
+    }
+
+    return handleFileMessage(ctx, {
+        fileId: doc.file_id,
+        fileSize: doc.file_size,
+        fileName: doc.file_name || `documento_${ctx.message.message_id}`,
+        mimeType
+    });
+});
+
+/**
+ * Baixa um arquivo enviado ao bot
+ * @param {Object} ctx - Contexto do Telegraf
+ * @param {string} fileId - file_id do Telegram
+ * @returns {Promise<Buffer>}
+ */
+async function downloadTelegramFile(ctx, fileId) {
+    const fileUrl = await ctx.telegram.getFileLink(fileId);
+    const response = await fetch(fileUrl.href);
+    if (!response.ok) throw new Error(`Download do arquivo falhou (HTTP ${response.status})`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Interpreta uma foto/documento com a IA multimodal e executa as intenções
+ * O arquivo original é anexado ao card quando o resultado for um trello_create
+ */
+async function handleFileMessage(ctx, { fileId, fileSize, fileName, mimeType }) {
+    const userId = String(ctx.from.id);
+    const caption = ctx.message.caption || '';
+
+    log.bot('Arquivo recebido', { userId, mimeType, size: fileSize, caption: caption.substring(0, 50) });
+
+    if (fileSize && fileSize > config.fileIngestion.maxFileSizeBytes) {
+        return ctx.reply(t('media.fileTooBig'));
+    }
+
+    const processingMsg = await ctx.reply(t('media.analyzing'));
+
+    try {
+        await ctx.sendChatAction('typing');
+
+        const buffer = await downloadTelegramFile(ctx, fileId);
+        const intentResult = await interpretImage(buffer, mimeType, caption, userId, getUserContext(userId));
+
+        log.bot('Intenção do arquivo', { userId, intent: JSON.stringify(intentResult) });
+
+        await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id).catch(() => { });
+
+        const intents = Array.isArray(intentResult) ? intentResult : [intentResult];
+        await processIntents(ctx, intents, { attachment: { buffer, fileName, mimeType } });
+        await replyBudgetNotice(ctx);
+
+    } catch (error) {
+        log.apiError('Bot File', error, { userId, mimeType });
+        await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id).catch(() => { });
+        await ctx.reply(t('media.fileError', { error: sanitizeErrorMessage(error) }));
+    }
+}
+
+/**
+ * Processa um texto do usuário (digitado ou transcrito de um áudio)
+ * Primeiro resolve fluxos pendentes (state machine), depois interpreta com a IA
+ * @param {Object} ctx - Contexto do Telegraf
+ * @param {string} text - Texto a processar
+ */
+async function handleUserText(ctx, text) {
     const userId = String(ctx.from.id);
 
     // ============================================
@@ -1223,13 +2020,13 @@ bot.on('text', async (ctx) => {
         try {
             const updated = knowledgeService.updateInfo(id, text);
             if (updated) {
-                await ctx.reply('✅ Informação atualizada com sucesso!');
+                await ctx.reply(t('knowledge.updated'));
             } else {
-                await ctx.reply('⚠️ Informação não encontrada para atualizar.');
+                await ctx.reply(t('knowledge.missingForUpdate'));
             }
         } catch (error) {
             log.apiError('Bot', error);
-            await ctx.reply('❌ Erro ao atualizar informação.');
+            await ctx.reply(t('knowledge.updateError'));
         }
         delete ctx.session.pendingKBUpdate;
         return;
@@ -1244,28 +2041,22 @@ bot.on('text', async (ctx) => {
             if (action === 'add_checklist') {
                 const items = text.split(',').map(i => i.trim()).filter(i => i);
                 await trelloService.addChecklist(id, 'Checklist', items);
-                await ctx.reply('✅ Checklist adicionada!');
+                await ctx.reply(t('trelloActions.checklistAdded'));
             } else if (action === 'set_due') {
-                // Tenta converter texto natural para ISO 8601
-                const { DateTime: LuxonDT } = require('luxon');
-                let dueDate = LuxonDT.fromISO(text, { zone: 'America/Sao_Paulo' });
-                if (!dueDate.isValid) {
-                    // Tenta formatos comuns (dd/MM/yyyy, dd-MM-yyyy)
-                    dueDate = LuxonDT.fromFormat(text.trim(), 'dd/MM/yyyy', { zone: 'America/Sao_Paulo' });
-                }
-                if (!dueDate.isValid) {
-                    dueDate = LuxonDT.fromFormat(text.trim(), 'dd-MM-yyyy', { zone: 'America/Sao_Paulo' });
-                }
-                if (!dueDate.isValid) {
-                    await ctx.reply('⚠️ Formato de data inválido. Use dd/MM/yyyy (ex: 25/03/2026) ou formato ISO.');
+                // Linguagem natural ("sexta às 18h", "dia 15", "25/03/2026") pelo parser de datas
+                const parsed = dateParser.parseTemporal(text);
+                const dueIso = parsed?.start || parsed?.date || parsed?.referenceDate;
+                if (!dueIso) {
+                    await ctx.reply(t('trelloActions.dueNotUnderstood'));
                     delete ctx.session.pendingTrelloUpdate;
                     return;
                 }
+                const dueDate = DateTime.fromISO(dueIso, { zone: config.timezone });
                 await trelloService.updateCard(id, { due: dueDate.toISO() });
-                await ctx.reply('✅ Prazo definido!');
+                await ctx.reply(t('trelloActions.dueSet', { date: formatFriendlyDate(dueDate.toISO()) }));
             } else if (action === 'set_desc') {
                 await trelloService.updateCard(id, { desc: text });
-                await ctx.reply('✅ Descrição atualizada!');
+                await ctx.reply(t('trelloActions.descUpdated'));
             } else if (action === 'add_label') {
                 // Precisa buscar ID da label pelo nome/cor
                 const labels = await trelloService.getLabels();
@@ -1276,15 +2067,15 @@ bot.on('text', async (ctx) => {
 
                 if (targetLabel) {
                     await trelloService.addLabel(id, targetLabel.id);
-                    await ctx.reply(`✅ Etiqueta *${targetLabel.name || targetLabel.color}* adicionada!`, { parse_mode: 'Markdown' });
+                    await ctx.reply(t('trelloActions.labelAdded', { label: targetLabel.name || targetLabel.color }), { parse_mode: 'Markdown' });
                 } else {
-                    await ctx.reply('⚠️ Etiqueta não encontrada.');
+                    await ctx.reply(t('trelloActions.labelNotFound'));
                 }
             }
             scheduler.invalidateCache('trello');
         } catch (error) {
             log.apiError('Bot', error);
-            await ctx.reply('❌ Erro ao atualizar card.');
+            await ctx.reply(t('trelloActions.updateError'));
         }
         delete ctx.session.pendingTrelloUpdate;
         return;
@@ -1292,45 +2083,60 @@ bot.on('text', async (ctx) => {
 
     // 4. Atualização de Evento (Edição)
     if (ctx.session?.pendingEventUpdate) {
-        const { id, field } = ctx.session.pendingEventUpdate;
+        const { id, field, scope = 'single' } = ctx.session.pendingEventUpdate;
         try {
             const updates = {};
 
             if (field === 'summary') {
                 updates.summary = text;
-                await googleService.updateEvent(id, updates);
-                await ctx.reply('✅ Título atualizado!');
+                await googleService.updateEventWithScope(id, updates, scope);
+                await ctx.reply(t('eventActions.titleUpdated'));
             } else if (field === 'location') {
                 updates.location = text;
-                await googleService.updateEvent(id, updates);
-                await ctx.reply('✅ Local atualizado!');
+                await googleService.updateEventWithScope(id, updates, scope);
+                await ctx.reply(t('eventActions.locationUpdated'));
             } else if (field === 'time') {
                 // Check if user wants to cancel the edit
-                if (text.toLowerCase() === 'cancelar' || text.toLowerCase() === 'voltar') {
-                    await ctx.reply('👍 Edição de horário cancelada.');
+                if (slotFilling.isCancel(text) || text.toLowerCase() === 'voltar') {
+                    await ctx.reply(t('eventActions.timeEditCancelled'));
                     delete ctx.session.pendingEventUpdate;
                     return;
                 }
 
-                // Usa a IA para interpretar a nova data
-                const interpretation = await interpretMessage(`alterar horário para ${text}`, userId, getUserContext(userId));
-                const intent = Array.isArray(interpretation) ? interpretation[0] : interpretation;
-
-                if (intent.start) {
-                    updates.start = intent.start;
-                    if (intent.end) updates.end = intent.end;
-                    else {
-                        // Se não tiver fim, assume 1h de duração padrão se for com hora
-                        if (updates.start.includes('T')) {
-                            const startDt = DateTime.fromISO(updates.start);
-                            updates.end = startDt.plus({ hours: 1 }).toISO();
+                // Parser de datas primeiro ("15h" mantém o dia do evento); a IA só se ele não entender
+                const parsed = dateParser.parseTemporal(text);
+                if (parsed?.time) {
+                    const event = await googleService.getEvent(id);
+                    const currentStart = event?.start?.dateTime ? DateTime.fromISO(event.start.dateTime).setZone(config.timezone) : null;
+                    const currentEnd = event?.end?.dateTime ? DateTime.fromISO(event.end.dateTime).setZone(config.timezone) : null;
+                    const day = parsed.date || parsed.referenceDate || currentStart?.toISODate() || event?.start?.date || parsed.start.substring(0, 10);
+                    const start = DateTime.fromISO(`${day}T${parsed.time}`, { zone: config.timezone });
+
+                    // Sem fim nem duração no texto, mantém a duração atual do evento (ou 1h)
+                    const keptMinutes = currentStart && currentEnd ? currentEnd.diff(currentStart, 'minutes').minutes : 60;
+                    const end = parsed.endTime
+                        ? DateTime.fromISO(`${day}T${parsed.endTime}`, { zone: config.timezone })
+                        : start.plus({ minutes: parsed.durationMinutes || keptMinutes });
+                    updates.start = start.toISO();
+                    updates.end = (end > start ? end : end.plus({ days: 1 })).toISO();
+                } else {
+                    const interpretation = await interpretMessage(`alterar horário para ${text}`, userId, getUserContext(userId));
+                    const intent = Array.isArray(interpretation) ? interpretation[0] : interpretation;
+                    if (intent.start) {
+                        updates.start = intent.start;
+                        if (intent.end) updates.end = intent.end;
+                        else if (updates.start.includes('T')) {
+                            // Se não tiver fim, assume 1h de duração padrão se for com hora
+                            updates.end = DateTime.fromISO(updates.start).plus({ hours: 1 }).toISO();
                         }
                     }
+                }
 
-                    await googleService.updateEvent(id, updates);
-                    await ctx.reply(`✅ Horário atualizado para ${formatFriendlyDate(updates.start)}!`);
+                if (updates.start) {
+                    await googleService.updateEventWithScope(id, updates, scope);
+                    await ctx.reply(t('eventActions.timeUpdated', { date: formatFriendlyDate(updates.start) }));
                 } else {
-                    await ctx.reply('⚠️ Não consegui entender o novo horário. Tente novamente (ex: "amanhã às 15h") ou digite "cancelar" para sair.');
+                    await ctx.reply(t('eventActions.timeNotUnderstood'));
                     return; // Não limpa sessão para permitir tentar de novo
                 }
             }
@@ -1338,108 +2144,342 @@ bot.on('text', async (ctx) => {
             scheduler.invalidateCache('events');
         } catch (error) {
             log.apiError('Bot', error);
-            await ctx.reply('❌ Erro ao atualizar evento.');
+            await ctx.reply(t('eventActions.updateError'));
         }
         delete ctx.session.pendingEventUpdate;
         return;
     }
 
+    // 5. Pedido incompleto aguardando um campo (slot filling)
+    let pendingSlot = null;
+    if (ctx.session?.pendingSlot) {
+        if (slotFilling.isExpired(ctx.session.pendingSlot)) {
+            log.bot('Pedido incompleto expirou', { userId, tipo: ctx.session.pendingSlot.intent.tipo });
+            delete ctx.session.pendingSlot;
+        } else if (slotFilling.isCancel(text)) {
+            delete ctx.session.pendingSlot;
+            return ctx.reply(t('common.dismissed'));
+        } else {
+            pendingSlot = ctx.session.pendingSlot;
+            delete ctx.session.pendingSlot;
+
+            // Campo de texto livre (título, nome, lista...): a resposta entra direto, sem IA
+            const filled = slotFilling.fillFromText(pendingSlot, text);
+            if (filled) {
+                log.bot('Pedido incompleto completado', { userId, tipo: filled.tipo, slot: pendingSlot.missing[0] });
+                return processIntents(ctx, [filled], { utterance: `${pendingSlot.utterance}\n${text}` });
+            }
+        }
+    }
+
+    // 6. Atalho local: frases triviais ("agenda de hoje", "oi") não passam pela IA
+    const shortcut = pendingSlot ? null : fastPath.match(text);
+    if (shortcut) {
+        rememberTurn(userId, text, shortcut.intents);
+        return processIntents(ctx, shortcut.intents, { utterance: text });
+    }
+
     // Envia mensagem de processamento
-    const processingMsg = await ctx.reply('⏳ Processando...');
+    const processingMsg = await ctx.reply(t('common.processing'));
 
     try {
         log.bot('Mensagem recebida', { userId, text: text.substring(0, 50) });
 
         await ctx.sendChatAction('typing');
-        let intentResult = await interpretMessage(text, userId, getUserContext(userId));
+        const interpretStart = Date.now();
+        let intentResult = await interpretMessage(text, userId, getUserContext(userId), { pending: pendingSlot });
+        fastPath.recordMiss(Date.now() - interpretStart);
+
+        // Resposta a um pedido incompleto: junta com o que já se sabia
+        if (pendingSlot) {
+            const answers = Array.isArray(intentResult) ? intentResult : [intentResult];
+            const completesPending = answers.some(i => i.tipo === pendingSlot.intent.tipo);
+            log.bot(completesPending ? 'Pedido incompleto completado' : 'Pedido incompleto abandonado', { userId, tipo: pendingSlot.intent.tipo });
+            if (completesPending) {
+                intentResult = answers.map(i => i.tipo === pendingSlot.intent.tipo ? slotFilling.mergeIntent(pendingSlot.intent, i) : i);
+            }
+        }
 
-        // Fallback de segurança: Se o usuário mencionou datas relativas e a IA se confundiu ou omitiu
-        const nowSP = DateTime.now().setZone('America/Sao_Paulo');
-        const lowText = text.toLowerCase();
+        // IA não interpretou: guarda o pedido como tarefa para não se perder
+        if (intentResult?.fallback_reason) {
+            intentResult.message += await saveAsManualTask(text, intentResult.fallback_reason);
+        }
 
-        let forcedDate = null;
-        if (lowText.includes('amanhã') && !lowText.includes('depois de amanhã')) {
-            forcedDate = nowSP.plus({ days: 1 }).toFormat('yyyy-MM-dd');
-        } else if (lowText.includes('depois de amanhã')) {
-            forcedDate = nowSP.plus({ days: 2 }).toFormat('yyyy-MM-dd');
-        } else {
-            // Fallback para dias da semana
-            const weekDaysMap = {
-                'segunda': 1, 'segunda-feira': 1,
-                'terça': 2, 'terça-feira': 2, 'terca': 2,
-                'quarta': 3, 'quarta-feira': 3,
-                'quinta': 4, 'quinta-feira': 4,
-                'sexta': 5, 'sexta-feira': 5,
-                'sábado': 6, 'sabado': 6,
-                'domingo': 7
-            };
+        // Confere as datas da IA com as expressões do texto ("sexta-feira passada", "a reunião que era na segunda")
+        const utterance = pendingSlot ? `${pendingSlot.utterance}\n${text}` : text;
+        const intents = Array.isArray(intentResult) ? intentResult : [intentResult];
+        const corrections = dateParser.reconcileIntentDates(intents, utterance);
+        if (corrections.length > 0) {
+            log.bot('Datas da IA corrigidas pelo parser', { userId, corrections });
+        }
 
-            for (const [dayName, dayNum] of Object.entries(weekDaysMap)) {
-                if (lowText.includes(dayName)) {
-                    let target = nowSP;
-                    // Encontra a próxima ocorrência do dia (incluindo hoje)
-                    // Se hoje for terça (2) e pedirem terça, retorna hoje.
-                    while (target.weekday !== dayNum) {
-                        target = target.plus({ days: 1 });
-                    }
+        log.bot('Intenção detalhada', { userId, intent: JSON.stringify(intentResult) });
 
-                    // Se disser "próxima", garante que seja semana que vem se for hoje
-                    if ((lowText.includes('próxima') || lowText.includes('proxima')) && target.hasSame(nowSP, 'day')) {
-                        target = target.plus({ days: 7 });
-                    }
+        // Deleta mensagem de processamento
+        await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id).catch(() => { });
 
-                    forcedDate = target.toFormat('yyyy-MM-dd');
-                    break;
+        await processIntents(ctx, intents, { utterance });
+        await replyBudgetNotice(ctx);
+
+    } catch (error) {
+        log.apiError('Bot Main Loop', error, { userId, text: text.substring(0, 50) });
+        await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id).catch(() => { });
+        if (await replyGoogleAuthError(ctx, error)) return;
+        await ctx.reply(t('common.technicalError', { error: sanitizeErrorMessage(error) }));
+    }
+}
+
+/**
+ * Cria a tarefa "Processar manualmente" no Google Tasks
+ * @returns {Promise<string>} Complemento para a resposta ao usuário ('' se falhar)
+ */
+async function saveAsManualTask(text, reason) {
+    try {
+        await tasksService.createFallbackTask(text, reason);
+        scheduler.invalidateCache('tasks');
+        return t('intents.manualTask');
+    } catch (e) {
+        log.error('Erro ao criar tarefa de fallback', { error: e.message });
+        return '';
+    }
+}
+
+/**
+ * Pergunta o próximo campo que falta e guarda o pedido incompleto na sessão
+ * @param {Object} intent - Intenção parcial
+ * @param {string} utterance - Mensagem original
+ */
+async function askForMissingSlot(ctx, intent, utterance = '') {
+    const pending = slotFilling.createPending(intent, utterance);
+    ctx.session = ctx.session || {};
+    ctx.session.pendingSlot = pending;
+
+    log.bot('Pedido incompleto', { userId: ctx.from.id, tipo: intent.tipo, missing: pending.missing });
+    await ctx.reply(`${pending.question}\n\n${t('slots.answerHint')}`, {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([[Markup.button.callback(t('common.cancel'), 'slot_cancel')]])
+    });
+}
+
+/**
+ * Mostra as leituras possíveis de um pedido incerto e guarda a escolha pendente na sessão
+ * @param {Object} intent - Intenção disambiguate
+ * @param {string} utterance - Mensagem original
+ */
+async function askForReading(ctx, intent, utterance = '') {
+    ctx.session = ctx.session || {};
+    ctx.session.pendingChoice = disambiguation.createPending(intent, utterance);
+
+    log.bot('Pedido ambíguo', { userId: ctx.from.id, readings: disambiguation.describeReadings(intent.readings) });
+    const buttons = intent.readings.map((reading, index) =>
+        [Markup.button.callback(disambiguation.getReadingLabel(reading), `choice:${index}`)]
+    );
+    buttons.push([Markup.button.callback(t('choice.none'), 'choice:none')]);
+    await ctx.reply(t('choice.question'), { parse_mode: 'Markdown', ...Markup.inlineKeyboard(buttons) });
+}
+
+/**
+ * Executa uma lista de intenções em sequência
+ * Uma falha isolada não interrompe as demais
+ * Intenções sem campos obrigatórios não executam: a primeira vira pergunta (slot filling)
+ * Pedidos incertos (disambiguate) viram botões com as leituras possíveis
+ * @param {Object} ctx - Contexto do Telegraf
+ * @param {Array} intents - Intenções interpretadas pela IA
+ * @param {Object} options - Repassado ao processIntent (ex: { attachment }); utterance = mensagem original
+ */
+async function processIntents(ctx, intents, options = {}) {
+    let asked = false;
+    let chose = false;
+
+    for (let intent of intents) {
+        if (intent.tipo === disambiguation.TIPO) {
+            // Arquivos não ficam na sessão: com anexo, segue a leitura mais provável
+            if (options.attachment) {
+                intent = intent.readings[0].intent;
+            } else {
+                if (!chose) {
+                    await askForReading(ctx, intent, options.utterance);
+                    chose = true;
+                } else {
+                    await ctx.reply(t('choice.alsoUnclear'));
                 }
+                continue;
             }
         }
 
-        // Aplica fallback de data APENAS para intents de ação (não para chat/reflexão)
-        const actionTypes = ['create_event', 'evento', 'list_events', 'update_event', 'delete_event', 'complete_event', 'complete_all_events'];
-        if (forcedDate) {
-            if (Array.isArray(intentResult)) {
-                intentResult.forEach(i => {
-                    if (actionTypes.includes(i.tipo) && (!i.target_date || i.target_date === nowSP.toFormat('yyyy-MM-dd'))) {
-                        i.target_date = forcedDate;
-                    }
-                });
-            } else if (intentResult && actionTypes.includes(intentResult.tipo)) {
-                if (!intentResult.target_date || intentResult.target_date === nowSP.toFormat('yyyy-MM-dd')) {
-                    intentResult.target_date = forcedDate;
-                }
+        // Modelo citado ("visita de obra sexta 10h"): padrões do modelo por baixo do que o usuário disse
+        if ((intent.tipo === 'create_event' || intent.tipo === 'evento') && intent.template) {
+            const template = eventTemplates.findTemplate(ctx.from.id, intent.template);
+            if (!template) {
+                await replyTemplateNotFound(ctx, intent.template);
+                continue;
             }
+            intent = eventTemplates.applyTemplate(intent, template);
         }
 
-        log.bot('Intenção detalhada', { userId, intent: JSON.stringify(intentResult) });
+        // Arquivos não ficam na sessão: pedidos com anexo seguem direto
+        const missing = options.attachment ? [] : slotFilling.getMissingSlots(intent);
+        if (missing.length > 0) {
+            if (!asked) {
+                await askForMissingSlot(ctx, intent, options.utterance);
+                asked = true;
+            } else {
+                await ctx.reply(t('slots.alsoMissing', { tipo: intent.tipo }));
+            }
+            continue;
+        }
 
-        const intents = Array.isArray(intentResult) ? intentResult : [intentResult];
+        try {
+            await processIntentOnBoard(ctx, intent, options);
+        } catch (intentError) {
+            log.error('Erro ao processar intenção específica', { error: intentError.message, intent: intent.tipo });
+            if (await replyGoogleAuthError(ctx, intentError)) continue;
+            await ctx.reply(t('intents.partialFailure', { tipo: intent.tipo }));
+        }
+    }
+}
 
-        // Deleta mensagem de processamento
-        await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id).catch(() => { });
+/**
+ * Resolve o nome de um quadro citado pelo usuário ("quadro da obra") para o board real
+ * @param {string} query
+ * @returns {Promise<Object|null>} { id, name, ... } ou null
+ */
+async function resolveBoardQuery(query) {
+    if (!query) return null;
+    const boards = await trelloService.listBoards();
+    return findBoardFuzzy(boards, query);
+}
 
-        for (const intent of intents) {
-            try {
-                await processIntent(ctx, intent);
-            } catch (intentError) {
-                log.error('Erro ao processar intenção específica', { error: intentError.message, intent: intent.tipo });
-                await ctx.reply(`⚠️ Tive um problema ao processar: ${intent.tipo}. Mas o resto pode ter funcionado.`);
-            }
-        }
+/**
+ * Processa a intenção no quadro citado (board_query), sem mudar o quadro ativo do usuário
+ * O board vai no contexto da requisição, que o trello.js usa como padrão
+ */
+async function processIntentOnBoard(ctx, intent, options = {}) {
+    if (!intent.board_query || !intent.tipo?.startsWith('trello')) {
+        return processIntent(ctx, intent, options);
+    }
 
-    } catch (error) {
-        log.apiError('Bot Main Loop', error, { userId, text: text.substring(0, 50) });
-        await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id).catch(() => { });
-        await ctx.reply(`❌ Erro técnico: ${sanitizeErrorMessage(error)}. Tente reformular o pedido.`);
+    const board = await resolveBoardQuery(intent.board_query);
+    if (!board) {
+        return ctx.reply(t('boards.notFound', { query: intent.board_query }));
     }
-});
 
-async function processIntent(ctx, intent) {
+    log.bot('Intenção no quadro citado', { tipo: intent.tipo, board: board.name });
+    return runWithContext({ ...getContext(), trelloBoardId: board.id }, () =>
+        processIntent(ctx, { ...intent, boardName: board.name }, options)
+    );
+}
+
+/**
+ * Cria o evento e responde com o resumo, botões de ação e sugestões
+ * @param {Object} intent - Dados do evento (com calendarId)
+ * @param {string[]} warnings - Avisos da validação de contexto
+ */
+async function createEventAndReply(ctx, intent, warnings = []) {
+    const event = await googleService.createEvent(intent, intent.calendarId);
+    const friendlyDate = formatFriendlyDate(intent.start);
+    const emoji = event.hangoutLink ? '📹' : '📅';
+
+    // Atualiza cache
+    scheduler.invalidateCache('events');
+
+    let msg = t('events.scheduled', { summary: intent.summary, link: event.htmlLink, emoji, date: friendlyDate });
+
+    const recurrenceCheck = intent.recurrence ? validateRecurrence(intent.recurrence) : null;
+    if (recurrenceCheck && recurrenceCheck.valid) {
+        msg += `\n🔁 ${capitalizeFirst(humanizeRRule(recurrenceCheck.rules[0], { start: intent.start }))}`;
+    }
+
+    // Mostra prioridade se alta
+    if (intent.priority === 'high') {
+        msg = t('events.urgent', { message: msg });
+    } else if (intent.priority === 'medium') {
+        msg = `🟡 ${msg}`;
+    }
+
+    if (event.hangoutLink) {
+        msg += `\n\n${t('events.joinMeeting', { link: event.hangoutLink })}`;
+    }
+
+    // Mostra avisos do contexto (se houver)
+    if (warnings.length > 0) {
+        msg += `\n\n⚠️ _${warnings.join(' | ')}_`;
+    }
+
+    // Botões de ação rápida
+    const actionButtons = [];
+
+    // Se não tem Meet, oferece adicionar
+    if (!event.hangoutLink) {
+        actionButtons.push(Markup.button.callback(t('suggestions.addMeet'), `event_add_meet:${event.id}`));
+    }
+
+    actionButtons.push(Markup.button.callback(t('events.edit'), `event_edit:${event.id}`));
+    actionButtons.push(Markup.button.callback(t('events.cancel'), `event_delete:${event.id}`));
+
+    const inlineKeyboard = Markup.inlineKeyboard([actionButtons]);
+
+    await ctx.reply(msg, { parse_mode: 'Markdown', disable_web_page_preview: true, ...inlineKeyboard });
+
+    // --- POST-ACTION SUGGESTIONS ---
+    const suggestions = getEventSuggestions(event, intent);
+    if (suggestions) {
+        await ctx.reply(suggestions.message, { parse_mode: 'Markdown', ...suggestions.keyboard });
+    }
+}
+
+/**
+ * Mostra a regra de recorrência em português e as próximas 5 ocorrências, pedindo confirmação
+ */
+async function replyRecurrencePreview(ctx, intent, warnings = []) {
+    const userId = String(ctx.from.id);
+    const rule = validateRecurrence(intent.recurrence).rules[0];
+    const occurrences = intent.start ? getNextOccurrences(rule, intent.start, { limit: 5 }) : [];
+
+    let msg = `🔁 *${intent.summary}*\n${capitalizeFirst(humanizeRRule(rule, { start: intent.start }))}\n\n${t('events.nextOccurrences')}\n`;
+    const dateFormat = intent.start && intent.start.includes('T') ? t('dates.weekdayDayMonthTime') : t('dates.weekdayDayMonth');
+    occurrences.forEach(date => {
+        msg += `• ${capitalizeFirst(date.setLocale(i18n.getLocale()).toFormat(dateFormat))}\n`;
+    });
+    if (occurrences.length === 0) msg += `${t('events.noOccurrences')}\n`;
+    msg += `\n${t('events.createSeries')}`;
+
+    const pending = confirmation.createConfirmation(userId, 'create_recurring_event', { intent, warnings }, msg);
+    await ctx.reply(msg, { parse_mode: 'Markdown', reply_markup: confirmation.getConfirmationKeyboard(pending.id) });
+}
+
+async function processIntent(ctx, intent, options = {}) {
     // ============================================
     // EVENTOS
     // ============================================
     if (intent.tipo === 'create_event' || intent.tipo === 'evento') {
+        // --- RECORRÊNCIA: rejeita regras malformadas antes de qualquer coisa ---
+        if (intent.recurrence) {
+            intent.recurrence = Array.isArray(intent.recurrence) ? intent.recurrence : [intent.recurrence];
+            const recurrenceCheck = validateRecurrence(intent.recurrence);
+            if (!recurrenceCheck.valid) {
+                log.warn('Recorrência inválida', { recurrence: intent.recurrence, error: recurrenceCheck.error });
+                return ctx.reply(
+                    t('events.invalidRecurrence', { error: recurrenceCheck.error }),
+                    { parse_mode: 'Markdown' }
+                );
+            }
+        }
+
+        // --- AGENDA DE DESTINO: citada na mensagem ou a primeira habilitada ---
+        const userCalendarIds = getUserCalendarIds(ctx.from.id);
+        if (intent.calendar_query) {
+            const calendar = await resolveCalendarQuery(intent.calendar_query);
+            if (!calendar) {
+                return ctx.reply(t('calendars.notFound', { query: intent.calendar_query }));
+            }
+            intent.calendarId = calendar.id;
+        } else {
+            intent.calendarId = userCalendarIds[0];
+        }
+
         // --- SMART SCHEDULING: Verifica conflitos antes de criar ---
-        const conflictCheck = await smartScheduling.checkConflicts(intent);
+        const conflictCheck = await smartScheduling.checkConflicts(intent, userCalendarIds, schedulingRules.getRules(ctx.from.id));
 
         if (conflictCheck.hasConflict) {
             // Detecta prioridade do pedido
@@ -1460,54 +2500,15 @@ async function processIntent(ctx, intent) {
         const contextValidation = smartScheduling.validateSchedulingContext(intent);
 
         if (!contextValidation.isValid) {
-            return ctx.reply(`⚠️ *Não foi possível agendar*\n\n${contextValidation.warnings[0]}`, { parse_mode: 'Markdown' });
-        }
-
-        const event = await googleService.createEvent(intent);
-        const friendlyDate = formatFriendlyDate(intent.start);
-        const emoji = event.hangoutLink ? '📹' : '📅';
-
-        // Atualiza cache
-        scheduler.invalidateCache('events');
-
-        let msg = `✅ *Agendado:* [${intent.summary}](${event.htmlLink})\n${emoji} ${friendlyDate}`;
-
-        // Mostra prioridade se alta
-        if (intent.priority === 'high') {
-            msg = `🔴 *URGENTE* - ${msg}`;
-        } else if (intent.priority === 'medium') {
-            msg = `🟡 ${msg}`;
+            return ctx.reply(t('events.cannotSchedule', { warning: contextValidation.warnings[0] }), { parse_mode: 'Markdown' });
         }
 
-        if (event.hangoutLink) {
-            msg += `\n\n📹 [Entrar na reunião](${event.hangoutLink})`;
+        // --- RECORRÊNCIA: mostra a regra e as próximas ocorrências antes de criar a série ---
+        if (intent.recurrence && intent.recurrence.length > 0) {
+            return replyRecurrencePreview(ctx, intent, contextValidation.warnings);
         }
 
-        // Mostra avisos do contexto (se houver)
-        if (contextValidation.warnings.length > 0) {
-            msg += `\n\n⚠️ _${contextValidation.warnings.join(' | ')}_`;
-        }
-
-        // Botões de ação rápida
-        const actionButtons = [];
-
-        // Se não tem Meet, oferece adicionar
-        if (!event.hangoutLink) {
-            actionButtons.push(Markup.button.callback('📹 Add Meet', `event_add_meet:${event.id}`));
-        }
-
-        actionButtons.push(Markup.button.callback('✏️ Editar', `event_edit:${event.id}`));
-        actionButtons.push(Markup.button.callback('🗑️ Cancelar', `event_delete:${event.id}`));
-
-        const inlineKeyboard = Markup.inlineKeyboard([actionButtons]);
-
-        await ctx.reply(msg, { parse_mode: 'Markdown', disable_web_page_preview: true, ...inlineKeyboard });
-
-        // --- POST-ACTION SUGGESTIONS ---
-        const suggestions = getEventSuggestions(event, intent);
-        if (suggestions) {
-            await ctx.reply(suggestions.message, { parse_mode: 'Markdown', ...suggestions.keyboard });
-        }
+        await createEventAndReply(ctx, intent, contextValidation.warnings);
 
     } else if (intent.tipo === 'list_events') {
         const now = DateTime.now().setZone('America/Sao_Paulo');
@@ -1519,30 +2520,41 @@ async function processIntent(ctx, intent) {
             start = target.startOf('day');
             if (intent.period === 'week') {
                 end = target.plus({ days: 7 }).endOf('day');
-                periodLabel = `semana a partir de ${target.toFormat('dd/MM')}`;
+                periodLabel = t('events.weekFrom', { date: target.toFormat(t('dates.dayMonth')) });
             } else {
                 end = target.endOf('day');
                 periodLabel = target.hasSame(now.plus({ days: 1 }), 'day')
-                    ? 'amanhã'
-                    : target.toFormat('dd/MM (cccc)', { locale: 'pt-BR' });
+                    ? t('events.tomorrow')
+                    : target.toFormat(t('dates.dayMonthWeekday'), { locale: i18n.getLocale() });
             }
         } else {
             start = now.startOf('day');
             if (intent.period === 'week') {
                 end = now.plus({ days: 7 }).endOf('day');
-                periodLabel = 'próximos 7 dias';
+                periodLabel = t('events.next7Days');
             } else {
                 end = now.endOf('day');
-                periodLabel = 'hoje';
+                periodLabel = t('events.today');
             }
         }
 
-        const events = await googleService.listEvents(start.toISO(), end.toISO());
+        // Agenda específica ("o que tenho na agenda da obra?") ou todas as habilitadas
+        let calendarIds = getUserCalendarIds(ctx.from.id);
+        if (intent.calendar_query) {
+            const calendar = await resolveCalendarQuery(intent.calendar_query);
+            if (!calendar) {
+                return ctx.reply(t('calendars.notFound', { query: intent.calendar_query }));
+            }
+            calendarIds = [calendar.id];
+            periodLabel += ` — ${calendar.summary}`;
+        }
+
+        const events = await googleService.listEvents(start.toISO(), end.toISO(), calendarIds);
 
         if (events.length === 0) {
-            await ctx.reply(`📅 Nada agendado para ${periodLabel}.`);
+            await ctx.reply(t('events.nothingScheduled', { period: periodLabel }));
         } else {
-            let msg = `📅 *Eventos (${periodLabel}):*\n\n`;
+            let msg = `${t('events.listTitle', { period: periodLabel })}\n\n`;
             events.forEach(e => {
                 msg += formatEventForDisplay(e) + '\n';
             });
@@ -1550,26 +2562,46 @@ async function processIntent(ctx, intent) {
         }
 
     } else if (intent.tipo === 'update_event') {
-        const event = await findEventByQuery(intent.query, intent.target_date);
-        if (!event) return ctx.reply(`⚠️ Não encontrei evento com "${intent.query}"${intent.target_date ? ` na data ${intent.target_date}` : ''}.`);
+        const event = await findEventByQuery(intent.query, intent.target_date, getUserCalendarIds(ctx.from.id));
+        if (!event) {
+            return ctx.reply(intent.target_date
+                ? t('events.notFoundQueryDate', { query: intent.query, date: intent.target_date })
+                : t('events.notFoundQuery', { query: intent.query }));
+        }
+
+        const scope = getIntentRecurrenceScope(intent);
+        if (event.recurringEventId && !scope) {
+            // Guarda a alteração e pergunta o escopo
+            ctx.session = ctx.session || {};
+            ctx.session.pendingRecurringUpdate = {
+                id: event.id,
+                calendarId: event.calendarId,
+                summary: event.summary,
+                updates: pickEventUpdates(intent)
+            };
+            return ctx.reply(
+                t('events.recurringUpdate', { summary: event.summary }),
+                askRecurrenceScope(ctx, event.id, 'u')
+            );
+        }
 
-        await googleService.updateEvent(event.id, intent);
+        await googleService.updateEventWithScope(event.id, pickEventUpdates(intent), scope || 'single', event.calendarId);
         scheduler.invalidateCache('events');
 
-        let msg = `✅ Evento "${event.summary}" atualizado!`;
-        if (intent.target_date) msg += ` (Exceção criada para ${intent.target_date})`;
+        let msg = t('events.updated', { summary: event.summary });
+        if (event.recurringEventId) msg += ` (${getScopeLabel(scope)})`;
 
         await ctx.reply(msg);
 
     } else if (intent.tipo === 'complete_event') {
-        const event = await findEventByQuery(intent.query, intent.target_date);
-        if (!event) return ctx.reply(`⚠️ Não encontrei evento com "${intent.query}".`);
+        const event = await findEventByQuery(intent.query, intent.target_date, getUserCalendarIds(ctx.from.id));
+        if (!event) return ctx.reply(t('events.notFoundQuery', { query: intent.query }));
 
         const newSummary = event.summary.startsWith('✅') ? event.summary : `✅ ${event.summary}`;
-        await googleService.updateEvent(event.id, { summary: newSummary, colorId: '8' });
+        await googleService.updateEvent(event.id, { summary: newSummary, colorId: '8' }, event.calendarId);
         scheduler.invalidateCache('events');
 
-        await ctx.reply(`✅ Evento "${event.summary}" marcado como concluído!`);
+        await ctx.reply(t('events.completed', { summary: event.summary }));
 
     } else if (intent.tipo === 'complete_all_events') {
         const now = DateTime.now().setZone('America/Sao_Paulo');
@@ -1578,55 +2610,67 @@ async function processIntent(ctx, intent) {
         if (intent.period === 'day' || !intent.period) {
             start = now.startOf('day').toISO();
             end = now.endOf('day').toISO();
-            periodLabel = 'hoje';
+            periodLabel = t('events.today');
         } else if (intent.period === 'week') {
             start = now.startOf('day').toISO();
             end = now.plus({ days: 7 }).endOf('day').toISO();
-            periodLabel = 'esta semana';
+            periodLabel = t('events.thisWeek');
         } else {
             // Tenta tratar como data ISO específica
             const target = DateTime.fromISO(intent.period, { zone: 'America/Sao_Paulo' });
             if (!target.isValid) {
-                return ctx.reply(`⚠️ Período "${intent.period}" não reconhecido. Use "hoje", "semana" ou uma data válida.`);
+                return ctx.reply(t('events.unknownPeriod', { period: intent.period }));
             }
             start = target.startOf('day').toISO();
             end = target.endOf('day').toISO();
-            periodLabel = target.toFormat('dd/MM');
+            periodLabel = target.toFormat(t('dates.dayMonth'));
         }
 
-        const events = await googleService.listEvents(start, end);
+        const events = await googleService.listEvents(start, end, getUserCalendarIds(ctx.from.id));
 
         if (events.length === 0) {
-            return ctx.reply(`📅 Nenhum evento encontrado para ${periodLabel}.`);
+            return ctx.reply(t('events.noneFound', { period: periodLabel }));
         }
 
         // Filtra eventos que ainda não estão marcados como concluídos
         const pendingEvents = events.filter(e => !e.summary.startsWith('✅'));
 
         if (pendingEvents.length === 0) {
-            return ctx.reply(`✅ Todos os eventos de ${periodLabel} já estão concluídos!`);
+            return ctx.reply(t('events.allCompleted', { period: periodLabel }));
         }
 
-        await ctx.reply(`⏳ Marcando ${pendingEvents.length} eventos como concluídos...`);
+        await ctx.reply(t('events.completingMany', { count: pendingEvents.length }));
 
         // Processa em batches para evitar rate limiting
         await batchProcess(
             pendingEvents,
-            e => googleService.updateEvent(e.id, { summary: `✅ ${e.summary}`, colorId: '8' })
+            e => googleService.updateEvent(e.id, { summary: `✅ ${e.summary}`, colorId: '8' }, e.calendarId)
         );
 
         scheduler.invalidateCache('events');
-        await ctx.reply(`✅ ${pendingEvents.length} eventos de ${periodLabel} marcados como concluídos!`);
+        await ctx.reply(t('events.completedMany', { count: pendingEvents.length, period: periodLabel }));
 
     } else if (intent.tipo === 'delete_event') {
-        const event = await findEventByQuery(intent.query, intent.target_date);
-        if (!event) return ctx.reply(`⚠️ Não encontrei evento com "${intent.query}"${intent.target_date ? ` na data ${intent.target_date}` : ''}.`);
+        const event = await findEventByQuery(intent.query, intent.target_date, getUserCalendarIds(ctx.from.id));
+        if (!event) {
+            return ctx.reply(intent.target_date
+                ? t('events.notFoundQueryDate', { query: intent.query, date: intent.target_date })
+                : t('events.notFoundQuery', { query: intent.query }));
+        }
 
-        await googleService.deleteEvent(event.id);
+        const scope = getIntentRecurrenceScope(intent);
+        if (event.recurringEventId && !scope) {
+            return ctx.reply(
+                t('events.recurringDelete', { summary: event.summary }),
+                askRecurrenceScope(ctx, event.id, 'd')
+            );
+        }
+
+        await googleService.deleteEventWithScope(event.id, scope || 'single', event.calendarId);
         scheduler.invalidateCache('events');
 
-        let msg = `🗑️ Evento "${event.summary}" apagado.`;
-        if (event.recurringEventId) msg += ` (Apenas esta ocorrência)`;
+        let msg = t('events.deleted', { summary: event.summary });
+        if (event.recurringEventId) msg += ` (${getScopeLabel(scope)})`;
 
         await ctx.reply(msg);
 
@@ -1648,16 +2692,17 @@ async function processIntent(ctx, intent) {
         }
 
         const periodLabel = intent.target_date
-            ? (referenceDate.hasSame(now.plus({ days: 1 }), 'day') ? 'amanhã' : referenceDate.toFormat('dd/MM'))
-            : (period === 'week' ? 'esta semana' : 'hoje');
+            ? (referenceDate.hasSame(now.plus({ days: 1 }), 'day') ? t('events.tomorrow') : referenceDate.toFormat(t('dates.dayMonth')))
+            : (period === 'week' ? t('events.thisWeek') : t('events.today'));
 
         // Busca todos os dados com tratamento de erro individual
-        let events = [], trelloGroups = [];
+        let events = [], trelloGroups = [], tasks = [];
 
         try {
             const results = await Promise.allSettled([
-                googleService.listEvents(startDate.toISO(), endDate.toISO()),
-                trelloService.listAllCardsGrouped()
+                googleService.listEvents(startDate.toISO(), endDate.toISO(), getUserCalendarIds(ctx.from.id)),
+                trelloService.listAllCardsGrouped(),
+                tasksService.listTasks()
             ]);
 
             if (results[0].status === 'fulfilled') events = results[0].value;
@@ -1666,10 +2711,16 @@ async function processIntent(ctx, intent) {
             if (results[1].status === 'fulfilled') trelloGroups = results[1].value;
             else log.error('Erro ao buscar trello para o report', { error: results[1].reason?.message });
 
+            if (results[2].status === 'fulfilled') tasks = results[2].value;
+            else log.error('Erro ao buscar tarefas para o report', { error: results[2].reason?.message });
+
         } catch (e) {
             log.error('Erro global no report', { error: e.message });
         }
 
+        // Tarefas pendentes com prazo até o fim do período (ou sem prazo)
+        const dueTasks = tasks.filter(task => !task.due || task.due.substring(0, 10) <= endDate.toISODate());
+
         // Trello "A Fazer"
         const todoCards = trelloGroups
             .filter(g => g.name.toLowerCase().includes('a fazer') || g.name.toLowerCase().includes('to do'))
@@ -1677,40 +2728,50 @@ async function processIntent(ctx, intent) {
 
 
 
-        let msg = `📋 *RELATÓRIO ${periodLabel.toUpperCase()}* (${referenceDate.toFormat('dd/MM')})\n\n`;
+        let msg = `${t('report.title', { period: periodLabel.toUpperCase(), date: referenceDate.toFormat(t('dates.dayMonth')) })}\n\n`;
 
         // Se alguma API falhou, avisa no topo
         if (trelloGroups.length === 0) {
-            msg += `⚠️ _Alguns dados podem estar incompletos devido a erro na API._\n\n`;
+            msg += `${t('report.incomplete')}\n\n`;
         }
 
         // ESTATÍSTICAS
-        msg += `📊 *Resumo:*\n`;
-        msg += `   • ${events.length} eventos\n`;
-        msg += `   • ${todoCards.length} cards no Trello\n\n`;
+        msg += `${t('report.summary')}\n`;
+        msg += `   • ${t('report.events', { count: events.length })}\n`;
+        msg += `   • ${t('report.tasks', { count: dueTasks.length })}\n`;
+        msg += `   • ${t('report.cards', { count: todoCards.length })}\n\n`;
 
         // EVENTOS
         if (events.length > 0) {
-            msg += `📅 *Eventos:*\n`;
+            msg += `${t('report.eventsTitle')}\n`;
             events.slice(0, 10).forEach(e => {
                 msg += formatEventForDisplay(e) + '\n';
             });
-            if (events.length > 10) msg += `   _...e mais ${events.length - 10} eventos_\n`;
+            if (events.length > 10) msg += `   ${t('report.moreEvents', { count: events.length - 10 })}\n`;
             msg += '\n';
         } else {
-            msg += `📅 _Nenhum evento ${periodLabel}_\n\n`;
+            msg += `${t('report.noEvents', { period: periodLabel })}\n\n`;
         }
 
+        // TAREFAS
+        if (dueTasks.length > 0) {
+            msg += `${t('report.tasksTitle')}\n`;
+            dueTasks.slice(0, 10).forEach(task => {
+                msg += formatTaskForDisplay(task) + '\n';
+            });
+            if (dueTasks.length > 10) msg += `   ${t('report.moreTasks', { count: dueTasks.length - 10 })}\n`;
+            msg += '\n';
+        }
 
 
         // TRELLO
         if (todoCards.length > 0) {
-            msg += `🗂️ *Trello (A Fazer):*\n`;
+            msg += `${t('report.trelloTitle')}\n`;
             todoCards.forEach(c => {
                 msg += formatTrelloCardListItem(c, { descLength: 80 }) + '\n';
             });
         } else {
-            msg += `🗂️ _Nenhum card pendente_\n`;
+            msg += `${t('report.noCards')}\n`;
         }
 
         // Divide em múltiplas mensagens se ultrapassar o limite do Telegram
@@ -1719,6 +2780,42 @@ async function processIntent(ctx, intent) {
             await ctx.reply(part, { parse_mode: 'Markdown', disable_web_page_preview: true });
         }
 
+        // ============================================
+        // TAREFAS (Google Tasks)
+        // ============================================
+    } else if (intent.tipo === 'task_create') {
+        const task = await tasksService.createTask(intent);
+        scheduler.invalidateCache('tasks');
+
+        let msg = t('tasks.created', { task: formatTaskForDisplay(task) });
+        if (intent.notes) msg += `\n📝 ${intent.notes}`;
+        await ctx.reply(msg, { parse_mode: 'Markdown' });
+
+    } else if (intent.tipo === 'task_list') {
+        const tasks = await tasksService.listTasks({ showCompleted: intent.show_completed });
+
+        if (tasks.length === 0) {
+            return ctx.reply(t('tasks.none'));
+        }
+
+        let msg = `${t('tasks.listTitle', { count: tasks.length })}\n\n`;
+        tasks.forEach(task => {
+            msg += formatTaskForDisplay(task) + '\n';
+        });
+
+        for (const part of splitTelegramMessage(msg)) {
+            await ctx.reply(part, { parse_mode: 'Markdown', disable_web_page_preview: true });
+        }
+
+    } else if (intent.tipo === 'task_complete') {
+        const tasks = await tasksService.listTasks();
+        const task = findTaskFuzzy(tasks, intent.query);
+        if (!task) return ctx.reply(t('tasks.notFound', { query: intent.query }));
+
+        await tasksService.completeTask(task.id, task.listId);
+        scheduler.invalidateCache('tasks');
+        await ctx.reply(t('tasks.completed', { title: task.title }));
+
         // ============================================
         // TRELLO
         // ============================================
@@ -1798,7 +2895,7 @@ async function processIntent(ctx, intent) {
             }
         }
 
-        let targetListId = process.env.TRELLO_LIST_ID_INBOX;
+        let targetListId = await trelloService.getInboxListId();
 
         // ... (rest of logic) ... but wait, I am replacing logic in 'trello_create'. 
         // I need to find where 'trello_list' logic is. It is handled in 'trello_list' block?
@@ -1869,7 +2966,7 @@ async function processIntent(ctx, intent) {
                 targetListId = targetList.id;
                 log.bot('Usando lista Trello especificada', { listName: targetList.name, query: intentData.list_query });
             } else {
-                await ctx.reply(`⚠️ Lista Trello "${intentData.list_query}" não encontrada. Criando na Inbox.`);
+                await ctx.reply(t('trello.listNotFoundInbox', { list: intentData.list_query }));
             }
         }
 
@@ -2077,13 +3174,21 @@ async function processIntent(ctx, intent) {
             await trelloService.addChecklist(card.id, intentData.checklistName || 'Checklist', intentData.checklist);
         }
 
-
+        // Arquivo original (foto/documento) que gerou o card
+        if (options.attachment) {
+            try {
+                await trelloService.addAttachment(card.id, options.attachment);
+            } catch (error) {
+                log.error('Erro ao anexar arquivo ao card', { cardId: card.id, error: error.message });
+                await ctx.reply(t('trello.attachmentFailed'));
+            }
+        }
 
         scheduler.invalidateCache('trello');
 
-        let msg = `✅ *Card Criado:* [${card.name}](${card.shortUrl})`;
+        let msg = t('trello.cardCreated', { name: card.name, url: card.shortUrl });
         if (intentData.priority === 'high') {
-            msg = `🔴 *URGENTE* - ${msg}`;
+            msg = t('events.urgent', { message: msg });
         }
 
         await ctx.reply(msg, { parse_mode: 'Markdown' });
@@ -2096,32 +3201,32 @@ async function processIntent(ctx, intent) {
 
     } else if (intent.tipo === 'trello_clear_list') {
         if (!intent.list_query) {
-            return ctx.reply('⚠️ Qual lista você quer limpar? (Ex: "Limpar lista Feito")');
+            return ctx.reply(t('trello.askListToClear'));
         }
 
         const groups = await trelloService.listAllCardsGrouped();
         const targetList = findTrelloListFuzzy(groups, intent.list_query);
 
         if (!targetList) {
-            return ctx.reply(`⚠️ Lista "${intent.list_query}" não encontrada.`);
+            return ctx.reply(t('trello.listNotFound', { list: intent.list_query }));
         }
 
         if (targetList.cards.length === 0) {
-            return ctx.reply(`✅ A lista "*${targetList.name}*" já está vazia!`, { parse_mode: 'Markdown' });
+            return ctx.reply(t('trello.listAlreadyEmpty', { list: targetList.name }), { parse_mode: 'Markdown' });
         }
 
-        await ctx.reply(`⏳ Arquivando ${targetList.cards.length} cards da lista "${targetList.name}"...`);
+        await ctx.reply(t('trello.archivingCards', { count: targetList.cards.length, list: targetList.name }));
 
         // Arquiva em paralelo
         const promises = targetList.cards.map(c => trelloService.updateCard(c.id, { closed: true }));
         await Promise.all(promises);
 
         scheduler.invalidateCache('trello');
-        await ctx.reply(`📦 Todos os cards da lista "*${targetList.name}*" foram arquivados!`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('trello.listCleared', { list: targetList.name }), { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_list') {
         let groups = await trelloService.listAllCardsGrouped();
-        if (groups.length === 0) return ctx.reply('🗂️ Nenhuma lista encontrada no Trello.');
+        if (groups.length === 0) return ctx.reply(t('trello.noLists'));
 
         // Filtragem por lista
         if (intent.list_query) {
@@ -2129,7 +3234,7 @@ async function processIntent(ctx, intent) {
             if (filtered) {
                 groups = [filtered];
             } else {
-                return ctx.reply(`⚠️ Nenhuma lista encontrada com o nome "${intent.list_query}".`);
+                return ctx.reply(t('trello.noListNamed', { list: intent.list_query }));
             }
         }
 
@@ -2171,19 +3276,19 @@ async function processIntent(ctx, intent) {
         }
 
         if (allCards.length === 0) {
-            return ctx.reply('🗂️ Nenhum card encontrado com esses filtros.');
+            return ctx.reply(t('trello.noCardsFiltered'));
         }
 
         // RE-GROUP for display if listing many, or simple list if filtered/sorted
         let msg = '';
         if (intent.sort || intent.filter || intent.limit) {
-            msg = `🗂️ *Cards Encontrados (${totalFound})*\n\n`;
+            msg = `${t('trello.cardsFound', { count: totalFound })}\n\n`;
             allCards.forEach(c => {
                 msg += formatTrelloCardListItem(c, { descLength: 60, showList: true }) + '\n';
             });
         } else {
             // Display by group (standard view)
-            msg = '*Quadro Trello:*\n\n';
+            msg = `${t('trello.boardTitle')}\n\n`;
             groups.forEach(group => {
                 const groupCards = group.cards;
                 if (groupCards.length === 0) return;
@@ -2204,32 +3309,32 @@ async function processIntent(ctx, intent) {
 
     } else if (intent.tipo === 'trello_list_lists') {
         const lists = await trelloService.getLists();
-        let msg = '📋 *Listas do Board:*\n\n';
+        let msg = `${t('trello.boardLists')}\n\n`;
         lists.forEach(l => {
             msg += `• ${l.name}\n`;
         });
         await ctx.reply(msg, { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_create_list') {
-        if (!intent.name) return ctx.reply('⚠️ Preciso do nome da lista.');
+        if (!intent.name) return ctx.reply(t('trello.askListName'));
         await trelloService.createList(intent.name);
         scheduler.invalidateCache('trello');
-        await ctx.reply(`✅ Lista *${intent.name}* criada!`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('trello.listCreated', { name: intent.name }), { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_move_all_cards') {
-        if (!intent.from_list || !intent.to_list) return ctx.reply('⚠️ Preciso das listas de origem e destino.');
+        if (!intent.from_list || !intent.to_list) return ctx.reply(t('trello.askMoveLists'));
 
         const groups = await trelloService.listAllCardsGrouped();
         const sourceList = findTrelloListFuzzy(groups, intent.from_list);
         const lists = await trelloService.getLists(); // Need all lists for target
         const targetList = findTrelloListFuzzy(lists, intent.to_list);
 
-        if (!sourceList) return ctx.reply(`⚠️ Lista origem "${intent.from_list}" não encontrada.`);
-        if (!targetList) return ctx.reply(`⚠️ Lista destino "${intent.to_list}" não encontrada.`);
+        if (!sourceList) return ctx.reply(t('trello.sourceNotFound', { list: intent.from_list }));
+        if (!targetList) return ctx.reply(t('trello.targetNotFound', { list: intent.to_list }));
 
-        if (sourceList.cards.length === 0) return ctx.reply('⚠️ A lista de origem está vazia.');
+        if (sourceList.cards.length === 0) return ctx.reply(t('trello.sourceEmpty'));
 
-        await ctx.reply(`⏳ Movendo ${sourceList.cards.length} cards de "${sourceList.name}" para "${targetList.name}"...`);
+        await ctx.reply(t('trello.movingCards', { count: sourceList.cards.length, from: sourceList.name, to: targetList.name }));
 
         // Serial process to avoid rate limits
         for (const card of sourceList.cards) {
@@ -2237,11 +3342,11 @@ async function processIntent(ctx, intent) {
         }
 
         scheduler.invalidateCache('trello');
-        await ctx.reply(`✅ Todos os cards movidos com sucesso!`);
+        await ctx.reply(t('trello.allMoved'));
 
     } else if (intent.tipo === 'trello_add_checklist_item') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         const checklists = await trelloService.getCardChecklists(card.id);
         let targetChecklist;
@@ -2259,11 +3364,11 @@ async function processIntent(ctx, intent) {
 
         await trelloService.addItemToChecklist(targetChecklist.id, intent.item);
         scheduler.invalidateCache('trello');
-        await ctx.reply(`✅ Item "${intent.item}" adicionado à checklist *${targetChecklist.name}* no card "${card.name}"`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('trello.checklistItemAdded', { item: intent.item, checklist: targetChecklist.name, card: card.name }), { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_update') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         // Extrai apenas campos válidos do Trello (evita passar tipo, query, etc.)
         const updateData = {};
@@ -2283,23 +3388,23 @@ async function processIntent(ctx, intent) {
         await trelloService.updateCard(card.id, updateData);
         scheduler.invalidateCache('trello');
 
-        await ctx.reply(`✅ Card "${card.name}" atualizado.`);
+        await ctx.reply(t('trello.cardUpdated', { name: card.name }));
 
     } else if (intent.tipo === 'trello_archive') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         await trelloService.updateCard(card.id, { closed: true });
         scheduler.invalidateCache('trello');
 
-        await ctx.reply(`📦 Card "${card.name}" arquivado.`);
+        await ctx.reply(t('trello.cardArchived', { name: card.name }));
 
     } else if (intent.tipo === 'trello_add_comment') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         await trelloService.addComment(card.id, intent.comment);
-        await ctx.reply(`💬 Comentário adicionado em "${card.name}"`);
+        await ctx.reply(t('trello.commentAdded', { name: card.name }));
 
     } else if (intent.tipo === 'trello_move') {
         let card = await findTrelloCardByQuery(intent.query);
@@ -2307,17 +3412,17 @@ async function processIntent(ctx, intent) {
         if (!card) {
             await new Promise(r => setTimeout(r, 1000));
             card = await findTrelloCardByQuery(intent.query);
-            if (!card) return ctx.reply('⚠️ Card não encontrado.');
+            if (!card) return ctx.reply(t('common.cardNotFound'));
         }
 
-        if (!intent.list) return ctx.reply('⚠️ Preciso saber para qual lista mover (Ex: "Mover para Feito").');
+        if (!intent.list) return ctx.reply(t('trello.askTargetList'));
 
         const lists = await trelloService.getLists();
         const targetList = findTrelloListFuzzy(lists, intent.list);
 
         if (!targetList) {
             const listNames = lists.map(l => l.name).join(', ');
-            return ctx.reply(`⚠️ Lista "${intent.list}" não encontrada.\n📋 Listas disponíveis: ${listNames}`);
+            return ctx.reply(t('trello.listNotFoundAvailable', { list: intent.list, available: listNames }));
         }
 
         const updateData = { idList: targetList.id };
@@ -2328,16 +3433,16 @@ async function processIntent(ctx, intent) {
         await trelloService.updateCard(card.id, updateData);
         scheduler.invalidateCache('trello');
 
-        let msg = `✅ Card "${card.name}" movido para *${targetList.name}*!`;
+        let msg = t('trello.cardMoved', { name: card.name, list: targetList.name });
         if (card.closed) {
-            msg += ` (Restaurado do arquivo)`;
+            msg += t('trello.restored');
         }
 
         await ctx.reply(msg, { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_add_label') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         const labels = await trelloService.getLabels();
         const targetLabel = labels.find(l =>
@@ -2347,15 +3452,15 @@ async function processIntent(ctx, intent) {
 
         if (!targetLabel) {
             const available = labels.map(l => l.name || l.color).join(', ');
-            return ctx.reply(`⚠️ Etiqueta "${intent.label}" não encontrada.\n🏷️ Disponíveis: ${available}`);
+            return ctx.reply(t('trello.labelNotFoundAvailable', { label: intent.label, available }));
         }
 
         await trelloService.addLabel(card.id, targetLabel.id);
-        await ctx.reply(`✅ Etiqueta *${targetLabel.name || targetLabel.color}* adicionada ao card "${card.name}"`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('trello.labelAdded', { label: targetLabel.name || targetLabel.color, name: card.name }), { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_add_member') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         const members = await trelloService.getMembers();
         const targetMember = members.find(m =>
@@ -2364,24 +3469,24 @@ async function processIntent(ctx, intent) {
         );
 
         if (!targetMember) {
-            return ctx.reply(`⚠️ Membro "${intent.member}" não encontrado.`);
+            return ctx.reply(t('trello.memberNotFound', { member: intent.member }));
         }
 
         await trelloService.addMember(card.id, targetMember.id);
-        await ctx.reply(`✅ Membro *${targetMember.fullName}* adicionado ao card "${card.name}"`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('trello.memberAdded', { member: targetMember.fullName, name: card.name }), { parse_mode: 'Markdown' });
 
         // ============================================
         // TRELLO - NOVOS ENDPOINTS AVANÇADOS
         // ============================================
     } else if (intent.tipo === 'trello_delete') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         // Confirmação antes de deletar
         const confirmKeyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ Sim, deletar', `trello_confirm_delete:${card.id}`),
-                Markup.button.callback('❌ Não', `trello_cancel_delete:${card.id}`)
+                Markup.button.callback(t('trello.confirmDeleteButton'), `trello_confirm_delete:${card.id}`),
+                Markup.button.callback(t('common.no'), `trello_cancel_delete:${card.id}`)
             ]
         ]);
 
@@ -2390,22 +3495,33 @@ async function processIntent(ctx, intent) {
         ctx.session.pendingTrelloDelete = { id: card.id, name: card.name };
 
         await ctx.reply(
-            `⚠️ *Tem certeza que deseja DELETAR PERMANENTEMENTE o card?*\n\n📌 *${cleanTrelloName(card.name)}*\n\n_Esta ação não pode ser desfeita!_`,
+            t('trello.confirmDelete', { name: cleanTrelloName(card.name) }),
             { parse_mode: 'Markdown', ...confirmKeyboard }
         );
 
     } else if (intent.tipo === 'trello_search') {
-        const cards = await trelloService.searchCards(intent.query);
+        // Quadro citado: só nele; senão em todos os quadros acompanhados
+        const boardIds = intent.board_query
+            ? [trelloService.getActiveBoardId()]
+            : trelloService.getFollowedBoardIds(ctx.from.id);
+        const cards = await trelloService.searchCards(intent.query, boardIds);
 
         if (cards.length === 0) {
-            return ctx.reply(`🔍 Nenhum card encontrado com "${intent.query}"`);
+            return ctx.reply(t('trello.searchEmpty', { query: intent.query }));
+        }
+
+        // Em buscas multi-board, identifica o quadro de cada card
+        if (boardIds.length > 1) {
+            const boards = await trelloService.listBoards().catch(() => []);
+            const boardNames = new Map(boards.map(b => [b.id, b.name]));
+            cards.forEach(c => { c.boardName = boardNames.get(c.idBoard) || null; });
         }
 
-        let msg = `🔍 *Busca: "${intent.query}"*\n\n`;
-        msg += `📊 Encontrados: ${cards.length} cards\n\n`;
+        let msg = `${t('trello.searchTitle', { query: intent.query })}${intent.boardName ? t('trello.searchInBoard', { board: cleanTrelloName(intent.boardName) }) : ''}\n\n`;
+        msg += `${t('trello.searchCount', { count: cards.length })}\n\n`;
 
         cards.forEach((c, i) => {
-            msg += `${i + 1}. ${formatTrelloCardListItem(c, { showEmoji: false, descLength: 100 }).trim()}\n\n`;
+            msg += `${i + 1}. ${formatTrelloCardListItem(c, { showEmoji: false, descLength: 100, showBoard: true }).trim()}\n\n`;
         });
 
         // Divide em múltiplas mensagens se ultrapassar o limite do Telegram
@@ -2416,40 +3532,40 @@ async function processIntent(ctx, intent) {
 
     } else if (intent.tipo === 'trello_get') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         // Busca detalhes completos
         const cardDetails = await trelloService.getCard(card.id);
 
         let msg = `📌 *${cleanTrelloName(cardDetails.name)}*\n`;
-        msg += `🔗 [Abrir no Trello](${cardDetails.url})\n\n`;
+        msg += `${t('trello.openInTrello', { url: cardDetails.url })}\n\n`;
 
         // Descrição
         if (cardDetails.desc) {
-            msg += `📝 *Descrição:*\n${cardDetails.desc.substring(0, 500)}${cardDetails.desc.length > 500 ? '...' : ''}\n\n`;
+            msg += `${t('trello.description')}\n${cardDetails.desc.substring(0, 500)}${cardDetails.desc.length > 500 ? '...' : ''}\n\n`;
         }
 
         // Due date
         if (cardDetails.due) {
             const dueEmoji = cardDetails.dueComplete ? '✅' : '📅';
-            msg += `${dueEmoji} *Prazo:* ${formatFriendlyDate(cardDetails.due)}\n`;
+            msg += `${dueEmoji} ${t('trello.due', { date: formatFriendlyDate(cardDetails.due) })}\n`;
         }
 
         // Labels
         if (cardDetails.labels && cardDetails.labels.length > 0) {
             const labelNames = cardDetails.labels.map(l => l.name || l.color).join(', ');
-            msg += `🏷️ *Etiquetas:* ${labelNames}\n`;
+            msg += `${t('trello.labels', { labels: labelNames })}\n`;
         }
 
         // Members
         if (cardDetails.members && cardDetails.members.length > 0) {
             const memberNames = cardDetails.members.map(m => m.fullName || m.username).join(', ');
-            msg += `👥 *Membros:* ${memberNames}\n`;
+            msg += `${t('trello.members', { members: memberNames })}\n`;
         }
 
         // Checklists summary
         if (cardDetails.checklists && cardDetails.checklists.length > 0) {
-            msg += `\n☑️ *Checklists:*\n`;
+            msg += `\n${t('trello.checklists')}\n`;
             cardDetails.checklists.forEach(cl => {
                 const completed = cl.checkItems.filter(i => i.state === 'complete').length;
                 const total = cl.checkItems.length;
@@ -2459,27 +3575,27 @@ async function processIntent(ctx, intent) {
 
         // Attachments
         if (cardDetails.attachments && cardDetails.attachments.length > 0) {
-            msg += `\n📎 *Anexos:* ${cardDetails.attachments.length} arquivo(s)\n`;
+            msg += `\n${t('trello.attachments', { count: cardDetails.attachments.length })}\n`;
         }
 
         // Last activity
         if (cardDetails.dateLastActivity) {
-            msg += `\n🕐 _Última atividade: ${formatFriendlyDate(cardDetails.dateLastActivity)}_`;
+            msg += `\n${t('trello.lastActivity', { date: formatFriendlyDate(cardDetails.dateLastActivity) })}`;
         }
 
         await ctx.reply(msg, { parse_mode: 'Markdown', disable_web_page_preview: true });
 
     } else if (intent.tipo === 'trello_checklist') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         const checklists = await trelloService.getCardChecklists(card.id);
 
         if (checklists.length === 0) {
-            return ctx.reply(`📌 O card "*${cleanTrelloName(card.name)}*" não tem checklists.`, { parse_mode: 'Markdown' });
+            return ctx.reply(t('trello.noChecklists', { name: cleanTrelloName(card.name) }), { parse_mode: 'Markdown' });
         }
 
-        let msg = `☑️ *Checklists de "${cleanTrelloName(card.name)}"*\n\n`;
+        let msg = `${t('trello.checklistsOf', { name: cleanTrelloName(card.name) })}\n\n`;
 
         checklists.forEach((cl, clIndex) => {
             const completed = cl.checkItems.filter(i => i.state === 'complete').length;
@@ -2493,17 +3609,17 @@ async function processIntent(ctx, intent) {
             msg += '\n';
         });
 
-        msg += `\n_Dica: Diga "marca item 1 como feito no card ${card.name}" para marcar_`;
+        msg += `\n${t('trello.checklistTip', { name: card.name })}`;
 
         await ctx.reply(msg, { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_check_item') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         const checklists = await trelloService.getCardChecklists(card.id);
         if (checklists.length === 0) {
-            return ctx.reply(`⚠️ O card "${card.name}" não tem checklists.`);
+            return ctx.reply(t('trello.noChecklistsPlain', { name: card.name }));
         }
 
         // Encontra o item por nome ou posição
@@ -2543,7 +3659,7 @@ async function processIntent(ctx, intent) {
         }
 
         if (!targetItem) {
-            return ctx.reply(`⚠️ Item "${intent.item}" não encontrado nas checklists do card.`);
+            return ctx.reply(t('trello.itemNotFound', { item: intent.item }));
         }
 
         const newState = intent.state || 'complete';
@@ -2552,17 +3668,17 @@ async function processIntent(ctx, intent) {
 
         const emoji = newState === 'complete' ? '✅' : '⬜';
         await ctx.reply(
-            `${emoji} Item "${targetItem.name}" ${newState === 'complete' ? 'marcado como feito' : 'desmarcado'} no card *${card.name}*`,
+            t(newState === 'complete' ? 'trello.itemChecked' : 'trello.itemUnchecked', { emoji, item: targetItem.name, card: card.name }),
             { parse_mode: 'Markdown' }
         );
 
     } else if (intent.tipo === 'trello_delete_check_item') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         const checklists = await trelloService.getCardChecklists(card.id);
         if (checklists.length === 0) {
-            return ctx.reply(`⚠️ O card "${card.name}" não tem checklists.`);
+            return ctx.reply(t('trello.noChecklistsPlain', { name: card.name }));
         }
 
         // Encontra o item por nome ou posição (mesma lógica do check_item)
@@ -2597,23 +3713,23 @@ async function processIntent(ctx, intent) {
         }
 
         if (!targetItem) {
-            return ctx.reply(`⚠️ Item "${intent.item}" não encontrado nas checklists do card.`);
+            return ctx.reply(t('trello.itemNotFound', { item: intent.item }));
         }
 
         await trelloService.deleteCheckItem(card.id, targetItem.id);
         scheduler.invalidateCache('trello');
 
-        await ctx.reply(`🗑️ Item "${targetItem.name}" removido do card *${card.name}*`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('trello.itemRemoved', { item: targetItem.name, card: card.name }), { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_remove_label') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         // Busca detalhes do card para ver as labels
         const cardDetails = await trelloService.getCard(card.id);
 
         if (!cardDetails.labels || cardDetails.labels.length === 0) {
-            return ctx.reply(`⚠️ O card "${card.name}" não tem etiquetas.`);
+            return ctx.reply(t('trello.noLabels', { name: card.name }));
         }
 
         // Encontra a label
@@ -2624,20 +3740,20 @@ async function processIntent(ctx, intent) {
 
         if (!targetLabel) {
             const available = cardDetails.labels.map(l => l.name || l.color).join(', ');
-            return ctx.reply(`⚠️ Etiqueta "${intent.label}" não encontrada no card.\n🏷️ Etiquetas do card: ${available}`);
+            return ctx.reply(t('trello.labelNotOnCard', { label: intent.label, available }));
         }
 
         await trelloService.removeLabel(card.id, targetLabel.id);
         scheduler.invalidateCache('trello');
 
-        await ctx.reply(`✅ Etiqueta *${targetLabel.name || targetLabel.color}* removida do card "${card.name}"`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('trello.labelRemoved', { label: targetLabel.name || targetLabel.color, name: card.name }), { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_due_complete') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         if (!card.due) {
-            return ctx.reply(`⚠️ O card "*${cleanTrelloName(card.name)}*" não tem data de entrega definida.`, { parse_mode: 'Markdown' });
+            return ctx.reply(t('trello.noDue', { name: cleanTrelloName(card.name) }), { parse_mode: 'Markdown' });
         }
 
         const complete = intent.complete !== undefined ? intent.complete : true;
@@ -2645,114 +3761,113 @@ async function processIntent(ctx, intent) {
         scheduler.invalidateCache('trello');
 
         const emoji = complete ? '✅' : '⬜';
-        const status = complete ? 'marcado como entregue' : 'desmarcado (pendente)';
-        await ctx.reply(`${emoji} Prazo do card "*${cleanTrelloName(card.name)}*" ${status}!`, { parse_mode: 'Markdown' });
+        await ctx.reply(t(complete ? 'trello.dueDelivered' : 'trello.dueReopened', { emoji, name: cleanTrelloName(card.name) }), { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_rename_list') {
-        if (!intent.list_query) return ctx.reply('⚠️ Qual lista você quer renomear?');
-        if (!intent.new_name) return ctx.reply('⚠️ Preciso do novo nome para a lista.');
+        if (!intent.list_query) return ctx.reply(t('trello.askListToRename'));
+        if (!intent.new_name) return ctx.reply(t('trello.askNewListName'));
 
         const lists = await trelloService.getLists();
         const targetList = findTrelloListFuzzy(lists, intent.list_query);
 
         if (!targetList) {
             const available = lists.map(l => l.name).join(', ');
-            return ctx.reply(`⚠️ Lista "${intent.list_query}" não encontrada.\n📋 Listas disponíveis: ${available}`);
+            return ctx.reply(t('trello.listNotFoundAvailable', { list: intent.list_query, available }));
         }
 
         const oldName = targetList.name;
         await trelloService.renameList(targetList.id, intent.new_name);
         scheduler.invalidateCache('trello');
 
-        await ctx.reply(`✅ Lista "*${oldName}*" renomeada para "*${intent.new_name}*"!`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('trello.listRenamed', { from: oldName, to: intent.new_name }), { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_archive_list') {
-        if (!intent.list_query) return ctx.reply('⚠️ Qual lista você quer arquivar?');
+        if (!intent.list_query) return ctx.reply(t('trello.askListToArchive'));
 
         const lists = await trelloService.getLists();
         const targetList = findTrelloListFuzzy(lists, intent.list_query);
 
         if (!targetList) {
             const available = lists.map(l => l.name).join(', ');
-            return ctx.reply(`⚠️ Lista "${intent.list_query}" não encontrada.\n📋 Listas disponíveis: ${available}`);
+            return ctx.reply(t('trello.listNotFoundAvailable', { list: intent.list_query, available }));
         }
 
         await trelloService.archiveList(targetList.id, true);
         scheduler.invalidateCache('trello');
 
-        await ctx.reply(`📦 Lista "*${targetList.name}*" arquivada com sucesso!`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('trello.listArchived', { name: targetList.name }), { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_card_activity') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         const limit = intent.limit || 10;
         const actions = await trelloService.getCardActions(card.id, limit);
 
         if (actions.length === 0) {
-            return ctx.reply(`📋 O card "*${cleanTrelloName(card.name)}*" não tem atividades registradas.`, { parse_mode: 'Markdown' });
+            return ctx.reply(t('trello.noActivity', { name: cleanTrelloName(card.name) }), { parse_mode: 'Markdown' });
         }
 
-        let msg = `📋 *Histórico de "${cleanTrelloName(card.name)}"*\n\n`;
+        let msg = `${t('trello.historyOf', { name: cleanTrelloName(card.name) })}\n\n`;
 
         actions.forEach((action, i) => {
             const date = DateTime.fromISO(action.date).setZone('America/Sao_Paulo');
-            const dateStr = date.toFormat('dd/MM HH:mm');
-            const who = action.memberCreator?.fullName || action.memberCreator?.username || 'Sistema';
+            const dateStr = date.toFormat(t('dates.dayMonthTime'));
+            const who = action.memberCreator?.fullName || action.memberCreator?.username || t('trello.system');
 
             let description = '';
             switch (action.type) {
                 case 'commentCard':
-                    description = `💬 Comentou: "${(action.data.text || '').substring(0, 100)}"`;
+                    description = t('trello.activity.commented', { text: (action.data.text || '').substring(0, 100) });
                     break;
                 case 'updateCard':
                     if (action.data.listAfter) {
-                        description = `📁 Moveu para "${action.data.listAfter.name}"`;
+                        description = t('trello.activity.moved', { list: action.data.listAfter.name });
                     } else if (action.data.card?.closed === true) {
-                        description = '📦 Arquivou o card';
+                        description = t('trello.activity.archived');
                     } else if (action.data.card?.closed === false) {
-                        description = '📂 Restaurou o card';
+                        description = t('trello.activity.restored');
                     } else if (action.data.card?.dueComplete === true) {
-                        description = '✅ Marcou prazo como concluído';
+                        description = t('trello.activity.dueCompleted');
                     } else if (action.data.card?.dueComplete === false) {
-                        description = '⬜ Desmarcou prazo';
+                        description = t('trello.activity.dueUncompleted');
                     } else if (action.data.old?.name) {
-                        description = `✏️ Renomeou de "${action.data.old.name}"`;
+                        description = t('trello.activity.renamed', { name: action.data.old.name });
                     } else if (action.data.old?.desc !== undefined) {
-                        description = '📝 Atualizou descrição';
+                        description = t('trello.activity.descUpdated');
                     } else if (action.data.old?.due !== undefined) {
-                        description = '📅 Alterou prazo';
+                        description = t('trello.activity.dueChanged');
                     } else {
-                        description = '✏️ Atualizou o card';
+                        description = t('trello.activity.updated');
                     }
                     break;
                 case 'addMemberToCard':
-                    description = `👤 Adicionou membro: ${action.data.member?.name || '?'}`;
+                    description = t('trello.activity.memberAdded', { name: action.data.member?.name || '?' });
                     break;
                 case 'removeMemberFromCard':
-                    description = `👤 Removeu membro: ${action.data.member?.name || '?'}`;
+                    description = t('trello.activity.memberRemoved', { name: action.data.member?.name || '?' });
                     break;
                 case 'addAttachmentToCard':
-                    description = `📎 Anexou: "${action.data.attachment?.name || 'arquivo'}"`;
+                    description = t('trello.activity.attached', { name: action.data.attachment?.name || t('trello.activity.file') });
                     break;
                 case 'addChecklistToCard':
-                    description = `☑️ Adicionou checklist: "${action.data.checklist?.name || '?'}"`;
+                    description = t('trello.activity.checklistAdded', { name: action.data.checklist?.name || '?' });
                     break;
                 case 'removeChecklistFromCard':
-                    description = `🗑️ Removeu checklist: "${action.data.checklist?.name || '?'}"`;
+                    description = t('trello.activity.checklistRemoved', { name: action.data.checklist?.name || '?' });
                     break;
                 case 'updateCheckItemStateOnCard':
                     const state = action.data.checkItem?.state === 'complete' ? '✅' : '⬜';
-                    description = `${state} Item: "${action.data.checkItem?.name || '?'}"`;
+                    description = t('trello.activity.item', { state, name: action.data.checkItem?.name || '?' });
                     break;
                 case 'createCard':
-                    description = '🆕 Card criado';
+                    description = t('trello.activity.created');
                     break;
                 case 'addLabelToCard':
-                    description = `🏷️ Adicionou etiqueta: "${action.data.label?.name || action.data.label?.color || '?'}"`;
+                    description = t('trello.activity.labelAdded', { name: action.data.label?.name || action.data.label?.color || '?' });
                     break;
                 case 'removeLabelFromCard':
-                    description = `🏷️ Removeu etiqueta: "${action.data.label?.name || action.data.label?.color || '?'}"`;
+                    description = t('trello.activity.labelRemoved', { name: action.data.label?.name || action.data.label?.color || '?' });
                     break;
                 default:
                     description = `🔄 ${action.type.replace(/([A-Z])/g, ' $1').trim()}`;
@@ -2772,24 +3887,24 @@ async function processIntent(ctx, intent) {
             .sort((a, b) => DateTime.fromISO(a.due) - DateTime.fromISO(b.due));
 
         if (overdueCards.length === 0) {
-            return ctx.reply('✅ Nenhum card com prazo vencido! Tudo em dia! 🎉');
+            return ctx.reply(t('trello.noOverdue'));
         }
 
-        let msg = `⏰ *Cards com Prazo Vencido (${overdueCards.length})*\n\n`;
+        let msg = `${t('trello.overdueTitle', { count: overdueCards.length })}\n\n`;
 
         overdueCards.forEach((c, i) => {
             const dueDate = DateTime.fromISO(c.due).setZone('America/Sao_Paulo');
             const daysLate = Math.floor(now.diff(dueDate, 'days').days);
-            const dateStr = dueDate.toFormat('dd/MM/yyyy');
+            const dateStr = dueDate.toFormat(t('dates.dayMonthYear'));
             const urgency = daysLate > 7 ? '🔴' : daysLate > 3 ? '🟡' : '🟠';
 
             msg += `${urgency} ${i + 1}. *${cleanTrelloName(c.name)}*\n`;
-            msg += `   📅 Venceu: ${dateStr} (${daysLate} dia${daysLate !== 1 ? 's' : ''} atrás)\n`;
-            if (c.listName) msg += `   📁 Lista: ${c.listName}\n`;
+            msg += `   ${t('trello.overdueLine', { date: dateStr, count: daysLate })}\n`;
+            if (c.listName) msg += `   ${t('trello.listLine', { list: c.listName })}\n`;
             msg += '\n';
         });
 
-        msg += `\n_Dica: Diga "concluir prazo do card X" para marcar como entregue_`;
+        msg += `\n${t('trello.overdueTip')}`;
 
         await ctx.reply(msg, { parse_mode: 'Markdown', disable_web_page_preview: true });
 
@@ -2818,57 +3933,57 @@ async function processIntent(ctx, intent) {
         const allLabels = allCards.flatMap(c => c.labels || []);
         const labelCounts = {};
         allLabels.forEach(l => {
-            const name = l.name || l.color || 'sem nome';
+            const name = l.name || l.color || t('trello.noName');
             labelCounts[name] = (labelCounts[name] || 0) + 1;
         });
         const withoutLabel = allCards.filter(c => !c.labels || c.labels.length === 0);
 
-        let msg = `📊 *Estatísticas do Board*\n\n`;
+        let msg = `${t('trello.statsTitle')}\n\n`;
 
         // Resumo geral
-        msg += `📋 *Geral:*\n`;
-        msg += `   • ${totalCards} cards no total\n`;
-        msg += `   • ${totalLists} listas (${listsWithCards} com cards)\n\n`;
+        msg += `${t('trello.statsGeneral')}\n`;
+        msg += `   • ${t('trello.statsTotal', { count: totalCards })}\n`;
+        msg += `   • ${t('trello.statsLists', { count: totalLists, withCards: listsWithCards })}\n\n`;
 
         // Prazos
-        msg += `⏰ *Prazos:*\n`;
-        msg += `   • ${overdue.length} vencido${overdue.length !== 1 ? 's' : ''} ${overdue.length > 0 ? '🔴' : '✅'}\n`;
-        msg += `   • ${dueToday.length} para hoje ${dueToday.length > 0 ? '🟡' : ''}\n`;
-        msg += `   • ${dueThisWeek.length} esta semana\n`;
-        msg += `   • ${completed.length} entregue${completed.length !== 1 ? 's' : ''} ✅\n`;
-        msg += `   • ${totalCards - withDue.length} sem prazo definido\n\n`;
+        msg += `${t('trello.statsDue')}\n`;
+        msg += `   • ${t('trello.statsOverdue', { count: overdue.length })} ${overdue.length > 0 ? '🔴' : '✅'}\n`;
+        msg += `   • ${t('trello.statsToday', { count: dueToday.length })} ${dueToday.length > 0 ? '🟡' : ''}\n`;
+        msg += `   • ${t('trello.statsWeek', { count: dueThisWeek.length })}\n`;
+        msg += `   • ${t('trello.statsDelivered', { count: completed.length })} ✅\n`;
+        msg += `   • ${t('trello.statsNoDue', { count: totalCards - withDue.length })}\n\n`;
 
         // Labels
         if (Object.keys(labelCounts).length > 0) {
-            msg += `🏷️ *Etiquetas:*\n`;
+            msg += `${t('trello.statsLabels')}\n`;
             const sortedLabels = Object.entries(labelCounts).sort((a, b) => b[1] - a[1]);
             sortedLabels.slice(0, 8).forEach(([name, count]) => {
-                msg += `   • ${name}: ${count} card${count !== 1 ? 's' : ''}\n`;
+                msg += `   • ${name}: ${t('trello.cardCount', { count })}\n`;
             });
-            msg += `   • _Sem etiqueta: ${withoutLabel.length} card${withoutLabel.length !== 1 ? 's' : ''}_\n\n`;
+            msg += `   • _${t('trello.withoutLabel')}: ${t('trello.cardCount', { count: withoutLabel.length })}_\n\n`;
         }
 
         // Por lista
-        msg += `📁 *Por Lista:*\n`;
+        msg += `${t('trello.statsByList')}\n`;
         groups
             .filter(g => g.cards.length > 0)
             .sort((a, b) => b.cards.length - a.cards.length)
             .forEach(g => {
                 const overdueInList = g.cards.filter(c => c.due && !c.dueComplete && DateTime.fromISO(c.due) < now).length;
-                const overdueTag = overdueInList > 0 ? ` (⚠️ ${overdueInList} vencido${overdueInList !== 1 ? 's' : ''})` : '';
-                msg += `   • ${g.name}: ${g.cards.length} card${g.cards.length !== 1 ? 's' : ''}${overdueTag}\n`;
+                const overdueTag = overdueInList > 0 ? t('trello.overdueTag', { count: overdueInList }) : '';
+                msg += `   • ${g.name}: ${t('trello.cardCount', { count: g.cards.length })}${overdueTag}\n`;
             });
 
         await ctx.reply(msg, { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'trello_delete_checklist') {
         const card = await findTrelloCardByQuery(intent.query);
-        if (!card) return ctx.reply('⚠️ Card não encontrado.');
+        if (!card) return ctx.reply(t('common.cardNotFound'));
 
         const checklists = await trelloService.getCardChecklists(card.id);
 
         if (checklists.length === 0) {
-            return ctx.reply(`⚠️ O card "*${cleanTrelloName(card.name)}*" não tem checklists.`, { parse_mode: 'Markdown' });
+            return ctx.reply(t('trello.noChecklistsToDelete', { name: cleanTrelloName(card.name) }), { parse_mode: 'Markdown' });
         }
 
         let targetChecklist = null;
@@ -2880,22 +3995,22 @@ async function processIntent(ctx, intent) {
             );
             if (!targetChecklist) {
                 const available = checklists.map(c => c.name).join(', ');
-                return ctx.reply(`⚠️ Checklist "${intent.checklist_name}" não encontrada.\n📋 Checklists disponíveis: ${available}`);
+                return ctx.reply(t('trello.checklistNotFound', { name: intent.checklist_name, available }));
             }
         } else if (checklists.length === 1) {
             // Se tem uma só, deleta essa
             targetChecklist = checklists[0];
         } else {
             // Se tem múltiplas, pergunta qual
-            const available = checklists.map((c, i) => `${i + 1}. ${c.name} (${c.checkItems.length} itens)`).join('\n');
-            return ctx.reply(`⚠️ O card tem ${checklists.length} checklists. Qual devo deletar?\n\n${available}\n\n_Diga "deletar checklist [nome] do card ${card.name}"_`, { parse_mode: 'Markdown' });
+            const available = checklists.map((c, i) => t('trello.checklistItems', { index: i + 1, name: c.name, count: c.checkItems.length })).join('\n');
+            return ctx.reply(t('trello.whichChecklist', { count: checklists.length, available, card: card.name }), { parse_mode: 'Markdown' });
         }
 
         const itemCount = targetChecklist.checkItems ? targetChecklist.checkItems.length : 0;
         await trelloService.deleteChecklist(targetChecklist.id);
         scheduler.invalidateCache('trello');
 
-        await ctx.reply(`🗑️ Checklist "*${targetChecklist.name}*" (${itemCount} itens) removida do card "*${cleanTrelloName(card.name)}*"!`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('trello.checklistDeleted', { name: targetChecklist.name, count: itemCount, card: cleanTrelloName(card.name) }), { parse_mode: 'Markdown' });
 
         // ============================================
         // KNOWLEDGE BASE (MEMÓRIA DE LONGO PRAZO)
@@ -2909,10 +4024,10 @@ async function processIntent(ctx, intent) {
 
         log.bot('Informação armazenada', { key: stored.key, category: stored.category });
 
-        let msg = `🧠 *Guardado!*\n\n`;
+        let msg = `${t('knowledge.saved')}\n\n`;
         msg += `📝 *${stored.key}*\n`;
         msg += `${stored.value}\n\n`;
-        msg += `🏷️ Categoria: _${stored.category}_`;
+        msg += t('knowledge.category', { category: formatKnowledgeCategory(stored.category) });
 
         await ctx.reply(msg, { parse_mode: 'Markdown' });
 
@@ -2920,20 +4035,20 @@ async function processIntent(ctx, intent) {
         const result = knowledgeService.queryInfo(intent.query);
 
         if (!result) {
-            return ctx.reply(`🔍 Não encontrei nada sobre "${intent.query}" na memória.\n\n_Dica: Use "Guarda aí: ..." para salvar informações._`, { parse_mode: 'Markdown' });
+            return ctx.reply(t('knowledge.notFound', { query: intent.query }), { parse_mode: 'Markdown' });
         }
 
         log.bot('Informação consultada', { query: intent.query, found: result.key });
 
-        let msg = `🧠 *Encontrei!*\n\n`;
+        let msg = `${t('knowledge.found')}\n\n`;
         msg += `📝 *${result.key}*\n`;
         msg += `${result.value}`;
 
         // Botões de ação
         const buttons = Markup.inlineKeyboard([
             [
-                Markup.button.callback('✏️ Atualizar', `kb_update:${result.id}`),
-                Markup.button.callback('🗑️ Deletar', `kb_delete:${result.id}`)
+                Markup.button.callback(t('knowledge.update'), `kb_update:${result.id}`),
+                Markup.button.callback(t('knowledge.delete'), `kb_delete:${result.id}`)
             ]
         ]);
 
@@ -2943,11 +4058,13 @@ async function processIntent(ctx, intent) {
         const items = knowledgeService.listInfo(intent.category);
 
         if (items.length === 0) {
-            const catMsg = intent.category ? ` na categoria "${intent.category}"` : '';
-            return ctx.reply(`🧠 Nenhuma informação guardada${catMsg}.\n\n_Dica: Use "Guarda aí: ..." para salvar informações._`, { parse_mode: 'Markdown' });
+            const emptyMsg = intent.category
+                ? t('knowledge.emptyCategory', { category: intent.category })
+                : t('knowledge.empty');
+            return ctx.reply(emptyMsg, { parse_mode: 'Markdown' });
         }
 
-        let msg = '🧠 *Memória*\n\n';
+        let msg = `${t('knowledge.title')}\n\n`;
 
         // Agrupa por categoria
         const grouped = {};
@@ -2965,14 +4082,14 @@ async function processIntent(ctx, intent) {
                 'geral': '📁'
             }[category] || '📁';
 
-            msg += `${categoryEmoji} *${category.charAt(0).toUpperCase() + category.slice(1)}*\n`;
+            msg += `${categoryEmoji} *${formatKnowledgeCategory(category)}*\n`;
             catItems.forEach(item => {
                 msg += `   📝 *${item.key}*: ${item.value}\n`;
             });
             msg += '\n';
         }
 
-        msg += `_Total: ${items.length} informações_`;
+        msg += t('knowledge.total', { count: items.length });
 
         await ctx.reply(msg, { parse_mode: 'Markdown' });
 
@@ -2995,128 +4112,136 @@ async function processIntent(ctx, intent) {
         const busySlots = await googleService.getFreeBusy(start.toISO(), end.toISO());
 
         if (busySlots.length === 0) {
-            return ctx.reply(`✅ Você está totalmente livre na ${intent.period === 'morning' ? 'manhã' : intent.period === 'afternoon' ? 'tarde' : 'data'} de ${targetDate.toFormat('dd/MM')}!`);
+            const part = ['morning', 'afternoon'].includes(intent.period) ? intent.period : 'day';
+            return ctx.reply(t(`events.fullyFree.${part}`, { date: targetDate.toFormat(t('dates.dayMonth')) }));
         }
 
-        let msg = `📅 *Disponibilidade (${targetDate.toFormat('dd/MM')})*\n`;
-        msg += `🕒 *Período:* ${start.toFormat('HH:mm')} - ${end.toFormat('HH:mm')}\n\n`;
-        msg += `⛔ *Ocupado em:*\n`;
+        const timeFormat = t('dates.time');
+        let msg = `${t('events.availability', { date: targetDate.toFormat(t('dates.dayMonth')) })}\n`;
+        msg += `${t('events.availabilityPeriod', { start: start.toFormat(timeFormat), end: end.toFormat(timeFormat) })}\n\n`;
+        msg += `${t('events.busyAt')}\n`;
 
         busySlots.forEach(slot => {
             const s = DateTime.fromISO(slot.start).setZone('America/Sao_Paulo');
             const e = DateTime.fromISO(slot.end).setZone('America/Sao_Paulo');
-            msg += `• ${s.toFormat('HH:mm')} - ${e.toFormat('HH:mm')}\n`;
+            msg += `• ${s.toFormat(timeFormat)} - ${e.toFormat(timeFormat)}\n`;
         });
 
-        msg += `\n✅ *Livre nos demais horários.*`;
+        msg += `\n${t('events.freeOtherwise')}`;
         await ctx.reply(msg, { parse_mode: 'Markdown' });
 
     } else if (intent.tipo === 'smart_schedule') {
-        const now = DateTime.now().setZone('America/Sao_Paulo');
-        let targetDate = intent.target_date ? DateTime.fromISO(intent.target_date, { zone: 'America/Sao_Paulo' }) : now.plus({ days: 1 });
-
-        if (intent.target_date === 'week') {
-            targetDate = now.plus({ days: 1 }); // Start looking from tomorrow
-        }
-
-        // Logic to find slot (simplified for now: check day by day until found)
-        let foundSlot = null;
-        const duration = intent.duration || 60;
-        let attempts = 0;
-
-        await ctx.reply(`🔍 Procurando horário para "${intent.summary}"...`);
-
-        while (!foundSlot && attempts < 7) { // Search up to 7 days
-            let startBase = targetDate.set({ hour: 9, minute: 0 }); // Start day at 9am
-            let endBase = targetDate.set({ hour: 18, minute: 0 }); // End day at 6pm
-
-            if (intent.period === 'morning') {
-                endBase = targetDate.set({ hour: 12, minute: 0 });
-            } else if (intent.period === 'afternoon') {
-                startBase = targetDate.set({ hour: 13, minute: 0 });
-            }
+        const duration = intent.duration || config.meeting.defaultDuration;
+        // Sem data (ou "week"): procura a partir de amanhã; dia pedido cheio continua nos dias úteis seguintes
+        const targetDate = intent.target_date && intent.target_date !== 'week' ? intent.target_date : null;
+
+        await ctx.reply(t('events.searchingSlot', { summary: intent.summary }));
+
+        const { options } = await smartScheduling.findFreeSlots({
+            calendarIds: getUserCalendarIds(ctx.from.id),
+            targetDate,
+            from: DateTime.now().setZone('America/Sao_Paulo').plus({ days: 1 }).toISODate(),
+            duration,
+            period: intent.period || null,
+            rules: schedulingRules.getRules(ctx.from.id),
+            extend: true
+        });
 
-            const busySlots = await googleService.getFreeBusy(startBase.toISO(), endBase.toISO());
+        if (options.length === 0) return ctx.reply(t('events.noSlot'));
+        await replySlotOptions(ctx, { summary: intent.summary, attendees: [], options }, t('events.slotOptions', { summary: intent.summary, duration }));
 
-            // Simple slot finding algorithm
-            let pointer = startBase;
+    } else if (intent.tipo === 'template_create') {
+        const { template, updated } = eventTemplates.saveTemplate(ctx.from.id, intent);
+        await ctx.reply([
+            t(updated ? 'templates.updated' : 'templates.created', { name: template.name }),
+            eventTemplates.formatTemplate(template),
+            '',
+            t('templates.usageHint', { name: template.name.toLowerCase() })
+        ].join('\n'));
 
-            // Sort busy slots
-            busySlots.sort((a, b) => DateTime.fromISO(a.start) - DateTime.fromISO(b.start));
+    } else if (intent.tipo === 'template_list') {
+        await replyTemplatesList(ctx);
 
-            for (const busy of busySlots) {
-                const busyStart = DateTime.fromISO(busy.start).setZone('America/Sao_Paulo');
-                const busyEnd = DateTime.fromISO(busy.end).setZone('America/Sao_Paulo');
+    } else if (intent.tipo === 'template_delete') {
+        const deleted = eventTemplates.deleteTemplate(ctx.from.id, intent.name);
+        if (!deleted) return replyTemplateNotFound(ctx, intent.name);
+        await ctx.reply(t('templates.deleted', { name: deleted.name }));
 
-                const gap = busyStart.diff(pointer, 'minutes').minutes;
-                if (gap >= duration) {
-                    foundSlot = { start: pointer, end: pointer.plus({ minutes: duration }) };
-                    break;
-                }
-                if (busyEnd > pointer) pointer = busyEnd;
-            }
+    } else if (intent.tipo === 'set_scheduling_preferences') {
+        const current = schedulingRules.getRules(ctx.from.id);
+        try {
+            const rules = schedulingRules.updateRules(ctx.from.id, schedulingRules.changesFromIntent(intent, current));
+            log.bot('Regras de agenda atualizadas', { userId: ctx.from.id });
+            await ctx.reply(`${t('schedulingRules.updated')}\n\n${schedulingRules.formatRules(rules)}`);
+        } catch (error) {
+            if (error.code !== 'INVALID_SCHEDULING_RULES') throw error;
+            await ctx.reply(t(`schedulingRules.invalid.${error.reason}`));
+        }
 
-            if (!foundSlot) {
-                // Check after last busy slot
-                const gap = endBase.diff(pointer, 'minutes').minutes;
-                if (gap >= duration) {
-                    foundSlot = { start: pointer, end: pointer.plus({ minutes: duration }) };
-                }
-            }
+    } else if (intent.tipo === 'find_meeting_time') {
+        const calendarIds = getUserCalendarIds(ctx.from.id);
+        const people = await smartScheduling.resolveAttendees(intent.attendees, calendarIds);
 
-            if (foundSlot) break;
-            targetDate = targetDate.plus({ days: 1 });
-            attempts++;
+        // Sem e-mail não há agenda para consultar nem para quem mandar o convite
+        if (people.unresolved.length > 0) {
+            const lines = people.unresolved.map(person => (person.options.length > 0
+                ? t('meeting.ambiguous', { name: person.name, options: person.options.join(', ') })
+                : t('meeting.unknown', { name: person.name })));
+            return ctx.reply([t('meeting.needEmails'), ...lines, '', t('meeting.emailHint')].join('\n'));
         }
 
-        if (foundSlot) {
-            // Confirm with user logic creates event directly for now as per "Action" model, maybe ask confirmation later?
-            // "Agentic" means doing it if confident.
-            const eventData = {
-                summary: intent.summary,
-                start: foundSlot.start.toISO(),
-                end: foundSlot.end.toISO()
-            };
+        const emails = people.resolved.map(person => person.email);
+        const names = people.resolved.map(person => person.name).join(', ');
+        const duration = intent.duration || config.meeting.defaultDuration;
+
+        await ctx.sendChatAction('typing').catch(() => { });
+        const { options, unavailable } = await smartScheduling.findFreeSlots({
+            calendarIds,
+            emails,
+            targetDate: intent.target_date || null,
+            duration,
+            period: intent.period || null,
+            rules: schedulingRules.getRules(ctx.from.id)
+        });
 
-            const event = await googleService.createEvent(eventData);
-            scheduler.invalidateCache('events');
-            await ctx.reply(`✅ *Agendado Automaticamente!*\n\n📅 ${formatFriendlyDate(eventData.start)}\n📌 ${intent.summary}`, { parse_mode: 'Markdown' });
-        } else {
-            await ctx.reply('⚠️ Não encontrei horário livre nos próximos 7 dias com esses critérios.');
-        }
+        const warning = unavailable.length > 0 ? `\n\n${t('meeting.unavailable', { emails: unavailable.join(', ') })}` : '';
+        if (options.length === 0) return ctx.reply(t('meeting.noSlot', { names }) + warning);
+
+        const summary = intent.summary || t('meeting.defaultSummary', { names });
+        await replySlotOptions(ctx, { summary, names, attendees: emails, options }, t('meeting.options', { summary, names, duration }) + warning);
 
     } else if (intent.tipo === 'event_add_attendee') {
-        const event = await findEventByQuery(intent.query);
-        if (!event) return ctx.reply('⚠️ Evento não encontrado.');
+        const event = await findEventByQuery(intent.query, null, getUserCalendarIds(ctx.from.id));
+        if (!event) return ctx.reply(t('common.eventNotFound'));
 
         const attendees = event.attendees || [];
         if (attendees.some(a => a.email === intent.email)) {
-            return ctx.reply('⚠️ Essa pessoa já está convidada.');
+            return ctx.reply(t('events.alreadyInvited'));
         }
 
         attendees.push({ email: intent.email });
-        await googleService.updateEvent(event.id, { attendees });
+        await googleService.updateEvent(event.id, { attendees }, event.calendarId);
         scheduler.invalidateCache('events');
-        await ctx.reply(`✅ ${intent.email} adicionado ao evento "${event.summary}"`);
+        await ctx.reply(t('events.attendeeAdded', { email: intent.email, summary: event.summary }));
 
     } else if (intent.tipo === 'event_remove_attendee') {
-        const event = await findEventByQuery(intent.query);
-        if (!event) return ctx.reply('⚠️ Evento não encontrado.');
+        const event = await findEventByQuery(intent.query, null, getUserCalendarIds(ctx.from.id));
+        if (!event) return ctx.reply(t('common.eventNotFound'));
 
-        if (!event.attendees) return ctx.reply('⚠️ Esse evento não tem convidados.');
+        if (!event.attendees) return ctx.reply(t('events.noAttendees'));
 
         const newAttendees = event.attendees.filter(a => !a.email.includes(intent.email));
         if (newAttendees.length === event.attendees.length) {
-            return ctx.reply('⚠️ Convidado não encontrado.');
+            return ctx.reply(t('events.attendeeNotFound'));
         }
 
-        await googleService.updateEvent(event.id, { attendees: newAttendees });
+        await googleService.updateEvent(event.id, { attendees: newAttendees }, event.calendarId);
         scheduler.invalidateCache('events');
-        await ctx.reply(`✅ ${intent.email} removido do evento "${event.summary}"`);
+        await ctx.reply(t('events.attendeeRemoved', { email: intent.email, summary: event.summary }));
 
     } else if (intent.tipo === 'event_set_reminder') {
-        const event = await findEventByQuery(intent.query);
-        if (!event) return ctx.reply('⚠️ Evento não encontrado.');
+        const event = await findEventByQuery(intent.query, null, getUserCalendarIds(ctx.from.id));
+        if (!event) return ctx.reply(t('common.eventNotFound'));
 
         const method = intent.method || 'popup';
         const minutes = intent.minutes || 30;
@@ -3150,19 +4275,19 @@ async function processIntent(ctx, intent) {
         // Better: I will effectively update `google.js` in a subsequent step if I have turns left. I have plenty.
 
         // Assuming I will update google.js:
-        await googleService.updateEvent(event.id, { reminders });
+        await googleService.updateEvent(event.id, { reminders }, event.calendarId);
         scheduler.invalidateCache('events');
-        await ctx.reply(`⏰ Lembrete de ${minutes}min (${method}) configurado para "${event.summary}"`);
+        await ctx.reply(t('events.reminderSet', { minutes, method, summary: event.summary }));
 
     } else if (intent.tipo === 'event_get_detail') {
-        const event = await findEventByQuery(intent.query);
-        if (!event) return ctx.reply('⚠️ Evento não encontrado.');
+        const event = await findEventByQuery(intent.query, null, getUserCalendarIds(ctx.from.id));
+        if (!event) return ctx.reply(t('common.eventNotFound'));
 
-        let val = 'Não encontrado';
-        if (intent.field === 'location') val = event.location || 'Sem local definido';
-        else if (intent.field === 'description') val = event.description || 'Sem descrição';
+        let val = t('events.detailNotFound');
+        if (intent.field === 'location') val = event.location || t('events.noLocation');
+        else if (intent.field === 'description') val = event.description || t('events.noDescription');
         else if (intent.field === 'start') val = formatFriendlyDate(event.start.dateTime || event.start.date);
-        else if (intent.field === 'attendees') val = event.attendees ? event.attendees.map(a => a.email).join(', ') : 'Sem convidados';
+        else if (intent.field === 'attendees') val = event.attendees ? event.attendees.map(a => a.email).join(', ') : t('events.noGuests');
         else if (intent.field === 'duration') {
             // Calculate duration
             const start = DateTime.fromISO(event.start.dateTime || event.start.date);
@@ -3171,22 +4296,43 @@ async function processIntent(ctx, intent) {
             val = `${diff.hours ? diff.hours + 'h' : ''} ${diff.minutes ? diff.minutes + 'm' : ''}`;
         }
 
-        await ctx.reply(`ℹ️ *${intent.field}:* ${val}`, { parse_mode: 'Markdown' });
+        await ctx.reply(t('events.detail', { field: intent.field, value: val }), { parse_mode: 'Markdown' });
+
+    } else if (intent.tipo === 'event_rsvp_status') {
+        const calendarIds = getUserCalendarIds(ctx.from.id);
+        let event;
+
+        if (intent.query) {
+            event = await findEventByQuery(intent.query, intent.target_date || null, calendarIds);
+            if (!event) return ctx.reply(t('common.eventNotFound'));
+        } else {
+            // Sem reunião citada: a próxima com convidados (no dia pedido ou nos próximos dias)
+            const start = intent.target_date
+                ? DateTime.fromISO(intent.target_date, { zone: 'America/Sao_Paulo' }).startOf('day')
+                : DateTime.now().setZone('America/Sao_Paulo');
+            const end = intent.target_date ? start.endOf('day') : start.plus({ days: config.scheduler.rsvpLookaheadDays });
+            const events = await googleService.listEvents(start.toISO(), end.toISO(), calendarIds);
+            event = events.find(rsvp.hasGuests);
+            if (!event) return ctx.reply(t('rsvp.noUpcoming'));
+        }
+
+        if (!rsvp.hasGuests(event)) return ctx.reply(t('events.noAttendees'));
+        await ctx.reply(rsvp.formatStatus(event));
 
     } else if (intent.tipo === 'delete_info') {
         const deleted = knowledgeService.deleteInfo(intent.key);
 
         if (deleted) {
-            await ctx.reply(`🗑️ Informação "${intent.key}" deletada da memória.`);
+            await ctx.reply(t('knowledge.keyDeleted', { key: intent.key }));
         } else {
-            await ctx.reply(`⚠️ Não encontrei "${intent.key}" na memória.`);
+            await ctx.reply(t('knowledge.keyNotFound', { key: intent.key }));
         }
 
         // ============================================
         // CHAT / FALLBACK
         // ============================================
     } else {
-        await ctx.reply(intent.message || 'Olá! Posso ajudar com Agenda, Tarefas, Trello e Memória. Digite /ajuda para exemplos.', { parse_mode: 'Markdown' });
+        await ctx.reply(intent.message || t('intents.fallbackChat'), { parse_mode: 'Markdown' });
     }
 }
 
@@ -3209,11 +4355,43 @@ bot.catch((err) => {
 bot.launch({ dropPendingUpdates: true });
 log.bot('Bot Supremo Iniciado');
 
+// Callback do OAuth (/conectar_google e reconexões): avisa no Telegram quando a conta for vinculada
+const httpServer = oauthServer.startOAuthServer({
+    onLinked: async (userId, target) => {
+        scheduler.invalidateCache('events');
+        // Fora de uma requisição do Telegram: idioma vem da preferência do usuário
+        const lang = i18n.resolveLanguage(String(userId));
+        const msg = t(target === 'global' ? 'googleAuth.linkedGlobal' : 'googleAuth.linkedUser', {}, lang);
+        await bot.telegram.sendMessage(userId, msg)
+            .catch(e => log.warn('Não foi possível avisar o usuário sobre a conexão', { userId, error: e.message }));
+    }
+});
+
+// Trello: avisa sobre cards atribuídos (webhook no mesmo servidor HTTP ou polling)
+trelloNotifications.initTrelloNotifications(bot, { server: httpServer, registerRoute: oauthServer.registerRoute });
+
+// Token revogado/expirado: avisa quem pode reconectar (dono da conta ou admins, se for a global)
+googleService.onReauthRequired(async (account) => {
+    const recipients = account === 'global' ? getAdminChatIds() : [account];
+
+    for (const chatId of recipients) {
+        const lang = i18n.resolveLanguage(String(chatId));
+        const button = account === 'global'
+            ? Markup.button.callback(t('googleAuth.relinkGlobal', {}, lang), 'google_relink:global')
+            : Markup.button.callback(t('googleAuth.relinkUser', {}, lang), 'google_relink:user');
+        const msg = t(account === 'global' ? 'googleAuth.alertGlobal' : 'googleAuth.alertUser', {}, lang);
+        await bot.telegram.sendMessage(chatId, msg, { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[button]]) })
+            .catch(e => log.warn('Não foi possível enviar alerta de reautenticação', { chatId, error: e.message }));
+    }
+});
+
 process.once('SIGINT', () => {
     log.bot('Encerrando (SIGINT)');
+    oauthServer.stopOAuthServer();
     bot.stop('SIGINT');
 });
 process.once('SIGTERM', () => {
     log.bot('Encerrando (SIGTERM)');
+    oauthServer.stopOAuthServer();
     bot.stop('SIGTERM');
 });
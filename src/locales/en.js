@@ -0,0 +1,988 @@
+/**
+ * Catálogo en (mesmas chaves do pt-BR; chaves ausentes caem no pt-BR)
+ */
+
+module.exports = {
+    locale: 'en',
+
+    language: {
+        name: '🇺🇸 English',
+        aiInstruction: 'Reply to the user (chat messages) in English.',
+        choose: '🌐 *Language*\n\nChoose the language for my replies:',
+        current: '_Current: {name}_',
+        changed: '✅ Done! I will reply in English.',
+        invalid: '⚠️ Unsupported language.'
+    },
+
+    common: {
+        cancel: '❌ Cancel',
+        back: '⬅️ Back',
+        no: '❌ No',
+        operationCancelled: 'Operation cancelled',
+        dismissed: '👍 Ok, never mind.',
+        processing: '⏳ Processing...',
+        listExpired: '⚠️ List expired',
+        unknownError: 'Unknown error',
+        internalError: 'An internal error occurred. Please try again.',
+        technicalError: '❌ Technical error: {error}. Try rephrasing your request.',
+        cardNotFound: '⚠️ Card not found.',
+        eventNotFound: '⚠️ Event not found.',
+        confirm: '✅ Confirm'
+    },
+
+    keyboard: {
+        today: "📅 Today's Agenda",
+        week: "📅 This Week's Agenda",
+        trello: '🗂️ My Trello',
+        memory: '🧠 My Memory',
+        refresh: '🔄 Refresh All'
+    },
+
+    dates: {
+        today: 'Today',
+        tomorrow: 'Tomorrow',
+        yesterday: 'Yesterday',
+        nextWeekday: 'Next {weekday}',
+        allDaySuffix: '{date} (all day)',
+        atTime: '{date} at {time}',
+        allDay: 'All day',
+        inDays: { one: 'in {count} day', other: 'in {count} days' },
+        inHours: 'in {count}h',
+        inMinutes: 'in {count} min',
+        now: 'now',
+        past: 'past',
+        untitled: 'Untitled',
+        // Formatos do Luxon
+        hourFormat: 'h a',
+        hourMinuteFormat: 'h:mm a',
+        dayMonth: 'MM/dd',
+        dayMonthYear: 'MM/dd/yyyy',
+        dayMonthWeekday: 'MM/dd (cccc)',
+        weekdayDayMonth: 'cccc, MM/dd',
+        weekdayDayMonthTime: "cccc, MM/dd 'at' h:mm a",
+        shortWeekdayDayMonth: 'ccc MM/dd',
+        dateTime: 'MM/dd/yyyy HH:mm:ss',
+        dayMonthTime: 'MM/dd HH:mm',
+        time: 'HH:mm'
+    },
+
+    suggestions: {
+        title: '💡 _Suggestions:_',
+        addMeet: '📹 Add Meet',
+        description: '📝 Description',
+        location: '📍 Location',
+        extraReminder: '⏰ +Reminder',
+        cardTitle: '💡 _Want to complete the card?_',
+        addChecklist: '☑️ Add Checklist',
+        setDue: '📅 Set Due Date',
+        addDescription: '📝 Add Description',
+        addLabel: '🏷️ Add Label',
+        forceSchedule: '✅ Schedule Anyway',
+        scopeSingle: '📅 Only this one',
+        scopeFollowing: '⏭️ This and following',
+        scopeAll: '🔄 All'
+    },
+
+    scheduler: {
+        morningTitle: "☀️ *Good morning! Today's summary ({date}):*",
+        summaryTitle: '📊 *Summary:*',
+        pendingEvents: { one: '{count} pending event', other: '{count} pending events' },
+        tasksToday: { one: '{count} task for today', other: '{count} tasks for today' },
+        trelloCards: { one: '{count} card on Trello', other: '{count} cards on Trello' },
+        nothingPending: "🎉 Nothing pending. You're free!",
+        appointments: '📅 *Appointments:*',
+        tasks: '✅ *Tasks:*',
+        moreTasks: { one: '...and {count} more task', other: '...and {count} more tasks' },
+        urgentCards: '🗂️ *Trello (🚨 Urgent):*',
+        afternoonTitle: '🕑 *2 PM check-in:*',
+        nextEvents: '📅 *Upcoming Events:*',
+        urgentCardsCount: '🗂️ *Trello 🚨 Urgent ({count}):*',
+        allClear: '✅ All clear for now!',
+        reminder: '🔔 *In {minutes} min:*',
+        join: '📹 Join',
+        phrases: [
+            '"Success is the sum of small efforts, repeated day in and day out." 💪',
+            '"Don\'t stop until you\'re proud." 🚀',
+            '"Discipline is the mother of success." 🎯',
+            '"Focus on the goal!" 🏹',
+            '"You are capable of amazing things." ✨',
+            '"Let\'s make it happen!" 🔥',
+            '"One step at a time." 👣',
+            '"Believe in your potential." 💡',
+            '"Persistence is the road to success." 🛣️'
+        ]
+    },
+
+    rateLimit: {
+        wait: '⏳ Wait {seconds}s before sending more messages.',
+        blocked: '🚫 Too many messages! Wait {seconds}s.'
+    },
+
+    conflict: {
+        title: '⚠️ *Conflict Detected!*',
+        wanted: 'You want to schedule: *{summary}*',
+        existing: 'But you already have:',
+        suggestionsTitle: '💡 *Suggested times:*',
+        question: '_Schedule anyway or pick another time?_',
+        minutesBefore: '{count} min earlier',
+        suggested: 'Suggested time',
+        minutesAfter: '{count} min later',
+        creating: '📅 Creating event...',
+        lostData: '⚠️ Event data lost. Please try again.',
+        scheduledWithConflict: '✅ *Scheduled (with conflict):* {summary}\n📅 {date}',
+        scheduled: '✅ *Scheduled:* {summary}\n📅 {date}',
+        createError: '❌ Error creating event.',
+        cancelledToast: 'Scheduling cancelled',
+        notCreated: '👍 Ok, event not created.',
+        invalidSuggestion: '⚠️ Invalid suggestion.'
+    },
+
+    slots: {
+        'create_event.start': '⏰ When? Tell me the day and time (e.g. "tomorrow at 3pm").',
+        'create_event.summary': "📝 What's the event title?",
+        'find_meeting_time.attendees': '👥 Who is the meeting with? Tell me the names or emails.',
+        'trello_create.name': "📝 What's the card name?",
+        'trello_move.list': '📋 Which list should I move it to?',
+        'task_create.title': "📝 What's the task?",
+        query: '🔍 Which item? Tell me its name.',
+        start: '⏰ What time?',
+        email: "📧 What's the e-mail?",
+        member: '👤 Which member?',
+        due: "📅 What's the due date?",
+        missingDescribed: '❓ Missing: {description}. Can you tell me?',
+        missingField: '❓ The "{field}" field is missing. Can you tell me?',
+        answerHint: '_Answer here or say "cancel"._',
+        alsoMissing: '⚠️ Information for "{tipo}" is missing too. Ask me again after answering the question above.',
+        expired: '⏱️ That request had already expired.'
+    },
+
+    choice: {
+        question: "🤔 *I'm not sure.* Which of these did you mean?",
+        none: '❌ None of these',
+        chosen: '👉 {label}',
+        rephrase: '👍 Ok! Tell me what you need in a different way.',
+        expired: '⏱️ This choice has expired. Can you repeat the request?',
+        alsoUnclear: '⚠️ I was also unsure about another part of your request. Repeat it after choosing above.'
+    },
+
+    fastPath: {
+        greeting: '👋 Hi! How can I help? Calendar, Trello, tasks or memory, just ask.',
+        thanks: '😊 You are welcome! Just call me if you need anything.',
+        ack: '👍'
+    },
+
+    access: {
+        denied: '🚫 Access denied. Your ID is: {userId}'
+    },
+
+    googleAuth: {
+        userExpired: '🔑 Your Google connection expired or was revoked. Reconnect to keep using your calendar:',
+        globalExpiredAdmin: "🔑 The server's Google account was disconnected (token expired or revoked). Reconnect to restore the calendar:",
+        globalUnavailable: '🔑 The Google connection is temporarily unavailable. The admins have been notified.\n_You can also use your own account with /conectar_google._',
+        relinkUser: '🔐 Reconnect Google',
+        relinkGlobal: '🔐 Reconnect server account',
+        missingClient: '🔑 GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET not configured. Contact the administrator.',
+        missingEncryption: '🔑 TOKEN_ENCRYPTION_KEY not configured. Contact the administrator.',
+        missingEncryptionToast: '🔑 TOKEN_ENCRYPTION_KEY not configured',
+        connectTitle: '🔗 *Connect Google account*',
+        connectInstructions: 'Tap the button below, choose your account and allow calendar access.',
+        linkExpires: '_The link is personal and expires in {minutes} minutes._',
+        willReplace: '⚠️ You already have an account connected; it will be replaced.',
+        authorize: '🔐 Authorize on Google',
+        notConnected: "ℹ️ You don't have a Google account connected (using the server's global account).",
+        disconnected: '🔌 Google account disconnected. To connect again, use /conectar_google.',
+        adminOnly: "🚫 Only administrators can reconnect the server's account",
+        reauthorize: '🔗 Authorize again on Google (link valid for {minutes} minutes):',
+        linkedGlobal: "✅ Server's Google account reconnected! The calendar is working again for everyone.",
+        linkedUser: '✅ Google account connected! From now on your calendar is used for your messages. Use /agendas to choose which calendars to follow.',
+        alertGlobal: "🚨 *Google disconnected*\n\nThe server account's token expired or was revoked. Calendar and reminders are stopped until it is reconnected.",
+        alertUser: '🚨 *Google disconnected*\n\nYour Google connection expired or was revoked. Reconnect to use your calendar again.'
+    },
+
+    start: {
+        welcome: "👋 Hi! I'm your Supreme Assistant!\n\nI can help with:\n📅 Google Calendar\n🗂️ Trello\n🧠 Remembering information\n\nType /ajuda to see examples or use the buttons below! 👇"
+    },
+
+    api: {
+        checking: '🔍 Checking service status...',
+        error: '❌ Error checking status.',
+        title: '📊 *System Status*',
+        ai: '🧠 *Artificial Intelligence*',
+        model: 'Model',
+        status: 'Status',
+        online: '✅ Online',
+        offline: '❌ Offline',
+        notConfigured: '_not configured_',
+        providerCalls: '{calls} calls, {failures} failures',
+        usageToday: 'Today',
+        usageMonth: 'Month',
+        activeSessions: 'Active Sessions',
+        transcription: 'Voice Transcription',
+        fastPath: 'Local Shortcut',
+        promptCache: 'Prompt Cache',
+        promptCacheStats: '{rate}% of input today ({tokens} tokens)',
+        fastPathStats: '{hits} of {total} ({rate}%) · ~{saved}s saved',
+        trelloConfigure: '❌ Configure .env',
+        lastRequest: 'Last Request',
+        noRecentData: '_(no recent data)_',
+        cachedCards: 'Cached Cards',
+        googleTitle: '📅 *Google Services*',
+        googleError: '❌ Error',
+        authenticated: 'Authenticated',
+        yes: '✅ Yes',
+        no: '❌ No',
+        account: 'Account',
+        accountUser: 'Yours (connected via /conectar_google)',
+        accountGlobal: 'Server global',
+        needsReauth: '⚠️ Needs reconnecting (token expired/revoked)',
+        errorLabel: 'Error',
+        cachedEvents: 'Cached Events',
+        cacheTitle: '📦 *Cache*',
+        lastUpdate: 'Last Update',
+        age: 'Age',
+        notInitialized: '⚠️ Not initialized',
+        memoryTitle: '🧠 *Memory (Knowledge Base)*',
+        savedItems: 'Saved Items',
+        categories: 'Categories',
+        scheduledTitle: '⏰ *Scheduled Jobs*',
+        morningSummary: 'Morning Summary',
+        afternoonCheck: 'Afternoon Check',
+        eventReminder: 'Event Reminder',
+        minutesBefore: '{minutes} min before',
+        cacheRefresh: 'Cache Refresh',
+        everyMinutes: 'every {minutes} min',
+        serverTitle: '⚙️ *Server*',
+        rssMemory: 'RSS Memory',
+        platform: 'Platform'
+    },
+
+    help: {
+        menu: '🤖 *Supreme Assistant - Help*\n\nChoose a category below to see example commands:',
+        eventsButton: '📅 Events (Calendar)',
+        tasksButton: '✅ Tasks (Google Tasks)',
+        trelloButton: '🗂️ Trello',
+        memoryButton: '🧠 Memory',
+        tipsButton: '💡 General Tips',
+        commandsButton: '⚡ Available Commands',
+        events: `📅 *Events (Google Calendar)*
+
+*Create:*
+• "Meeting tomorrow at 2pm"
+• "Appointment on the 15th at 10am"
+• "Online call with client on Friday"
+• "Yoga every Tuesday at 7am" (recurring)
+• "On the family calendar: lunch Sunday at noon"
+
+*List:*
+• "What do I have today?"
+• "This week's agenda"
+• "Upcoming appointments"
+• "What's on the construction calendar?"
+
+*Edit:*
+• "Move the meeting to 4pm"
+• "Cancel tomorrow's appointment"
+• "Mark meeting as done"
+• "From now on the daily is at 10am" (recurring: only this one, this and following, or all)
+
+*Tip:* Say "online" to create a Meet link automatically! 📹`,
+        trello: `🗂️ *Trello (Projects)*
+
+*Create:*
+• "Create card Login bug"
+• "Card: Refactor module with checklist: tests, deploy"
+
+*List and Search:*
+• "List cards" / "My board"
+• "Search cards about report" 🔍
+• "Late cards" / "Overdue cards" ⏰
+• "Trello stats" 📊
+
+*See Details:*
+• "Details of card X"
+• "Checklists of card X"
+• "History of card X" 📋
+
+*Manage Cards:*
+• "Move Login bug to Done"
+• "Add label Urgent to card X"
+• "Remove label from card X"
+• "Archive card X"
+• "Delete card X" 🗑️
+• "Complete due date of card X" ✅
+
+*Checklists:*
+• "Mark item 1 as done on card X" ✅
+• "Uncheck item Deploy on card X"
+• "Remove item 2 from card X"
+• "Delete checklist from card X" 🗑️
+
+*Lists:*
+• "List the board's lists"
+• "Create list Sprint 2"
+• "Rename list X to Y" ✏️
+• "Archive list Done" 📦
+
+*Tip:* Use Trello for bigger tasks that need tracking and subtasks!`,
+        tasks: `✅ *Tasks (Google Tasks)*
+
+*Create:*
+• "Remind me to buy dog food"
+• "I need to pay the bill by Friday"
+
+*List:*
+• "What are my tasks?"
+
+*Complete:*
+• "I already paid the bill"
+
+*Tip:* Tasks with a set time become events; projects with checklists go to Trello. Messages I can't understand become a "Process manually" task 📝`,
+        tips: `💡 *General Tips*
+
+*I understand natural language:*
+• "tomorrow at 2pm" ✅
+• "next week" ✅
+• "every Monday at 9am" ✅
+
+*Incomplete request?* 🧩
+• "Meeting tomorrow" → I ask for the time and complete the request
+• Answer "cancel" to give up
+
+*Voice messages:* 🎙️
+• Send an audio and I transcribe it and run it as if it were text
+
+*Photos and PDFs:* 📷
+• Photo of an invitation → calendar event
+• Photo of the whiteboard → Trello card (with the photo attached)
+• Photo of a receipt → saved in memory
+• Use the caption to tell me what to do: "create a card from this"
+
+*Multiple actions:*
+• "Schedule daily at 9am and create a Trello card review metrics"
+
+*Quick fixes:*
+• After creating something, say "change it to 3pm" and I'll understand!
+
+*Status emojis:*
+• 🟢 Confirmed event
+• 🟡 Upcoming event (< 1h)
+• 📹 Online event
+• 🔄 Recurring event
+
+*Automatic summaries:*
+• 08:00 - Daily summary (events, tasks and urgent cards)
+• 14:00 - Afternoon check-in
+• 15 min before - Event reminder`,
+        memory: `🧠 *Memory (Second Brain)*
+
+*Save information:*
+• "Save this: the wifi password is 1234"
+• "Remember the gate code is 4590"
+• "Note: the dog food is Premium"
+
+*Look up:*
+• "What's the wifi password?"
+• "What's the gate code?"
+• "Which dog food brand?"
+
+*List everything:*
+• "What do you remember?"
+• "List my memories"
+
+*Tip:* Use it to save passwords, codes, contacts and any useful information! 📝`,
+        commands: `⚡ *Available Commands*
+
+/start — Starts the bot and shows the main menu
+/ajuda — Shows this help menu with all categories
+/api — Shows the detailed status of every service (AI, Trello, Google, Cache, Server)
+/desfazer — Undoes the last action (create event, create card, etc)
+/esquecer — Erases the history and summary of our conversation
+/uso — Shows your AI tokens and estimated cost (today, month and budget)
+/agendas — Chooses which Google calendars the bot follows
+/quadro — Chooses the active Trello board and which ones appear in summaries
+/conectar_google — Connects your Google account (each user uses their own calendar)
+/desconectar_google — Removes your Google account from the bot
+/idioma — Chooses the reply language (Portuguese, English or Spanish)
+/expediente — Shows your rules for finding a time (working hours, lunch, gaps, focus)
+/modelos — Lists and deletes your event templates ("Site visit", "1:1")
+
+📱 *Quick Buttons (fixed keyboard):*
+• 📅 Today's Agenda
+• 📅 This Week's Agenda
+• 🗂️ My Trello
+• 🧠 My Memory
+• 🔄 Refresh All
+
+_Tip: You can also type anything in natural language or send an audio!_ 💬🎙️`
+    },
+
+    undo: {
+        nothing: '🔙 No recent action to undo.',
+        eventRemoved: '🔙 Event "{summary}" was removed.',
+        eventUncompleted: '🔙 Event "{summary}" unmarked as done.',
+        cardRemoved: '🔙 Card "{name}" was removed.',
+        cardRestored: '🔙 Card "{name}" was restored.',
+        unsupported: '⚠️ The action "{type}" cannot be undone.',
+        error: '❌ Error undoing: {error}'
+    },
+
+    forget: {
+        done: '🧹 Done, I forgot our conversation (recent history, summary and people/cards/events mentioned).\n\n_Information saved in 🧠 Memory is still there._',
+        nothing: '🧹 There is nothing from our conversation to forget.'
+    },
+
+    usage: {
+        title: '📊 *Your AI usage*',
+        today: 'Today',
+        month: 'Month',
+        totals: '{requests} calls · {tokens} tokens · US$ {cost}',
+        lastDays: '📅 *Last 7 days:*',
+        dayLine: { one: '{label}: {count} call · US$ {cost}', other: '{label}: {count} calls · US$ {cost}' },
+        byTipo: '🏷️ *By request type (month):*',
+        byModel: '🤖 *By model (month):*',
+        budget: '💰 *Budget:*',
+        softLimit: 'warning US$ {value}',
+        hardLimit: 'limit US$ {value}',
+        economyActive: '_Limit reached: using the economy model until the next period._',
+        footer: "_Costs estimated from each model's price table._",
+        noticeHard: "📉 *{period} usage limit reached* ({spent}).\nI'm still working, but with a cheaper model. See details in /uso.",
+        noticeSoftDay: "⚠️ *Usage warning:* you've already spent {spent} today. See details in /uso.",
+        noticeSoftMonth: "⚠️ *Usage warning:* you've already spent {spent} this month. See details in /uso.",
+        periodDay: "Today's",
+        periodMonth: "This month's",
+        spentOf: 'US$ {spent} of US$ {limit}'
+    },
+
+    calendars: {
+        title: '🗓️ *Your calendars*',
+        instructions: 'Tap to enable/disable. Active calendars appear in listings, summaries and conflict checks.',
+        defaultHint: '_New events go to the first active calendar, unless you mention another one ("on the construction calendar")._',
+        primary: '{name} (primary)',
+        none: '⚠️ No calendars found in your Google account.',
+        listError: '❌ Error listing calendars: {error}',
+        expired: '⚠️ Calendar list expired. Send /agendas again.',
+        keepOne: '⚠️ Keep at least one calendar active',
+        enabled: '✅ {name} enabled',
+        disabled: '⬜ {name} disabled',
+        notFound: '⚠️ I couldn\'t find the calendar "{query}". Use /agendas to see the available ones.'
+    },
+
+    boards: {
+        title: '🗂️ *Your Trello boards*',
+        activeHint: 'Tap a name to make it the *active board* (📍): cards are created and searched there.',
+        followHint: 'Use 👁️ to choose which boards appear in summaries and searches.',
+        mentionHint: '_You can also mention another board in your message ("create a card on the construction board")._',
+        none: '⚠️ No open boards found in the Trello account.',
+        listError: '❌ Error listing boards: {error}',
+        expired: '⚠️ Board list expired. Send /quadro again.',
+        active: '📍 {name} is the active board',
+        keepOne: '⚠️ Follow at least one board',
+        following: '👁️ Following {name}',
+        unfollowed: '⬜ {name} left out of summaries',
+        notFound: '⚠️ I couldn\'t find the board "{query}". Use /quadro to see the available ones.'
+    },
+
+    confirmation: {
+        expired: '⚠️ This confirmation expired or was already processed.',
+        error: '❌ Error executing: {error}',
+        cancelledToast: 'Action cancelled',
+        cancelled: '❌ Action cancelled.',
+        eventsCompleted: { one: '✅ {count} event marked as done!', other: '✅ {count} events marked as done!' },
+        creatingSeries: '🔁 Series confirmed, creating...',
+        unsupported: '⚠️ Unsupported confirmation type.'
+    },
+
+    quick: {
+        todayTitle: '📅 *Today*',
+        todayEmpty: '✨ No events scheduled for today!',
+        todayAgenda: "📅 *Today's Agenda ({date})*",
+        weekTitle: '📅 *Next 7 days*',
+        weekEmpty: '✨ No events scheduled!',
+        weekAgenda: "📅 *This Week's Agenda*",
+        agendaError: '❌ Error fetching agenda.',
+        trelloTitle: '🗂️ *Trello*',
+        trelloEmpty: '📭 No lists found.',
+        myTrello: '🗂️ *My Trello*',
+        emptyList: '_(empty)_',
+        trelloError: '❌ Error fetching Trello.',
+        refreshing: '🔄 Refreshing cache...',
+        refreshed: '✅ Cache refreshed! Data synced with Google and Trello.',
+        refreshError: '❌ Error refreshing cache.',
+        memoryTitle: '🧠 *Memory*',
+        memoryEmpty: '📭 No information saved yet.\n\n_Tip: Say "Save this: ..." to save something!_',
+        myMemory: '🧠 *My Memory*',
+        memoryError: '❌ Error fetching memory.'
+    },
+
+    knowledge: {
+        categories: {
+            pessoal: 'Personal',
+            casa: 'Home',
+            trabalho: 'Work',
+            geral: 'General'
+        },
+        total: { one: '_Total: {count} item_', other: '_Total: {count} items_' },
+        saved: '🧠 *Saved!*',
+        category: '🏷️ Category: _{category}_',
+        notFound: '🔍 I found nothing about "{query}" in memory.\n\n_Tip: Use "Save this: ..." to save information._',
+        found: '🧠 *Found it!*',
+        update: '✏️ Update',
+        delete: '🗑️ Delete',
+        emptyCategory: '🧠 No information saved in the "{category}" category.\n\n_Tip: Use "Save this: ..." to save information._',
+        empty: '🧠 No information saved.\n\n_Tip: Use "Save this: ..." to save information._',
+        title: '🧠 *Memory*',
+        deleting: '🗑️ Deleting...',
+        deleted: '🗑️ Information deleted from memory.',
+        missing: '⚠️ Information not found.',
+        deleteError: '❌ Error deleting.',
+        askNewValue: '✏️ Type the new value for this information:',
+        updated: '✅ Information updated successfully!',
+        missingForUpdate: '⚠️ Information not found to update.',
+        updateError: '❌ Error updating information.',
+        keyDeleted: '🗑️ Information "{key}" deleted from memory.',
+        keyNotFound: '⚠️ I couldn\'t find "{key}" in memory.'
+    },
+
+    eventActions: {
+        addingMeet: '📹 Adding Meet link...',
+        meetLink: '\n📹 Link: {link}',
+        meetAdded: '✅ Meet link added to the event!{link}',
+        meetError: '❌ Error adding Meet',
+        scopeSingle: 'only this occurrence',
+        scopeFollowing: 'this and following occurrences',
+        scopeAll: 'all occurrences',
+        editTime: '🕐 Change Time',
+        editTitle: '📝 Change Title',
+        editLocation: '📍 Change Location',
+        markComplete: '✅ Mark as Done',
+        scopeInfo: '\n🔁 Changes apply to: _{scope}_\n',
+        editMenu: '✏️ *What do you want to edit?*\n{scopeInfo}\nChoose an option below:',
+        recurringEdit: '🔁 *This event repeats.*\n\nWhich occurrences should the edit apply to?',
+        askTime: '🕐 *Edit Time*\n\nType the new time in natural language:\n\n_Example: "tomorrow at 3pm" or "14:30"_',
+        askTitle: '📝 *Edit Title*\n\nType the new title for the event:',
+        askLocation: '📍 *Edit Location*\n\nType the new event location:\n\n_Example: "Room 3" or "123 X Street"_',
+        completing: '✅ Marking as done...',
+        completed: '✅ Event "{summary}" marked as done!',
+        completeError: '❌ Error marking as done',
+        recurringDelete: '🔁 *This event repeats.*\n\nWhat do you want to cancel? This action cannot be undone.',
+        confirmDeleteButton: '✅ Yes, cancel',
+        confirmDelete: '⚠️ *Are you sure you want to cancel this event?*\n\nThis action cannot be undone.',
+        deleting: '🗑️ Cancelling event...',
+        deleted: '🗑️ Event cancelled successfully!',
+        deleteError: '❌ Error cancelling event.',
+        kept: '👍 Ok, event kept!',
+        deletedScope: '🗑️ Event cancelled ({scope}).',
+        updateExpired: '⚠️ This change expired. Please ask again.',
+        updating: '✏️ Updating...',
+        updatedScope: '✅ Event "{summary}" updated ({scope})!',
+        recurringError: '❌ Error changing recurring event.',
+        backHint: '👍 Ok! Use the buttons below for other actions.',
+        titleUpdated: '✅ Title updated!',
+        locationUpdated: '✅ Location updated!',
+        timeEditCancelled: '👍 Time edit cancelled.',
+        timeUpdated: '✅ Time updated to {date}!',
+        timeNotUnderstood: '⚠️ I couldn\'t understand the new time. Try again (e.g. "tomorrow at 3pm") or type "cancel" to exit.',
+        updateError: '❌ Error updating event.'
+    },
+
+    trelloActions: {
+        askChecklist: '☑️ Type the checklist items separated by commas (e.g. "item 1, item 2"):',
+        askDue: '📅 Type the due date for this card (e.g. "tomorrow", "Friday at 6pm", "the 15th"):',
+        askDesc: '📝 Type the card description:',
+        askLabel: '🏷️ Type the label name or color (e.g. "urgent", "red"):',
+        checklistAdded: '✅ Checklist added!',
+        dueNotUnderstood: '⚠️ I didn\'t understand the date. Try "sexta às 18h", "dia 15" or 25/03/2026.',
+        dueSet: '✅ Due date set to {date}!',
+        descUpdated: '✅ Description updated!',
+        labelAdded: '✅ Label *{label}* added!',
+        labelNotFound: '⚠️ Label not found.',
+        updateError: '❌ Error updating card.',
+        deleting: '🗑️ Deleting card...',
+        deleted: '🗑️ Card "{name}" permanently deleted.',
+        deleteError: '❌ Error deleting card.',
+        kept: '👍 Ok, card kept!'
+    },
+
+    media: {
+        voiceTooLong: '⚠️ Audio too long. Send messages of up to {minutes} minutes.',
+        voiceTooBig: '⚠️ Audio too large to process.',
+        transcriptionError: "❌ I couldn't transcribe the audio. Try again or type the message.",
+        notUnderstood: "🎙️ I couldn't understand the audio. Can you repeat or type it?",
+        transcript: '🎙️ _I heard:_ "{text}"',
+        transcriptPlain: '🎙️ I heard: "{text}"',
+        unsupportedFile: '⚠️ I can only read images and PDFs for now.',
+        fileTooBig: '⚠️ File too large to process (max. 20MB).',
+        analyzing: '🔍 Analyzing file...',
+        fileError: '❌ Error processing the file: {error}',
+        transcriptionPrompt: 'Transcribe this audio faithfully, probably in English, in the language it was spoken. Reply ONLY with the spoken text, without comments, quotes or markup. If the audio is empty or inaudible, reply exactly: {marker}'
+    },
+
+    ai: {
+        notUnderstood: '❌ Sorry, I didn\'t understand. Could you rephrase?',
+        quota: '⚠️ Usage limit reached. Try again in a few minutes.',
+        quotaReason: 'AI usage limit reached',
+        config: '🔑 Configuration problem. Contact the administrator.',
+        configReason: 'Invalid AI configuration',
+        technical: '❌ Sorry, I had a technical problem. Try again?',
+        technicalReason: 'Error processing with AI'
+    },
+
+    schedulingWarnings: {
+        noStart: 'Time not specified',
+        invalidDate: 'Invalid date: {reason}',
+        invalidDateHint: 'check day/month/year',
+        past: 'Can\'t schedule in the past',
+        earlyMorning: '⏰ Event set for the early morning',
+        lateNight: '🌙 Event set for late at night',
+        weekend: '📅 Event on the weekend',
+        invalidEnd: '⚠️ Invalid end date, using a 1h duration',
+        long: { one: '⏱️ Long event ({count} hour)', other: '⏱️ Long event ({count} hours)' }
+    },
+
+    rrule: {
+        errors: {
+            empty: 'Empty recurrence rule',
+            noValue: 'Parameter without a value: "{part}"',
+            unsupported: 'Unsupported parameter: {key}',
+            repeated: 'Repeated parameter: {key}',
+            frequency: 'Unsupported frequency: {value} (use daily, weekly, monthly or yearly)',
+            positiveInteger: '{key} must be a positive integer',
+            numbers: '{key} must contain numbers (got "{item}")',
+            outOfRange: '{key} out of the allowed range ({item})',
+            until: 'Invalid UNTIL ("{value}"). Use YYYYMMDD or YYYYMMDDTHHMMSSZ',
+            byDay: 'Invalid weekday in BYDAY: "{item}"',
+            byDayPosition: 'Invalid position in BYDAY: "{item}"',
+            wkst: 'Invalid WKST: {value}',
+            freqRequired: 'FREQ is required (e.g. FREQ=WEEKLY)',
+            countAndUntil: 'Use COUNT or UNTIL, not both',
+            ordinalFrequency: 'A position in BYDAY (e.g. 1MO) only applies to monthly or yearly rules',
+            monthDayWeekly: 'BYMONTHDAY can\'t be used in weekly rules',
+            setPos: 'BYSETPOS needs BYDAY or BYMONTHDAY',
+            line: 'Invalid recurrence line',
+            date: 'Invalid date in "{line}"',
+            noRule: 'No RRULE found',
+            multipleRules: 'Use only one RRULE per event'
+        },
+        // Descrição da regra ("every Monday and Wednesday, until 12/15")
+        weekdays: { MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday', SU: 'Sunday' },
+        masculineDays: [],
+        and: ' and ',
+        daily: { one: 'every day', other: 'every {count} days' },
+        weekly: { one: 'every week', other: 'every {count} weeks' },
+        monthly: { one: 'every month', other: 'every {count} months' },
+        yearly: { one: 'every year', other: 'every {count} years' },
+        everyWorkday: 'every weekday',
+        onWorkdays: 'on weekdays',
+        everyWeekend: 'every weekend',
+        onWeekend: 'on weekends',
+        every: { m: 'every {days}', f: 'every {days}' },
+        on: { m: 'on {days}', f: 'on {days}' },
+        onOrdinal: { m: 'on the {days}', f: 'on the {days}' },
+        ordinalWords: ['first', 'second', 'third', 'fourth', 'fifth'],
+        ordinal: { m: '{n}th', f: '{n}th' },
+        last: { m: 'last', f: 'last' },
+        fromEnd: { m: '{n}-from-last', f: '{n}-from-last' },
+        nthWorkday: 'on the {ordinal} weekday',
+        lastDay: 'on the last day',
+        monthDayFromEnd: '{n}-from-last',
+        onMonthDay: 'on day {days}',
+        onDayOfMonths: 'on {months} {day}',
+        ofMonths: '{part} of {months}',
+        onDate: 'on {date}',
+        times: { one: 'once', other: '{count} times' },
+        untilDate: 'until {date}'
+    },
+
+    trelloNotifications: {
+        noDue: 'no due date',
+        by: ' by {name}',
+        moved: '🔀 {title} was moved{actor}',
+        dueChanged: '⏰ Due date of {title} changed{actor}',
+        newComments: { one: '💬 New comment on {title}', other: '💬 {count} new comments on {title}' },
+        commented: '💬 {name} commented on {title}:',
+        someone: 'Someone',
+        assigned: '👤 You were added to the card {title}{actor}',
+        updated: '📌 {title} was updated{actor}'
+    },
+
+    intents: {
+        manualTask: '\n\n📝 _I saved your request as a task to process manually._',
+        partialFailure: '⚠️ I had a problem processing: {tipo}. But the rest may have worked.',
+        fallbackChat: 'Hi! I can help with Calendar, Tasks, Trello and Memory. Type /ajuda for examples.'
+    },
+
+    events: {
+        scheduled: '✅ *Scheduled:* [{summary}]({link})\n{emoji} {date}',
+        urgent: '🔴 *URGENT* - {message}',
+        joinMeeting: '📹 [Join the meeting]({link})',
+        edit: '✏️ Edit',
+        cancel: '🗑️ Cancel',
+        nextOccurrences: '*Next occurrences:*',
+        noOccurrences: '_No future occurrences with this rule._',
+        createSeries: 'Create the series?',
+        invalidRecurrence: '⚠️ *I didn\'t understand how this event repeats*\n\n{error}\n\n_Try something like "every Monday and Wednesday at 7am until December"._',
+        cannotSchedule: '⚠️ *Could not schedule*\n\n{warning}',
+        weekFrom: 'week starting {date}',
+        tomorrow: 'tomorrow',
+        today: 'today',
+        next7Days: 'next 7 days',
+        thisWeek: 'this week',
+        nothingScheduled: '📅 Nothing scheduled for {period}.',
+        listTitle: '📅 *Events ({period}):*',
+        notFoundQuery: '⚠️ I couldn\'t find an event matching "{query}".',
+        notFoundQueryDate: '⚠️ I couldn\'t find an event matching "{query}" on {date}.',
+        recurringUpdate: '🔁 "{summary}" repeats. Which occurrences should the change apply to?',
+        updated: '✅ Event "{summary}" updated!',
+        completed: '✅ Event "{summary}" marked as done!',
+        unknownPeriod: '⚠️ Period "{period}" not recognized. Use "today", "week" or a valid date.',
+        noneFound: '📅 No events found for {period}.',
+        allCompleted: '✅ All events for {period} are already done!',
+        completingMany: { one: '⏳ Marking {count} event as done...', other: '⏳ Marking {count} events as done...' },
+        completedMany: { one: '✅ {count} event for {period} marked as done!', other: '✅ {count} events for {period} marked as done!' },
+        recurringDelete: '🔁 "{summary}" repeats. What do you want to delete?',
+        deleted: '🗑️ Event "{summary}" deleted.',
+        alreadyInvited: '⚠️ This person is already invited.',
+        attendeeAdded: '✅ {email} added to the event "{summary}"',
+        noAttendees: '⚠️ This event has no guests.',
+        attendeeNotFound: '⚠️ Guest not found.',
+        attendeeRemoved: '✅ {email} removed from the event "{summary}"',
+        reminderSet: '⏰ {minutes}min reminder ({method}) set for "{summary}"',
+        detailNotFound: 'Not found',
+        noLocation: 'No location set',
+        noDescription: 'No description',
+        noGuests: 'No guests',
+        detail: 'ℹ️ *{field}:* {value}',
+        fullyFree: {
+            morning: '✅ You are completely free on the morning of {date}!',
+            afternoon: '✅ You are completely free on the afternoon of {date}!',
+            day: '✅ You are completely free on {date}!'
+        },
+        availability: '📅 *Availability ({date})*',
+        availabilityPeriod: '🕒 *Period:* {start} - {end}',
+        busyAt: '⛔ *Busy at:*',
+        freeOtherwise: '✅ *Free the rest of the time.*',
+        searchingSlot: '🔍 Looking for a time for "{summary}"...',
+        autoScheduled: '✅ *Scheduled Automatically!*\n\n📅 {date}\n📌 {summary}',
+        slotOptions: '🗓️ Free times for "{summary}" ({duration} min). Which one?',
+        noSlot: "⚠️ I couldn't find a free slot in the next work days with these criteria. Check your rules with /expediente."
+    },
+
+    templates: {
+        title: '📋 Your event templates',
+        none: '📋 You have no event templates yet.\n\nCreate one by saying, for example: "create a Site visit template: 2h, at 100 Flower St, inviting eng@site.com".',
+        hint: 'Use one by its name: "schedule a site visit Friday 10am". Whatever you say in the request wins over the template. Tap a template to delete it.',
+        online: '📹 Meet',
+        created: '✅ Template "{name}" created:',
+        updated: '✅ Template "{name}" updated:',
+        usageHint: 'To use it: "schedule {name} Friday at 10am".',
+        deleted: '🗑️ Template "{name}" deleted.',
+        notFound: '🔍 I couldn\'t find the template "{name}".',
+        available: 'Your templates: {names}'
+    },
+
+    schedulingRules: {
+        title: '🗓️ Your rules for finding a time',
+        workDays: '📆 Work days: {days}',
+        workHours: '⏰ Working hours: {start}–{end}',
+        lunch: '🍽️ Lunch: {start}–{end}',
+        noLunch: '🍽️ Lunch: no fixed time',
+        buffer: { one: '↔️ Gap between appointments: {count} minute', other: '↔️ Gap between appointments: {count} minutes' },
+        noBuffer: '↔️ Gap between appointments: none',
+        focus: '🎯 Focus (nothing gets booked): {blocks}',
+        maxMeetings: { one: '📊 Daily maximum: {count} appointment', other: '📊 Daily maximum: {count} appointments' },
+        noMaxMeetings: '📊 Daily maximum: no limit',
+        none: 'none',
+        hint: 'To change them, just say: "my working hours are 8am to 5pm", "leave 15 min between meetings", "Tuesday morning is focus time", "at most 4 meetings a day".',
+        updated: '✅ Rules updated.',
+        reset: '↩️ Back to defaults',
+        resetDone: 'Rules restored',
+        invalid: {
+            time: "⚠️ I didn't understand one of the times. Use the 08:30 format.",
+            workDays: '⚠️ I need at least one work day.',
+            workHours: '⚠️ Working hours must end after they start.',
+            lunch: '⚠️ Lunch must be within working hours and end after it starts.',
+            focus: '⚠️ The focus block must end after it starts.',
+            buffer: '⚠️ The gap between appointments must be 0 to 240 minutes.',
+            maxMeetings: '⚠️ The daily maximum must be at least 1 (or 0 to remove the limit).'
+        }
+    },
+
+    meeting: {
+        options: '👥 Times when everyone is free for "{summary}" with {names} ({duration} min). Which one?',
+        none: '❌ None of these',
+        defaultSummary: 'Meeting with {names}',
+        noSlot: "😕 I couldn't find a common free slot with {names} during working hours. Try another day or a shorter duration.",
+        unavailable: "⚠️ I couldn't see the calendar of {emails}, so I only checked yours for them. They'll still get the invitation.",
+        needEmails: '🤷 I need the email of everyone joining:',
+        unknown: "• {name}: not found in your meetings or in memory",
+        ambiguous: '• {name}: could be {options}',
+        emailHint: 'Ask again with the email (e.g. "set up a meeting with lazaro@company.com on Thursday") or ask me to save the email.',
+        scheduled: '✅ "{summary}" scheduled for {date}. Invitation sent to {names}.',
+        createError: '❌ Error scheduling the meeting. Please try again.',
+        expired: '⏱️ These options have expired. Ask again and I will look up fresh times.'
+    },
+
+    rsvp: {
+        title: '📬 Replies to your invitations:',
+        accepted: '✅ {name} accepted "{summary}" ({date})',
+        declined: '❌ {name} declined "{summary}" ({date})',
+        tentative: '🤔 {name} replied maybe to "{summary}" ({date})',
+        comment: '   💬 {comment}',
+        statusTitle: '👥 Guests of "{summary}" ({date})',
+        confirmedCount: { one: '{accepted} of {count} guest confirmed', other: '{accepted} of {count} guests confirmed' },
+        group: {
+            accepted: '✅ Confirmed: {names}',
+            tentative: '🤔 Maybe: {names}',
+            declined: '❌ Declined: {names}',
+            needsAction: '⏳ No reply: {names}'
+        },
+        noUpcoming: "📭 I couldn't find a meeting with guests in that period. Which meeting do you want to check?"
+    },
+
+    report: {
+        title: '📋 *REPORT {period}* ({date})',
+        incomplete: '⚠️ _Some data may be incomplete due to an API error._',
+        summary: '📊 *Summary:*',
+        events: { one: '{count} event', other: '{count} events' },
+        tasks: { one: '{count} task', other: '{count} tasks' },
+        cards: { one: '{count} card on Trello', other: '{count} cards on Trello' },
+        eventsTitle: '📅 *Events:*',
+        moreEvents: { one: '_...and {count} more event_', other: '_...and {count} more events_' },
+        noEvents: '📅 _No events {period}_',
+        tasksTitle: '✅ *Tasks:*',
+        moreTasks: { one: '_...and {count} more task_', other: '_...and {count} more tasks_' },
+        trelloTitle: '🗂️ *Trello (To Do):*',
+        noCards: '🗂️ _No pending cards_'
+    },
+
+    tasks: {
+        created: '✅ *Task created:*\n{task}',
+        none: '✅ No pending tasks!',
+        listTitle: '✅ *Tasks ({count}):*',
+        notFound: '⚠️ I couldn\'t find a task matching "{query}".',
+        completed: '✅ Task "{title}" completed!',
+        fallbackTitle: 'Process manually: {preview}...',
+        fallbackNotes: '{reason}. Original text: {text}'
+    },
+
+    trello: {
+        listNotFoundInbox: '⚠️ Trello list "{list}" not found. Creating in the Inbox.',
+        attachmentFailed: "⚠️ Card created, but I couldn't attach the original file.",
+        cardCreated: '✅ *Card Created:* [{name}]({url})',
+        askListToClear: '⚠️ Which list do you want to clear? (E.g. "Clear list Done")',
+        listNotFound: '⚠️ List "{list}" not found.',
+        listAlreadyEmpty: '✅ The list "*{list}*" is already empty!',
+        archivingCards: { one: '⏳ Archiving {count} card from list "{list}"...', other: '⏳ Archiving {count} cards from list "{list}"...' },
+        listCleared: '📦 All cards in list "*{list}*" were archived!',
+        noLists: '🗂️ No lists found on Trello.',
+        noListNamed: '⚠️ No list found named "{list}".',
+        noCardsFiltered: '🗂️ No cards found with these filters.',
+        cardsFound: '🗂️ *Cards Found ({count})*',
+        boardTitle: '*Trello Board:*',
+        boardLists: "📋 *Board's Lists:*",
+        askListName: '⚠️ I need the list name.',
+        listCreated: '✅ List *{name}* created!',
+        askMoveLists: '⚠️ I need the source and target lists.',
+        sourceNotFound: '⚠️ Source list "{list}" not found.',
+        targetNotFound: '⚠️ Target list "{list}" not found.',
+        sourceEmpty: '⚠️ The source list is empty.',
+        movingCards: { one: '⏳ Moving {count} card from "{from}" to "{to}"...', other: '⏳ Moving {count} cards from "{from}" to "{to}"...' },
+        allMoved: '✅ All cards moved successfully!',
+        checklistItemAdded: '✅ Item "{item}" added to checklist *{checklist}* on card "{card}"',
+        cardUpdated: '✅ Card "{name}" updated.',
+        cardArchived: '📦 Card "{name}" archived.',
+        commentAdded: '💬 Comment added to "{name}"',
+        askTargetList: '⚠️ I need to know which list to move it to (E.g. "Move to Done").',
+        listNotFoundAvailable: '⚠️ List "{list}" not found.\n📋 Available lists: {available}',
+        cardMoved: '✅ Card "{name}" moved to *{list}*!',
+        restored: ' (Restored from archive)',
+        labelNotFoundAvailable: '⚠️ Label "{label}" not found.\n🏷️ Available: {available}',
+        labelAdded: '✅ Label *{label}* added to card "{name}"',
+        memberNotFound: '⚠️ Member "{member}" not found.',
+        memberAdded: '✅ Member *{member}* added to card "{name}"',
+        confirmDeleteButton: '✅ Yes, delete',
+        confirmDelete: '⚠️ *Are you sure you want to PERMANENTLY DELETE the card?*\n\n📌 *{name}*\n\n_This action cannot be undone!_',
+        searchEmpty: '🔍 No cards found matching "{query}"',
+        searchTitle: '🔍 *Search: "{query}"*',
+        searchInBoard: ' on {board}',
+        searchCount: { one: '📊 Found: {count} card', other: '📊 Found: {count} cards' },
+        openInTrello: '🔗 [Open in Trello]({url})',
+        description: '📝 *Description:*',
+        due: '*Due:* {date}',
+        labels: '🏷️ *Labels:* {labels}',
+        members: '👥 *Members:* {members}',
+        checklists: '☑️ *Checklists:*',
+        attachments: { one: '📎 *Attachments:* {count} file', other: '📎 *Attachments:* {count} files' },
+        lastActivity: '🕐 _Last activity: {date}_',
+        noChecklists: '📌 The card "*{name}*" has no checklists.',
+        noChecklistsPlain: '⚠️ The card "{name}" has no checklists.',
+        noChecklistsToDelete: '⚠️ The card "*{name}*" has no checklists.',
+        checklistsOf: '☑️ *Checklists of "{name}"*',
+        checklistTip: '_Tip: Say "mark item 1 as done on card {name}" to check it_',
+        itemNotFound: '⚠️ Item "{item}" not found in the card\'s checklists.',
+        itemChecked: '{emoji} Item "{item}" marked as done on card *{card}*',
+        itemUnchecked: '{emoji} Item "{item}" unchecked on card *{card}*',
+        itemRemoved: '🗑️ Item "{item}" removed from card *{card}*',
+        noLabels: '⚠️ The card "{name}" has no labels.',
+        labelNotOnCard: '⚠️ Label "{label}" not found on the card.\n🏷️ Card labels: {available}',
+        labelRemoved: '✅ Label *{label}* removed from card "{name}"',
+        noDue: '⚠️ The card "*{name}*" has no due date set.',
+        dueDelivered: '{emoji} Due date of card "*{name}*" marked as delivered!',
+        dueReopened: '{emoji} Due date of card "*{name}*" unmarked (pending)!',
+        askListToRename: '⚠️ Which list do you want to rename?',
+        askNewListName: '⚠️ I need the new name for the list.',
+        listRenamed: '✅ List "*{from}*" renamed to "*{to}*"!',
+        askListToArchive: '⚠️ Which list do you want to archive?',
+        listArchived: '📦 List "*{name}*" archived successfully!',
+        noActivity: '📋 The card "*{name}*" has no recorded activity.',
+        historyOf: '📋 *History of "{name}"*',
+        system: 'System',
+        activity: {
+            commented: '💬 Commented: "{text}"',
+            moved: '📁 Moved to "{list}"',
+            archived: '📦 Archived the card',
+            restored: '📂 Restored the card',
+            dueCompleted: '✅ Marked due date as done',
+            dueUncompleted: '⬜ Unmarked due date',
+            renamed: '✏️ Renamed from "{name}"',
+            descUpdated: '📝 Updated description',
+            dueChanged: '📅 Changed due date',
+            updated: '✏️ Updated the card',
+            memberAdded: '👤 Added member: {name}',
+            memberRemoved: '👤 Removed member: {name}',
+            attached: '📎 Attached: "{name}"',
+            file: 'file',
+            checklistAdded: '☑️ Added checklist: "{name}"',
+            checklistRemoved: '🗑️ Removed checklist: "{name}"',
+            item: '{state} Item: "{name}"',
+            created: '🆕 Card created',
+            labelAdded: '🏷️ Added label: "{name}"',
+            labelRemoved: '🏷️ Removed label: "{name}"'
+        },
+        noOverdue: '✅ No overdue cards! All up to date! 🎉',
+        overdueTitle: '⏰ *Overdue Cards ({count})*',
+        overdueLine: { one: '📅 Was due: {date} ({count} day ago)', other: '📅 Was due: {date} ({count} days ago)' },
+        listLine: '📁 List: {list}',
+        overdueTip: '_Tip: Say "complete due date of card X" to mark it as delivered_',
+        statsTitle: '📊 *Board Statistics*',
+        statsGeneral: '📋 *Overview:*',
+        statsTotal: { one: '{count} card in total', other: '{count} cards in total' },
+        statsLists: { one: '{count} list ({withCards} with cards)', other: '{count} lists ({withCards} with cards)' },
+        statsDue: '⏰ *Due dates:*',
+        statsOverdue: { one: '{count} overdue', other: '{count} overdue' },
+        statsToday: '{count} due today',
+        statsWeek: '{count} this week',
+        statsDelivered: { one: '{count} delivered', other: '{count} delivered' },
+        statsNoDue: '{count} without a due date',
+        statsLabels: '🏷️ *Labels:*',
+        cardCount: { one: '{count} card', other: '{count} cards' },
+        noName: 'unnamed',
+        withoutLabel: 'No label',
+        statsByList: '📁 *By List:*',
+        overdueTag: { one: ' (⚠️ {count} overdue)', other: ' (⚠️ {count} overdue)' },
+        checklistNotFound: '⚠️ Checklist "{name}" not found.\n📋 Available checklists: {available}',
+        checklistItems: { one: '{index}. {name} ({count} item)', other: '{index}. {name} ({count} items)' },
+        whichChecklist: '⚠️ The card has {count} checklists. Which one should I delete?\n\n{available}\n\n_Say "delete checklist [name] from card {card}"_',
+        checklistDeleted: { one: '🗑️ Checklist "*{name}*" ({count} item) removed from card "*{card}*"!', other: '🗑️ Checklist "*{name}*" ({count} items) removed from card "*{card}*"!' }
+    }
+};
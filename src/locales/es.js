@@ -0,0 +1,988 @@
+/**
+ * Catálogo es (mesmas chaves do pt-BR; chaves ausentes caem no pt-BR)
+ */
+
+module.exports = {
+    locale: 'es',
+
+    language: {
+        name: '🇪🇸 Español',
+        aiInstruction: 'Responde al usuario (mensajes de chat) en español.',
+        choose: '🌐 *Idioma*\n\nElige el idioma de mis respuestas:',
+        current: '_Actual: {name}_',
+        changed: '✅ ¡Listo! Responderé en español.',
+        invalid: '⚠️ Idioma no soportado.'
+    },
+
+    common: {
+        cancel: '❌ Cancelar',
+        back: '⬅️ Volver',
+        no: '❌ No',
+        operationCancelled: 'Operación cancelada',
+        dismissed: '👍 Ok, olvídalo.',
+        processing: '⏳ Procesando...',
+        listExpired: '⚠️ Lista expirada',
+        unknownError: 'Error desconocido',
+        internalError: 'Ocurrió un error interno. Inténtalo de nuevo.',
+        technicalError: '❌ Error técnico: {error}. Intenta reformular tu pedido.',
+        cardNotFound: '⚠️ Tarjeta no encontrada.',
+        eventNotFound: '⚠️ Evento no encontrado.',
+        confirm: '✅ Confirmar'
+    },
+
+    keyboard: {
+        today: '📅 Agenda de Hoy',
+        week: '📅 Agenda de la Semana',
+        trello: '🗂️ Mi Trello',
+        memory: '🧠 Mi Memoria',
+        refresh: '🔄 Actualizar Todo'
+    },
+
+    dates: {
+        today: 'Hoy',
+        tomorrow: 'Mañana',
+        yesterday: 'Ayer',
+        nextWeekday: 'Próximo {weekday}',
+        allDaySuffix: '{date} (todo el día)',
+        atTime: '{date} a las {time}',
+        allDay: 'Todo el día',
+        inDays: { one: 'en {count} día', other: 'en {count} días' },
+        inHours: 'en {count}h',
+        inMinutes: 'en {count} min',
+        now: 'ahora',
+        past: 'pasado',
+        untitled: 'Sin título',
+        // Formatos do Luxon
+        hourFormat: 'H:mm',
+        hourMinuteFormat: 'H:mm',
+        dayMonth: 'dd/MM',
+        dayMonthYear: 'dd/MM/yyyy',
+        dayMonthWeekday: 'dd/MM (cccc)',
+        weekdayDayMonth: 'cccc, dd/MM',
+        weekdayDayMonthTime: "cccc, dd/MM 'a las' HH:mm",
+        shortWeekdayDayMonth: 'ccc dd/MM',
+        dateTime: 'dd/MM/yyyy HH:mm:ss',
+        dayMonthTime: 'dd/MM HH:mm',
+        time: 'HH:mm'
+    },
+
+    suggestions: {
+        title: '💡 _Sugerencias:_',
+        addMeet: '📹 Añadir Meet',
+        description: '📝 Descripción',
+        location: '📍 Lugar',
+        extraReminder: '⏰ +Recordatorio',
+        cardTitle: '💡 _¿Quieres completar la tarjeta?_',
+        addChecklist: '☑️ Añadir Checklist',
+        setDue: '📅 Definir Fecha Límite',
+        addDescription: '📝 Añadir Descripción',
+        addLabel: '🏷️ Añadir Etiqueta',
+        forceSchedule: '✅ Agendar Igual',
+        scopeSingle: '📅 Solo este',
+        scopeFollowing: '⏭️ Este y los siguientes',
+        scopeAll: '🔄 Todos'
+    },
+
+    scheduler: {
+        morningTitle: '☀️ *¡Buenos días! Resumen de hoy ({date}):*',
+        summaryTitle: '📊 *Resumen:*',
+        pendingEvents: { one: '{count} evento pendiente', other: '{count} eventos pendientes' },
+        tasksToday: { one: '{count} tarea para hoy', other: '{count} tareas para hoy' },
+        trelloCards: { one: '{count} tarjeta en Trello', other: '{count} tarjetas en Trello' },
+        nothingPending: '🎉 Nada pendiente. ¡Estás libre!',
+        appointments: '📅 *Compromisos:*',
+        tasks: '✅ *Tareas:*',
+        moreTasks: { one: '...y {count} tarea más', other: '...y {count} tareas más' },
+        urgentCards: '🗂️ *Trello (🚨 Urgente):*',
+        afternoonTitle: '🕑 *Check-in de las 14h:*',
+        nextEvents: '📅 *Próximos Eventos:*',
+        urgentCardsCount: '🗂️ *Trello 🚨 Urgente ({count}):*',
+        allClear: '✅ ¡Todo tranquilo por ahora!',
+        reminder: '🔔 *En {minutes} min:*',
+        join: '📹 Entrar',
+        phrases: [
+            '"El éxito es la suma de pequeños esfuerzos repetidos día tras día." 💪',
+            '"No pares hasta sentirte orgulloso." 🚀',
+            '"La disciplina es la madre del éxito." 🎯',
+            '"¡Enfócate en el objetivo!" 🏹',
+            '"Eres capaz de cosas increíbles." ✨',
+            '"¡Vamos a hacerlo realidad!" 🔥',
+            '"Un paso a la vez." 👣',
+            '"Cree en tu potencial." 💡',
+            '"La persistencia es el camino del éxito." 🛣️'
+        ]
+    },
+
+    rateLimit: {
+        wait: '⏳ Espera {seconds}s antes de enviar más mensajes.',
+        blocked: '🚫 ¡Demasiados mensajes! Espera {seconds}s.'
+    },
+
+    conflict: {
+        title: '⚠️ *¡Conflicto Detectado!*',
+        wanted: 'Quieres agendar: *{summary}*',
+        existing: 'Pero ya tienes:',
+        suggestionsTitle: '💡 *Horarios sugeridos:*',
+        question: '_¿Agendar igual o elegir otro horario?_',
+        minutesBefore: '{count} min antes',
+        suggested: 'Horario sugerido',
+        minutesAfter: '{count} min después',
+        creating: '📅 Creando evento...',
+        lostData: '⚠️ Datos del evento perdidos. Inténtalo de nuevo.',
+        scheduledWithConflict: '✅ *Agendado (con conflicto):* {summary}\n📅 {date}',
+        scheduled: '✅ *Agendado:* {summary}\n📅 {date}',
+        createError: '❌ Error al crear el evento.',
+        cancelledToast: 'Agendamiento cancelado',
+        notCreated: '👍 Ok, evento no creado.',
+        invalidSuggestion: '⚠️ Sugerencia inválida.'
+    },
+
+    slots: {
+        'create_event.start': '⏰ ¿Cuándo? Dime el día y la hora (ej: "mañana a las 15h").',
+        'create_event.summary': '📝 ¿Cuál es el título del evento?',
+        'find_meeting_time.attendees': '👥 ¿Con quién es la reunión? Dime los nombres o correos.',
+        'trello_create.name': '📝 ¿Cuál es el nombre de la tarjeta?',
+        'trello_move.list': '📋 ¿A qué lista la muevo?',
+        'task_create.title': '📝 ¿Cuál es la tarea?',
+        query: '🔍 ¿Qué elemento? Dime el nombre.',
+        start: '⏰ ¿A qué hora?',
+        email: '📧 ¿Cuál es el e-mail?',
+        member: '👤 ¿Qué miembro?',
+        due: '📅 ¿Cuál es la fecha límite?',
+        missingDescribed: '❓ Falta: {description}. ¿Me lo dices?',
+        missingField: '❓ Falta el campo "{field}". ¿Me lo dices?',
+        answerHint: '_Responde aquí o di "cancelar"._',
+        alsoMissing: '⚠️ También falta información para "{tipo}". Pídemelo de nuevo después de responder la pregunta de arriba.',
+        expired: '⏱️ Ese pedido ya había expirado.'
+    },
+
+    choice: {
+        question: '🤔 *Me quedé con la duda.* ¿Cuál de estas quisiste decir?',
+        none: '❌ Ninguna',
+        chosen: '👉 {label}',
+        rephrase: '👍 ¡Ok! Dime de otra forma lo que necesitas.',
+        expired: '⏱️ Esta elección ya expiró. ¿Puedes repetir el pedido?',
+        alsoUnclear: '⚠️ También me quedé con la duda sobre otra parte de tu pedido. Repítela después de elegir arriba.'
+    },
+
+    fastPath: {
+        greeting: '👋 ¡Hola! ¿En qué puedo ayudarte? Agenda, Trello, tareas o memoria, solo pídelo.',
+        thanks: '😊 ¡De nada! Si necesitas algo, aquí estoy.',
+        ack: '👍'
+    },
+
+    access: {
+        denied: '🚫 Acceso denegado. Tu ID es: {userId}'
+    },
+
+    googleAuth: {
+        userExpired: '🔑 Tu conexión con Google expiró o fue revocada. Vuelve a conectar para seguir usando tu agenda:',
+        globalExpiredAdmin: '🔑 La cuenta de Google del servidor se desconectó (token expirado o revocado). Vuelve a conectar para restablecer la agenda:',
+        globalUnavailable: '🔑 La conexión con Google no está disponible temporalmente. Los administradores fueron avisados.\n_También puedes usar tu propia cuenta con /conectar_google._',
+        relinkUser: '🔐 Reconectar Google',
+        relinkGlobal: '🔐 Reconectar cuenta del servidor',
+        missingClient: '🔑 GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET no configurados. Habla con el administrador.',
+        missingEncryption: '🔑 TOKEN_ENCRYPTION_KEY no configurada. Habla con el administrador.',
+        missingEncryptionToast: '🔑 TOKEN_ENCRYPTION_KEY no configurada',
+        connectTitle: '🔗 *Conectar cuenta de Google*',
+        connectInstructions: 'Toca el botón de abajo, elige tu cuenta y autoriza el acceso a la agenda.',
+        linkExpires: '_El enlace es personal y expira en {minutes} minutos._',
+        willReplace: '⚠️ Ya tienes una cuenta conectada; será reemplazada.',
+        authorize: '🔐 Autorizar en Google',
+        notConnected: 'ℹ️ No tienes una cuenta de Google conectada (usando la cuenta global del servidor).',
+        disconnected: '🔌 Cuenta de Google desconectada. Para conectar de nuevo, usa /conectar_google.',
+        adminOnly: '🚫 Solo los administradores pueden reconectar la cuenta del servidor',
+        reauthorize: '🔗 Autoriza de nuevo en Google (enlace válido por {minutes} minutos):',
+        linkedGlobal: '✅ ¡Cuenta de Google del servidor reconectada! La agenda vuelve a funcionar para todos.',
+        linkedUser: '✅ ¡Cuenta de Google conectada! A partir de ahora se usa tu agenda en tus mensajes. Usa /agendas para elegir qué calendarios seguir.',
+        alertGlobal: '🚨 *Google desconectado*\n\nEl token de la cuenta del servidor expiró o fue revocado. La agenda y los recordatorios están detenidos hasta que se reconecte.',
+        alertUser: '🚨 *Google desconectado*\n\nTu conexión con Google expiró o fue revocada. Vuelve a conectar para usar tu agenda.'
+    },
+
+    start: {
+        welcome: '👋 ¡Hola! ¡Soy tu Asistente Supremo!\n\nPuedo ayudarte con:\n📅 Google Calendar\n🗂️ Trello\n🧠 Recordar información\n\n¡Escribe /ajuda para ver ejemplos o usa los botones de abajo! 👇'
+    },
+
+    api: {
+        checking: '🔍 Verificando el estado de los servicios...',
+        error: '❌ Error al verificar el estado.',
+        title: '📊 *Estado del Sistema*',
+        ai: '🧠 *Inteligencia Artificial*',
+        model: 'Modelo',
+        status: 'Estado',
+        online: '✅ Online',
+        offline: '❌ Offline',
+        notConfigured: '_no configurado_',
+        providerCalls: '{calls} llamadas, {failures} fallos',
+        usageToday: 'Hoy',
+        usageMonth: 'Mes',
+        activeSessions: 'Sesiones Activas',
+        transcription: 'Transcripción de Voz',
+        fastPath: 'Atajo Local',
+        promptCache: 'Caché del Prompt',
+        promptCacheStats: '{rate}% de la entrada hoy ({tokens} tokens)',
+        fastPathStats: '{hits} de {total} ({rate}%) · ~{saved}s ahorrados',
+        trelloConfigure: '❌ Configura el .env',
+        lastRequest: 'Última Petición',
+        noRecentData: '_(sin datos recientes)_',
+        cachedCards: 'Tarjetas en Caché',
+        googleTitle: '📅 *Servicios de Google*',
+        googleError: '❌ Error',
+        authenticated: 'Autenticado',
+        yes: '✅ Sí',
+        no: '❌ No',
+        account: 'Cuenta',
+        accountUser: 'Tuya (conectada vía /conectar_google)',
+        accountGlobal: 'Global del servidor',
+        needsReauth: '⚠️ Hay que reconectar (token expirado/revocado)',
+        errorLabel: 'Error',
+        cachedEvents: 'Eventos en Caché',
+        cacheTitle: '📦 *Caché*',
+        lastUpdate: 'Última Actualización',
+        age: 'Antigüedad',
+        notInitialized: '⚠️ No inicializado',
+        memoryTitle: '🧠 *Memoria (Base de Conocimiento)*',
+        savedItems: 'Elementos Guardados',
+        categories: 'Categorías',
+        scheduledTitle: '⏰ *Tareas Programadas*',
+        morningSummary: 'Resumen Matutino',
+        afternoonCheck: 'Check de la Tarde',
+        eventReminder: 'Recordatorio de Eventos',
+        minutesBefore: '{minutes} min antes',
+        cacheRefresh: 'Actualización de Caché',
+        everyMinutes: 'cada {minutes} min',
+        serverTitle: '⚙️ *Servidor*',
+        rssMemory: 'Memoria RSS',
+        platform: 'Plataforma'
+    },
+
+    help: {
+        menu: '🤖 *Asistente Supremo - Ayuda*\n\nElige una categoría abajo para ver ejemplos de comandos:',
+        eventsButton: '📅 Eventos (Calendar)',
+        tasksButton: '✅ Tareas (Google Tasks)',
+        trelloButton: '🗂️ Trello',
+        memoryButton: '🧠 Memoria',
+        tipsButton: '💡 Consejos Generales',
+        commandsButton: '⚡ Comandos Disponibles',
+        events: `📅 *Eventos (Google Calendar)*
+
+*Crear:*
+• "Reunión mañana a las 14h"
+• "Cita el día 15 a las 10h"
+• "Llamada online con cliente el viernes"
+• "Yoga todos los martes a las 7h" (recurrente)
+• "En la agenda familia: almuerzo el domingo a mediodía"
+
+*Listar:*
+• "¿Qué tengo hoy?"
+• "Agenda de la semana"
+• "Próximos compromisos"
+• "¿Qué hay en la agenda obra?"
+
+*Editar:*
+• "Mueve la reunión a las 16h"
+• "Cancela la cita de mañana"
+• "Marca la reunión como hecha"
+• "A partir de ahora la daily es a las 10h" (recurrente: solo esta, esta y las siguientes, o todas)
+
+*Consejo:* ¡Di "online" para crear un enlace de Meet automáticamente! 📹`,
+        trello: `🗂️ *Trello (Proyectos)*
+
+*Crear:*
+• "Crea tarjeta Bug en el login"
+• "Tarjeta: Refactorizar módulo con checklist: tests, deploy"
+
+*Listar y Buscar:*
+• "Lista las tarjetas" / "Mi tablero"
+• "Busca tarjetas sobre informe" 🔍
+• "Tarjetas atrasadas" / "Tarjetas vencidas" ⏰
+• "Estadísticas del Trello" 📊
+
+*Ver Detalles:*
+• "Detalles de la tarjeta X"
+• "Checklists de la tarjeta X"
+• "Historial de la tarjeta X" 📋
+
+*Gestionar Tarjetas:*
+• "Mueve Bug en el login a Hecho"
+• "Añade la etiqueta Urgente a la tarjeta X"
+• "Quita la etiqueta de la tarjeta X"
+• "Archiva la tarjeta X"
+• "Borra la tarjeta X" 🗑️
+• "Completa la fecha límite de la tarjeta X" ✅
+
+*Checklists:*
+• "Marca el elemento 1 como hecho en la tarjeta X" ✅
+• "Desmarca el elemento Deploy en la tarjeta X"
+• "Quita el elemento 2 de la tarjeta X"
+• "Borra la checklist de la tarjeta X" 🗑️
+
+*Listas:*
+• "Lista las listas del tablero"
+• "Crea la lista Sprint 2"
+• "Renombra la lista X a Y" ✏️
+• "Archiva la lista Hecho" 📦
+
+*Consejo:* ¡Usa Trello para tareas más grandes que necesitan seguimiento y subtareas!`,
+        tasks: `✅ *Tareas (Google Tasks)*
+
+*Crear:*
+• "Recuérdame comprar comida para el perro"
+• "Tengo que pagar la cuenta hasta el viernes"
+
+*Listar:*
+• "¿Cuáles son mis tareas?"
+
+*Completar:*
+• "Ya pagué la cuenta"
+
+*Consejo:* Las tareas con hora definida se vuelven eventos; los proyectos con checklist van a Trello. Los mensajes que no consigo entender se vuelven una tarea "Procesar manualmente" 📝`,
+        tips: `💡 *Consejos Generales*
+
+*Entiendo lenguaje natural:*
+• "mañana a las 14h" ✅
+• "la próxima semana" ✅
+• "todos los lunes a las 9h" ✅
+
+*¿Pedido incompleto?* 🧩
+• "Reunión mañana" → pregunto la hora y completo el pedido
+• Responde "cancelar" para desistir
+
+*Mensajes de voz:* 🎙️
+• Envía un audio y lo transcribo y ejecuto como si fuera texto
+
+*Fotos y PDFs:* 📷
+• Foto de una invitación → evento en la agenda
+• Foto de la pizarra → tarjeta en Trello (con la foto adjunta)
+• Foto de un recibo → guardado en la memoria
+• Usa el pie de foto para decir qué hacer: "crea una tarjeta con esto"
+
+*Varias acciones:*
+• "Agenda daily a las 9h y crea tarjeta en Trello revisar métricas"
+
+*Correcciones rápidas:*
+• Después de crear algo, di "cámbialo a las 15h" ¡y entenderé!
+
+*Emojis de estado:*
+• 🟢 Evento confirmado
+• 🟡 Evento próximo (< 1h)
+• 📹 Evento online
+• 🔄 Evento recurrente
+
+*Resúmenes automáticos:*
+• 08:00 - Resumen del día (eventos, tareas y tarjetas urgentes)
+• 14:00 - Check-in de la tarde
+• 15 min antes - Recordatorio del evento`,
+        memory: `🧠 *Memoria (Segundo Cerebro)*
+
+*Guardar información:*
+• "Guarda esto: la contraseña del wifi es 1234"
+• "Recuerda que el código del portón es 4590"
+• "Anota: la comida del perro es Premium"
+
+*Consultar:*
+• "¿Cuál es la contraseña del wifi?"
+• "¿Cuál es el código del portón?"
+• "¿Qué marca de comida para el perro?"
+
+*Listar todo:*
+• "¿Qué recuerdas?"
+• "Lista mis memorias"
+
+*Consejo:* ¡Úsala para guardar contraseñas, códigos, contactos y cualquier información útil! 📝`,
+        commands: `⚡ *Comandos Disponibles*
+
+/start — Inicia el bot y muestra el menú principal
+/ajuda — Muestra este menú de ayuda con todas las categorías
+/api — Muestra el estado detallado de todos los servicios (IA, Trello, Google, Caché, Servidor)
+/desfazer — Deshace la última acción (crear evento, crear tarjeta, etc)
+/esquecer — Borra el historial y el resumen de nuestra conversación
+/uso — Muestra tus tokens de IA y el costo estimado (hoy, mes y presupuesto)
+/agendas — Elige qué calendarios de Google sigue el bot
+/quadro — Elige el tablero activo de Trello y cuáles aparecen en los resúmenes
+/conectar_google — Conecta tu cuenta de Google (cada usuario usa su propia agenda)
+/desconectar_google — Quita tu cuenta de Google del bot
+/idioma — Elige el idioma de las respuestas (portugués, inglés o español)
+/expediente — Muestra tus reglas para encontrar horario (horario laboral, almuerzo, intervalos, enfoque)
+/modelos — Lista y borra tus plantillas de evento ("Visita de obra", "1:1")
+
+📱 *Botones Rápidos (teclado fijo):*
+• 📅 Agenda de Hoy
+• 📅 Agenda de la Semana
+• 🗂️ Mi Trello
+• 🧠 Mi Memoria
+• 🔄 Actualizar Todo
+
+_Consejo: ¡También puedes escribir cualquier cosa en lenguaje natural o enviar un audio!_ 💬🎙️`
+    },
+
+    undo: {
+        nothing: '🔙 No hay ninguna acción reciente para deshacer.',
+        eventRemoved: '🔙 El evento "{summary}" fue eliminado.',
+        eventUncompleted: '🔙 El evento "{summary}" se desmarcó como hecho.',
+        cardRemoved: '🔙 La tarjeta "{name}" fue eliminada.',
+        cardRestored: '🔙 La tarjeta "{name}" fue restaurada.',
+        unsupported: '⚠️ No se puede deshacer la acción "{type}".',
+        error: '❌ Error al deshacer: {error}'
+    },
+
+    forget: {
+        done: '🧹 Listo, olvidé nuestra conversación (historial reciente, resumen y personas/tarjetas/eventos mencionados).\n\n_La información guardada en la 🧠 Memoria sigue ahí._',
+        nothing: '🧹 No hay nada de nuestra conversación para olvidar.'
+    },
+
+    usage: {
+        title: '📊 *Tu uso de IA*',
+        today: 'Hoy',
+        month: 'Mes',
+        totals: '{requests} llamadas · {tokens} tokens · US$ {cost}',
+        lastDays: '📅 *Últimos 7 días:*',
+        dayLine: { one: '{label}: {count} llamada · US$ {cost}', other: '{label}: {count} llamadas · US$ {cost}' },
+        byTipo: '🏷️ *Por tipo de pedido (mes):*',
+        byModel: '🤖 *Por modelo (mes):*',
+        budget: '💰 *Presupuesto:*',
+        softLimit: 'aviso US$ {value}',
+        hardLimit: 'límite US$ {value}',
+        economyActive: '_Límite alcanzado: usando el modelo económico hasta el próximo período._',
+        footer: '_Costos estimados por la tabla de precios de cada modelo._',
+        noticeHard: '📉 *Límite de uso {period} alcanzado* ({spent}).\nSigo funcionando, pero con un modelo más barato. Ver detalles en /uso.',
+        noticeSoftDay: '⚠️ *Aviso de uso:* ya gastaste {spent} hoy. Ver detalles en /uso.',
+        noticeSoftMonth: '⚠️ *Aviso de uso:* ya gastaste {spent} este mes. Ver detalles en /uso.',
+        periodDay: 'diario',
+        periodMonth: 'mensual',
+        spentOf: 'US$ {spent} de US$ {limit}'
+    },
+
+    calendars: {
+        title: '🗓️ *Tus agendas*',
+        instructions: 'Toca para activar/desactivar. Las agendas activas aparecen en listados, resúmenes y verificación de conflictos.',
+        defaultHint: '_Los eventos nuevos van a la primera agenda activa, salvo que menciones otra ("en la agenda obra")._',
+        primary: '{name} (principal)',
+        none: '⚠️ No se encontraron agendas en tu cuenta de Google.',
+        listError: '❌ Error al listar agendas: {error}',
+        expired: '⚠️ Lista de agendas expirada. Envía /agendas de nuevo.',
+        keepOne: '⚠️ Mantén al menos una agenda activa',
+        enabled: '✅ {name} activada',
+        disabled: '⬜ {name} desactivada',
+        notFound: '⚠️ No encontré la agenda "{query}". Usa /agendas para ver las disponibles.'
+    },
+
+    boards: {
+        title: '🗂️ *Tus tableros de Trello*',
+        activeHint: 'Toca un nombre para hacerlo el *tablero activo* (📍): las tarjetas se crean y buscan allí.',
+        followHint: 'Usa 👁️ para elegir qué tableros aparecen en los resúmenes y búsquedas.',
+        mentionHint: '_También puedes mencionar otro tablero en el mensaje ("crea una tarjeta en el tablero obra")._',
+        none: '⚠️ No se encontraron tableros abiertos en la cuenta de Trello.',
+        listError: '❌ Error al listar tableros: {error}',
+        expired: '⚠️ Lista de tableros expirada. Envía /quadro de nuevo.',
+        active: '📍 {name} es el tablero activo',
+        keepOne: '⚠️ Sigue al menos un tablero',
+        following: '👁️ Siguiendo {name}',
+        unfollowed: '⬜ {name} fuera de los resúmenes',
+        notFound: '⚠️ No encontré el tablero "{query}". Usa /quadro para ver los disponibles.'
+    },
+
+    confirmation: {
+        expired: '⚠️ Esta confirmación expiró o ya fue procesada.',
+        error: '❌ Error al ejecutar: {error}',
+        cancelledToast: 'Acción cancelada',
+        cancelled: '❌ Acción cancelada.',
+        eventsCompleted: { one: '✅ ¡{count} evento marcado como hecho!', other: '✅ ¡{count} eventos marcados como hechos!' },
+        creatingSeries: '🔁 Serie confirmada, creando...',
+        unsupported: '⚠️ Tipo de confirmación no soportado.'
+    },
+
+    quick: {
+        todayTitle: '📅 *Hoy*',
+        todayEmpty: '✨ ¡Ningún evento agendado para hoy!',
+        todayAgenda: '📅 *Agenda de Hoy ({date})*',
+        weekTitle: '📅 *Próximos 7 días*',
+        weekEmpty: '✨ ¡Ningún evento agendado!',
+        weekAgenda: '📅 *Agenda de la Semana*',
+        agendaError: '❌ Error al buscar la agenda.',
+        trelloTitle: '🗂️ *Trello*',
+        trelloEmpty: '📭 No se encontraron listas.',
+        myTrello: '🗂️ *Mi Trello*',
+        emptyList: '_(vacía)_',
+        trelloError: '❌ Error al buscar en Trello.',
+        refreshing: '🔄 Actualizando caché...',
+        refreshed: '✅ ¡Caché actualizada! Datos sincronizados con Google y Trello.',
+        refreshError: '❌ Error al actualizar la caché.',
+        memoryTitle: '🧠 *Memoria*',
+        memoryEmpty: '📭 Todavía no hay información guardada.\n\n_Consejo: ¡Di "Guarda esto: ..." para guardar algo!_',
+        myMemory: '🧠 *Mi Memoria*',
+        memoryError: '❌ Error al buscar en la memoria.'
+    },
+
+    knowledge: {
+        categories: {
+            pessoal: 'Personal',
+            casa: 'Casa',
+            trabalho: 'Trabajo',
+            geral: 'General'
+        },
+        total: { one: '_Total: {count} elemento_', other: '_Total: {count} elementos_' },
+        saved: '🧠 *¡Guardado!*',
+        category: '🏷️ Categoría: _{category}_',
+        notFound: '🔍 No encontré nada sobre "{query}" en la memoria.\n\n_Consejo: Usa "Guarda esto: ..." para guardar información._',
+        found: '🧠 *¡Encontrado!*',
+        update: '✏️ Actualizar',
+        delete: '🗑️ Borrar',
+        emptyCategory: '🧠 No hay información guardada en la categoría "{category}".\n\n_Consejo: Usa "Guarda esto: ..." para guardar información._',
+        empty: '🧠 No hay información guardada.\n\n_Consejo: Usa "Guarda esto: ..." para guardar información._',
+        title: '🧠 *Memoria*',
+        deleting: '🗑️ Borrando...',
+        deleted: '🗑️ Información borrada de la memoria.',
+        missing: '⚠️ Información no encontrada.',
+        deleteError: '❌ Error al borrar.',
+        askNewValue: '✏️ Escribe el nuevo valor para esta información:',
+        updated: '✅ ¡Información actualizada con éxito!',
+        missingForUpdate: '⚠️ Información no encontrada para actualizar.',
+        updateError: '❌ Error al actualizar la información.',
+        keyDeleted: '🗑️ Información "{key}" borrada de la memoria.',
+        keyNotFound: '⚠️ No encontré "{key}" en la memoria.'
+    },
+
+    eventActions: {
+        addingMeet: '📹 Añadiendo enlace de Meet...',
+        meetLink: '\n📹 Enlace: {link}',
+        meetAdded: '✅ ¡Enlace de Meet añadido al evento!{link}',
+        meetError: '❌ Error al añadir Meet',
+        scopeSingle: 'solo esta ocurrencia',
+        scopeFollowing: 'esta y las siguientes ocurrencias',
+        scopeAll: 'todas las ocurrencias',
+        editTime: '🕐 Cambiar Horario',
+        editTitle: '📝 Cambiar Título',
+        editLocation: '📍 Cambiar Lugar',
+        markComplete: '✅ Marcar como Hecho',
+        scopeInfo: '\n🔁 Los cambios se aplican a: _{scope}_\n',
+        editMenu: '✏️ *¿Qué quieres editar?*\n{scopeInfo}\nElige una opción abajo:',
+        recurringEdit: '🔁 *Este evento se repite.*\n\n¿A qué ocurrencias se aplica la edición?',
+        askTime: '🕐 *Editar Horario*\n\nEscribe el nuevo horario en lenguaje natural:\n\n_Ejemplo: "mañana a las 15h" o "14:30"_',
+        askTitle: '📝 *Editar Título*\n\nEscribe el nuevo título del evento:',
+        askLocation: '📍 *Editar Lugar*\n\nEscribe el nuevo lugar del evento:\n\n_Ejemplo: "Sala 3" o "Calle X, 123"_',
+        completing: '✅ Marcando como hecho...',
+        completed: '✅ ¡Evento "{summary}" marcado como hecho!',
+        completeError: '❌ Error al marcar como hecho',
+        recurringDelete: '🔁 *Este evento se repite.*\n\n¿Qué quieres cancelar? Esta acción no se puede deshacer.',
+        confirmDeleteButton: '✅ Sí, cancelar',
+        confirmDelete: '⚠️ *¿Seguro que quieres cancelar este evento?*\n\nEsta acción no se puede deshacer.',
+        deleting: '🗑️ Cancelando evento...',
+        deleted: '🗑️ ¡Evento cancelado con éxito!',
+        deleteError: '❌ Error al cancelar el evento.',
+        kept: '👍 ¡Ok, evento mantenido!',
+        deletedScope: '🗑️ Evento cancelado ({scope}).',
+        updateExpired: '⚠️ Este cambio expiró. Pídelo de nuevo.',
+        updating: '✏️ Actualizando...',
+        updatedScope: '✅ ¡Evento "{summary}" actualizado ({scope})!',
+        recurringError: '❌ Error al cambiar el evento recurrente.',
+        backHint: '👍 ¡Ok! Usa los botones de abajo para otras acciones.',
+        titleUpdated: '✅ ¡Título actualizado!',
+        locationUpdated: '✅ ¡Lugar actualizado!',
+        timeEditCancelled: '👍 Edición de horario cancelada.',
+        timeUpdated: '✅ ¡Horario cambiado a {date}!',
+        timeNotUnderstood: '⚠️ No entendí el nuevo horario. Inténtalo de nuevo (ej: "mañana a las 15h") o escribe "cancelar" para salir.',
+        updateError: '❌ Error al actualizar el evento.'
+    },
+
+    trelloActions: {
+        askChecklist: '☑️ Escribe los elementos de la checklist separados por coma (ej: "elemento 1, elemento 2"):',
+        askDue: '📅 Escribe la fecha límite de esta tarjeta (ej: "mañana", "viernes a las 18h", "día 15"):',
+        askDesc: '📝 Escribe la descripción de la tarjeta:',
+        askLabel: '🏷️ Escribe el nombre o color de la etiqueta (ej: "urgente", "rojo"):',
+        checklistAdded: '✅ ¡Checklist añadida!',
+        dueNotUnderstood: '⚠️ No entendí la fecha. Prueba "sexta às 18h", "dia 15" o 25/03/2026.',
+        dueSet: '✅ ¡Fecha límite definida para {date}!',
+        descUpdated: '✅ ¡Descripción actualizada!',
+        labelAdded: '✅ ¡Etiqueta *{label}* añadida!',
+        labelNotFound: '⚠️ Etiqueta no encontrada.',
+        updateError: '❌ Error al actualizar la tarjeta.',
+        deleting: '🗑️ Borrando tarjeta...',
+        deleted: '🗑️ Tarjeta "{name}" borrada permanentemente.',
+        deleteError: '❌ Error al borrar la tarjeta.',
+        kept: '👍 ¡Ok, tarjeta mantenida!'
+    },
+
+    media: {
+        voiceTooLong: '⚠️ Audio demasiado largo. Envía mensajes de hasta {minutes} minutos.',
+        voiceTooBig: '⚠️ Audio demasiado grande para procesar.',
+        transcriptionError: '❌ No pude transcribir el audio. Inténtalo de nuevo o escribe el mensaje.',
+        notUnderstood: '🎙️ No pude entender el audio. ¿Puedes repetir o escribir?',
+        transcript: '🎙️ _Entendí:_ "{text}"',
+        transcriptPlain: '🎙️ Entendí: "{text}"',
+        unsupportedFile: '⚠️ Por ahora solo consigo leer imágenes y PDFs.',
+        fileTooBig: '⚠️ Archivo demasiado grande para procesar (máx. 20MB).',
+        analyzing: '🔍 Analizando archivo...',
+        fileError: '❌ Error al procesar el archivo: {error}',
+        transcriptionPrompt: 'Transcribe fielmente este audio, probablemente en español, en el idioma en que fue hablado. Responde SOLO con el texto hablado, sin comentarios, comillas ni marcas. Si el audio está vacío o es inaudible, responde exactamente: {marker}'
+    },
+
+    ai: {
+        notUnderstood: '❌ Disculpa, no entendí. ¿Puedes reformularlo?',
+        quota: '⚠️ Límite de uso alcanzado. Inténtalo de nuevo en unos minutos.',
+        quotaReason: 'Límite de uso de la IA alcanzado',
+        config: '🔑 Problema de configuración. Contacta al administrador.',
+        configReason: 'Configuración de la IA inválida',
+        technical: '❌ Disculpa, tuve un problema técnico. ¿Lo intentas de nuevo?',
+        technicalReason: 'Error al procesar con IA'
+    },
+
+    schedulingWarnings: {
+        noStart: 'Horario no especificado',
+        invalidDate: 'Fecha inválida: {reason}',
+        invalidDateHint: 'revisa día/mes/año',
+        past: 'No es posible agendar en el pasado',
+        earlyMorning: '⏰ Evento programado de madrugada',
+        lateNight: '🌙 Evento programado tarde en la noche',
+        weekend: '📅 Evento en fin de semana',
+        invalidEnd: '⚠️ Fecha de término inválida, usando 1h de duración',
+        long: { one: '⏱️ Evento largo ({count} hora)', other: '⏱️ Evento largo ({count} horas)' }
+    },
+
+    rrule: {
+        errors: {
+            empty: 'Regla de recurrencia vacía',
+            noValue: 'Parámetro sin valor: "{part}"',
+            unsupported: 'Parámetro no soportado: {key}',
+            repeated: 'Parámetro repetido: {key}',
+            frequency: 'Frecuencia no soportada: {value} (usa diaria, semanal, mensual o anual)',
+            positiveInteger: '{key} debe ser un número entero positivo',
+            numbers: '{key} debe contener números (recibido "{item}")',
+            outOfRange: '{key} fuera del rango permitido ({item})',
+            until: 'UNTIL inválido ("{value}"). Usa AAAAMMDD o AAAAMMDDTHHMMSSZ',
+            byDay: 'Día de la semana inválido en BYDAY: "{item}"',
+            byDayPosition: 'Posición inválida en BYDAY: "{item}"',
+            wkst: 'WKST inválido: {value}',
+            freqRequired: 'FREQ es obligatorio (ej: FREQ=WEEKLY)',
+            countAndUntil: 'Usa COUNT o UNTIL, no los dos',
+            ordinalFrequency: 'La posición en BYDAY (ej: 1MO) solo vale para reglas mensuales o anuales',
+            monthDayWeekly: 'BYMONTHDAY no se puede usar en reglas semanales',
+            setPos: 'BYSETPOS necesita BYDAY o BYMONTHDAY',
+            line: 'Línea de recurrencia inválida',
+            date: 'Fecha inválida en "{line}"',
+            noRule: 'No se encontró ninguna RRULE',
+            multipleRules: 'Usa solo una RRULE por evento'
+        },
+        // Descrição da regra ("cada lunes y miércoles, hasta el 15/12")
+        weekdays: { MO: 'lunes', TU: 'martes', WE: 'miércoles', TH: 'jueves', FR: 'viernes', SA: 'sábado', SU: 'domingo' },
+        masculineDays: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'],
+        and: ' y ',
+        daily: { one: 'todos los días', other: 'cada {count} días' },
+        weekly: { one: 'todas las semanas', other: 'cada {count} semanas' },
+        monthly: { one: 'todos los meses', other: 'cada {count} meses' },
+        yearly: { one: 'todos los años', other: 'cada {count} años' },
+        everyWorkday: 'cada día hábil',
+        onWorkdays: 'en días hábiles',
+        everyWeekend: 'cada fin de semana',
+        onWeekend: 'el fin de semana',
+        every: { m: 'cada {days}', f: 'cada {days}' },
+        on: { m: 'el {days}', f: 'el {days}' },
+        onOrdinal: { m: 'el {days}', f: 'el {days}' },
+        ordinalWords: [],
+        ordinal: { m: '{n}º', f: '{n}ª' },
+        last: { m: 'último', f: 'última' },
+        fromEnd: { m: '{n}º desde el final', f: '{n}ª desde el final' },
+        nthWorkday: 'el {ordinal} día hábil',
+        lastDay: 'el último día',
+        monthDayFromEnd: '{n}º antes del final',
+        onMonthDay: 'el día {days}',
+        onDayOfMonths: 'el {day} de {months}',
+        ofMonths: '{part} de {months}',
+        onDate: 'el {date}',
+        times: { one: '{count} vez', other: '{count} veces' },
+        untilDate: 'hasta el {date}'
+    },
+
+    trelloNotifications: {
+        noDue: 'sin plazo',
+        by: ' por {name}',
+        moved: '🔀 {title} fue movido{actor}',
+        dueChanged: '⏰ Plazo de {title} cambiado{actor}',
+        newComments: { one: '💬 Nuevo comentario en {title}', other: '💬 {count} comentarios nuevos en {title}' },
+        commented: '💬 {name} comentó en {title}:',
+        someone: 'Alguien',
+        assigned: '👤 Te agregaron a la tarjeta {title}{actor}',
+        updated: '📌 {title} fue actualizado{actor}'
+    },
+
+    intents: {
+        manualTask: '\n\n📝 _Guardé tu pedido como tarea para procesar manualmente._',
+        partialFailure: '⚠️ Tuve un problema al procesar: {tipo}. Pero el resto puede haber funcionado.',
+        fallbackChat: '¡Hola! Puedo ayudar con Agenda, Tareas, Trello y Memoria. Escribe /ajuda para ver ejemplos.'
+    },
+
+    events: {
+        scheduled: '✅ *Agendado:* [{summary}]({link})\n{emoji} {date}',
+        urgent: '🔴 *URGENTE* - {message}',
+        joinMeeting: '📹 [Entrar a la reunión]({link})',
+        edit: '✏️ Editar',
+        cancel: '🗑️ Cancelar',
+        nextOccurrences: '*Próximas ocurrencias:*',
+        noOccurrences: '_Ninguna ocurrencia futura con esta regla._',
+        createSeries: '¿Crear la serie?',
+        invalidRecurrence: '⚠️ *No entendí cómo se repite este evento*\n\n{error}\n\n_Prueba algo como "todos los lunes y miércoles a las 7h hasta diciembre"._',
+        cannotSchedule: '⚠️ *No fue posible agendar*\n\n{warning}',
+        weekFrom: 'semana desde {date}',
+        tomorrow: 'mañana',
+        today: 'hoy',
+        next7Days: 'próximos 7 días',
+        thisWeek: 'esta semana',
+        nothingScheduled: '📅 Nada agendado para {period}.',
+        listTitle: '📅 *Eventos ({period}):*',
+        notFoundQuery: '⚠️ No encontré ningún evento con "{query}".',
+        notFoundQueryDate: '⚠️ No encontré ningún evento con "{query}" en {date}.',
+        recurringUpdate: '🔁 "{summary}" se repite. ¿A qué ocurrencias se aplica el cambio?',
+        updated: '✅ ¡Evento "{summary}" actualizado!',
+        completed: '✅ ¡Evento "{summary}" marcado como hecho!',
+        unknownPeriod: '⚠️ Período "{period}" no reconocido. Usa "hoy", "semana" o una fecha válida.',
+        noneFound: '📅 No se encontraron eventos para {period}.',
+        allCompleted: '✅ ¡Todos los eventos de {period} ya están hechos!',
+        completingMany: { one: '⏳ Marcando {count} evento como hecho...', other: '⏳ Marcando {count} eventos como hechos...' },
+        completedMany: { one: '✅ ¡{count} evento de {period} marcado como hecho!', other: '✅ ¡{count} eventos de {period} marcados como hechos!' },
+        recurringDelete: '🔁 "{summary}" se repite. ¿Qué quieres borrar?',
+        deleted: '🗑️ Evento "{summary}" borrado.',
+        alreadyInvited: '⚠️ Esta persona ya está invitada.',
+        attendeeAdded: '✅ {email} añadido al evento "{summary}"',
+        noAttendees: '⚠️ Este evento no tiene invitados.',
+        attendeeNotFound: '⚠️ Invitado no encontrado.',
+        attendeeRemoved: '✅ {email} quitado del evento "{summary}"',
+        reminderSet: '⏰ Recordatorio de {minutes}min ({method}) configurado para "{summary}"',
+        detailNotFound: 'No encontrado',
+        noLocation: 'Sin lugar definido',
+        noDescription: 'Sin descripción',
+        noGuests: 'Sin invitados',
+        detail: 'ℹ️ *{field}:* {value}',
+        fullyFree: {
+            morning: '✅ ¡Estás totalmente libre la mañana del {date}!',
+            afternoon: '✅ ¡Estás totalmente libre la tarde del {date}!',
+            day: '✅ ¡Estás totalmente libre el {date}!'
+        },
+        availability: '📅 *Disponibilidad ({date})*',
+        availabilityPeriod: '🕒 *Período:* {start} - {end}',
+        busyAt: '⛔ *Ocupado en:*',
+        freeOtherwise: '✅ *Libre el resto del tiempo.*',
+        searchingSlot: '🔍 Buscando horario para "{summary}"...',
+        autoScheduled: '✅ *¡Agendado Automáticamente!*\n\n📅 {date}\n📌 {summary}',
+        slotOptions: '🗓️ Horarios libres para "{summary}" ({duration} min). ¿Cuál prefieres?',
+        noSlot: '⚠️ No encontré horario libre en los próximos días laborales con estos criterios. Revisa tus reglas en /expediente.'
+    },
+
+    templates: {
+        title: '📋 Tus plantillas de evento',
+        none: '📋 Todavía no tienes plantillas de evento.\n\nCrea una diciendo, por ejemplo: "crea una plantilla Visita de obra: 2h, en Calle de las Flores 100, invitando a ing@obra.com".',
+        hint: 'Úsala por su nombre: "agenda una visita de obra el viernes a las 10". Lo que digas en el pedido vale más que la plantilla. Toca una plantilla para borrarla.',
+        online: '📹 Meet',
+        created: '✅ Plantilla "{name}" creada:',
+        updated: '✅ Plantilla "{name}" actualizada:',
+        usageHint: 'Para usarla: "agenda {name} el viernes a las 10".',
+        deleted: '🗑️ Plantilla "{name}" borrada.',
+        notFound: '🔍 No encontré la plantilla "{name}".',
+        available: 'Tus plantillas: {names}'
+    },
+
+    schedulingRules: {
+        title: '🗓️ Tus reglas para encontrar horario',
+        workDays: '📆 Días laborales: {days}',
+        workHours: '⏰ Horario laboral: {start}–{end}',
+        lunch: '🍽️ Almuerzo: {start}–{end}',
+        noLunch: '🍽️ Almuerzo: sin horario fijo',
+        buffer: { one: '↔️ Intervalo entre compromisos: {count} minuto', other: '↔️ Intervalo entre compromisos: {count} minutos' },
+        noBuffer: '↔️ Intervalo entre compromisos: ninguno',
+        focus: '🎯 Enfoque (no se agenda nada): {blocks}',
+        maxMeetings: { one: '📊 Máximo por día: {count} compromiso', other: '📊 Máximo por día: {count} compromisos' },
+        noMaxMeetings: '📊 Máximo por día: sin límite',
+        none: 'ninguno',
+        hint: 'Para cambiarlas, solo dímelo: "mi horario es de 8 a 17", "deja 15 min entre reuniones", "el martes por la mañana es de enfoque", "como máximo 4 reuniones por día".',
+        updated: '✅ Reglas actualizadas.',
+        reset: '↩️ Volver al estándar',
+        resetDone: 'Reglas restauradas',
+        invalid: {
+            time: '⚠️ No entendí uno de los horarios. Usa el formato 08:30.',
+            workDays: '⚠️ Necesito al menos un día laboral.',
+            workHours: '⚠️ El horario laboral debe terminar después de empezar.',
+            lunch: '⚠️ El almuerzo debe estar dentro del horario laboral y terminar después de empezar.',
+            focus: '⚠️ El bloque de enfoque debe terminar después de empezar.',
+            buffer: '⚠️ El intervalo entre compromisos va de 0 a 240 minutos.',
+            maxMeetings: '⚠️ El máximo por día debe ser al menos 1 (o 0 para quitar el límite).'
+        }
+    },
+
+    meeting: {
+        options: '👥 Horarios libres para todos en "{summary}" con {names} ({duration} min). ¿Cuál prefieres?',
+        none: '❌ Ninguno de estos',
+        defaultSummary: 'Reunión con {names}',
+        noSlot: '😕 No encontré un horario libre en común con {names} en horario laboral. Prueba otro día o una duración menor.',
+        unavailable: '⚠️ No pude ver la agenda de {emails}: para esas personas solo consideré la tuya. La invitación se envía igual.',
+        needEmails: '🤷 Necesito el correo de quienes van a participar:',
+        unknown: '• {name}: no lo encontré en tus reuniones ni en la memoria',
+        ambiguous: '• {name}: puede ser {options}',
+        emailHint: 'Repite el pedido con el correo (ej: "agenda una reunión con lazaro@empresa.com el jueves") o pídeme que guarde el correo.',
+        scheduled: '✅ "{summary}" agendada para {date}. Invitación enviada a {names}.',
+        createError: '❌ Error al agendar la reunión. Inténtalo de nuevo.',
+        expired: '⏱️ Estas opciones expiraron. Pídelo de nuevo y busco horarios actualizados.'
+    },
+
+    rsvp: {
+        title: '📬 Respuestas a tus invitaciones:',
+        accepted: '✅ {name} confirmó asistencia a "{summary}" ({date})',
+        declined: '❌ {name} rechazó "{summary}" ({date})',
+        tentative: '🤔 {name} respondió quizás a "{summary}" ({date})',
+        comment: '   💬 {comment}',
+        statusTitle: '👥 Invitados de "{summary}" ({date})',
+        confirmedCount: { one: '{accepted} de {count} invitado confirmó', other: '{accepted} de {count} invitados confirmaron' },
+        group: {
+            accepted: '✅ Confirmaron: {names}',
+            tentative: '🤔 Quizás: {names}',
+            declined: '❌ Rechazaron: {names}',
+            needsAction: '⏳ Sin respuesta: {names}'
+        },
+        noUpcoming: '📭 No encontré una reunión con invitados en ese período. ¿Qué reunión quieres revisar?'
+    },
+
+    report: {
+        title: '📋 *INFORME {period}* ({date})',
+        incomplete: '⚠️ _Algunos datos pueden estar incompletos por un error en la API._',
+        summary: '📊 *Resumen:*',
+        events: { one: '{count} evento', other: '{count} eventos' },
+        tasks: { one: '{count} tarea', other: '{count} tareas' },
+        cards: { one: '{count} tarjeta en Trello', other: '{count} tarjetas en Trello' },
+        eventsTitle: '📅 *Eventos:*',
+        moreEvents: { one: '_...y {count} evento más_', other: '_...y {count} eventos más_' },
+        noEvents: '📅 _Ningún evento {period}_',
+        tasksTitle: '✅ *Tareas:*',
+        moreTasks: { one: '_...y {count} tarea más_', other: '_...y {count} tareas más_' },
+        trelloTitle: '🗂️ *Trello (Por Hacer):*',
+        noCards: '🗂️ _Ninguna tarjeta pendiente_'
+    },
+
+    tasks: {
+        created: '✅ *Tarea creada:*\n{task}',
+        none: '✅ ¡Ninguna tarea pendiente!',
+        listTitle: '✅ *Tareas ({count}):*',
+        notFound: '⚠️ No encontré ninguna tarea con "{query}".',
+        completed: '✅ ¡Tarea "{title}" completada!',
+        fallbackTitle: 'Procesar manualmente: {preview}...',
+        fallbackNotes: '{reason}. Texto original: {text}'
+    },
+
+    trello: {
+        listNotFoundInbox: '⚠️ Lista "{list}" no encontrada en Trello. Creando en la Bandeja de entrada.',
+        attachmentFailed: '⚠️ Tarjeta creada, pero no pude adjuntar el archivo original.',
+        cardCreated: '✅ *Tarjeta Creada:* [{name}]({url})',
+        askListToClear: '⚠️ ¿Qué lista quieres limpiar? (Ej: "Limpiar la lista Hecho")',
+        listNotFound: '⚠️ Lista "{list}" no encontrada.',
+        listAlreadyEmpty: '✅ ¡La lista "*{list}*" ya está vacía!',
+        archivingCards: { one: '⏳ Archivando {count} tarjeta de la lista "{list}"...', other: '⏳ Archivando {count} tarjetas de la lista "{list}"...' },
+        listCleared: '📦 ¡Todas las tarjetas de la lista "*{list}*" fueron archivadas!',
+        noLists: '🗂️ No se encontraron listas en Trello.',
+        noListNamed: '⚠️ No se encontró ninguna lista con el nombre "{list}".',
+        noCardsFiltered: '🗂️ No se encontraron tarjetas con estos filtros.',
+        cardsFound: '🗂️ *Tarjetas Encontradas ({count})*',
+        boardTitle: '*Tablero de Trello:*',
+        boardLists: '📋 *Listas del Tablero:*',
+        askListName: '⚠️ Necesito el nombre de la lista.',
+        listCreated: '✅ ¡Lista *{name}* creada!',
+        askMoveLists: '⚠️ Necesito las listas de origen y destino.',
+        sourceNotFound: '⚠️ Lista de origen "{list}" no encontrada.',
+        targetNotFound: '⚠️ Lista de destino "{list}" no encontrada.',
+        sourceEmpty: '⚠️ La lista de origen está vacía.',
+        movingCards: { one: '⏳ Moviendo {count} tarjeta de "{from}" a "{to}"...', other: '⏳ Moviendo {count} tarjetas de "{from}" a "{to}"...' },
+        allMoved: '✅ ¡Todas las tarjetas fueron movidas con éxito!',
+        checklistItemAdded: '✅ Elemento "{item}" añadido a la checklist *{checklist}* de la tarjeta "{card}"',
+        cardUpdated: '✅ Tarjeta "{name}" actualizada.',
+        cardArchived: '📦 Tarjeta "{name}" archivada.',
+        commentAdded: '💬 Comentario añadido a "{name}"',
+        askTargetList: '⚠️ Necesito saber a qué lista moverla (Ej: "Mover a Hecho").',
+        listNotFoundAvailable: '⚠️ Lista "{list}" no encontrada.\n📋 Listas disponibles: {available}',
+        cardMoved: '✅ ¡Tarjeta "{name}" movida a *{list}*!',
+        restored: ' (Restaurada del archivo)',
+        labelNotFoundAvailable: '⚠️ Etiqueta "{label}" no encontrada.\n🏷️ Disponibles: {available}',
+        labelAdded: '✅ Etiqueta *{label}* añadida a la tarjeta "{name}"',
+        memberNotFound: '⚠️ Miembro "{member}" no encontrado.',
+        memberAdded: '✅ Miembro *{member}* añadido a la tarjeta "{name}"',
+        confirmDeleteButton: '✅ Sí, borrar',
+        confirmDelete: '⚠️ *¿Seguro que quieres BORRAR PERMANENTEMENTE la tarjeta?*\n\n📌 *{name}*\n\n_¡Esta acción no se puede deshacer!_',
+        searchEmpty: '🔍 No se encontraron tarjetas con "{query}"',
+        searchTitle: '🔍 *Búsqueda: "{query}"*',
+        searchInBoard: ' en {board}',
+        searchCount: { one: '📊 Encontrada: {count} tarjeta', other: '📊 Encontradas: {count} tarjetas' },
+        openInTrello: '🔗 [Abrir en Trello]({url})',
+        description: '📝 *Descripción:*',
+        due: '*Fecha límite:* {date}',
+        labels: '🏷️ *Etiquetas:* {labels}',
+        members: '👥 *Miembros:* {members}',
+        checklists: '☑️ *Checklists:*',
+        attachments: { one: '📎 *Adjuntos:* {count} archivo', other: '📎 *Adjuntos:* {count} archivos' },
+        lastActivity: '🕐 _Última actividad: {date}_',
+        noChecklists: '📌 La tarjeta "*{name}*" no tiene checklists.',
+        noChecklistsPlain: '⚠️ La tarjeta "{name}" no tiene checklists.',
+        noChecklistsToDelete: '⚠️ La tarjeta "*{name}*" no tiene checklists.',
+        checklistsOf: '☑️ *Checklists de "{name}"*',
+        checklistTip: '_Consejo: Di "marca el elemento 1 como hecho en la tarjeta {name}" para marcarlo_',
+        itemNotFound: '⚠️ Elemento "{item}" no encontrado en las checklists de la tarjeta.',
+        itemChecked: '{emoji} Elemento "{item}" marcado como hecho en la tarjeta *{card}*',
+        itemUnchecked: '{emoji} Elemento "{item}" desmarcado en la tarjeta *{card}*',
+        itemRemoved: '🗑️ Elemento "{item}" quitado de la tarjeta *{card}*',
+        noLabels: '⚠️ La tarjeta "{name}" no tiene etiquetas.',
+        labelNotOnCard: '⚠️ Etiqueta "{label}" no encontrada en la tarjeta.\n🏷️ Etiquetas de la tarjeta: {available}',
+        labelRemoved: '✅ Etiqueta *{label}* quitada de la tarjeta "{name}"',
+        noDue: '⚠️ La tarjeta "*{name}*" no tiene fecha límite definida.',
+        dueDelivered: '{emoji} ¡Fecha límite de la tarjeta "*{name}*" marcada como entregada!',
+        dueReopened: '{emoji} ¡Fecha límite de la tarjeta "*{name}*" desmarcada (pendiente)!',
+        askListToRename: '⚠️ ¿Qué lista quieres renombrar?',
+        askNewListName: '⚠️ Necesito el nuevo nombre de la lista.',
+        listRenamed: '✅ ¡Lista "*{from}*" renombrada a "*{to}*"!',
+        askListToArchive: '⚠️ ¿Qué lista quieres archivar?',
+        listArchived: '📦 ¡Lista "*{name}*" archivada con éxito!',
+        noActivity: '📋 La tarjeta "*{name}*" no tiene actividades registradas.',
+        historyOf: '📋 *Historial de "{name}"*',
+        system: 'Sistema',
+        activity: {
+            commented: '💬 Comentó: "{text}"',
+            moved: '📁 Movió a "{list}"',
+            archived: '📦 Archivó la tarjeta',
+            restored: '📂 Restauró la tarjeta',
+            dueCompleted: '✅ Marcó la fecha límite como hecha',
+            dueUncompleted: '⬜ Desmarcó la fecha límite',
+            renamed: '✏️ Renombró de "{name}"',
+            descUpdated: '📝 Actualizó la descripción',
+            dueChanged: '📅 Cambió la fecha límite',
+            updated: '✏️ Actualizó la tarjeta',
+            memberAdded: '👤 Añadió miembro: {name}',
+            memberRemoved: '👤 Quitó miembro: {name}',
+            attached: '📎 Adjuntó: "{name}"',
+            file: 'archivo',
+            checklistAdded: '☑️ Añadió checklist: "{name}"',
+            checklistRemoved: '🗑️ Quitó checklist: "{name}"',
+            item: '{state} Elemento: "{name}"',
+            created: '🆕 Tarjeta creada',
+            labelAdded: '🏷️ Añadió etiqueta: "{name}"',
+            labelRemoved: '🏷️ Quitó etiqueta: "{name}"'
+        },
+        noOverdue: '✅ ¡Ninguna tarjeta vencida! ¡Todo al día! 🎉',
+        overdueTitle: '⏰ *Tarjetas Vencidas ({count})*',
+        overdueLine: { one: '📅 Vencía: {date} (hace {count} día)', other: '📅 Vencía: {date} (hace {count} días)' },
+        listLine: '📁 Lista: {list}',
+        overdueTip: '_Consejo: Di "completa la fecha límite de la tarjeta X" para marcarla como entregada_',
+        statsTitle: '📊 *Estadísticas del Tablero*',
+        statsGeneral: '📋 *General:*',
+        statsTotal: { one: '{count} tarjeta en total', other: '{count} tarjetas en total' },
+        statsLists: { one: '{count} lista ({withCards} con tarjetas)', other: '{count} listas ({withCards} con tarjetas)' },
+        statsDue: '⏰ *Fechas límite:*',
+        statsOverdue: { one: '{count} vencida', other: '{count} vencidas' },
+        statsToday: '{count} vencen hoy',
+        statsWeek: '{count} esta semana',
+        statsDelivered: { one: '{count} entregada', other: '{count} entregadas' },
+        statsNoDue: '{count} sin fecha límite',
+        statsLabels: '🏷️ *Etiquetas:*',
+        cardCount: { one: '{count} tarjeta', other: '{count} tarjetas' },
+        noName: 'sin nombre',
+        withoutLabel: 'Sin etiqueta',
+        statsByList: '📁 *Por Lista:*',
+        overdueTag: { one: ' (⚠️ {count} vencida)', other: ' (⚠️ {count} vencidas)' },
+        checklistNotFound: '⚠️ Checklist "{name}" no encontrada.\n📋 Checklists disponibles: {available}',
+        checklistItems: { one: '{index}. {name} ({count} elemento)', other: '{index}. {name} ({count} elementos)' },
+        whichChecklist: '⚠️ La tarjeta tiene {count} checklists. ¿Cuál quieres borrar?\n\n{available}\n\n_Di "borra la checklist [nombre] de la tarjeta {card}"_',
+        checklistDeleted: { one: '🗑️ ¡Checklist "*{name}*" ({count} elemento) quitada de la tarjeta "*{card}*"!', other: '🗑️ ¡Checklist "*{name}*" ({count} elementos) quitada de la tarjeta "*{card}*"!' }
+    }
+};
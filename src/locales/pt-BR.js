@@ -0,0 +1,992 @@
+/**
+ * Catálogo pt-BR (referência: chaves ausentes nos outros idiomas caem aqui)
+ * - {nome}: valor interpolado pelo t()
+ * - { one, other } (e zero opcional): plural escolhido pelo params.count
+ */
+
+module.exports = {
+    locale: 'pt-BR',
+
+    language: {
+        name: '🇧🇷 Português',
+        aiInstruction: 'Responda ao usuário (mensagens de chat) em português do Brasil.',
+        choose: '🌐 *Idioma*\n\nEscolha o idioma das minhas respostas:',
+        current: '_Atual: {name}_',
+        changed: '✅ Pronto! Vou responder em português.',
+        invalid: '⚠️ Idioma não suportado.'
+    },
+
+    common: {
+        cancel: '❌ Cancelar',
+        back: '⬅️ Voltar',
+        no: '❌ Não',
+        operationCancelled: 'Operação cancelada',
+        dismissed: '👍 Ok, deixei pra lá.',
+        processing: '⏳ Processando...',
+        listExpired: '⚠️ Lista expirada',
+        unknownError: 'Erro desconhecido',
+        internalError: 'Ocorreu um erro interno. Tente novamente.',
+        technicalError: '❌ Erro técnico: {error}. Tente reformular o pedido.',
+        cardNotFound: '⚠️ Card não encontrado.',
+        eventNotFound: '⚠️ Evento não encontrado.',
+        confirm: '✅ Confirmar'
+    },
+
+    keyboard: {
+        today: '📅 Agenda de Hoje',
+        week: '📅 Agenda da Semana',
+        trello: '🗂️ Meu Trello',
+        memory: '🧠 Minha Memória',
+        refresh: '🔄 Atualizar Tudo'
+    },
+
+    dates: {
+        today: 'Hoje',
+        tomorrow: 'Amanhã',
+        yesterday: 'Ontem',
+        nextWeekday: '{weekday} que vem',
+        allDaySuffix: '{date} (dia todo)',
+        atTime: '{date} às {time}',
+        allDay: 'Dia todo',
+        inDays: { one: 'em {count} dia', other: 'em {count} dias' },
+        inHours: 'em {count}h',
+        inMinutes: 'em {count} min',
+        now: 'agora',
+        past: 'passou',
+        untitled: 'Sem título',
+        // Formatos do Luxon
+        hourFormat: "H'h'",
+        hourMinuteFormat: "H'h'mm",
+        dayMonth: 'dd/MM',
+        dayMonthYear: 'dd/MM/yyyy',
+        dayMonthWeekday: 'dd/MM (cccc)',
+        weekdayDayMonth: 'cccc, dd/MM',
+        weekdayDayMonthTime: "cccc, dd/MM 'às' HH:mm",
+        shortWeekdayDayMonth: 'ccc dd/MM',
+        dateTime: 'dd/MM/yyyy HH:mm:ss',
+        dayMonthTime: 'dd/MM HH:mm',
+        time: 'HH:mm'
+    },
+
+    suggestions: {
+        title: '💡 _Sugestões:_',
+        addMeet: '📹 Add Meet',
+        description: '📝 Descrição',
+        location: '📍 Local',
+        extraReminder: '⏰ +Lembrete',
+        cardTitle: '💡 _Quer completar o card?_',
+        addChecklist: '☑️ Add Checklist',
+        setDue: '📅 Definir Prazo',
+        addDescription: '📝 Add Descrição',
+        addLabel: '🏷️ Add Etiqueta',
+        forceSchedule: '✅ Forçar Agendamento',
+        scopeSingle: '📅 Só esta',
+        scopeFollowing: '⏭️ Esta e as seguintes',
+        scopeAll: '🔄 Todas'
+    },
+
+    scheduler: {
+        morningTitle: '☀️ *Bom dia! Resumo de hoje ({date}):*',
+        summaryTitle: '📊 *Resumo:*',
+        pendingEvents: { one: '{count} evento pendente', other: '{count} eventos pendentes' },
+        tasksToday: { one: '{count} tarefa para hoje', other: '{count} tarefas para hoje' },
+        trelloCards: { one: '{count} card no Trello', other: '{count} cards no Trello' },
+        nothingPending: '🎉 Nada pendente. Você está livre!',
+        appointments: '📅 *Compromissos:*',
+        tasks: '✅ *Tarefas:*',
+        moreTasks: { one: '...e mais {count} tarefa', other: '...e mais {count} tarefas' },
+        urgentCards: '🗂️ *Trello (🚨 Urgentes):*',
+        afternoonTitle: '🕑 *Check das 14h:*',
+        nextEvents: '📅 *Próximos Eventos:*',
+        urgentCardsCount: '🗂️ *Trello 🚨 Urgentes ({count}):*',
+        allClear: '✅ Tudo limpo por enquanto!',
+        reminder: '🔔 *Daqui a {minutes} min:*',
+        join: '📹 Entrar',
+        phrases: [
+            '"O sucesso é a soma de pequenos esforços repetidos dia após dia." 💪',
+            '"Não pare até se orgulhar." 🚀',
+            '"A disciplina é a mãe do êxito." 🎯',
+            '"Foco na meta!" 🏹',
+            '"Você é capaz de coisas incríveis." ✨',
+            '"Vamos fazer acontecer!" 🔥',
+            '"Um passo de cada vez." 👣',
+            '"Acredite no seu potencial." 💡',
+            '"Persistência é o caminho do êxito." 🛣️'
+        ]
+    },
+
+    rateLimit: {
+        wait: '⏳ Espere {seconds}s antes de enviar mais mensagens.',
+        blocked: '🚫 Muitas mensagens! Espere {seconds}s.'
+    },
+
+    conflict: {
+        title: '⚠️ *Conflito Detectado!*',
+        wanted: 'Você quer agendar: *{summary}*',
+        existing: 'Mas você já tem:',
+        suggestionsTitle: '💡 *Sugestões de horários:*',
+        question: '_Quer forçar o agendamento ou escolher outro horário?_',
+        minutesBefore: '{count} min antes',
+        suggested: 'Horário sugerido',
+        minutesAfter: '{count} min depois',
+        creating: '📅 Criando evento...',
+        lostData: '⚠️ Dados do evento perdidos. Por favor, tente novamente.',
+        scheduledWithConflict: '✅ *Agendado (com conflito):* {summary}\n📅 {date}',
+        scheduled: '✅ *Agendado:* {summary}\n📅 {date}',
+        createError: '❌ Erro ao criar evento.',
+        cancelledToast: 'Agendamento cancelado',
+        notCreated: '👍 Ok, evento não criado.',
+        invalidSuggestion: '⚠️ Sugestão inválida.'
+    },
+
+    slots: {
+        'create_event.start': '⏰ Para quando? Me diga o dia e o horário (ex: "amanhã às 15h").',
+        'create_event.summary': '📝 Qual o título do evento?',
+        'find_meeting_time.attendees': '👥 Com quem é a reunião? Me diga os nomes ou e-mails.',
+        'trello_create.name': '📝 Qual o nome do card?',
+        'trello_move.list': '📋 Para qual lista devo mover?',
+        'task_create.title': '📝 Qual a tarefa?',
+        query: '🔍 Qual item? Me diga o nome.',
+        start: '⏰ Qual o horário?',
+        email: '📧 Qual o e-mail?',
+        member: '👤 Qual membro?',
+        due: '📅 Qual o prazo?',
+        missingDescribed: '❓ Faltou: {description}. Pode me dizer?',
+        missingField: '❓ Faltou o campo "{field}". Pode me dizer?',
+        answerHint: '_Responda aqui ou diga "cancelar"._',
+        alsoMissing: '⚠️ Também faltou informação para "{tipo}". Me peça de novo depois de responder a pergunta acima.',
+        expired: '⏱️ Esse pedido já tinha expirado.'
+    },
+
+    choice: {
+        question: '🤔 *Fiquei em dúvida.* Qual destas você quis dizer?',
+        none: '❌ Nenhuma delas',
+        chosen: '👉 {label}',
+        rephrase: '👍 Ok! Me diga de outro jeito o que você precisa.',
+        expired: '⏱️ Essa escolha já expirou. Pode repetir o pedido?',
+        alsoUnclear: '⚠️ Também fiquei em dúvida sobre outro pedido seu. Repita depois de escolher acima.'
+    },
+
+    fastPath: {
+        greeting: '👋 Oi! Como posso ajudar? Agenda, Trello, tarefas ou memória, é só pedir.',
+        thanks: '😊 Por nada! Precisando, é só chamar.',
+        ack: '👍'
+    },
+
+    access: {
+        denied: '🚫 Acesso negado. Seu ID é: {userId}'
+    },
+
+    googleAuth: {
+        userExpired: '🔑 Sua conexão com o Google expirou ou foi revogada. Reconecte para continuar usando a agenda:',
+        globalExpiredAdmin: '🔑 A conta Google do servidor foi desconectada (token expirado ou revogado). Reconecte para restaurar a agenda:',
+        globalUnavailable: '🔑 A conexão com o Google está temporariamente indisponível. Os administradores já foram avisados.\n_Você também pode usar a sua própria conta com /conectar_google._',
+        relinkUser: '🔐 Reconectar Google',
+        relinkGlobal: '🔐 Reconectar conta do servidor',
+        missingClient: '🔑 GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET não configurados. Contate o administrador.',
+        missingEncryption: '🔑 TOKEN_ENCRYPTION_KEY não configurada. Contate o administrador.',
+        missingEncryptionToast: '🔑 TOKEN_ENCRYPTION_KEY não configurada',
+        connectTitle: '🔗 *Conectar conta Google*',
+        connectInstructions: 'Toque no botão abaixo, escolha sua conta e autorize o acesso à agenda.',
+        linkExpires: '_O link é pessoal e expira em {minutes} minutos._',
+        willReplace: '⚠️ Você já tem uma conta conectada; ela será substituída.',
+        authorize: '🔐 Autorizar no Google',
+        notConnected: 'ℹ️ Você não tem conta Google conectada (usando a conta global do servidor).',
+        disconnected: '🔌 Conta Google desconectada. Para conectar de novo, use /conectar_google.',
+        adminOnly: '🚫 Apenas administradores podem reconectar a conta do servidor',
+        reauthorize: '🔗 Autorize novamente no Google (link válido por {minutes} minutos):',
+        linkedGlobal: '✅ Conta Google do servidor reconectada! A agenda voltou a funcionar para todos.',
+        linkedUser: '✅ Conta Google conectada! A partir de agora sua agenda é usada nas suas mensagens. Use /agendas para escolher quais agendas acompanhar.',
+        alertGlobal: '🚨 *Google desconectado*\n\nO token da conta do servidor expirou ou foi revogado. Agenda e lembretes estão parados até reconectar.',
+        alertUser: '🚨 *Google desconectado*\n\nSua conexão com o Google expirou ou foi revogada. Reconecte para voltar a usar sua agenda.'
+    },
+
+    start: {
+        welcome: '👋 Olá! Sou seu Assistente Supremo!\n\nPosso ajudar com:\n📅 Google Calendar\n🗂️ Trello\n🧠 Guardar informações\n\nDigite /ajuda para ver exemplos ou use os botões abaixo! 👇'
+    },
+
+    api: {
+        checking: '🔍 Verificando status dos serviços...',
+        error: '❌ Erro ao verificar status.',
+        title: '📊 *Status do Sistema*',
+        ai: '🧠 *Inteligência Artificial*',
+        model: 'Modelo',
+        status: 'Status',
+        online: '✅ Online',
+        offline: '❌ Offline',
+        notConfigured: '_não configurado_',
+        providerCalls: '{calls} chamadas, {failures} falhas',
+        usageToday: 'Hoje',
+        usageMonth: 'Mês',
+        activeSessions: 'Sessões Ativas',
+        transcription: 'Transcrição de Voz',
+        fastPath: 'Atalho Local',
+        promptCache: 'Cache do Prompt',
+        promptCacheStats: '{rate}% da entrada hoje ({tokens} tokens)',
+        fastPathStats: '{hits} de {total} ({rate}%) · ~{saved}s economizados',
+        trelloConfigure: '❌ Configurar .env',
+        lastRequest: 'Último Request',
+        noRecentData: '_(sem dados recentes)_',
+        cachedCards: 'Cards no Cache',
+        googleTitle: '📅 *Google Services*',
+        googleError: '❌ Erro',
+        authenticated: 'Autenticado',
+        yes: '✅ Sim',
+        no: '❌ Não',
+        account: 'Conta',
+        accountUser: 'Sua (conectada via /conectar_google)',
+        accountGlobal: 'Global do servidor',
+        needsReauth: '⚠️ Precisa reconectar (token expirado/revogado)',
+        errorLabel: 'Erro',
+        cachedEvents: 'Eventos no Cache',
+        cacheTitle: '📦 *Cache*',
+        lastUpdate: 'Última Atualização',
+        age: 'Idade',
+        notInitialized: '⚠️ Não inicializado',
+        memoryTitle: '🧠 *Memória (Knowledge Base)*',
+        savedItems: 'Itens Salvos',
+        categories: 'Categorias',
+        scheduledTitle: '⏰ *Tarefas Agendadas*',
+        morningSummary: 'Resumo Matinal',
+        afternoonCheck: 'Check da Tarde',
+        eventReminder: 'Lembrete Eventos',
+        minutesBefore: '{minutes} min antes',
+        cacheRefresh: 'Refresh Cache',
+        everyMinutes: 'a cada {minutes} min',
+        serverTitle: '⚙️ *Servidor*',
+        rssMemory: 'Memória RSS',
+        platform: 'Plataforma'
+    },
+
+    help: {
+        menu: '🤖 *Assistente Supremo - Ajuda*\n\nEscolha uma categoria abaixo para ver exemplos de comandos:',
+        eventsButton: '📅 Eventos (Calendar)',
+        tasksButton: '✅ Tarefas (Google Tasks)',
+        trelloButton: '🗂️ Trello',
+        memoryButton: '🧠 Memória',
+        tipsButton: '💡 Dicas Gerais',
+        commandsButton: '⚡ Comandos Disponíveis',
+        events: `📅 *Eventos (Google Calendar)*
+
+*Criar:*
+• "Reunião amanhã às 14h"
+• "Consulta dia 15 às 10h"
+• "Call online com cliente sexta"
+• "Yoga toda terça às 7h" (recorrente)
+• "Na agenda da família: almoço domingo 12h"
+
+*Listar:*
+• "O que tenho hoje?"
+• "Agenda da semana"
+• "Próximos compromissos"
+• "O que tenho na agenda da obra?"
+
+*Editar:*
+• "Muda a reunião para 16h"
+• "Cancela a consulta de amanhã"
+• "Marcar reunião como concluída"
+• "A partir de agora a daily é às 10h" (recorrente: só esta, esta e as seguintes ou todas)
+
+*Dica:* Diga "online" para criar link do Meet automaticamente! 📹`,
+        trello: `🗂️ *Trello (Projetos)*
+
+*Criar:*
+• "Criar card Bug no login"
+• "Card: Refatorar módulo com checklist: testes, deploy"
+
+*Listar e Buscar:*
+• "Listar cards" / "Meu board"
+• "Procura cards sobre relatório" 🔍
+• "Cards atrasados" / "Cards vencidos" ⏰
+• "Estatísticas do trello" 📊
+
+*Ver Detalhes:*
+• "Detalhes do card X"
+• "Checklists do card X"
+• "Histórico do card X" 📋
+
+*Gerenciar Cards:*
+• "Mover Bug no login para Feito"
+• "Adicionar etiqueta Urgente no card X"
+• "Remover etiqueta do card X"
+• "Arquivar card X"
+• "Deletar card X" 🗑️
+• "Concluir prazo do card X" ✅
+
+*Checklists:*
+• "Marca item 1 como feito no card X" ✅
+• "Desmarca item Deploy no card X"
+• "Remove item 2 do card X"
+• "Deletar checklist do card X" 🗑️
+
+*Listas:*
+• "Listar listas do board"
+• "Criar lista Sprint 2"
+• "Renomear lista X para Y" ✏️
+• "Arquivar lista Concluídos" 📦
+
+*Dica:* Use Trello para tarefas maiores que precisam de rastreamento e subtarefas!`,
+        tasks: `✅ *Tarefas (Google Tasks)*
+
+*Criar:*
+• "Lembrar de comprar ração"
+• "Preciso pagar o boleto até sexta"
+
+*Listar:*
+• "Quais minhas tarefas?"
+
+*Concluir:*
+• "Já paguei o boleto"
+
+*Dica:* Tarefas com horário marcado viram evento; projetos com checklist vão para o Trello. Mensagens que eu não conseguir entender viram a tarefa "Processar manualmente" 📝`,
+        tips: `💡 *Dicas Gerais*
+
+*Entendo linguagem natural:*
+• "amanhã às 14h" ✅
+• "semana que vem" ✅
+• "toda segunda às 9h" ✅
+
+*Pedido incompleto?* 🧩
+• "Reunião amanhã" → eu pergunto o horário e completo o pedido
+• Responda "cancelar" para desistir
+
+*Mensagens de voz:* 🎙️
+• Mande um áudio e eu transcrevo e executo como se fosse texto
+
+*Fotos e PDFs:* 📷
+• Foto de convite → evento na agenda
+• Foto do quadro branco → card no Trello (com a foto anexada)
+• Foto de recibo → guardo na memória
+• Use a legenda para dizer o que fazer: "cria um card disso"
+
+*Múltiplas ações:*
+• "Agendar daily às 9h e criar card no Trello revisar métricas"
+
+*Correções rápidas:*
+• Depois de criar algo, diga "muda para 15h" e eu entendo!
+
+*Emojis de status:*
+• 🟢 Evento confirmado
+• 🟡 Evento próximo (< 1h)
+• 📹 Evento online
+• 🔄 Evento recorrente
+
+*Resumos automáticos:*
+• 08:00 - Resumo do dia (eventos, tarefas e cards urgentes)
+• 14:00 - Check da tarde
+• 15 min antes - Lembrete de eventos`,
+        memory: `🧠 *Memória (Segundo Cérebro)*
+
+*Guardar informação:*
+• "Guarda aí: a senha do wifi é 1234"
+• "Lembra que o código do portão é 4590"
+• "Anota: a ração do cachorro é Premium"
+
+*Consultar:*
+• "Qual a senha do wifi?"
+• "Qual o código do portão?"
+• "Qual a marca da ração?"
+
+*Listar tudo:*
+• "O que você lembra?"
+• "Lista minhas memórias"
+
+*Dica:* Use para guardar senhas, códigos, contatos e qualquer informação útil! 📝`,
+        commands: `⚡ *Comandos Disponíveis*
+
+/start — Inicia o bot e mostra menu principal
+/ajuda — Exibe este menu de ajuda com todas as categorias
+/api — Mostra status detalhado de todos os serviços (IA, Trello, Google, Cache, Servidor)
+/desfazer — Desfaz a última ação realizada (criar evento, criar card, etc)
+/esquecer — Apaga o histórico e o resumo da nossa conversa
+/uso — Mostra seus tokens e custo estimado da IA (hoje, mês e orçamento)
+/agendas — Escolhe quais agendas do Google o bot acompanha
+/quadro — Escolhe o quadro do Trello ativo e quais aparecem nos resumos
+/conectar_google — Conecta a sua conta Google (cada usuário usa a própria agenda)
+/desconectar_google — Remove a sua conta Google do bot
+/idioma — Escolhe o idioma das respostas (português, inglês ou espanhol)
+/expediente — Mostra suas regras para achar horário (expediente, almoço, intervalo, foco)
+/modelos — Lista e apaga seus modelos de evento ("Visita de obra", "1:1")
+
+📱 *Botões Rápidos (teclado fixo):*
+• 📅 Agenda de Hoje
+• 📅 Agenda da Semana
+• 🗂️ Meu Trello
+• 🧠 Minha Memória
+• 🔄 Atualizar Tudo
+
+_Dica: Você também pode digitar qualquer coisa em linguagem natural ou mandar um áudio!_ 💬🎙️`
+    },
+
+    undo: {
+        nothing: '🔙 Nenhuma ação recente para desfazer.',
+        eventRemoved: '🔙 Evento "{summary}" foi removido.',
+        eventUncompleted: '🔙 Evento "{summary}" desmarcado como concluído.',
+        cardRemoved: '🔙 Card "{name}" foi removido.',
+        cardRestored: '🔙 Card "{name}" foi restaurado.',
+        unsupported: '⚠️ Não é possível desfazer a ação "{type}".',
+        error: '❌ Erro ao desfazer: {error}'
+    },
+
+    forget: {
+        done: '🧹 Pronto, esqueci nossa conversa (histórico recente, resumo e pessoas/cards/eventos citados).\n\n_As informações guardadas na 🧠 Memória continuam lá._',
+        nothing: '🧹 Não há nada da nossa conversa para esquecer.'
+    },
+
+    usage: {
+        title: '📊 *Seu uso da IA*',
+        today: 'Hoje',
+        month: 'Mês',
+        totals: '{requests} chamadas · {tokens} tokens · US$ {cost}',
+        lastDays: '📅 *Últimos 7 dias:*',
+        dayLine: { one: '{label}: {count} chamada · US$ {cost}', other: '{label}: {count} chamadas · US$ {cost}' },
+        byTipo: '🏷️ *Por tipo de pedido (mês):*',
+        byModel: '🤖 *Por modelo (mês):*',
+        budget: '💰 *Orçamento:*',
+        softLimit: 'aviso US$ {value}',
+        hardLimit: 'limite US$ {value}',
+        economyActive: '_Limite atingido: usando o modelo econômico até o próximo período._',
+        footer: '_Custos estimados pela tabela de preços de cada modelo._',
+        noticeHard: '📉 *Limite de uso {period} atingido* ({spent}).\nSigo funcionando, mas com um modelo mais econômico. Veja detalhes em /uso.',
+        noticeSoftDay: '⚠️ *Aviso de uso:* você já gastou {spent} hoje. Veja detalhes em /uso.',
+        noticeSoftMonth: '⚠️ *Aviso de uso:* você já gastou {spent} neste mês. Veja detalhes em /uso.',
+        periodDay: 'de hoje',
+        periodMonth: 'do mês',
+        spentOf: 'US$ {spent} de US$ {limit}'
+    },
+
+    calendars: {
+        title: '🗓️ *Suas agendas*',
+        instructions: 'Toque para ativar/desativar. As agendas ativas aparecem nas listagens, nos resumos e na checagem de conflitos.',
+        defaultHint: '_Novos eventos vão para a primeira agenda ativa, a menos que você cite outra ("na agenda da obra")._',
+        primary: '{name} (principal)',
+        none: '⚠️ Nenhuma agenda encontrada na sua conta Google.',
+        listError: '❌ Erro ao listar agendas: {error}',
+        expired: '⚠️ Lista de agendas expirada. Envie /agendas novamente.',
+        keepOne: '⚠️ Mantenha pelo menos uma agenda ativa',
+        enabled: '✅ {name} ativada',
+        disabled: '⬜ {name} desativada',
+        notFound: '⚠️ Não encontrei a agenda "{query}". Use /agendas para ver as disponíveis.'
+    },
+
+    boards: {
+        title: '🗂️ *Seus quadros do Trello*',
+        activeHint: 'Toque no nome para torná-lo o *quadro ativo* (📍): é nele que os cards são criados e buscados.',
+        followHint: 'Use 👁️ para escolher quais quadros aparecem nos resumos e nas buscas.',
+        mentionHint: '_Você também pode citar outro quadro na mensagem ("cria um card no quadro da obra")._',
+        none: '⚠️ Nenhum quadro aberto encontrado na conta do Trello.',
+        listError: '❌ Erro ao listar quadros: {error}',
+        expired: '⚠️ Lista de quadros expirada. Envie /quadro novamente.',
+        active: '📍 {name} é o quadro ativo',
+        keepOne: '⚠️ Acompanhe pelo menos um quadro',
+        following: '👁️ Acompanhando {name}',
+        unfollowed: '⬜ {name} fora dos resumos',
+        notFound: '⚠️ Não encontrei o quadro "{query}". Use /quadro para ver os disponíveis.'
+    },
+
+    confirmation: {
+        expired: '⚠️ Esta confirmação expirou ou já foi processada.',
+        error: '❌ Erro ao executar: {error}',
+        cancelledToast: 'Ação cancelada',
+        cancelled: '❌ Ação cancelada.',
+        eventsCompleted: { one: '✅ {count} evento marcado como concluído!', other: '✅ {count} eventos marcados como concluídos!' },
+        creatingSeries: '🔁 Série confirmada, criando...',
+        unsupported: '⚠️ Tipo de confirmação não suportado.'
+    },
+
+    quick: {
+        todayTitle: '📅 *Hoje*',
+        todayEmpty: '✨ Nenhum evento agendado para hoje!',
+        todayAgenda: '📅 *Agenda de Hoje ({date})*',
+        weekTitle: '📅 *Próximos 7 dias*',
+        weekEmpty: '✨ Nenhum evento agendado!',
+        weekAgenda: '📅 *Agenda da Semana*',
+        agendaError: '❌ Erro ao buscar agenda.',
+        trelloTitle: '🗂️ *Trello*',
+        trelloEmpty: '📭 Nenhuma lista encontrada.',
+        myTrello: '🗂️ *Meu Trello*',
+        emptyList: '_(vazia)_',
+        trelloError: '❌ Erro ao buscar Trello.',
+        refreshing: '🔄 Atualizando cache...',
+        refreshed: '✅ Cache atualizado! Dados sincronizados com Google e Trello.',
+        refreshError: '❌ Erro ao atualizar cache.',
+        memoryTitle: '🧠 *Memória*',
+        memoryEmpty: '📭 Nenhuma informação guardada ainda.\n\n_Dica: Diga "Guarda aí: ..." para salvar algo!_',
+        myMemory: '🧠 *Minha Memória*',
+        memoryError: '❌ Erro ao buscar memória.'
+    },
+
+    knowledge: {
+        categories: {
+            pessoal: 'Pessoal',
+            casa: 'Casa',
+            trabalho: 'Trabalho',
+            geral: 'Geral'
+        },
+        total: { one: '_Total: {count} informação_', other: '_Total: {count} informações_' },
+        saved: '🧠 *Guardado!*',
+        category: '🏷️ Categoria: _{category}_',
+        notFound: '🔍 Não encontrei nada sobre "{query}" na memória.\n\n_Dica: Use "Guarda aí: ..." para salvar informações._',
+        found: '🧠 *Encontrei!*',
+        update: '✏️ Atualizar',
+        delete: '🗑️ Deletar',
+        emptyCategory: '🧠 Nenhuma informação guardada na categoria "{category}".\n\n_Dica: Use "Guarda aí: ..." para salvar informações._',
+        empty: '🧠 Nenhuma informação guardada.\n\n_Dica: Use "Guarda aí: ..." para salvar informações._',
+        title: '🧠 *Memória*',
+        deleting: '🗑️ Deletando...',
+        deleted: '🗑️ Informação deletada da memória.',
+        missing: '⚠️ Informação não encontrada.',
+        deleteError: '❌ Erro ao deletar.',
+        askNewValue: '✏️ Digite o novo valor para esta informação:',
+        updated: '✅ Informação atualizada com sucesso!',
+        missingForUpdate: '⚠️ Informação não encontrada para atualizar.',
+        updateError: '❌ Erro ao atualizar informação.',
+        keyDeleted: '🗑️ Informação "{key}" deletada da memória.',
+        keyNotFound: '⚠️ Não encontrei "{key}" na memória.'
+    },
+
+    eventActions: {
+        addingMeet: '📹 Adicionando link do Meet...',
+        meetLink: '\n📹 Link: {link}',
+        meetAdded: '✅ Link do Meet adicionado ao evento!{link}',
+        meetError: '❌ Erro ao adicionar Meet',
+        scopeSingle: 'só esta ocorrência',
+        scopeFollowing: 'esta e as próximas ocorrências',
+        scopeAll: 'todas as ocorrências',
+        editTime: '🕐 Mudar Horário',
+        editTitle: '📝 Mudar Título',
+        editLocation: '📍 Mudar Local',
+        markComplete: '✅ Marcar Concluído',
+        scopeInfo: '\n🔁 Alterações valem para: _{scope}_\n',
+        editMenu: '✏️ *O que você quer editar?*\n{scopeInfo}\nEscolha uma opção abaixo:',
+        recurringEdit: '🔁 *Este evento se repete.*\n\nA edição deve valer para quais ocorrências?',
+        askTime: '🕐 *Editar Horário*\n\nDigite o novo horário no formato natural:\n\n_Exemplo: "amanhã às 15h" ou "14:30"_',
+        askTitle: '📝 *Editar Título*\n\nDigite o novo título para o evento:',
+        askLocation: '📍 *Editar Local*\n\nDigite o novo local do evento:\n\n_Exemplo: "Sala 3" ou "Rua X, 123"_',
+        completing: '✅ Marcando como concluído...',
+        completed: '✅ Evento "{summary}" marcado como concluído!',
+        completeError: '❌ Erro ao marcar como concluído',
+        recurringDelete: '🔁 *Este evento se repete.*\n\nO que você quer cancelar? Esta ação não pode ser desfeita.',
+        confirmDeleteButton: '✅ Sim, cancelar',
+        confirmDelete: '⚠️ *Tem certeza que deseja cancelar este evento?*\n\nEsta ação não pode ser desfeita.',
+        deleting: '🗑️ Cancelando evento...',
+        deleted: '🗑️ Evento cancelado com sucesso!',
+        deleteError: '❌ Erro ao cancelar evento.',
+        kept: '👍 Ok, evento mantido!',
+        deletedScope: '🗑️ Evento cancelado ({scope}).',
+        updateExpired: '⚠️ Essa alteração expirou. Peça novamente.',
+        updating: '✏️ Atualizando...',
+        updatedScope: '✅ Evento "{summary}" atualizado ({scope})!',
+        recurringError: '❌ Erro ao alterar evento recorrente.',
+        backHint: '👍 Ok! Use os botões abaixo para outras ações.',
+        titleUpdated: '✅ Título atualizado!',
+        locationUpdated: '✅ Local atualizado!',
+        timeEditCancelled: '👍 Edição de horário cancelada.',
+        timeUpdated: '✅ Horário atualizado para {date}!',
+        timeNotUnderstood: '⚠️ Não consegui entender o novo horário. Tente novamente (ex: "amanhã às 15h") ou digite "cancelar" para sair.',
+        updateError: '❌ Erro ao atualizar evento.'
+    },
+
+    trelloActions: {
+        askChecklist: '☑️ Digite os itens da checklist separados por vírgula (ex: "item 1, item 2"):',
+        askDue: '📅 Digite o prazo para este card (ex: "amanhã", "sexta às 18h", "dia 15"):',
+        askDesc: '📝 Digite a descrição para o card:',
+        askLabel: '🏷️ Digite o nome ou cor da etiqueta (ex: "urgente", "red"):',
+        checklistAdded: '✅ Checklist adicionada!',
+        dueNotUnderstood: '⚠️ Não entendi a data. Tente "sexta às 18h", "dia 15" ou 25/03/2026.',
+        dueSet: '✅ Prazo definido para {date}!',
+        descUpdated: '✅ Descrição atualizada!',
+        labelAdded: '✅ Etiqueta *{label}* adicionada!',
+        labelNotFound: '⚠️ Etiqueta não encontrada.',
+        updateError: '❌ Erro ao atualizar card.',
+        deleting: '🗑️ Deletando card...',
+        deleted: '🗑️ Card "{name}" deletado permanentemente.',
+        deleteError: '❌ Erro ao deletar card.',
+        kept: '👍 Ok, card mantido!'
+    },
+
+    media: {
+        voiceTooLong: '⚠️ Áudio muito longo. Envie mensagens de até {minutes} minutos.',
+        voiceTooBig: '⚠️ Áudio muito grande para processar.',
+        transcriptionError: '❌ Não consegui transcrever o áudio. Tente novamente ou digite a mensagem.',
+        notUnderstood: '🎙️ Não consegui entender o áudio. Pode repetir ou digitar?',
+        transcript: '🎙️ _Entendi:_ "{text}"',
+        transcriptPlain: '🎙️ Entendi: "{text}"',
+        unsupportedFile: '⚠️ Só consigo ler imagens e PDFs por enquanto.',
+        fileTooBig: '⚠️ Arquivo muito grande para processar (máx. 20MB).',
+        analyzing: '🔍 Analisando arquivo...',
+        fileError: '❌ Erro ao processar o arquivo: {error}',
+        transcriptionPrompt: 'Transcreva fielmente este áudio, provavelmente em português do Brasil, no idioma em que foi falado. Responda APENAS com o texto falado, sem comentários, aspas ou marcações. Se o áudio estiver vazio ou inaudível, responda exatamente: {marker}'
+    },
+
+    ai: {
+        notUnderstood: '❌ Desculpe, não entendi. Pode reformular?',
+        quota: '⚠️ Limite de uso atingido. Tente novamente em alguns minutos.',
+        quotaReason: 'Limite de uso da IA atingido',
+        config: '🔑 Problema de configuração. Contate o administrador.',
+        configReason: 'Configuração da IA inválida',
+        technical: '❌ Desculpe, tive um problema técnico. Tente novamente?',
+        technicalReason: 'Erro ao processar com IA'
+    },
+
+    schedulingWarnings: {
+        noStart: 'Horário não especificado',
+        invalidDate: 'Data inválida: {reason}',
+        invalidDateHint: 'verifique dia/mês/ano',
+        past: 'Não é possível agendar no passado',
+        earlyMorning: '⏰ Evento marcado para madrugada',
+        lateNight: '🌙 Evento marcado para tarde da noite',
+        weekend: '📅 Evento no fim de semana',
+        invalidEnd: '⚠️ Data de término inválida, usando 1h de duração',
+        long: { one: '⏱️ Evento longo ({count} hora)', other: '⏱️ Evento longo ({count} horas)' }
+    },
+
+    rrule: {
+        errors: {
+            empty: 'Regra de recorrência vazia',
+            noValue: 'Parâmetro sem valor: "{part}"',
+            unsupported: 'Parâmetro não suportado: {key}',
+            repeated: 'Parâmetro repetido: {key}',
+            frequency: 'Frequência não suportada: {value} (use diária, semanal, mensal ou anual)',
+            positiveInteger: '{key} deve ser um número inteiro positivo',
+            numbers: '{key} deve conter números (recebido "{item}")',
+            outOfRange: '{key} fora do intervalo permitido ({item})',
+            until: 'UNTIL inválido ("{value}"). Use AAAAMMDD ou AAAAMMDDTHHMMSSZ',
+            byDay: 'Dia da semana inválido em BYDAY: "{item}"',
+            byDayPosition: 'Posição inválida em BYDAY: "{item}"',
+            wkst: 'WKST inválido: {value}',
+            freqRequired: 'FREQ é obrigatório (ex: FREQ=WEEKLY)',
+            countAndUntil: 'Use COUNT ou UNTIL, não os dois',
+            ordinalFrequency: 'Posição em BYDAY (ex: 1MO) só vale para regras mensais ou anuais',
+            monthDayWeekly: 'BYMONTHDAY não pode ser usado em regras semanais',
+            setPos: 'BYSETPOS precisa de BYDAY ou BYMONTHDAY',
+            line: 'Linha de recorrência inválida',
+            date: 'Data inválida em "{line}"',
+            noRule: 'Nenhuma RRULE encontrada',
+            multipleRules: 'Use apenas uma RRULE por evento'
+        },
+        // Descrição da regra ("toda segunda e quarta, até 15/12")
+        weekdays: { MO: 'segunda', TU: 'terça', WE: 'quarta', TH: 'quinta', FR: 'sexta', SA: 'sábado', SU: 'domingo' },
+        // Dias que pedem artigo e ordinal masculinos ("todo sábado", "no último domingo")
+        masculineDays: ['SA', 'SU'],
+        and: ' e ',
+        daily: { one: 'todo dia', other: 'a cada {count} dias' },
+        weekly: { one: 'toda semana', other: 'a cada {count} semanas' },
+        monthly: { one: 'todo mês', other: 'a cada {count} meses' },
+        yearly: { one: 'todo ano', other: 'a cada {count} anos' },
+        everyWorkday: 'todo dia útil',
+        onWorkdays: 'em dias úteis',
+        everyWeekend: 'todo fim de semana',
+        onWeekend: 'no fim de semana',
+        every: { m: 'todo {days}', f: 'toda {days}' },
+        on: { m: 'no {days}', f: 'na {days}' },
+        onOrdinal: { m: 'no {days}', f: 'na {days}' },
+        // Ordinais por extenso (1, 2, 3...); sem eles, usa o formato abaixo
+        ordinalWords: [],
+        ordinal: { m: '{n}º', f: '{n}ª' },
+        last: { m: 'último', f: 'última' },
+        fromEnd: { m: '{n}º de trás pra frente', f: '{n}ª de trás pra frente' },
+        nthWorkday: 'no {ordinal} dia útil',
+        lastDay: 'no último dia',
+        monthDayFromEnd: '{n}º antes do fim',
+        onMonthDay: 'no dia {days}',
+        onDayOfMonths: 'em {day} de {months}',
+        ofMonths: '{part} de {months}',
+        onDate: 'em {date}',
+        times: { one: '{count} vez', other: '{count} vezes' },
+        untilDate: 'até {date}'
+    },
+
+    trelloNotifications: {
+        noDue: 'sem prazo',
+        by: ' por {name}',
+        moved: '🔀 {title} foi movido{actor}',
+        dueChanged: '⏰ Prazo de {title} alterado{actor}',
+        newComments: { one: '💬 Novo comentário em {title}', other: '💬 {count} novos comentários em {title}' },
+        commented: '💬 {name} comentou em {title}:',
+        someone: 'Alguém',
+        assigned: '👤 Você foi adicionado ao card {title}{actor}',
+        updated: '📌 {title} foi atualizado{actor}'
+    },
+
+    intents: {
+        manualTask: '\n\n📝 _Salvei seu pedido como tarefa para processar manualmente._',
+        partialFailure: '⚠️ Tive um problema ao processar: {tipo}. Mas o resto pode ter funcionado.',
+        fallbackChat: 'Olá! Posso ajudar com Agenda, Tarefas, Trello e Memória. Digite /ajuda para exemplos.'
+    },
+
+    events: {
+        scheduled: '✅ *Agendado:* [{summary}]({link})\n{emoji} {date}',
+        urgent: '🔴 *URGENTE* - {message}',
+        joinMeeting: '📹 [Entrar na reunião]({link})',
+        edit: '✏️ Editar',
+        cancel: '🗑️ Cancelar',
+        nextOccurrences: '*Próximas ocorrências:*',
+        noOccurrences: '_Nenhuma ocorrência futura com essa regra._',
+        createSeries: 'Criar a série?',
+        invalidRecurrence: '⚠️ *Não entendi a repetição desse evento*\n\n{error}\n\n_Tente algo como "toda segunda e quarta às 7h até dezembro"._',
+        cannotSchedule: '⚠️ *Não foi possível agendar*\n\n{warning}',
+        weekFrom: 'semana a partir de {date}',
+        tomorrow: 'amanhã',
+        today: 'hoje',
+        next7Days: 'próximos 7 dias',
+        thisWeek: 'esta semana',
+        nothingScheduled: '📅 Nada agendado para {period}.',
+        listTitle: '📅 *Eventos ({period}):*',
+        notFoundQuery: '⚠️ Não encontrei evento com "{query}".',
+        notFoundQueryDate: '⚠️ Não encontrei evento com "{query}" na data {date}.',
+        recurringUpdate: '🔁 "{summary}" se repete. A alteração deve valer para quais ocorrências?',
+        updated: '✅ Evento "{summary}" atualizado!',
+        completed: '✅ Evento "{summary}" marcado como concluído!',
+        unknownPeriod: '⚠️ Período "{period}" não reconhecido. Use "hoje", "semana" ou uma data válida.',
+        noneFound: '📅 Nenhum evento encontrado para {period}.',
+        allCompleted: '✅ Todos os eventos de {period} já estão concluídos!',
+        completingMany: { one: '⏳ Marcando {count} evento como concluído...', other: '⏳ Marcando {count} eventos como concluídos...' },
+        completedMany: { one: '✅ {count} evento de {period} marcado como concluído!', other: '✅ {count} eventos de {period} marcados como concluídos!' },
+        recurringDelete: '🔁 "{summary}" se repete. O que você quer apagar?',
+        deleted: '🗑️ Evento "{summary}" apagado.',
+        alreadyInvited: '⚠️ Essa pessoa já está convidada.',
+        attendeeAdded: '✅ {email} adicionado ao evento "{summary}"',
+        noAttendees: '⚠️ Esse evento não tem convidados.',
+        attendeeNotFound: '⚠️ Convidado não encontrado.',
+        attendeeRemoved: '✅ {email} removido do evento "{summary}"',
+        reminderSet: '⏰ Lembrete de {minutes}min ({method}) configurado para "{summary}"',
+        detailNotFound: 'Não encontrado',
+        noLocation: 'Sem local definido',
+        noDescription: 'Sem descrição',
+        noGuests: 'Sem convidados',
+        detail: 'ℹ️ *{field}:* {value}',
+        fullyFree: {
+            morning: '✅ Você está totalmente livre na manhã de {date}!',
+            afternoon: '✅ Você está totalmente livre na tarde de {date}!',
+            day: '✅ Você está totalmente livre na data de {date}!'
+        },
+        availability: '📅 *Disponibilidade ({date})*',
+        availabilityPeriod: '🕒 *Período:* {start} - {end}',
+        busyAt: '⛔ *Ocupado em:*',
+        freeOtherwise: '✅ *Livre nos demais horários.*',
+        searchingSlot: '🔍 Procurando horário para "{summary}"...',
+        autoScheduled: '✅ *Agendado Automaticamente!*\n\n📅 {date}\n📌 {summary}',
+        slotOptions: '🗓️ Horários livres para "{summary}" ({duration} min). Qual prefere?',
+        noSlot: '⚠️ Não encontrei horário livre nos próximos dias úteis com esses critérios. Confira suas regras em /expediente.'
+    },
+
+    templates: {
+        title: '📋 Seus modelos de evento',
+        none: '📋 Você ainda não tem modelos de evento.\n\nCrie um falando, por exemplo: "cria um modelo Visita de obra: 2h, na Rua das Flores 100, convidando eng@obra.com".',
+        hint: 'Use dizendo o nome: "agenda uma visita de obra sexta 10h". O que você disser no pedido vale mais que o modelo. Toque num modelo para apagá-lo.',
+        online: '📹 Meet',
+        created: '✅ Modelo "{name}" criado:',
+        updated: '✅ Modelo "{name}" atualizado:',
+        usageHint: 'Para usar: "agenda {name} sexta às 10h".',
+        deleted: '🗑️ Modelo "{name}" apagado.',
+        notFound: '🔍 Não achei o modelo "{name}".',
+        available: 'Seus modelos: {names}'
+    },
+
+    schedulingRules: {
+        title: '🗓️ Suas regras para achar horário',
+        workDays: '📆 Dias de trabalho: {days}',
+        workHours: '⏰ Expediente: {start}–{end}',
+        lunch: '🍽️ Almoço: {start}–{end}',
+        noLunch: '🍽️ Almoço: sem horário fixo',
+        buffer: { one: '↔️ Intervalo entre compromissos: {count} minuto', other: '↔️ Intervalo entre compromissos: {count} minutos' },
+        noBuffer: '↔️ Intervalo entre compromissos: nenhum',
+        focus: '🎯 Foco (nada é marcado): {blocks}',
+        maxMeetings: { one: '📊 Máximo por dia: {count} compromisso', other: '📊 Máximo por dia: {count} compromissos' },
+        noMaxMeetings: '📊 Máximo por dia: sem limite',
+        none: 'nenhum',
+        hint: 'Para mudar, é só falar: "meu expediente é das 8h às 17h", "deixa 15 min entre reuniões", "terça de manhã é foco", "no máximo 4 reuniões por dia".',
+        updated: '✅ Regras atualizadas.',
+        reset: '↩️ Voltar ao padrão',
+        resetDone: 'Regras restauradas',
+        invalid: {
+            time: '⚠️ Não entendi um dos horários. Use o formato 08:30.',
+            workDays: '⚠️ Preciso de pelo menos um dia de trabalho.',
+            workHours: '⚠️ O fim do expediente precisa ser depois do início.',
+            lunch: '⚠️ O almoço precisa ficar dentro do expediente, com o fim depois do início.',
+            focus: '⚠️ O bloco de foco precisa terminar depois de começar.',
+            buffer: '⚠️ O intervalo entre compromissos vai de 0 a 240 minutos.',
+            maxMeetings: '⚠️ O máximo de compromissos por dia precisa ser pelo menos 1 (ou 0 para tirar o limite).'
+        }
+    },
+
+    meeting: {
+        options: '👥 Horários livres para todos em "{summary}" com {names} ({duration} min). Qual prefere?',
+        none: '❌ Nenhum destes',
+        defaultSummary: 'Reunião com {names}',
+        noSlot: '😕 Não achei horário livre em comum com {names} no expediente. Tente outro dia ou uma duração menor.',
+        unavailable: '⚠️ Não consegui ver a agenda de {emails}: considerei só a sua para essa(s) pessoa(s). O convite vai mesmo assim.',
+        needEmails: '🤷 Preciso do e-mail de quem vai participar:',
+        unknown: '• {name}: não encontrei nas suas reuniões nem na memória',
+        ambiguous: '• {name}: pode ser {options}',
+        emailHint: 'Repita o pedido com o e-mail (ex: "marca uma reunião com lazaro@empresa.com na quinta") ou me peça para guardar o e-mail.',
+        scheduled: '✅ "{summary}" marcada para {date}. Convite enviado para {names}.',
+        createError: '❌ Erro ao marcar a reunião. Tente de novo.',
+        expired: '⏱️ Essas opções expiraram. Peça de novo para eu procurar horários atualizados.'
+    },
+
+    rsvp: {
+        title: '📬 Respostas aos seus convites:',
+        accepted: '✅ {name} confirmou presença em "{summary}" ({date})',
+        declined: '❌ {name} recusou "{summary}" ({date})',
+        tentative: '🤔 {name} respondeu talvez para "{summary}" ({date})',
+        comment: '   💬 {comment}',
+        statusTitle: '👥 Convidados de "{summary}" ({date})',
+        confirmedCount: { one: '{accepted} de {count} convidado confirmou', other: '{accepted} de {count} convidados confirmaram' },
+        group: {
+            accepted: '✅ Confirmaram: {names}',
+            tentative: '🤔 Talvez: {names}',
+            declined: '❌ Recusaram: {names}',
+            needsAction: '⏳ Sem resposta: {names}'
+        },
+        noUpcoming: '📭 Não achei reunião com convidados nesse período. Qual reunião você quer conferir?'
+    },
+
+    report: {
+        title: '📋 *RELATÓRIO {period}* ({date})',
+        incomplete: '⚠️ _Alguns dados podem estar incompletos devido a erro na API._',
+        summary: '📊 *Resumo:*',
+        events: { one: '{count} evento', other: '{count} eventos' },
+        tasks: { one: '{count} tarefa', other: '{count} tarefas' },
+        cards: { one: '{count} card no Trello', other: '{count} cards no Trello' },
+        eventsTitle: '📅 *Eventos:*',
+        moreEvents: { one: '_...e mais {count} evento_', other: '_...e mais {count} eventos_' },
+        noEvents: '📅 _Nenhum evento {period}_',
+        tasksTitle: '✅ *Tarefas:*',
+        moreTasks: { one: '_...e mais {count} tarefa_', other: '_...e mais {count} tarefas_' },
+        trelloTitle: '🗂️ *Trello (A Fazer):*',
+        noCards: '🗂️ _Nenhum card pendente_'
+    },
+
+    tasks: {
+        created: '✅ *Tarefa criada:*\n{task}',
+        none: '✅ Nenhuma tarefa pendente!',
+        listTitle: '✅ *Tarefas ({count}):*',
+        notFound: '⚠️ Não encontrei tarefa com "{query}".',
+        completed: '✅ Tarefa "{title}" concluída!',
+        fallbackTitle: 'Processar manualmente: {preview}...',
+        fallbackNotes: '{reason}. Texto original: {text}'
+    },
+
+    trello: {
+        listNotFoundInbox: '⚠️ Lista Trello "{list}" não encontrada. Criando na Inbox.',
+        attachmentFailed: '⚠️ Card criado, mas não consegui anexar o arquivo original.',
+        cardCreated: '✅ *Card Criado:* [{name}]({url})',
+        askListToClear: '⚠️ Qual lista você quer limpar? (Ex: "Limpar lista Feito")',
+        listNotFound: '⚠️ Lista "{list}" não encontrada.',
+        listAlreadyEmpty: '✅ A lista "*{list}*" já está vazia!',
+        archivingCards: { one: '⏳ Arquivando {count} card da lista "{list}"...', other: '⏳ Arquivando {count} cards da lista "{list}"...' },
+        listCleared: '📦 Todos os cards da lista "*{list}*" foram arquivados!',
+        noLists: '🗂️ Nenhuma lista encontrada no Trello.',
+        noListNamed: '⚠️ Nenhuma lista encontrada com o nome "{list}".',
+        noCardsFiltered: '🗂️ Nenhum card encontrado com esses filtros.',
+        cardsFound: '🗂️ *Cards Encontrados ({count})*',
+        boardTitle: '*Quadro Trello:*',
+        boardLists: '📋 *Listas do Board:*',
+        askListName: '⚠️ Preciso do nome da lista.',
+        listCreated: '✅ Lista *{name}* criada!',
+        askMoveLists: '⚠️ Preciso das listas de origem e destino.',
+        sourceNotFound: '⚠️ Lista origem "{list}" não encontrada.',
+        targetNotFound: '⚠️ Lista destino "{list}" não encontrada.',
+        sourceEmpty: '⚠️ A lista de origem está vazia.',
+        movingCards: { one: '⏳ Movendo {count} card de "{from}" para "{to}"...', other: '⏳ Movendo {count} cards de "{from}" para "{to}"...' },
+        allMoved: '✅ Todos os cards movidos com sucesso!',
+        checklistItemAdded: '✅ Item "{item}" adicionado à checklist *{checklist}* no card "{card}"',
+        cardUpdated: '✅ Card "{name}" atualizado.',
+        cardArchived: '📦 Card "{name}" arquivado.',
+        commentAdded: '💬 Comentário adicionado em "{name}"',
+        askTargetList: '⚠️ Preciso saber para qual lista mover (Ex: "Mover para Feito").',
+        listNotFoundAvailable: '⚠️ Lista "{list}" não encontrada.\n📋 Listas disponíveis: {available}',
+        cardMoved: '✅ Card "{name}" movido para *{list}*!',
+        restored: ' (Restaurado do arquivo)',
+        labelNotFoundAvailable: '⚠️ Etiqueta "{label}" não encontrada.\n🏷️ Disponíveis: {available}',
+        labelAdded: '✅ Etiqueta *{label}* adicionada ao card "{name}"',
+        memberNotFound: '⚠️ Membro "{member}" não encontrado.',
+        memberAdded: '✅ Membro *{member}* adicionado ao card "{name}"',
+        confirmDeleteButton: '✅ Sim, deletar',
+        confirmDelete: '⚠️ *Tem certeza que deseja DELETAR PERMANENTEMENTE o card?*\n\n📌 *{name}*\n\n_Esta ação não pode ser desfeita!_',
+        searchEmpty: '🔍 Nenhum card encontrado com "{query}"',
+        searchTitle: '🔍 *Busca: "{query}"*',
+        searchInBoard: ' em {board}',
+        searchCount: { one: '📊 Encontrado: {count} card', other: '📊 Encontrados: {count} cards' },
+        openInTrello: '🔗 [Abrir no Trello]({url})',
+        description: '📝 *Descrição:*',
+        due: '*Prazo:* {date}',
+        labels: '🏷️ *Etiquetas:* {labels}',
+        members: '👥 *Membros:* {members}',
+        checklists: '☑️ *Checklists:*',
+        attachments: { one: '📎 *Anexos:* {count} arquivo', other: '📎 *Anexos:* {count} arquivos' },
+        lastActivity: '🕐 _Última atividade: {date}_',
+        noChecklists: '📌 O card "*{name}*" não tem checklists.',
+        noChecklistsPlain: '⚠️ O card "{name}" não tem checklists.',
+        noChecklistsToDelete: '⚠️ O card "*{name}*" não tem checklists.',
+        checklistsOf: '☑️ *Checklists de "{name}"*',
+        checklistTip: '_Dica: Diga "marca item 1 como feito no card {name}" para marcar_',
+        itemNotFound: '⚠️ Item "{item}" não encontrado nas checklists do card.',
+        itemChecked: '{emoji} Item "{item}" marcado como feito no card *{card}*',
+        itemUnchecked: '{emoji} Item "{item}" desmarcado no card *{card}*',
+        itemRemoved: '🗑️ Item "{item}" removido do card *{card}*',
+        noLabels: '⚠️ O card "{name}" não tem etiquetas.',
+        labelNotOnCard: '⚠️ Etiqueta "{label}" não encontrada no card.\n🏷️ Etiquetas do card: {available}',
+        labelRemoved: '✅ Etiqueta *{label}* removida do card "{name}"',
+        noDue: '⚠️ O card "*{name}*" não tem data de entrega definida.',
+        dueDelivered: '{emoji} Prazo do card "*{name}*" marcado como entregue!',
+        dueReopened: '{emoji} Prazo do card "*{name}*" desmarcado (pendente)!',
+        askListToRename: '⚠️ Qual lista você quer renomear?',
+        askNewListName: '⚠️ Preciso do novo nome para a lista.',
+        listRenamed: '✅ Lista "*{from}*" renomeada para "*{to}*"!',
+        askListToArchive: '⚠️ Qual lista você quer arquivar?',
+        listArchived: '📦 Lista "*{name}*" arquivada com sucesso!',
+        noActivity: '📋 O card "*{name}*" não tem atividades registradas.',
+        historyOf: '📋 *Histórico de "{name}"*',
+        system: 'Sistema',
+        activity: {
+            commented: '💬 Comentou: "{text}"',
+            moved: '📁 Moveu para "{list}"',
+            archived: '📦 Arquivou o card',
+            restored: '📂 Restaurou o card',
+            dueCompleted: '✅ Marcou prazo como concluído',
+            dueUncompleted: '⬜ Desmarcou prazo',
+            renamed: '✏️ Renomeou de "{name}"',
+            descUpdated: '📝 Atualizou descrição',
+            dueChanged: '📅 Alterou prazo',
+            updated: '✏️ Atualizou o card',
+            memberAdded: '👤 Adicionou membro: {name}',
+            memberRemoved: '👤 Removeu membro: {name}',
+            attached: '📎 Anexou: "{name}"',
+            file: 'arquivo',
+            checklistAdded: '☑️ Adicionou checklist: "{name}"',
+            checklistRemoved: '🗑️ Removeu checklist: "{name}"',
+            item: '{state} Item: "{name}"',
+            created: '🆕 Card criado',
+            labelAdded: '🏷️ Adicionou etiqueta: "{name}"',
+            labelRemoved: '🏷️ Removeu etiqueta: "{name}"'
+        },
+        noOverdue: '✅ Nenhum card com prazo vencido! Tudo em dia! 🎉',
+        overdueTitle: '⏰ *Cards com Prazo Vencido ({count})*',
+        overdueLine: { one: '📅 Venceu: {date} ({count} dia atrás)', other: '📅 Venceu: {date} ({count} dias atrás)' },
+        listLine: '📁 Lista: {list}',
+        overdueTip: '_Dica: Diga "concluir prazo do card X" para marcar como entregue_',
+        statsTitle: '📊 *Estatísticas do Board*',
+        statsGeneral: '📋 *Geral:*',
+        statsTotal: { one: '{count} card no total', other: '{count} cards no total' },
+        statsLists: { one: '{count} lista ({withCards} com cards)', other: '{count} listas ({withCards} com cards)' },
+        statsDue: '⏰ *Prazos:*',
+        statsOverdue: { one: '{count} vencido', other: '{count} vencidos' },
+        statsToday: '{count} para hoje',
+        statsWeek: '{count} esta semana',
+        statsDelivered: { one: '{count} entregue', other: '{count} entregues' },
+        statsNoDue: '{count} sem prazo definido',
+        statsLabels: '🏷️ *Etiquetas:*',
+        cardCount: { one: '{count} card', other: '{count} cards' },
+        noName: 'sem nome',
+        withoutLabel: 'Sem etiqueta',
+        statsByList: '📁 *Por Lista:*',
+        overdueTag: { one: ' (⚠️ {count} vencido)', other: ' (⚠️ {count} vencidos)' },
+        checklistNotFound: '⚠️ Checklist "{name}" não encontrada.\n📋 Checklists disponíveis: {available}',
+        checklistItems: { one: '{index}. {name} ({count} item)', other: '{index}. {name} ({count} itens)' },
+        whichChecklist: '⚠️ O card tem {count} checklists. Qual devo deletar?\n\n{available}\n\n_Diga "deletar checklist [nome] do card {card}"_',
+        checklistDeleted: { one: '🗑️ Checklist "*{name}*" ({count} item) removida do card "*{card}*"!', other: '🗑️ Checklist "*{name}*" ({count} itens) removida do card "*{card}*"!' }
+    }
+};
@@ -1,29 +1,27 @@
 const fs = require('fs');
 const path = require('path');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { DateTime } = require('luxon');
 const { log } = require('../utils/logger');
-const { validateAIResponse, validateAIResponseArray, sanitizeAIResponse } = require('../utils/validation');
-
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+const { validateAIResponseArray, sanitizeAIResponse } = require('../utils/validation');
+const aiTools = require('./aiTools');
+const llm = require('./llm');
+const conversationMemory = require('./conversationMemory');
+const eventTemplates = require('./eventTemplates');
+const usageTracker = require('../utils/usageTracker');
+const slotFilling = require('../utils/slotFilling');
+const disambiguation = require('../utils/disambiguation');
+const promptDomains = require('../utils/promptDomains');
+const i18n = require('../utils/i18n');
+const { t } = i18n;
+const config = require('../config');
 
 const PROMPT_PATH = path.join(__dirname, '../prompts/classifier.txt');
-
-// --- Usage Statistics ---
-const usageStats = {
-    totalTokens: 0,
-    promptTokens: 0,
-    candidateTokens: 0,
-    totalRequests: 0,
-    lastRequestTokens: 0
-};
+const CONTEXT_PROMPT_PATH = path.join(__dirname, '../prompts/context.txt');
 
 // --- Simple In-Memory Session Storage (with Persistence) ---
 let userSessions = {};
 
-const DATA_DIR = fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data');
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data'));
 const HISTORY_FILE = path.join(DATA_DIR, 'chat_history.json');
 
 // Load history from disk on startup
@@ -47,14 +45,30 @@ function saveHistory() {
 
 const MAX_HISTORY_LENGTH = 10;
 
-// Cache do prompt em memória (evita fs.readFileSync a cada mensagem)
-let cachedPromptTemplate = null;
+// Intenções do último turno de cada usuário (pré-roteamento: "e amanhã?" continua no mesmo domínio)
+const lastIntents = {};
 
-function getSystemPrompt(userContext = '') {
+// Cache dos templates em memória (evita fs.readFileSync a cada mensagem)
+let cachedPromptTemplate = null;
+let cachedContextTemplate = null;
+
+/**
+ * Monta o prompt do sistema em duas partes
+ * - instructions: regras e exemplos, só com as seções dos domínios escolhidos. Não muda entre
+ *   mensagens (datas entram como marcadores <AMANHÃ>, <SEXTA>...), então vai para o cache de contexto
+ * - context: datas de referência, idioma, contexto e memória do usuário, pedido pendente
+ * @param {string} userContext
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Object} options.pending - Pedido incompleto (slotFilling)
+ * @param {string[]} options.domains - Domínios do promptDomains (padrão: todos)
+ * @returns {{ instructions: string, context: string }}
+ */
+function getSystemPrompt(userContext = '', userId = null, { pending = null, domains = promptDomains.DOMAINS } = {}) {
     if (!cachedPromptTemplate) {
         cachedPromptTemplate = fs.readFileSync(PROMPT_PATH, 'utf-8');
+        cachedContextTemplate = fs.readFileSync(CONTEXT_PROMPT_PATH, 'utf-8');
     }
-    let promptTemplate = cachedPromptTemplate;
     const now = DateTime.now().setZone('America/Sao_Paulo');
     const tomorrow = now.plus({ days: 1 });
 
@@ -67,10 +81,14 @@ function getSystemPrompt(userContext = '') {
         return target.toFormat('yyyy-MM-dd');
     };
 
-    return promptTemplate
+    const context = cachedContextTemplate
         .replace(/{{USER_CONTEXT}}/g, userContext)
+        .replace(/{{EVENT_TEMPLATES}}/g, eventTemplates.formatForPrompt(userId))
+        .replace(/{{CONVERSATION_MEMORY}}/g, conversationMemory.formatForPrompt(userId))
+        .replace(/{{PENDING_REQUEST}}/g, slotFilling.describeForPrompt(pending))
+        .replace(/{{LANGUAGE_INSTRUCTION}}/g, t('language.aiInstruction'))
         .replace(/{{CURRENT_DATE}}/g, now.toFormat('yyyy-MM-dd'))
-        .replace(/{{CURRENT_WEEKDAY}}/g, now.setLocale('pt-BR').toFormat('cccc'))
+        .replace(/{{CURRENT_WEEKDAY}}/g, now.setLocale(i18n.getLocale()).toFormat('cccc'))
         .replace(/{{CURRENT_TIME}}/g, now.toFormat('HH:mm'))
         .replace(/{{CURRENT_YEAR}}/g, now.year.toString())
         .replace(/{{TOMORROW}}/g, tomorrow.toFormat('yyyy-MM-dd'))
@@ -80,175 +98,353 @@ function getSystemPrompt(userContext = '') {
         .replace(/{{NEXT_THURSDAY}}/g, getNextWeekday(4))
         .replace(/{{NEXT_FRIDAY}}/g, getNextWeekday(5))
         .replace(/{{NEXT_SATURDAY}}/g, getNextWeekday(6))
-        .replace(/{{NEXT_SUNDAY}}/g, getNextWeekday(7));
+        .replace(/{{NEXT_SUNDAY}}/g, getNextWeekday(7))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return {
+        instructions: promptDomains.sliceTemplate(cachedPromptTemplate, domains),
+        context
+    };
+}
+
+/**
+ * Registra o uso de tokens das chamadas de um turno (persistido por usuário no usageTracker)
+ * O custo é atribuído aos tipos de intenção que o turno produziu
+ * @param {string} userId
+ * @param {Array<Object>} calls - [{ usage, provider, model }] de cada rodada
+ * @param {Array<Object>} intents - Intenções resultantes do turno
+ */
+function trackUsage(userId, calls, intents) {
+    const tipos = intents.map(i => i.tipo);
+
+    for (const { usage, provider, model } of calls) {
+        if (!usage) continue;
+        usageTracker.recordUsage(userId, { usage, model, tipos });
+
+        log.ai('Uso de Tokens', {
+            provider,
+            model,
+            prompt: usage.promptTokens,
+            cached: usage.cachedTokens,
+            candidates: usage.candidateTokens,
+            total: usage.totalTokens
+        });
+    }
+}
+
+/**
+ * Valida e sanitiza as intenções vindas das chamadas de função
+ * Leituras alternativas de um pedido incerto viram uma intenção disambiguate (ver disambiguation.js)
+ * @param {Array<Object>} intents
+ * @returns {Array<Object>} Intenções prontas para o processIntent
+ */
+function normalizeIntents(intents) {
+    const readings = intents.map(disambiguation.splitMeta);
+    const validated = validateIntents(readings.map(r => r.intent));
+    return disambiguation.resolveReadings(readings.map((reading, i) => ({ ...reading, intent: validated[i] })));
+}
+
+function validateIntents(intents) {
+    const validation = validateAIResponseArray(intents.map(sanitizeAIResponse));
+
+    if (!validation.valid) {
+        log.warn('Validação falhou', {
+            errors: validation.errors,
+            tipos: intents.map(i => i.tipo)
+        });
+        // Segue com os dados mesmo assim (graceful degradation)
+    }
+
+    return (validation.data || intents).map(sanitizeAIResponse);
+}
+
+/**
+ * Resumo textual das ações para o histórico (chamadas de função não podem ficar
+ * soltas no histórico sem a resposta correspondente)
+ */
+function describeIntentsForHistory(intents) {
+    return intents.map(({ tipo, ...args }) => {
+        if (tipo === 'chat') return args.message;
+        if (tipo === disambiguation.TIPO) return `→ perguntou qual leitura: ${args.readings.map(r => r.intent.tipo).join(' | ')}`;
+        return `→ ${tipo} ${JSON.stringify(args)}`;
+    }).join('\n');
 }
 
-async function interpretMessage(text, userId, userContext = '') {
+/**
+ * Executa um turno com function calling (via llm.js, com fallback entre provedores)
+ * O modelo é obrigado a chamar funções:
+ * - Só consultas: executa, devolve os resultados e pede a próxima rodada
+ * - Alguma ação: encerra o turno e devolve as ações como intenções
+ * Na última rodada só as ações ficam disponíveis, para o turno sempre terminar
+ * @param {Array} contents - Histórico + mensagem atual
+ * @param {Object} prompt - { instructions, context } do getSystemPrompt
+ * @param {Object} options
+ * @param {boolean} options.economy - Usa o modelo econômico (usuário acima do orçamento)
+ * @returns {Promise<{ intents: Array<Object>, rounds: number, provider: string, calls: Array<Object> }>}
+ */
+async function runToolTurn(contents, prompt, { economy = false } = {}) {
+    const allTools = aiTools.getFunctionDeclarations();
+    const actionTools = allTools.filter(tool => !aiTools.isLookup(tool.name));
+    // Uso de cada rodada: o custo só é registrado quando o turno termina (para saber os tipos)
+    const calls = [];
+
+    for (let round = 1; round <= config.ai.maxToolRounds; round++) {
+        const lastRound = round === config.ai.maxToolRounds;
+
+        const response = await llm.generate({
+            system: prompt.instructions,
+            systemContext: prompt.context,
+            contents,
+            tools: lastRound ? actionTools : allTools,
+            temperature: config.ai.temperature,
+            economy
+        });
+
+        calls.push({ usage: response.usage, provider: response.provider, model: response.model });
+        const functionCalls = response.functionCalls;
+
+        // Modelos sem function calling obrigatório podem responder texto: vira resposta de chat
+        if (functionCalls.length === 0) {
+            const text = (response.text || '').trim();
+            return {
+                intents: [{ tipo: 'chat', message: text || t('ai.notUnderstood') }],
+                rounds: round,
+                provider: response.provider,
+                calls
+            };
+        }
+
+        const actions = functionCalls.filter(call => !aiTools.isLookup(call.name));
+        if (actions.length > 0) {
+            return { intents: actions.map(aiTools.callToIntent), rounds: round, provider: response.provider, calls };
+        }
+
+        // Só consultas: devolve os resultados para o modelo encadear a ação
+        contents.push(response.content);
+        const responses = await Promise.all(functionCalls.map(async call => ({
+            functionResponse: {
+                name: call.name,
+                response: await aiTools.executeLookup(call.name, call.args)
+            }
+        })));
+        contents.push({ role: 'function', parts: responses });
+    }
+
+    // Inalcançável: a última rodada só permite ações
+    throw new Error('Limite de rodadas de function calling atingido');
+}
+
+/**
+ * Interpreta uma mensagem de texto
+ * @param {string} text
+ * @param {string} userId
+ * @param {string} userContext - Contexto do usuário para o prompt
+ * @param {Object} options
+ * @param {Object} options.pending - Pedido incompleto que a mensagem pode estar completando (slotFilling)
+ * @returns {Promise<Object|Array>} Intenção (ou lista de intenções)
+ */
+async function interpretMessage(text, userId, userContext = '', { pending = null } = {}) {
     const startTime = Date.now();
 
     try {
-        const promptSystem = getSystemPrompt(userContext);
-
         // Initialize history if new user
         if (!userSessions[userId]) {
             userSessions[userId] = [];
             log.ai('Nova sessão criada', { userId });
         }
 
-        const history = [
-            {
-                role: "user",
-                parts: [{ text: promptSystem }],
-            },
-            {
-                role: "model",
-                parts: [{ text: "Entendido. Atuarei como seu assistente inteligente e responderei apenas com JSON válido." }],
-            }
+        const contents = [
+            ...userSessions[userId],
+            { role: 'user', parts: [{ text }] }
         ];
 
-        // Append recent user history
-        history.push(...userSessions[userId]);
-
-        const generationConfig = {
-            temperature: 0.2,
-            responseMimeType: "application/json",
-        };
-
-        const chat = model.startChat({
-            generationConfig,
-            history: history,
-        });
-
-        const result = await chat.sendMessage(text);
-        const responseText = result.response.text();
-
-        // Track usage
-        if (result.response.usageMetadata) {
-            const usage = result.response.usageMetadata;
-            usageStats.totalTokens += usage.totalTokenCount || 0;
-            usageStats.promptTokens += usage.promptTokenCount || 0;
-            usageStats.candidateTokens += usage.candidatesTokenCount || 0;
-            usageStats.totalRequests++;
-            usageStats.lastRequestTokens = usage.totalTokenCount || 0;
-
-            log.ai('Uso de Tokens', {
-                prompt: usage.promptTokenCount,
-                candidates: usage.candidatesTokenCount,
-                total: usage.totalTokenCount
-            });
-        }
-        const elapsedMs = Date.now() - startTime;
+        // Pré-roteamento: só as seções do prompt dos domínios da mensagem
+        const domains = promptDomains.selectDomains(text, { previous: lastIntents[userId], pending });
+        const economy = usageTracker.shouldUseEconomyModel(userId);
+        const { intents, rounds, provider, calls } = await runToolTurn(contents, getSystemPrompt(userContext, userId, { pending, domains }), { economy });
+        trackUsage(userId, calls, intents);
 
         log.ai('Resposta recebida', {
             userId,
+            provider,
+            economy,
+            domains,
             inputLength: text.length,
-            responseLength: responseText.length,
-            elapsedMs
+            tipos: intents.map(i => i.tipo),
+            rounds,
+            elapsedMs: Date.now() - startTime
         });
 
-        // Update User History
-        userSessions[userId].push(
-            { role: "user", parts: [{ text: text }] },
-            { role: "model", parts: [{ text: responseText }] }
-        );
+        const resolved = normalizeIntents(intents);
+        appendToHistory(userId, text, resolved);
 
-        // Prune history ANTES de salvar (evita crescimento indefinido do arquivo)
-        if (userSessions[userId].length > MAX_HISTORY_LENGTH * 2) {
-            userSessions[userId] = userSessions[userId].slice(-(MAX_HISTORY_LENGTH * 2));
-        }
+        return resolved.length === 1 ? resolved[0] : resolved;
 
-        saveHistory();
+    } catch (error) {
+        log.apiError('AI', error, { userId, text: text.substring(0, 100) });
+        return buildErrorResponse(error);
+    }
+}
 
-        // Parse JSON mais robusto (tenta encontrar o objeto/array)
-        let cleanJson = responseText.trim();
-        const firstBrace = cleanJson.indexOf('{');
-        const firstBracket = cleanJson.indexOf('[');
-        const startIndex = (firstBrace !== -1 && (firstBracket === -1 || firstBrace < firstBracket)) ? firstBrace : firstBracket;
+/**
+ * Interpreta uma imagem (foto de convite, recibo, quadro branco...) ou PDF
+ * Usa o mesmo prompt e as mesmas funções do texto, então o resultado segue o mesmo
+ * formato de intenções (create_event, trello_create, store_info, etc.)
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {string} mimeType - MIME type (image/jpeg, image/png, application/pdf...)
+ * @param {string} caption - Legenda enviada junto com o arquivo (pode ser vazia)
+ * @param {string} userId - ID do usuário
+ * @param {string} userContext - Contexto do usuário para o prompt
+ * @returns {Promise<Object|Array>} Intenção (ou lista de intenções)
+ */
+async function interpretImage(buffer, mimeType, caption, userId, userContext = '') {
+    const startTime = Date.now();
 
-        if (startIndex !== -1) {
-            const lastBrace = cleanJson.lastIndexOf('}');
-            const lastBracket = cleanJson.lastIndexOf(']');
-            const endIndex = Math.max(lastBrace, lastBracket);
-            if (endIndex !== -1) {
-                cleanJson = cleanJson.substring(startIndex, endIndex + 1);
-            }
-        }
-        let parsed;
-
-        try {
-            parsed = JSON.parse(cleanJson);
-        } catch (parseError) {
-            log.error('JSON inválido da IA', {
-                error: parseError.message,
-                response: cleanJson.substring(0, 200)
-            });
-            return {
-                tipo: 'chat',
-                message: '❌ Desculpe, tive dificuldade em entender. Pode reformular?'
-            };
+    try {
+        if (!userSessions[userId]) {
+            userSessions[userId] = [];
+            log.ai('Nova sessão criada', { userId });
         }
 
-        // Validate response
-        const isArray = Array.isArray(parsed);
-        const validation = isArray
-            ? validateAIResponseArray(parsed)
-            : validateAIResponse(sanitizeAIResponse(parsed));
-
-        if (!validation.valid) {
-            log.warn('Validação falhou', {
-                errors: validation.errors,
-                tipo: isArray ? 'array' : parsed.tipo
-            });
-
-            // Tenta usar os dados mesmo assim (graceful degradation)
-            if (validation.data) {
-                return isArray
-                    ? validation.data.map(sanitizeAIResponse)
-                    : sanitizeAIResponse(validation.data);
+        const instruction = [
+            '[ARQUIVO ENVIADO PELO USUÁRIO]',
+            caption ? `Legenda: "${caption}"` : 'Sem legenda.',
+            'Analise o conteúdo do arquivo seguindo as regras de 📷 IMAGENS E DOCUMENTOS e chame a(s) função(ões) da(s) ação(ões).'
+        ].join('\n');
+
+        const contents = [
+            ...userSessions[userId],
+            {
+                role: 'user',
+                parts: [
+                    { inlineData: { data: buffer.toString('base64'), mimeType } },
+                    { text: instruction }
+                ]
             }
+        ];
 
-            return {
-                tipo: 'chat',
-                message: '❌ Não consegui processar sua solicitação. Tente novamente com mais detalhes.'
-            };
-        }
+        const economy = usageTracker.shouldUseEconomyModel(userId);
+        const { intents, rounds, provider, calls } = await runToolTurn(contents, getSystemPrompt(userContext, userId), { economy });
+        trackUsage(userId, calls, intents);
 
-        // Return validated and sanitized data
-        return isArray
-            ? validation.data.map(sanitizeAIResponse)
-            : sanitizeAIResponse(validation.data);
+        log.ai('Resposta de imagem recebida', {
+            userId,
+            provider,
+            economy,
+            mimeType,
+            bytes: buffer.length,
+            tipos: intents.map(i => i.tipo),
+            rounds,
+            elapsedMs: Date.now() - startTime
+        });
+
+        // No histórico guarda apenas a referência textual (não o binário)
+        const resolved = normalizeIntents(intents);
+        appendToHistory(userId, `[arquivo ${mimeType}] ${caption || ''}`.trim(), resolved);
+
+        return resolved.length === 1 ? resolved[0] : resolved;
 
     } catch (error) {
-        log.apiError('AI', error, { userId, text: text.substring(0, 100) });
+        log.apiError('AI', error, { userId, mimeType, caption: (caption || '').substring(0, 100) });
+        return buildErrorResponse(error);
+    }
+}
 
-        // Mensagens de erro mais específicas
-        if (error.message?.includes('quota')) {
-            return {
-                tipo: 'chat',
-                message: '⚠️ Limite de uso atingido. Tente novamente em alguns minutos.'
-            };
-        }
+/**
+ * Registra a troca no histórico do usuário e persiste em disco
+ * Turnos que saem da janela vão para o resumo da conversa (em segundo plano)
+ */
+function appendToHistory(userId, userText, intents) {
+    userSessions[userId].push(
+        { role: "user", parts: [{ text: userText }] },
+        { role: "model", parts: [{ text: describeIntentsForHistory(intents) }] }
+    );
+    conversationMemory.rememberIntents(userId, intents);
+    lastIntents[userId] = intents.flatMap(intent => (intent.tipo === disambiguation.TIPO ? intent.readings.map(r => r.intent) : [intent]));
+
+    // Prune history ANTES de salvar (evita crescimento indefinido do arquivo)
+    if (userSessions[userId].length > MAX_HISTORY_LENGTH * 2) {
+        const overflow = userSessions[userId].slice(0, -(MAX_HISTORY_LENGTH * 2));
+        userSessions[userId] = userSessions[userId].slice(-(MAX_HISTORY_LENGTH * 2));
+        conversationMemory.summarizeTurns(userId, overflow);
+    }
 
-        if (error.message?.includes('API key')) {
-            return {
-                tipo: 'chat',
-                message: '🔑 Problema de configuração. Contate o administrador.'
-            };
-        }
+    saveHistory();
+}
 
+/**
+ * Registra um turno resolvido sem a IA (atalho local), para a conversa seguir coerente
+ * @param {string} userId
+ * @param {string} text
+ * @param {Array<Object>} intents
+ */
+function rememberTurn(userId, text, intents) {
+    if (!userSessions[userId]) userSessions[userId] = [];
+    appendToHistory(userId, text, intents);
+}
+
+/**
+ * Esquece a conversa do usuário: histórico recente, resumo e entidades citadas
+ * (a knowledge base não é afetada)
+ * @param {string} userId
+ * @returns {boolean} true se havia algo para esquecer
+ */
+function clearConversation(userId) {
+    const hadHistory = (userSessions[userId] || []).length > 0;
+    delete userSessions[userId];
+    delete lastIntents[userId];
+    saveHistory();
+    const hadMemory = conversationMemory.clearMemory(userId);
+    log.ai('Conversa esquecida', { userId });
+    return hadHistory || hadMemory;
+}
+
+/**
+ * Converte erros da API em uma resposta de chat amigável
+ * Chega aqui só quando todos os provedores falharam (o erro é o do último)
+ * fallback_reason sinaliza que a mensagem não foi interpretada (vira tarefa "Processar manualmente")
+ */
+function buildErrorResponse(error) {
+    // Mensagens de erro mais específicas
+    if (error.message?.includes('quota')) {
+        return {
+            tipo: 'chat',
+            message: t('ai.quota'),
+            fallback_reason: t('ai.quotaReason')
+        };
+    }
+
+    if (error.code === 'LLM_NOT_CONFIGURED' || error.message?.includes('API key')) {
         return {
             tipo: 'chat',
-            message: '❌ Desculpe, tive um problema técnico. Tente novamente?'
+            message: t('ai.config'),
+            fallback_reason: t('ai.configReason')
         };
     }
+
+    return {
+        tipo: 'chat',
+        message: t('ai.technical'),
+        fallback_reason: t('ai.technicalReason')
+    };
 }
 
 module.exports = {
     interpretMessage,
-    getStatus: () => ({
-        model: "gemini-2.5-flash",
-        online: true,
-        usage: usageStats,
-        sessions: Object.keys(userSessions).length
-    })
+    interpretImage,
+    rememberTurn,
+    clearConversation,
+    getStatus: () => {
+        const providers = llm.getProvidersStatus();
+        // Provedor ativo: o primeiro configurado que não está em espera
+        const active = providers.find(p => p.configured && !p.coolingDown);
+        return {
+            model: active ? `${active.name}/${active.model}` : 'nenhum',
+            online: !!active,
+            usage: usageTracker.getGlobalUsage(),
+            sessions: Object.keys(userSessions).length,
+            providers
+        };
+    }
 };
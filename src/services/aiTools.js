@@ -0,0 +1,291 @@
+/**
+ * AI Tools
+ * Registro tipado das funções que o Gemini pode chamar (function calling)
+ * - Ações: uma por tipo de intenção, geradas dos schemas zod do validation.js.
+ *   Não são executadas aqui: viram intenções para o processIntent
+ *   Todas levam os campos de confiança/leituras alternativas (ver disambiguation.js)
+ * - Consultas: somente leitura, executadas durante o turno. O resultado volta
+ *   para o modelo, que pode encadear a ação ("acha o card e move para Feito")
+ */
+
+const { z } = require('zod');
+const { DateTime } = require('luxon');
+const { log, getContext } = require('../utils/logger');
+const { schemas, TIPO_ALIASES } = require('../utils/validation');
+const { META_SHAPE } = require('../utils/disambiguation');
+const { findMultiple, findBoardFuzzy } = require('../utils/fuzzySearch');
+const userPreferences = require('../utils/userPreferences');
+const googleService = require('./google');
+const trelloService = require('./trello');
+const tasksService = require('./tasks');
+const config = require('../config');
+
+// Únicos "format" de string aceitos pelo Gemini além de enum
+const SUPPORTED_STRING_FORMATS = ['date-time'];
+
+/**
+ * Converte um nó de JSON Schema (z.toJSONSchema) para o subconjunto OpenAPI aceito pelo Gemini
+ * Unions viram a primeira opção; default, minLength, $schema etc. são descartados
+ * @param {Object} node
+ * @returns {Object}
+ */
+function toGeminiSchema(node = {}) {
+    if (node.anyOf || node.oneOf) {
+        const options = node.anyOf || node.oneOf;
+        const option = options.find(o => o.type !== 'null') || {};
+        return toGeminiSchema({ ...option, description: node.description || option.description });
+    }
+
+    const schema = {};
+
+    if (node.const !== undefined) {
+        schema.type = 'string';
+        schema.enum = [String(node.const)];
+    } else if (['string', 'number', 'integer', 'boolean', 'array', 'object'].includes(node.type)) {
+        schema.type = node.type;
+    } else {
+        // Tipos sem representação (ex: z.any) viram texto
+        schema.type = 'string';
+    }
+
+    if (node.description) schema.description = node.description;
+    if (schema.type === 'string' && Array.isArray(node.enum)) schema.enum = node.enum.map(String);
+    if (schema.type === 'string' && SUPPORTED_STRING_FORMATS.includes(node.format)) schema.format = node.format;
+
+    if (schema.type === 'array') {
+        schema.items = toGeminiSchema(node.items || { type: 'string' });
+    }
+
+    if (schema.type === 'object' && node.properties) {
+        schema.properties = {};
+        for (const [key, value] of Object.entries(node.properties)) {
+            schema.properties[key] = toGeminiSchema(value);
+        }
+        const required = (node.required || []).filter(key => key in schema.properties);
+        if (required.length > 0) schema.required = required;
+    }
+
+    return schema;
+}
+
+/**
+ * Monta a declaração de função a partir de um schema zod de objeto
+ * @param {string} name - Nome da função
+ * @param {z.ZodObject} schema
+ * @param {string[]} omit - Campos que não viram parâmetro (ex: tipo, implícito no nome)
+ */
+function buildDeclaration(name, schema, omit = []) {
+    const json = z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+    const properties = { ...json.properties };
+    omit.forEach(key => delete properties[key]);
+
+    const declaration = { name, description: json.description || name };
+
+    // O Gemini rejeita objetos sem propriedades: funções sem argumento vão sem parameters
+    if (Object.keys(properties).length > 0) {
+        declaration.parameters = toGeminiSchema({ type: 'object', properties, required: json.required });
+    }
+    return declaration;
+}
+
+/**
+ * Schema da ação com os campos de confiança (o extend não preserva a descrição)
+ * @param {z.ZodObject} schema
+ */
+function withMeta(schema) {
+    return schema.extend(META_SHAPE).describe(schema.description);
+}
+
+// ============================================
+// CONSULTAS (executadas durante o turno)
+// ============================================
+
+/**
+ * Resolve os boards de uma consulta: o citado (board_query) ou todos os acompanhados
+ * @returns {Promise<string[]|null>} null se o board citado não existir
+ */
+async function resolveLookupBoards(boardQuery) {
+    if (!boardQuery) return trelloService.getFollowedBoardIds();
+    const board = findBoardFuzzy(await trelloService.listBoards(), boardQuery);
+    return board ? [board.id] : null;
+}
+
+function getUserCalendarIds(userId) {
+    const calendars = userId ? userPreferences.getPreference(userId, 'calendars', null) : null;
+    return Array.isArray(calendars) && calendars.length > 0 ? calendars : [googleService.DEFAULT_CALENDAR_ID];
+}
+
+const LOOKUP_TOOLS = {
+    find_trello_cards: {
+        schema: z.object({
+            query: z.string().min(1).describe('Termo de busca (nome, número ou trecho da descrição)'),
+            board_query: z.string().optional().describe('Quadro citado pelo usuário. Sem ele, busca em todos os acompanhados'),
+        }).describe('CONSULTA: procura cards do Trello e devolve nome, lista e prazo. Use para descobrir o nome exato de um card antes de agir sobre ele. NÃO mostra nada ao usuário'),
+        handler: async ({ query, board_query: boardQuery }) => {
+            const boardIds = await resolveLookupBoards(boardQuery);
+            if (!boardIds) return { error: `Quadro "${boardQuery}" não encontrado` };
+
+            const cards = (await trelloService.searchCards(query, boardIds)).filter(c => !c.closed);
+            const boardsInResult = [...new Set(cards.map(c => c.idBoard))];
+            const listNames = new Map();
+            await Promise.all(boardsInResult.map(async boardId => {
+                (await trelloService.getLists(boardId)).forEach(l => listNames.set(l.id, l.name));
+            }));
+
+            return {
+                cards: cards.slice(0, config.ai.maxLookupResults).map(c => ({
+                    name: c.name,
+                    list: listNames.get(c.idList) || null,
+                    due: c.due || null
+                }))
+            };
+        }
+    },
+
+    list_trello_lists: {
+        schema: z.object({
+            board_query: z.string().optional().describe('Quadro citado pelo usuário. Sem ele, usa o quadro ativo'),
+        }).describe('CONSULTA: devolve os nomes das listas (colunas) do quadro. NÃO mostra nada ao usuário'),
+        handler: async ({ board_query: boardQuery }) => {
+            const boardIds = boardQuery ? await resolveLookupBoards(boardQuery) : [trelloService.getActiveBoardId()];
+            if (!boardIds) return { error: `Quadro "${boardQuery}" não encontrado` };
+
+            const lists = await trelloService.getLists(boardIds[0]);
+            return { lists: lists.map(l => l.name) };
+        }
+    },
+
+    find_events: {
+        schema: z.object({
+            query: z.string().optional().describe('Texto para filtrar (título, local ou descrição)'),
+            start_date: z.string().optional().describe('Início do intervalo (YYYY-MM-DD). Padrão: hoje'),
+            end_date: z.string().optional().describe('Fim do intervalo, inclusive (YYYY-MM-DD). Padrão: 14 dias depois do início'),
+        }).describe('CONSULTA: procura eventos da agenda e devolve título, início, fim e se é recorrente. Use para descobrir qual evento o usuário quis dizer. NÃO mostra nada ao usuário'),
+        handler: async ({ query, start_date: startDate, end_date: endDate }, { userId }) => {
+            const start = startDate
+                ? DateTime.fromISO(startDate, { zone: config.timezone }).startOf('day')
+                : DateTime.now().setZone(config.timezone).startOf('day');
+            const end = endDate
+                ? DateTime.fromISO(endDate, { zone: config.timezone }).endOf('day')
+                : start.plus({ days: 14 }).endOf('day');
+            if (!start.isValid || !end.isValid) return { error: 'Datas inválidas (use YYYY-MM-DD)' };
+
+            let events = await googleService.listEvents(start.toISO(), end.toISO(), getUserCalendarIds(userId));
+            if (query) {
+                events = findMultiple(events, query, ['summary', 'location', 'description'], config.ai.maxLookupResults)
+                    .map(r => r.item);
+            }
+
+            return {
+                events: events.slice(0, config.ai.maxLookupResults).map(e => ({
+                    summary: e.summary,
+                    start: e.start?.dateTime || e.start?.date,
+                    end: e.end?.dateTime || e.end?.date,
+                    recurring: !!e.recurringEventId,
+                    calendar: e.calendarName || null
+                }))
+            };
+        }
+    },
+
+    find_tasks: {
+        schema: z.object({
+            query: z.string().optional().describe('Texto para filtrar (título ou notas)'),
+        }).describe('CONSULTA: procura tarefas pendentes do Google Tasks e devolve título e prazo. NÃO mostra nada ao usuário'),
+        handler: async ({ query }) => {
+            let tasks = await tasksService.listTasks();
+            if (query) {
+                tasks = findMultiple(tasks, query, ['title', 'notes'], config.ai.maxLookupResults).map(r => r.item);
+            }
+            return {
+                tasks: tasks.slice(0, config.ai.maxLookupResults).map(t => ({
+                    title: t.title,
+                    due: t.due ? t.due.substring(0, 10) : null
+                }))
+            };
+        }
+    }
+};
+
+// ============================================
+// REGISTRO
+// ============================================
+
+let cachedDeclarations = null;
+
+/**
+ * Nomes das funções de ação (um por tipo canônico; aliases como "evento" ficam de fora)
+ * @returns {string[]}
+ */
+function getActionNames() {
+    return Object.keys(schemas).filter(tipo => !TIPO_ALIASES[tipo]);
+}
+
+/**
+ * Declarações de todas as funções (ações + consultas), no formato do Gemini
+ * @returns {Array<Object>}
+ */
+function getFunctionDeclarations() {
+    if (!cachedDeclarations) {
+        cachedDeclarations = [
+            ...getActionNames().map(tipo => buildDeclaration(tipo, withMeta(schemas[tipo]), ['tipo'])),
+            ...Object.entries(LOOKUP_TOOLS).map(([name, tool]) => buildDeclaration(name, tool.schema))
+        ];
+        log.ai('Funções da IA registradas', { total: cachedDeclarations.length, consultas: Object.keys(LOOKUP_TOOLS).length });
+    }
+    return cachedDeclarations;
+}
+
+/**
+ * Indica se a função é uma consulta (executada no turno) e não uma ação
+ */
+function isLookup(name) {
+    return Object.prototype.hasOwnProperty.call(LOOKUP_TOOLS, name);
+}
+
+/**
+ * Executa uma consulta e devolve o resultado para o modelo
+ * Erros não derrubam o turno: o modelo recebe { error } e decide o que fazer
+ * @param {string} name
+ * @param {Object} args
+ * @param {Object} context - { userId }
+ * @returns {Promise<Object>}
+ */
+async function executeLookup(name, args = {}, { userId = getContext().userId } = {}) {
+    const tool = LOOKUP_TOOLS[name];
+    if (!tool) return { error: `Consulta desconhecida: ${name}` };
+
+    const parsed = tool.schema.safeParse(args);
+    if (!parsed.success) {
+        return { error: parsed.error.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; ') };
+    }
+
+    try {
+        const result = await tool.handler(parsed.data, { userId });
+        log.ai('Consulta executada', { name, args });
+        return result;
+    } catch (error) {
+        log.apiError('AI Tools', error, { name });
+        return { error: error.message };
+    }
+}
+
+/**
+ * Converte uma chamada de ação do modelo em intenção ({ tipo, ...args })
+ * @param {{ name: string, args: Object }} call
+ * @returns {Object}
+ */
+function callToIntent(call) {
+    return { ...(call.args || {}), tipo: call.name };
+}
+
+module.exports = {
+    getFunctionDeclarations,
+    getActionNames,
+    isLookup,
+    executeLookup,
+    callToIntent,
+    buildDeclaration,
+    // Exportado para depuração dos schemas
+    toGeminiSchema
+};
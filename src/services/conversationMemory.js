@@ -0,0 +1,283 @@
+/**
+ * Conversation Memory
+ * Memória de conversa de médio prazo, por usuário:
+ * - Resumo corrido: os turnos que saem da janela do histórico (MAX_HISTORY_LENGTH)
+ *   são resumidos pelo LLM em vez de descartados ("o cliente que comentei de manhã")
+ * - Entidades citadas (pessoas, cards, eventos), registradas a partir das intenções
+ *   executadas e do próprio resumo
+ * Ambos entram no prompt do sistema. Não confundir com a knowledge base (/memória), que
+ * guarda fatos pedidos explicitamente pelo usuário
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { log } = require('../utils/logger');
+const { buildDeclaration } = require('./aiTools');
+const llm = require('./llm');
+const usageTracker = require('../utils/usageTracker');
+const config = require('../config');
+
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data'));
+const MEMORY_FILE = path.join(DATA_DIR, 'conversation_memory.json');
+
+const ENTITY_TYPES = ['people', 'cards', 'events'];
+
+const SUMMARY_PROMPT = 'Você mantém a memória de uma conversa entre um usuário e seu assistente de produtividade ' +
+    '(agenda, Trello, tarefas). Recebe o resumo atual e trechos antigos da conversa que vão sair do histórico. ' +
+    'Reescreva o resumo incorporando os trechos: fatos, pedidos, decisões e pendências que possam ser citados depois. ' +
+    'Descarte saudações e o que não tiver utilidade futura. Escreva em português, em terceira pessoa, ' +
+    `com no máximo ${config.memory.summaryMaxChars} caracteres. ` +
+    'Liste também pessoas, cards e eventos citados nos trechos. Chame a função update_memory.';
+
+const memoryUpdateSchema = z.object({
+    summary: z.string().describe('Resumo atualizado da conversa (substitui o anterior)'),
+    people: z.array(z.string()).optional().describe('Pessoas citadas (nome ou e-mail)'),
+    cards: z.array(z.string()).optional().describe('Cards do Trello citados (nome)'),
+    events: z.array(z.string()).optional().describe('Eventos da agenda citados (título)'),
+}).describe('Atualiza o resumo da conversa e as entidades citadas');
+
+// Memória em memória: { userId: { summary, entities: { people, cards, events }, pendingTurns, updatedAt } }
+let memories = {};
+
+// Resumos em andamento por usuário (encadeados para não sobrescrever um ao outro)
+const summaryQueues = new Map();
+
+// Incrementado a cada /esquecer: resumos pedidos antes disso são descartados
+const generations = new Map();
+
+let cachedDeclaration = null;
+
+function loadMemories() {
+    try {
+        if (fs.existsSync(MEMORY_FILE)) {
+            memories = JSON.parse(fs.readFileSync(MEMORY_FILE, 'utf-8'));
+            log.ai('Memória de conversa carregada', { users: Object.keys(memories).length });
+        }
+    } catch (e) {
+        log.error('Erro ao carregar memória de conversa', { error: e.message });
+        memories = {};
+    }
+}
+
+function saveMemories() {
+    try {
+        if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(MEMORY_FILE, JSON.stringify(memories, null, 2));
+    } catch (e) {
+        log.error('Erro ao salvar memória de conversa', { error: e.message });
+    }
+}
+
+function getEntry(userId) {
+    const id = String(userId);
+    if (!memories[id]) {
+        memories[id] = { summary: '', entities: { people: [], cards: [], events: [] }, pendingTurns: [], updatedAt: null };
+    }
+    return memories[id];
+}
+
+/**
+ * Adiciona uma entidade no topo da lista (mais recente primeiro, sem duplicar)
+ */
+function addEntity(entry, type, value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name) return;
+
+    const list = entry.entities[type].filter(item => item.toLowerCase() !== name.toLowerCase());
+    list.unshift(name);
+    entry.entities[type] = list.slice(0, config.memory.maxEntitiesPerType);
+}
+
+/**
+ * Entidades citadas em uma intenção, pelos campos de cada tipo
+ * @returns {{ people: string[], cards: string[], events: string[] }}
+ */
+function extractEntities(intent) {
+    const found = { people: [], cards: [], events: [] };
+    const { tipo } = intent;
+
+    if (tipo === 'trello_create') {
+        found.cards.push(intent.name);
+    } else if (tipo.startsWith('trello_') && tipo !== 'trello_search' && intent.query) {
+        found.cards.push(intent.query);
+    }
+    if (tipo === 'trello_add_member') found.people.push(intent.member);
+
+    if (tipo === 'create_event' || tipo === 'smart_schedule') {
+        found.events.push(intent.summary);
+    } else if (['update_event', 'delete_event', 'complete_event'].includes(tipo) || tipo.startsWith('event_')) {
+        found.events.push(intent.query);
+    }
+    if (Array.isArray(intent.attendees)) found.people.push(...intent.attendees);
+    if (tipo.startsWith('event_') && intent.email) found.people.push(intent.email);
+
+    return found;
+}
+
+/**
+ * Registra as entidades citadas nas intenções do turno
+ * @param {string} userId
+ * @param {Array<Object>} intents
+ */
+function rememberIntents(userId, intents) {
+    const entry = getEntry(userId);
+    let changed = false;
+
+    for (const intent of intents) {
+        if (!intent?.tipo) continue;
+        const found = extractEntities(intent);
+        for (const type of ENTITY_TYPES) {
+            found[type].forEach(value => {
+                addEntity(entry, type, value);
+                changed = true;
+            });
+        }
+    }
+
+    if (changed) {
+        entry.updatedAt = new Date().toISOString();
+        saveMemories();
+    }
+}
+
+function turnsToText(turns) {
+    return turns.map(turn => {
+        const text = (turn.parts || []).filter(p => p.text).map(p => p.text).join(' ');
+        return `${turn.role === 'model' ? 'Assistente' : 'Usuário'}: ${text}`;
+    }).join('\n');
+}
+
+async function runSummary(userId, turns, generation) {
+    if ((generations.get(userId) || 0) !== generation) return;
+
+    const entry = getEntry(userId);
+    entry.pendingTurns = [...entry.pendingTurns, ...turns].slice(-config.memory.maxPendingTurns);
+
+    if (!cachedDeclaration) cachedDeclaration = buildDeclaration('update_memory', memoryUpdateSchema);
+
+    const request = [
+        `RESUMO ATUAL:\n${entry.summary || '(vazio)'}`,
+        `TRECHOS QUE VÃO SAIR DO HISTÓRICO:\n${turnsToText(entry.pendingTurns)}`
+    ].join('\n\n');
+
+    try {
+        const response = await llm.generate({
+            system: SUMMARY_PROMPT,
+            contents: [{ role: 'user', parts: [{ text: request }] }],
+            tools: [cachedDeclaration],
+            temperature: 0,
+            economy: usageTracker.shouldUseEconomyModel(userId)
+        });
+        usageTracker.recordUsage(userId, { usage: response.usage, model: response.model, tipos: ['resumo_conversa'] });
+
+        // Memória apagada durante a chamada: não ressuscita
+        if (memories[userId] !== entry) return;
+
+        const call = response.functionCalls.find(c => c.name === 'update_memory');
+        const parsed = call ? memoryUpdateSchema.safeParse(call.args) : null;
+        if (!parsed?.success) {
+            throw new Error('Resposta de resumo inválida');
+        }
+
+        const { summary, ...entities } = parsed.data;
+        entry.summary = summary.trim().substring(0, config.memory.summaryMaxChars);
+        for (const type of ENTITY_TYPES) {
+            // Os trechos resumidos são mais antigos: entram no fim da lista, sem passar na frente
+            const known = new Set(entry.entities[type].map(item => item.toLowerCase()));
+            const older = (entities[type] || []).map(v => v.trim()).filter(v => v && !known.has(v.toLowerCase()));
+            entry.entities[type] = [...entry.entities[type], ...older].slice(0, config.memory.maxEntitiesPerType);
+        }
+        entry.pendingTurns = [];
+        entry.updatedAt = new Date().toISOString();
+
+        log.ai('Resumo da conversa atualizado', { userId, provider: response.provider, chars: entry.summary.length });
+    } catch (error) {
+        // Os turnos ficam pendentes e entram no próximo resumo
+        log.warn('Falha ao resumir conversa', { userId, pendentes: entry.pendingTurns.length, error: error.message });
+    }
+
+    saveMemories();
+}
+
+/**
+ * Incorpora ao resumo os turnos que saíram da janela do histórico
+ * Roda em segundo plano (não atrasa a resposta); chamadas do mesmo usuário são encadeadas
+ * @param {string} userId
+ * @param {Array<Object>} turns - Turnos no formato do histórico ({ role, parts })
+ * @returns {Promise<void>}
+ */
+function summarizeTurns(userId, turns) {
+    const id = String(userId);
+    if (!turns || turns.length === 0) return Promise.resolve();
+
+    const generation = generations.get(id) || 0;
+    const previous = summaryQueues.get(id) || Promise.resolve();
+    const next = previous
+        .then(() => runSummary(id, turns, generation))
+        .catch(error => log.error('Erro no resumo da conversa', { userId: id, error: error.message }));
+    summaryQueues.set(id, next);
+    next.finally(() => {
+        if (summaryQueues.get(id) === next) summaryQueues.delete(id);
+    });
+    return next;
+}
+
+/**
+ * Resumo e entidades do usuário
+ * @returns {{ summary: string, entities: Object, updatedAt: string|null }}
+ */
+function getMemory(userId) {
+    const entry = memories[String(userId)];
+    if (!entry) return { summary: '', entities: { people: [], cards: [], events: [] }, updatedAt: null };
+    return { summary: entry.summary, entities: entry.entities, updatedAt: entry.updatedAt };
+}
+
+/**
+ * Bloco de contexto para o prompt do sistema (vazio se não houver memória)
+ * @param {string} userId
+ * @returns {string}
+ */
+function formatForPrompt(userId) {
+    if (!userId) return '';
+    const { summary, entities } = getMemory(userId);
+
+    const lines = [];
+    if (summary) lines.push(`RESUMO DA CONVERSA ATÉ AQUI:\n${summary}`);
+
+    const labels = { people: 'Pessoas', cards: 'Cards', events: 'Eventos' };
+    const entityLines = ENTITY_TYPES
+        .filter(type => entities[type].length > 0)
+        .map(type => `- ${labels[type]}: ${entities[type].join('; ')}`);
+    if (entityLines.length > 0) {
+        lines.push(`CITADOS RECENTEMENTE (mais recentes primeiro):\n${entityLines.join('\n')}`);
+    }
+
+    if (lines.length === 0) return '';
+    return `${lines.join('\n\n')}\nUse para resolver referências como "aquele cliente" ou "o card de ontem".`;
+}
+
+/**
+ * Apaga resumo, entidades e turnos pendentes do usuário
+ * @param {string} userId
+ * @returns {boolean} true se havia algo guardado
+ */
+function clearMemory(userId) {
+    const id = String(userId);
+    const existed = !!memories[id];
+    delete memories[id];
+    generations.set(id, (generations.get(id) || 0) + 1);
+    saveMemories();
+    log.ai('Memória de conversa apagada', { userId: id });
+    return existed;
+}
+
+loadMemories();
+
+module.exports = {
+    rememberIntents,
+    summarizeTurns,
+    getMemory,
+    formatForPrompt,
+    clearMemory
+};
@@ -0,0 +1,211 @@
+/**
+ * Modelos de evento
+ * Tipos de compromisso que se repetem ("Visita de obra": 2h, endereço da obra, engenheiro convidado)
+ * - Cada usuário tem os seus, guardados em disco
+ * - create_event com `template` usa os padrões do modelo; o que o usuário disse na mensagem prevalece
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const Fuse = require('fuse.js');
+const { log } = require('../utils/logger');
+const { t } = require('../utils/i18n');
+const config = require('../config');
+
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data'));
+const TEMPLATES_FILE = path.join(DATA_DIR, 'event_templates.json');
+
+// Campos do modelo que viram padrão do create_event
+const DEFAULT_FIELDS = ['summary', 'location', 'description', 'online', 'attendees', 'calendar_query'];
+
+// Modelos em memória: { userId: [modelo] }
+let templates = {};
+
+// --- PERSISTÊNCIA ---
+
+function loadTemplates() {
+    try {
+        if (fs.existsSync(TEMPLATES_FILE)) {
+            templates = JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf-8'));
+            log.info('Modelos de evento carregados', { users: Object.keys(templates).length });
+        }
+    } catch (e) {
+        log.error('Erro ao carregar modelos de evento', { error: e.message });
+        templates = {};
+    }
+}
+
+function saveTemplates() {
+    try {
+        if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(TEMPLATES_FILE, JSON.stringify(templates, null, 2));
+    } catch (e) {
+        log.error('Erro ao salvar modelos de evento', { error: e.message });
+    }
+}
+
+// Carrega na inicialização
+loadTemplates();
+
+// Minúsculas, sem acentos
+const normalize = text => String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+
+// --- OPERAÇÕES ---
+
+/**
+ * Modelos do usuário, em ordem alfabética
+ * @param {string|number} userId
+ * @returns {Array<Object>}
+ */
+function listTemplates(userId) {
+    return [...(templates[String(userId)] || [])].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Cria o modelo ou atualiza o de mesmo nome
+ * @param {string|number} userId
+ * @param {Object} fields - { name, summary, duration, location, description, attendees, online, calendar_query }
+ * @returns {{ template: Object, updated: boolean }}
+ */
+function saveTemplate(userId, fields) {
+    const id = String(userId);
+    const list = templates[id] || (templates[id] = []);
+    const existing = list.find(item => normalize(item.name) === normalize(fields.name));
+
+    const values = Object.fromEntries(
+        [...DEFAULT_FIELDS, 'duration']
+            .filter(field => fields[field] !== undefined && fields[field] !== null && fields[field] !== '')
+            .map(field => [field, fields[field]])
+    );
+
+    let template;
+    if (existing) {
+        Object.assign(existing, values, { updatedAt: new Date().toISOString() });
+        template = existing;
+    } else {
+        template = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 4),
+            name: fields.name.trim(),
+            ...values,
+            createdAt: new Date().toISOString()
+        };
+        list.push(template);
+    }
+
+    saveTemplates();
+    log.info(existing ? 'Modelo de evento atualizado' : 'Modelo de evento criado', { userId: id, name: template.name });
+    return { template, updated: !!existing };
+}
+
+/**
+ * Procura o modelo citado ("visita de obra", "1:1")
+ * Nome igual > nome que contém o citado (ou o contrário) > busca aproximada
+ * @param {string|number} userId
+ * @param {string} query
+ * @returns {Object|null}
+ */
+function findTemplate(userId, query) {
+    const list = templates[String(userId)] || [];
+    if (!query || list.length === 0) return null;
+
+    const wanted = normalize(query);
+    const exact = list.find(item => normalize(item.name) === wanted);
+    if (exact) return exact;
+
+    const partial = list.filter(item => normalize(item.name).includes(wanted) || wanted.includes(normalize(item.name)));
+    if (partial.length === 1) return partial[0];
+
+    const fuse = new Fuse(list, { keys: ['name'], threshold: config.knowledge.fuzzyThreshold });
+    return fuse.search(query)[0]?.item || null;
+}
+
+/**
+ * Apaga o modelo citado
+ * @param {string|number} userId
+ * @param {string} query - Nome (ou id, vindo dos botões do /modelos)
+ * @returns {Object|null} Modelo apagado
+ */
+function deleteTemplate(userId, query) {
+    const id = String(userId);
+    const template = (templates[id] || []).find(item => item.id === query) || findTemplate(id, query);
+    if (!template) return null;
+
+    templates[id] = templates[id].filter(item => item.id !== template.id);
+    if (templates[id].length === 0) delete templates[id];
+    saveTemplates();
+    log.info('Modelo de evento apagado', { userId: id, name: template.name });
+    return template;
+}
+
+/**
+ * Junta os padrões do modelo com o pedido: o que veio no pedido prevalece
+ * Sem fim informado, o fim sai da duração do modelo
+ * @param {Object} intent - create_event com `template`
+ * @param {Object} template
+ * @returns {Object} Intenção completa (sem o campo template)
+ */
+function applyTemplate(intent, template) {
+    const { template: _reference, ...explicit } = Object.fromEntries(
+        Object.entries(intent).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+
+    const defaults = Object.fromEntries(DEFAULT_FIELDS
+        .filter(field => template[field] !== undefined)
+        .map(field => [field, Array.isArray(template[field]) ? [...template[field]] : template[field]]));
+
+    const merged = { summary: template.name, ...defaults, ...explicit };
+
+    if (!explicit.end && template.duration && merged.start?.includes('T')) {
+        merged.end = DateTime.fromISO(merged.start, { zone: config.timezone })
+            .plus({ minutes: template.duration })
+            .toFormat("yyyy-MM-dd'T'HH:mm:ss");
+    }
+
+    log.info('Modelo de evento aplicado', { template: template.name, explicit: Object.keys(explicit).filter(key => key !== 'tipo') });
+    return merged;
+}
+
+// 90 -> "1h30", 120 -> "2h", 30 -> "30 min"
+function formatDuration(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const rest = minutes % 60;
+    return `${Math.floor(minutes / 60)}h${rest ? String(rest).padStart(2, '0') : ''}`;
+}
+
+/**
+ * Uma linha por modelo: nome, duração, local, convidados, Meet
+ * @param {Object} template
+ * @returns {string}
+ */
+function formatTemplate(template) {
+    const parts = [template.duration ? formatDuration(template.duration) : null];
+    if (template.summary && template.summary !== template.name) parts.push(`📌 ${template.summary}`);
+    if (template.location) parts.push(`📍 ${template.location}`);
+    if (template.attendees?.length) parts.push(`👥 ${template.attendees.join(', ')}`);
+    if (template.online) parts.push(t('templates.online'));
+
+    const details = parts.filter(Boolean).join(' · ');
+    return details ? `📋 ${template.name} — ${details}` : `📋 ${template.name}`;
+}
+
+/**
+ * Nomes dos modelos para o contexto do classificador (vazio quando o usuário não tem)
+ * @param {string|number} userId
+ * @returns {string}
+ */
+function formatForPrompt(userId) {
+    const list = listTemplates(userId);
+    if (list.length === 0) return '';
+    return `MODELOS DE EVENTO DO USUÁRIO (use em \`template\` do create_event quando ele citar um):\n${list.map(item => `- ${item.name}`).join('\n')}`;
+}
+
+module.exports = {
+    listTemplates,
+    saveTemplate,
+    findTemplate,
+    deleteTemplate,
+    applyTemplate,
+    formatTemplate,
+    formatForPrompt
+};
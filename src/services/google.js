@@ -2,12 +2,14 @@ const fs = require('fs');
 const path = require('path');
 const { google } = require('googleapis');
 const { DateTime } = require('luxon');
-const { log } = require('../utils/logger');
-const { withGoogleRetry } = require('../utils/retry');
+const { log, getContext } = require('../utils/logger');
+const { withGoogleRetry, setInvalidGrantHandler } = require('../utils/retry');
 const config = require('../config');
+const tokenStore = require('../utils/tokenStore');
 
 const SCOPES = [
     'https://www.googleapis.com/auth/calendar',
+    'https://www.googleapis.com/auth/tasks',
     'https://www.googleapis.com/auth/drive'
 ];
 
@@ -35,7 +37,125 @@ async function loadCredentials() {
     throw new Error('Credenciais do Google não encontradas no .env ou credentials.json');
 }
 
-async function getAuthClient() {
+// --- AUTENTICAÇÃO ---
+
+// Contas que precisam de novo consentimento (token revogado/expirado): conta -> { since, error }
+// Conta = userId (conta própria via /conectar_google) ou 'global'
+const reauthRequired = new Map();
+const reauthListeners = [];
+
+/**
+ * Identifica a conta usada por um usuário: a própria, se conectada, ou a global
+ */
+function getAccountKey(userId = getContext().userId) {
+    return userId && tokenStore.hasUserTokens(userId) ? String(userId) : 'global';
+}
+
+function createReauthError(account) {
+    const error = new Error('A conexão com o Google expirou e precisa ser refeita.');
+    error.code = 'GOOGLE_REAUTH_REQUIRED';
+    error.account = account;
+    return error;
+}
+
+/**
+ * Marca a conta como "precisa reautenticar" (chamado em invalid_grant)
+ * Notifica os listeners apenas na primeira vez, para não repetir o aviso a cada chamada
+ */
+function markReauthRequired(originalError) {
+    const account = getAccountKey();
+
+    if (!reauthRequired.has(account)) {
+        reauthRequired.set(account, { since: new Date().toISOString(), error: originalError.message });
+        log.warn('Google: token inválido, reautenticação necessária', { account, error: originalError.message });
+
+        reauthListeners.forEach(listener => {
+            Promise.resolve(listener(account)).catch(e =>
+                log.error('Erro ao notificar reautenticação', { account, error: e.message }));
+        });
+    }
+
+    return createReauthError(account);
+}
+
+setInvalidGrantHandler(markReauthRequired);
+
+/**
+ * Registra um listener chamado quando uma conta entra em estado de reautenticação
+ * @param {Function} listener - (account) => void | Promise
+ */
+function onReauthRequired(listener) {
+    reauthListeners.push(listener);
+}
+
+/**
+ * Lê os tokens globais
+ * tokens.json tem precedência: é nele que os refreshes são persistidos
+ */
+function loadGlobalTokens() {
+    if (fs.existsSync(TOKEN_PATH)) {
+        return JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf-8'));
+    }
+    if (process.env.GOOGLE_TOKENS) {
+        return JSON.parse(process.env.GOOGLE_TOKENS);
+    }
+    return null;
+}
+
+/**
+ * Salva os tokens globais em tokens.json (escrita atômica)
+ * Mantém o refresh_token anterior se o Google não enviar um novo
+ * @param {Object} tokens
+ */
+function saveGlobalTokens(tokens) {
+    let previous = {};
+    try {
+        previous = loadGlobalTokens() || {};
+    } catch (e) {
+        log.warn('tokens.json ilegível, será sobrescrito', { error: e.message });
+    }
+
+    const merged = { ...previous, ...tokens };
+    if (!tokens.refresh_token && previous.refresh_token) {
+        merged.refresh_token = previous.refresh_token;
+    }
+
+    const tmpFile = `${TOKEN_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(merged, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, TOKEN_PATH);
+    log.google('Tokens globais salvos');
+}
+
+/**
+ * Persiste credenciais renovadas pelo OAuth2Client (evento 'tokens')
+ */
+function persistRefreshedTokens(account, tokens) {
+    try {
+        if (account === 'global') {
+            saveGlobalTokens(tokens);
+        } else {
+            tokenStore.saveUserTokens(account, tokens);
+        }
+        log.google('Credenciais renovadas persistidas', { account, rotatedRefresh: !!tokens.refresh_token });
+    } catch (e) {
+        log.error('Erro ao persistir credenciais renovadas', { account, error: e.message });
+    }
+}
+
+/**
+ * Cria o cliente OAuth2 autenticado
+ * Usa a conta conectada pelo usuário da requisição atual (/conectar_google);
+ * sem conta própria, cai para o token global (tokens.json / GOOGLE_TOKENS)
+ * @param {string} userId - Padrão: usuário do contexto da requisição
+ */
+async function getAuthClient(userId = getContext().userId) {
+    const account = getAccountKey(userId);
+
+    // Não insiste com um token já rejeitado: falha rápido até alguém reconectar
+    if (reauthRequired.has(account)) {
+        throw createReauthError(account);
+    }
+
     const creds = await loadCredentials();
     const oAuth2Client = new google.auth.OAuth2(
         creds.client_id,
@@ -43,20 +163,112 @@ async function getAuthClient() {
         creds.redirect_uri
     );
 
-    if (process.env.GOOGLE_TOKENS) {
-        oAuth2Client.setCredentials(JSON.parse(process.env.GOOGLE_TOKENS));
-    } else if (fs.existsSync(TOKEN_PATH)) {
-        const token = fs.readFileSync(TOKEN_PATH);
-        oAuth2Client.setCredentials(JSON.parse(token));
-    } else {
-        throw new Error('Token não encontrado.');
+    const tokens = account === 'global' ? loadGlobalTokens() : tokenStore.getUserTokens(account);
+    if (!tokens) {
+        throw new Error('Token não encontrado. Conecte sua conta com /conectar_google.');
     }
+
+    oAuth2Client.setCredentials(tokens);
+    oAuth2Client.on('tokens', (refreshed) => persistRefreshedTokens(account, refreshed));
     return oAuth2Client;
 }
 
+/**
+ * Descarta o cache de agendas e o estado de reautenticação de uma conta
+ * (ex: após conectar/reconectar ou desconectar)
+ * @param {string} account - userId ou 'global'
+ */
+function clearUserCache(account) {
+    calendarListCache.delete(String(account));
+    reauthRequired.delete(String(account));
+}
+
+/**
+ * Contas aguardando reconexão
+ * @returns {Object} { conta: { since, error } }
+ */
+function getReauthState() {
+    return Object.fromEntries(reauthRequired);
+}
+
 // --- CALENDAR ---
 
-async function createEvent(eventData) {
+const DEFAULT_CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID || 'primary';
+
+// Cache da lista de agendas por conta (calendarList muda pouco)
+const calendarListCache = new Map();
+
+// Lembra de qual agenda veio cada evento listado/criado
+// Permite editar/apagar a partir de botões que só carregam o eventId
+const eventCalendarIndex = new Map();
+
+function rememberEventCalendar(eventId, calendarId) {
+    if (eventId && calendarId) eventCalendarIndex.set(eventId, calendarId);
+}
+
+function resolveEventCalendar(eventId, calendarId) {
+    return calendarId || eventCalendarIndex.get(eventId) || DEFAULT_CALENDAR_ID;
+}
+
+/**
+ * Lista as agendas visíveis na conta (calendarList)
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Ignora o cache
+ * @returns {Promise<Array<{ id, summary, primary, accessRole, backgroundColor }>>}
+ */
+async function listCalendars({ forceRefresh = false } = {}) {
+    const cacheKey = getAccountKey();
+    const cached = calendarListCache.get(cacheKey);
+    if (!forceRefresh && cached && Date.now() - cached.fetchedAt < config.cache.ttlMs) {
+        return cached.items;
+    }
+
+    return withGoogleRetry(async () => {
+        const auth = await getAuthClient();
+        const calendar = google.calendar({ version: 'v3', auth });
+
+        const response = await calendar.calendarList.list({ minAccessRole: 'reader' });
+        // A principal usa o alias 'primary' (mesmo ID gravado nas preferências e nos eventos)
+        const items = (response.data.items || []).map(c => ({
+            id: c.primary ? 'primary' : c.id,
+            summary: c.summaryOverride || c.summary,
+            primary: !!c.primary,
+            accessRole: c.accessRole,
+            backgroundColor: c.backgroundColor
+        }));
+
+        calendarListCache.set(cacheKey, { items, fetchedAt: Date.now() });
+        log.google('Agendas listadas', { count: items.length });
+        return items;
+    }, 'listCalendars');
+}
+
+/**
+ * Metadados de uma agenda (nome, se é a principal) a partir do cache
+ * Nunca lança erro: se a calendarList falhar, usa o próprio ID como nome
+ */
+async function getCalendarMeta(calendarId) {
+    try {
+        const calendars = await listCalendars();
+        const found = calendarId === 'primary'
+            ? calendars.find(c => c.primary)
+            : calendars.find(c => c.id === calendarId);
+        if (found) return { name: found.summary, primary: found.primary };
+    } catch (e) {
+        log.warn('Não foi possível obter metadados da agenda', { calendarId, error: e.message });
+    }
+    return { name: calendarId, primary: calendarId === 'primary' };
+}
+
+/**
+ * Cria um evento
+ * @param {Object} eventData - { summary, start, end, description, location, attendees, recurrence, online }
+ * @param {string} calendarId
+ * @param {Object} options
+ * @param {string} options.sendUpdates - 'all' para o Google enviar o convite por e-mail aos convidados
+ * @returns {Promise<Object>}
+ */
+async function createEvent(eventData, calendarId = DEFAULT_CALENDAR_ID, { sendUpdates } = {}) {
     return withGoogleRetry(async () => {
         const auth = await getAuthClient();
         const calendar = google.calendar({ version: 'v3', auth });
@@ -97,66 +309,120 @@ async function createEvent(eventData) {
             };
         }
 
-        log.google('Criando evento', { summary: eventData.summary });
+        log.google('Criando evento', { summary: eventData.summary, calendarId });
 
         const response = await calendar.events.insert({
-            calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+            calendarId,
             resource: resource,
             conferenceDataVersion: 1,
+            sendUpdates,
         });
 
         log.google('Evento criado', { id: response.data.id, summary: response.data.summary });
-        return response.data;
+        rememberEventCalendar(response.data.id, calendarId);
+        return { ...response.data, calendarId };
     }, 'createEvent');
 }
 
-async function listEvents(timeMin, timeMax) {
-    return withGoogleRetry(async () => {
+/**
+ * Lista eventos de uma ou mais agendas, mesclados e ordenados por início
+ * Cada evento recebe calendarId, calendarName e calendarPrimary (agenda de origem)
+ * @param {string} timeMin - ISO
+ * @param {string} timeMax - ISO
+ * @param {string|Array<string>} calendarIds - Agenda(s) a consultar (padrão: GOOGLE_CALENDAR_ID)
+ * @returns {Promise<Array>}
+ */
+async function listEvents(timeMin, timeMax, calendarIds = [DEFAULT_CALENDAR_ID]) {
+    const ids = [...new Set(Array.isArray(calendarIds) ? calendarIds : [calendarIds])];
+
+    const results = await Promise.allSettled(ids.map(id => listCalendarEvents(id, timeMin, timeMax)));
+
+    const events = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            events.push(...result.value);
+        } else {
+            log.error('Erro ao listar eventos da agenda', { calendarId: ids[i], error: result.reason?.message });
+        }
+    });
+
+    // Se TODAS as agendas falharam, propaga o erro (mantém comportamento de agenda única)
+    if (ids.length > 0 && results.every(r => r.status === 'rejected')) {
+        throw results[0].reason;
+    }
+
+    if (ids.length > 1) {
+        events.sort((a, b) => eventStartMillis(a) - eventStartMillis(b));
+    }
+    return events;
+}
+
+async function listCalendarEvents(calendarId, timeMin, timeMax) {
+    const items = await withGoogleRetry(async () => {
         const auth = await getAuthClient();
         const calendar = google.calendar({ version: 'v3', auth });
 
         const response = await calendar.events.list({
-            calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+            calendarId,
             timeMin: timeMin,
             timeMax: timeMax,
             singleEvents: true,
             orderBy: 'startTime',
         });
 
-        log.google('Eventos listados', { count: response.data.items?.length || 0 });
+        log.google('Eventos listados', { calendarId, count: response.data.items?.length || 0 });
         return response.data.items || [];
     }, 'listEvents');
+
+    const meta = await getCalendarMeta(calendarId);
+    return items.map(e => {
+        rememberEventCalendar(e.id, calendarId);
+        return { ...e, calendarId, calendarName: meta.name, calendarPrimary: meta.primary };
+    });
 }
 
-async function updateEvent(eventId, updates) {
+function eventStartMillis(event) {
+    const start = event.start?.dateTime || event.start?.date;
+    return start ? DateTime.fromISO(start).toMillis() : 0;
+}
+
+/**
+ * Monta o recurso de patch a partir dos campos de atualização
+ */
+function buildUpdateResource(updates) {
+    const resource = {};
+    if (updates.summary) resource.summary = updates.summary;
+    if (updates.description) resource.description = updates.description;
+    if (updates.location) resource.location = updates.location;
+    if (updates.start) {
+        resource.start = updates.start.includes('T')
+            ? { dateTime: updates.start, timeZone: config.timezone }
+            : { date: updates.start };
+    }
+    if (updates.end) {
+        resource.end = updates.end.includes('T')
+            ? { dateTime: updates.end, timeZone: config.timezone }
+            : { date: updates.end };
+    }
+    if (updates.colorId) resource.colorId = updates.colorId;
+    if (updates.conferenceData) resource.conferenceData = updates.conferenceData;
+    if (updates.attendees) resource.attendees = updates.attendees;
+    if (updates.recurrence) resource.recurrence = updates.recurrence;
+    if (updates.reminders) resource.reminders = updates.reminders;
+    return resource;
+}
+
+async function updateEvent(eventId, updates, calendarId = null) {
     return withGoogleRetry(async () => {
         const auth = await getAuthClient();
         const calendar = google.calendar({ version: 'v3', auth });
 
-        const resource = {};
-        if (updates.summary) resource.summary = updates.summary;
-        if (updates.description) resource.description = updates.description;
-        if (updates.location) resource.location = updates.location;
-        if (updates.start) {
-            resource.start = updates.start.includes('T')
-                ? { dateTime: updates.start, timeZone: config.timezone }
-                : { date: updates.start };
-        }
-        if (updates.end) {
-            resource.end = updates.end.includes('T')
-                ? { dateTime: updates.end, timeZone: config.timezone }
-                : { date: updates.end };
-        }
-        if (updates.colorId) resource.colorId = updates.colorId;
-        if (updates.conferenceData) resource.conferenceData = updates.conferenceData;
-        if (updates.attendees) resource.attendees = updates.attendees;
-        if (updates.recurrence) resource.recurrence = updates.recurrence;
-        if (updates.reminders) resource.reminders = updates.reminders;
+        const resource = buildUpdateResource(updates);
 
         log.google('Atualizando evento', { eventId });
 
         const patchOptions = {
-            calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+            calendarId: resolveEventCalendar(eventId, calendarId),
             eventId: eventId,
             resource: resource
         };
@@ -169,19 +435,20 @@ async function updateEvent(eventId, updates) {
         const response = await calendar.events.patch(patchOptions);
 
         log.google('Evento atualizado', { id: response.data.id });
-        return response.data;
+        return { ...response.data, calendarId: patchOptions.calendarId };
     }, 'updateEvent');
 }
 
-async function deleteEvent(eventId) {
+async function deleteEvent(eventId, calendarId = null) {
     return withGoogleRetry(async () => {
         const auth = await getAuthClient();
         const calendar = google.calendar({ version: 'v3', auth });
 
-        log.google('Deletando evento', { eventId });
+        const targetCalendarId = resolveEventCalendar(eventId, calendarId);
+        log.google('Deletando evento', { eventId, calendarId: targetCalendarId });
 
         await calendar.events.delete({
-            calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+            calendarId: targetCalendarId,
             eventId: eventId
         });
 
@@ -189,7 +456,285 @@ async function deleteEvent(eventId) {
     }, 'deleteEvent');
 }
 
-async function getFreeBusy(timeMin, timeMax) {
+/**
+ * Busca um evento (ou ocorrência de evento recorrente) pelo ID
+ * @param {string} eventId
+ * @param {string} calendarId - Agenda do evento (padrão: a registrada na listagem ou a principal)
+ */
+async function getEvent(eventId, calendarId = null) {
+    return withGoogleRetry(async () => {
+        const auth = await getAuthClient();
+        const calendar = google.calendar({ version: 'v3', auth });
+
+        const targetCalendarId = resolveEventCalendar(eventId, calendarId);
+        const response = await calendar.events.get({ calendarId: targetCalendarId, eventId });
+
+        rememberEventCalendar(response.data.id, targetCalendarId);
+        return { ...response.data, calendarId: targetCalendarId };
+    }, 'getEvent');
+}
+
+// --- EVENTOS RECORRENTES ---
+
+// 'single' = só esta ocorrência, 'following' = esta e as seguintes, 'all' = a série inteira
+const RECURRENCE_SCOPES = ['single', 'following', 'all'];
+
+function isRecurringEvent(event) {
+    return !!(event && (event.recurringEventId || (event.recurrence && event.recurrence.length > 0)));
+}
+
+function eventTimeToDateTime(time) {
+    if (!time) return null;
+    return time.dateTime
+        ? DateTime.fromISO(time.dateTime, { zone: time.timeZone || config.timezone, setZone: true })
+        : DateTime.fromISO(time.date, { zone: config.timezone });
+}
+
+function shiftEventTime(time, deltaMs) {
+    if (!time || !deltaMs) return time;
+    if (time.dateTime) {
+        const shifted = eventTimeToDateTime(time).plus({ milliseconds: deltaMs });
+        return { dateTime: shifted.toISO(), timeZone: time.timeZone || config.timezone };
+    }
+    const shifted = DateTime.fromISO(time.date).plus({ days: Math.round(deltaMs / 86400000) });
+    return { date: shifted.toISODate() };
+}
+
+/**
+ * Reescreve as linhas RRULE trocando COUNT/UNTIL pelo limite informado
+ * @param {string[]} recurrence - Linhas RRULE/EXDATE/RDATE do evento mestre
+ * @param {Object} limit - { until } (formato RFC 5545) ou { count }; vazio mantém o limite original
+ */
+function rewriteRecurrenceLimit(recurrence, limit) {
+    return (recurrence || []).map(line => {
+        if (!line.startsWith('RRULE:')) return line;
+        if (!limit.until && !limit.count) return line;
+
+        const parts = line.substring('RRULE:'.length).split(';')
+            .filter(part => part && !/^(COUNT|UNTIL)=/.test(part));
+        if (limit.until) parts.push(`UNTIL=${limit.until}`);
+        else parts.push(`COUNT=${limit.count}`);
+        return `RRULE:${parts.join(';')}`;
+    });
+}
+
+function getRecurrenceCount(recurrence) {
+    const rrule = (recurrence || []).find(line => line.startsWith('RRULE:'));
+    const match = rrule && rrule.match(/COUNT=(\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * UNTIL que encerra a série logo antes da ocorrência informada
+ * Eventos de dia inteiro usam data (dia anterior); com horário, 1s antes em UTC
+ */
+function untilBefore(originalStartTime) {
+    if (originalStartTime.date) {
+        return DateTime.fromISO(originalStartTime.date).minus({ days: 1 }).toFormat('yyyyMMdd');
+    }
+    return eventTimeToDateTime(originalStartTime)
+        .minus({ seconds: 1 })
+        .toUTC()
+        .toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+/**
+ * Carrega a ocorrência e o evento mestre da série
+ * @returns {Promise<{ instance, master, calendarId, isFirst }>}
+ */
+async function loadSeries(eventId, calendarId) {
+    const instance = await getEvent(eventId, calendarId);
+    const targetCalendarId = instance.calendarId;
+
+    if (!instance.recurringEventId) {
+        return { instance, master: instance.recurrence ? instance : null, calendarId: targetCalendarId, isFirst: true };
+    }
+
+    const master = await getEvent(instance.recurringEventId, targetCalendarId);
+    const originalStart = eventTimeToDateTime(instance.originalStartTime || instance.start);
+    const masterStart = eventTimeToDateTime(master.start);
+    const isFirst = !!(originalStart && masterStart && originalStart.toMillis() <= masterStart.toMillis());
+
+    return { instance, master, calendarId: targetCalendarId, isFirst };
+}
+
+/**
+ * Conta as ocorrências da série anteriores à ocorrência informada (inclui canceladas, que contam no COUNT)
+ */
+async function countOccurrencesBefore(masterId, calendarId, originalStartTime) {
+    return withGoogleRetry(async () => {
+        const auth = await getAuthClient();
+        const calendar = google.calendar({ version: 'v3', auth });
+
+        const timeMax = eventTimeToDateTime(originalStartTime).toISO();
+        let count = 0;
+        let pageToken;
+        do {
+            const response = await calendar.events.instances({
+                calendarId,
+                eventId: masterId,
+                timeMax,
+                showDeleted: true,
+                maxResults: 2500,
+                pageToken
+            });
+            count += (response.data.items || []).length;
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return count;
+    }, 'countOccurrencesBefore');
+}
+
+/**
+ * Encerra a série antes da ocorrência (mantém as ocorrências passadas)
+ * @returns {Promise<string[]>} Recorrência original (para desfazer em caso de erro)
+ */
+async function truncateSeries(master, calendarId, originalStartTime) {
+    const originalRecurrence = master.recurrence || [];
+    const until = untilBefore(originalStartTime);
+    const recurrence = rewriteRecurrenceLimit(originalRecurrence, { until });
+
+    await updateEvent(master.id, { recurrence }, calendarId);
+    log.google('Série recorrente encerrada', { eventId: master.id, until });
+    return originalRecurrence;
+}
+
+/**
+ * Atualiza um evento recorrente respeitando o escopo escolhido
+ * - single: só a ocorrência (vira exceção na série)
+ * - following: divide a série — a original termina antes desta ocorrência e uma nova série começa nela com as alterações
+ * - all: atualiza o evento mestre (mudança de horário é aplicada como deslocamento em todas as ocorrências)
+ * @param {string} eventId - ID da ocorrência (como vem do listEvents)
+ * @param {Object} updates - Mesmos campos do updateEvent
+ * @param {string} scope - 'single' | 'following' | 'all'
+ * @param {string} calendarId
+ */
+async function updateEventWithScope(eventId, updates, scope = 'single', calendarId = null) {
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+        throw new Error(`Escopo de recorrência inválido: ${scope}`);
+    }
+    if (scope === 'single') return updateEvent(eventId, updates, calendarId);
+
+    const { instance, master, calendarId: targetCalendarId, isFirst } = await loadSeries(eventId, calendarId);
+    if (!master) return updateEvent(eventId, updates, targetCalendarId);
+
+    if (scope === 'all' || isFirst) {
+        const resource = buildUpdateResource(updates);
+
+        // O horário informado é da ocorrência: aplica a mesma diferença ao início/fim da série
+        if (resource.start && instance.start) {
+            const delta = eventTimeToDateTime(resource.start).toMillis() - eventTimeToDateTime(instance.start).toMillis();
+            const endDelta = resource.end && instance.end
+                ? eventTimeToDateTime(resource.end).toMillis() - eventTimeToDateTime(instance.end).toMillis()
+                : delta;
+            resource.start = shiftEventTime(master.start, delta);
+            resource.end = shiftEventTime(master.end, endDelta);
+        }
+
+        log.google('Atualizando série recorrente', { eventId: master.id, scope });
+        return patchEventResource(master.id, resource, targetCalendarId);
+    }
+
+    // following: nova série a partir desta ocorrência
+    const originalStartTime = instance.originalStartTime || instance.start;
+    const originalCount = getRecurrenceCount(master.recurrence);
+    let newLimit = {};
+    if (originalCount) {
+        const before = await countOccurrencesBefore(master.id, targetCalendarId, originalStartTime);
+        newLimit = { count: Math.max(originalCount - before, 1) };
+    }
+
+    const newSeries = {
+        summary: master.summary,
+        description: master.description,
+        location: master.location,
+        colorId: master.colorId,
+        attendees: master.attendees,
+        reminders: master.reminders,
+        transparency: master.transparency,
+        visibility: master.visibility,
+        start: instance.start,
+        end: instance.end,
+        recurrence: rewriteRecurrenceLimit(master.recurrence, newLimit),
+        ...buildUpdateResource(updates)
+    };
+
+    const originalRecurrence = await truncateSeries(master, targetCalendarId, originalStartTime);
+
+    try {
+        const created = await insertRawEvent(newSeries, targetCalendarId);
+        log.google('Série recorrente dividida', { from: master.id, to: created.id });
+        return created;
+    } catch (error) {
+        // Desfaz o encerramento para não perder as próximas ocorrências
+        await updateEvent(master.id, { recurrence: originalRecurrence }, targetCalendarId).catch(e => {
+            log.apiError('Google', e, { eventId: master.id, context: 'rollback da divisão de série' });
+        });
+        throw error;
+    }
+}
+
+/**
+ * Apaga um evento recorrente respeitando o escopo escolhido
+ * - single: só a ocorrência
+ * - following: encerra a série antes desta ocorrência (apaga a série inteira se for a primeira)
+ * - all: apaga o evento mestre
+ * @param {string} eventId - ID da ocorrência
+ * @param {string} scope - 'single' | 'following' | 'all'
+ * @param {string} calendarId
+ */
+async function deleteEventWithScope(eventId, scope = 'single', calendarId = null) {
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+        throw new Error(`Escopo de recorrência inválido: ${scope}`);
+    }
+    if (scope === 'single') return deleteEvent(eventId, calendarId);
+
+    const { instance, master, calendarId: targetCalendarId, isFirst } = await loadSeries(eventId, calendarId);
+    if (!master) return deleteEvent(eventId, targetCalendarId);
+
+    if (scope === 'all' || isFirst) {
+        return deleteEvent(master.id, targetCalendarId);
+    }
+
+    await truncateSeries(master, targetCalendarId, instance.originalStartTime || instance.start);
+}
+
+async function patchEventResource(eventId, resource, calendarId) {
+    return withGoogleRetry(async () => {
+        const auth = await getAuthClient();
+        const calendar = google.calendar({ version: 'v3', auth });
+
+        const response = await calendar.events.patch({ calendarId, eventId, resource });
+        return { ...response.data, calendarId };
+    }, 'patchEventResource');
+}
+
+async function insertRawEvent(resource, calendarId) {
+    return withGoogleRetry(async () => {
+        const auth = await getAuthClient();
+        const calendar = google.calendar({ version: 'v3', auth });
+
+        const clean = Object.fromEntries(Object.entries(resource).filter(([, value]) => value !== undefined));
+        const response = await calendar.events.insert({ calendarId, resource: clean });
+
+        rememberEventCalendar(response.data.id, calendarId);
+        return { ...response.data, calendarId };
+    }, 'insertRawEvent');
+}
+
+/**
+ * Consulta ocupação de várias agendas de uma vez
+ * Aceita IDs de agenda e e-mails de pessoas (a agenda principal de alguém tem o e-mail como ID)
+ * @param {string} timeMin - ISO
+ * @param {string} timeMax - ISO
+ * @param {Array<string>} ids - Agendas e/ou e-mails
+ * @returns {Promise<Object>} id -> { busy: [{ start, end }], error }
+ *   error vem preenchido quando a agenda não pôde ser lida (ex: 'notFound' para quem não compartilha)
+ */
+async function queryFreeBusy(timeMin, timeMax, ids = [DEFAULT_CALENDAR_ID]) {
+    const items = [...new Set(ids)].map(id => ({ id }));
+
     return withGoogleRetry(async () => {
         const auth = await getAuthClient();
         const calendar = google.calendar({ version: 'v3', auth });
@@ -199,27 +744,65 @@ async function getFreeBusy(timeMin, timeMax) {
                 timeMin: timeMin,
                 timeMax: timeMax,
                 timeZone: config.timezone,
-                items: [{ id: process.env.GOOGLE_CALENDAR_ID || 'primary' }]
+                items
             }
         });
 
-        const busy = response.data.calendars[process.env.GOOGLE_CALENDAR_ID || 'primary'].busy;
-        log.google('FreeBusy consultado', { busySlots: busy.length });
-        return busy;
-    }, 'getFreeBusy');
+        const result = {};
+        for (const { id } of items) {
+            const entry = response.data.calendars?.[id] || {};
+            result[id] = {
+                busy: entry.busy || [],
+                error: entry.errors?.[0]?.reason || (response.data.calendars?.[id] ? null : 'notFound')
+            };
+        }
+
+        log.google('FreeBusy consultado', {
+            calendars: items.length,
+            busySlots: Object.values(result).reduce((sum, r) => sum + r.busy.length, 0),
+            errors: Object.entries(result).filter(([, r]) => r.error).map(([id, r]) => `${id}:${r.error}`)
+        });
+        return result;
+    }, 'queryFreeBusy');
+}
+
+/**
+ * Horários ocupados somados de uma ou mais agendas
+ * @param {string} timeMin - ISO
+ * @param {string} timeMax - ISO
+ * @param {Array<string>} ids - Agendas e/ou e-mails (padrão: GOOGLE_CALENDAR_ID)
+ * @returns {Promise<Array<{start: string, end: string}>>}
+ */
+async function getFreeBusy(timeMin, timeMax, ids = [DEFAULT_CALENDAR_ID]) {
+    const result = await queryFreeBusy(timeMin, timeMax, ids);
+    return Object.values(result)
+        .flatMap(r => r.busy)
+        .sort((a, b) => new Date(a.start) - new Date(b.start));
 }
 
-function generateAuthUrl() {
+/**
+ * Gera a URL de consentimento do Google
+ * @param {string} state - Identifica o usuário do Telegram no callback (fluxo /conectar_google)
+ */
+function generateAuthUrl(state = null) {
     const oAuth2Client = new google.auth.OAuth2(
         process.env.GOOGLE_CLIENT_ID,
         process.env.GOOGLE_CLIENT_SECRET,
         process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/oauth2callback'
     );
 
-    return oAuth2Client.generateAuthUrl({
+    const options = {
         access_type: 'offline',
         scope: SCOPES,
-    });
+    };
+
+    if (state) {
+        options.state = state;
+        // Força o consentimento para o Google devolver refresh_token mesmo em reconexões
+        options.prompt = 'consent';
+    }
+
+    return oAuth2Client.generateAuthUrl(options);
 }
 
 async function getTokenFromCode(code) {
@@ -234,25 +817,43 @@ async function getTokenFromCode(code) {
 }
 
 module.exports = {
+    getAuthClient,
+    DEFAULT_CALENDAR_ID,
+    listCalendars,
     createEvent,
     listEvents,
+    getEvent,
     updateEvent,
     deleteEvent,
+    isRecurringEvent,
+    updateEventWithScope,
+    deleteEventWithScope,
     getFreeBusy,
+    queryFreeBusy,
     generateAuthUrl,
     getTokenFromCode,
+    saveGlobalTokens,
+    clearUserCache,
+    onReauthRequired,
+    getReauthState,
     // Status
-    getStatus: async () => {
+    getStatus: async (userId = getContext().userId) => {
+        const linked = !!userId && tokenStore.hasUserTokens(userId);
+        const needsReauth = reauthRequired.has(getAccountKey(userId));
         try {
-            const auth = await getAuthClient();
+            const auth = await getAuthClient(userId);
             return {
                 online: true,
-                authenticated: !!(auth.credentials && auth.credentials.access_token)
+                authenticated: !!(auth.credentials && (auth.credentials.access_token || auth.credentials.refresh_token)),
+                account: linked ? 'user' : 'global',
+                needsReauth
             };
         } catch (e) {
             return {
                 online: true,
                 authenticated: false,
+                account: linked ? 'user' : 'global',
+                needsReauth,
                 error: e.message
             };
         }
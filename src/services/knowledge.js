@@ -10,7 +10,7 @@ const { log } = require('../utils/logger');
 const Fuse = require('fuse.js');
 const config = require('../config');
 
-const DATA_DIR = fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data');
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data'));
 const KNOWLEDGE_FILE = path.join(DATA_DIR, 'knowledge.json');
 
 // Estrutura da Knowledge Base
@@ -0,0 +1,509 @@
+/**
+ * LLM Service
+ * Camada de provedores de modelo de linguagem com fallback automático
+ * Provedores plugáveis: Gemini, endpoint compatível com OpenAI (inclui Ollama/llama.cpp) e mock determinístico
+ *
+ * Formato neutro (o mesmo do histórico do ai.js, no padrão Content do Gemini):
+ * - contents: [{ role: 'user'|'model'|'function', parts: [{ text }|{ inlineData }|{ functionCall }|{ functionResponse }] }]
+ * - tools: declarações de função ({ name, description, parameters })
+ * - economy: usa o modelo econômico do provedor (usuário acima do orçamento)
+ * - system: instruções fixas (iguais entre mensagens; o Gemini guarda no cache de contexto)
+ * - systemContext: parte do prompt que muda a cada mensagem (data, usuário...), opcional
+ * Resposta: { functionCalls: [{ name, args }], text, content, usage, provider, model }
+ */
+
+const crypto = require('crypto');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleAICacheManager } = require('@google/generative-ai/server');
+const { log } = require('../utils/logger');
+const config = require('../config');
+
+// ============================================
+// PROVEDORES
+// ============================================
+
+/**
+ * Junta as instruções fixas e a parte dinâmica num prompt só (provedores sem cache)
+ */
+function joinSystem(system, systemContext) {
+    return systemContext ? `${system}\n\n${systemContext}` : system;
+}
+
+/**
+ * Põe a parte dinâmica do prompt no início da conversa (com cache, o systemInstruction fica no servidor)
+ */
+function withContextTurn(contents, systemContext) {
+    const [first, ...rest] = contents;
+    if (first?.role === 'user') {
+        return [{ ...first, parts: [{ text: systemContext }, ...first.parts] }, ...rest];
+    }
+    return [{ role: 'user', parts: [{ text: systemContext }] }, ...contents];
+}
+
+/**
+ * Provedor Gemini (SDK oficial)
+ * Chamadas de função obrigatórias (modo ANY): o modelo sempre responde com funções
+ * Com systemContext, as instruções fixas e as funções vão para o cache de contexto do Gemini
+ * (um cache por modelo + instruções + funções); a parte dinâmica segue em cada mensagem
+ */
+function createGeminiProvider() {
+    const settings = config.llm.gemini;
+    const toolConfig = { functionCallingConfig: { mode: 'ANY' } };
+    let genAI = null;
+    let cacheManager = null;
+    // nome do modelo -> instância do SDK (normal e econômico)
+    const models = new Map();
+    // chave do cache -> { promise (modelo do SDK ligado ao cache, ou null), validUntil }
+    const caches = new Map();
+
+    const getGenAI = () => {
+        if (!genAI) genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+        return genAI;
+    };
+
+    /**
+     * Modelo ligado ao cache das instruções + funções (cria o cache na primeira vez e quando expira)
+     * @returns {Promise<Object|null>} null = seguir sem cache (criação falhou há pouco)
+     */
+    function getCachedModel(key, modelName, system, tools) {
+        const entry = caches.get(key);
+        if (entry && entry.validUntil > Date.now()) return entry.promise;
+
+        if (!cacheManager) cacheManager = new GoogleAICacheManager(process.env.GEMINI_API_KEY);
+        // Mensagens simultâneas esperam a mesma criação
+        const created = { validUntil: Infinity };
+        created.promise = cacheManager.create({
+            model: modelName,
+            displayName: `assistente-${key}`,
+            systemInstruction: system,
+            tools: [{ functionDeclarations: tools }],
+            toolConfig,
+            ttlSeconds: settings.cacheTtlSeconds
+        }).then(cache => {
+            // Renova um minuto antes de expirar, para nenhuma chamada pegar o cache já apagado
+            created.validUntil = Date.parse(cache.expireTime) - 60 * 1000;
+            log.ai('Cache de contexto criado', { model: modelName, cache: cache.name, tokens: cache.usageMetadata?.totalTokenCount });
+            return getGenAI().getGenerativeModelFromCachedContent(cache);
+        }).catch(error => {
+            // Prompt abaixo do mínimo de tokens do modelo, cota...: segue sem cache por um tempo
+            created.validUntil = Date.now() + settings.cacheRetryMs;
+            log.warn('Cache de contexto indisponível', { model: modelName, error: error.message });
+            return null;
+        });
+        caches.set(key, created);
+        return created.promise;
+    }
+
+    return {
+        name: 'gemini',
+        model: settings.model,
+        timeoutMs: settings.timeoutMs,
+        isConfigured: () => !!process.env.GEMINI_API_KEY,
+        async generate({ system, systemContext, contents, tools, temperature, economy }, { signal } = {}) {
+            const modelName = economy ? settings.economyModel : settings.model;
+            const generationConfig = { temperature };
+            const requestOptions = { timeout: settings.timeoutMs, signal };
+            let result = null;
+
+            if (settings.contextCache && systemContext !== undefined) {
+                const key = crypto.createHash('sha256')
+                    .update(`${modelName}\n${system}\n${JSON.stringify(tools)}`)
+                    .digest('hex').substring(0, 16);
+                const cachedModel = await getCachedModel(key, modelName, system, tools);
+                if (cachedModel) {
+                    try {
+                        result = await cachedModel.generateContent({
+                            contents: withContextTurn(contents, systemContext),
+                            generationConfig
+                        }, requestOptions);
+                    } catch (error) {
+                        // Cache apagado ou expirado no servidor: descarta e refaz a chamada sem cache
+                        if (![400, 403, 404].includes(error.status)) throw error;
+                        caches.delete(key);
+                        log.warn('Cache de contexto rejeitado', { model: modelName, status: error.status, error: error.message });
+                    }
+                }
+            }
+
+            if (!result) {
+                if (!models.has(modelName)) {
+                    models.set(modelName, getGenAI().getGenerativeModel({ model: modelName }));
+                }
+                result = await models.get(modelName).generateContent({
+                    contents,
+                    systemInstruction: joinSystem(system, systemContext),
+                    tools: [{ functionDeclarations: tools }],
+                    toolConfig,
+                    generationConfig
+                }, requestOptions);
+            }
+
+            const response = result.response;
+            const functionCalls = (response.functionCalls() || []).map(c => ({ name: c.name, args: c.args || {} }));
+            const usage = response.usageMetadata || {};
+
+            return {
+                functionCalls,
+                text: functionCalls.length > 0 ? '' : response.text(),
+                content: response.candidates?.[0]?.content,
+                model: modelName,
+                usage: {
+                    promptTokens: usage.promptTokenCount || 0,
+                    cachedTokens: usage.cachedContentTokenCount || 0,
+                    candidateTokens: usage.candidatesTokenCount || 0,
+                    totalTokens: usage.totalTokenCount || 0
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Converte o histórico neutro para mensagens do Chat Completions
+ * Os IDs das tool calls são gerados por posição (o formato neutro não guarda IDs)
+ */
+function toOpenAIMessages(system, contents) {
+    const messages = [{ role: 'system', content: system }];
+    let pendingCallIds = [];
+
+    contents.forEach((content, turn) => {
+        const parts = content.parts || [];
+
+        if (content.role === 'model') {
+            const calls = parts.filter(p => p.functionCall);
+            const text = parts.filter(p => p.text).map(p => p.text).join('\n');
+            const message = { role: 'assistant', content: text || null };
+
+            if (calls.length > 0) {
+                pendingCallIds = calls.map((_, i) => `call_${turn}_${i}`);
+                message.tool_calls = calls.map((p, i) => ({
+                    id: pendingCallIds[i],
+                    type: 'function',
+                    function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) }
+                }));
+            }
+            messages.push(message);
+            return;
+        }
+
+        if (content.role === 'function') {
+            parts.filter(p => p.functionResponse).forEach((p, i) => {
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: pendingCallIds[i] || `call_${turn}_${i}`,
+                    content: JSON.stringify(p.functionResponse.response)
+                });
+            });
+            return;
+        }
+
+        // Usuário: texto puro ou texto + imagens
+        if (parts.every(p => p.text !== undefined)) {
+            messages.push({ role: 'user', content: parts.map(p => p.text).join('\n') });
+            return;
+        }
+
+        messages.push({
+            role: 'user',
+            content: parts.map(p => {
+                if (p.text !== undefined) return { type: 'text', text: p.text };
+                if (p.inlineData?.mimeType?.startsWith('image/')) {
+                    return { type: 'image_url', image_url: { url: `data:${p.inlineData.mimeType};base64,${p.inlineData.data}` } };
+                }
+                const error = new Error(`Arquivo ${p.inlineData?.mimeType || 'desconhecido'} não suportado por este provedor`);
+                error.code = 'UNSUPPORTED_INPUT';
+                throw error;
+            })
+        });
+    });
+
+    return messages;
+}
+
+/**
+ * Provedor compatível com a API da OpenAI (Chat Completions com tools)
+ * Também atende servidores locais (Ollama, llama.cpp) via OPENAI_BASE_URL
+ */
+function createOpenAIProvider() {
+    const settings = config.llm.openai;
+
+    return {
+        name: 'openai',
+        model: settings.model,
+        timeoutMs: settings.timeoutMs,
+        // API oficial exige chave; servidores locais só precisam da URL
+        isConfigured: () => !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+        async generate({ system, systemContext, contents, tools, temperature, economy }, { signal } = {}) {
+            const modelName = economy ? settings.economyModel : settings.model;
+            const headers = { 'Content-Type': 'application/json' };
+            if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+            const response = await fetch(`${settings.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                signal,
+                body: JSON.stringify({
+                    model: modelName,
+                    temperature,
+                    messages: toOpenAIMessages(joinSystem(system, systemContext), contents),
+                    tools: tools.map(t => ({
+                        type: 'function',
+                        function: {
+                            name: t.name,
+                            description: t.description,
+                            parameters: t.parameters || { type: 'object', properties: {} }
+                        }
+                    })),
+                    tool_choice: 'required'
+                })
+            });
+
+            if (!response.ok) {
+                const error = new Error(`OpenAI-compatible ${response.status}: ${(await response.text()).substring(0, 200)}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const data = await response.json();
+            const message = data.choices?.[0]?.message || {};
+            const functionCalls = (message.tool_calls || []).map(call => {
+                let args = {};
+                try {
+                    args = JSON.parse(call.function.arguments || '{}');
+                } catch (e) {
+                    log.warn('Argumentos inválidos na tool call', { name: call.function.name });
+                }
+                return { name: call.function.name, args };
+            });
+
+            return {
+                functionCalls,
+                text: message.content || '',
+                content: buildModelContent(functionCalls, message.content),
+                model: modelName,
+                usage: {
+                    promptTokens: data.usage?.prompt_tokens || 0,
+                    cachedTokens: data.usage?.prompt_tokens_details?.cached_tokens || 0,
+                    candidateTokens: data.usage?.completion_tokens || 0,
+                    totalTokens: data.usage?.total_tokens || 0
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Provedor mock determinístico: não chama nenhuma API (testes e desenvolvimento local)
+ * @param {Function} responder - (request) => { functionCalls, text } (padrão: responde com chat ecoando a mensagem)
+ */
+function createMockProvider(responder = defaultMockResponder) {
+    return {
+        name: 'mock',
+        model: 'mock',
+        timeoutMs: config.llm.mock.timeoutMs,
+        isConfigured: () => true,
+        async generate(request) {
+            const { functionCalls = [], text = '' } = await responder(request);
+            return {
+                functionCalls,
+                text,
+                content: buildModelContent(functionCalls, text),
+                usage: { promptTokens: 0, cachedTokens: 0, candidateTokens: 0, totalTokens: 0 }
+            };
+        }
+    };
+}
+
+function defaultMockResponder({ contents }) {
+    const lastUser = [...contents].reverse().find(c => c.role === 'user');
+    const text = (lastUser?.parts || []).filter(p => p.text).map(p => p.text).join(' ');
+    return { functionCalls: [{ name: 'chat', args: { message: `🤖 (mock) ${text}` } }] };
+}
+
+/**
+ * Monta o turno do modelo no formato neutro (para devolver ao histórico do turno)
+ */
+function buildModelContent(functionCalls, text) {
+    const parts = functionCalls.length > 0
+        ? functionCalls.map(c => ({ functionCall: { name: c.name, args: c.args } }))
+        : [{ text: text || '' }];
+    return { role: 'model', parts };
+}
+
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    mock: () => createMockProvider()
+};
+
+// ============================================
+// CADEIA DE FALLBACK
+// ============================================
+
+let activeProviders = null;
+
+// nome -> { calls, failures, lastError, lastErrorAt, lastSuccessAt, lastLatencyMs, cooldownUntil, usage }
+const providerStats = new Map();
+
+function getStats(name) {
+    if (!providerStats.has(name)) {
+        providerStats.set(name, {
+            calls: 0,
+            failures: 0,
+            lastError: null,
+            lastErrorAt: null,
+            lastSuccessAt: null,
+            lastLatencyMs: null,
+            cooldownUntil: 0,
+            usage: { totalTokens: 0, promptTokens: 0, cachedTokens: 0, candidateTokens: 0 }
+        });
+    }
+    return providerStats.get(name);
+}
+
+/**
+ * Retorna a cadeia de provedores (inicializa a partir do config na primeira chamada)
+ */
+function getProviders() {
+    if (!activeProviders) {
+        setProviders(config.llm.providers);
+    }
+    return activeProviders;
+}
+
+/**
+ * Define a cadeia de provedores, em ordem de preferência
+ * @param {Array<string|Object>} providers - Nomes ('gemini', 'openai', 'mock') ou objetos { name, generate(request) }
+ */
+function setProviders(providers) {
+    activeProviders = providers.map(provider => {
+        if (provider && typeof provider === 'object') {
+            if (typeof provider.generate !== 'function') {
+                throw new Error('Provedor de LLM precisa implementar generate(request)');
+            }
+            return { timeoutMs: config.llm.mock.timeoutMs, isConfigured: () => true, model: provider.name, ...provider };
+        }
+        const factory = PROVIDERS[provider];
+        if (!factory) {
+            throw new Error(`Provedor de LLM desconhecido: ${provider}`);
+        }
+        return factory();
+    });
+    providerStats.clear();
+    log.ai('Provedores de LLM configurados', { providers: activeProviders.map(p => p.name) });
+}
+
+/**
+ * Executa a chamada com timeout (aborta a requisição quando o provedor suporta AbortSignal)
+ */
+async function callWithTimeout(provider, request) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            const error = new Error(`${provider.name}: sem resposta em ${provider.timeoutMs}ms`);
+            error.code = 'LLM_TIMEOUT';
+            reject(error);
+        }, provider.timeoutMs);
+    });
+
+    try {
+        return await Promise.race([provider.generate(request, { signal: controller.signal }), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Gera uma resposta tentando os provedores em ordem
+ * Provedor que falha fica em espera (cooldown) e as próximas mensagens vão direto para o seguinte;
+ * se todos estiverem em espera, tenta mesmo assim
+ * @param {Object} request - { system, contents, tools, temperature, economy }
+ * @returns {Promise<Object>} { functionCalls, text, content, usage, provider, model }
+ * @throws Último erro quando nenhum provedor responde (com providerErrors)
+ */
+async function generate(request) {
+    const configured = getProviders().filter(p => p.isConfigured());
+    if (configured.length === 0) {
+        const error = new Error('Nenhum provedor de LLM configurado (API key ausente)');
+        error.code = 'LLM_NOT_CONFIGURED';
+        throw error;
+    }
+
+    const now = Date.now();
+    const ready = configured.filter(p => getStats(p.name).cooldownUntil <= now);
+    const candidates = ready.length > 0 ? ready : configured;
+
+    const providerErrors = [];
+    for (const provider of candidates) {
+        const stats = getStats(provider.name);
+        const startTime = Date.now();
+        stats.calls++;
+
+        try {
+            const response = await callWithTimeout(provider, request);
+
+            stats.lastLatencyMs = Date.now() - startTime;
+            stats.lastSuccessAt = new Date().toISOString();
+            stats.cooldownUntil = 0;
+            Object.keys(stats.usage).forEach(key => { stats.usage[key] += response.usage?.[key] || 0; });
+
+            if (providerErrors.length > 0) {
+                log.warn('LLM respondeu via fallback', { provider: provider.name, falhas: providerErrors.map(e => e.provider) });
+            }
+            return { ...response, provider: provider.name, model: response.model || provider.model };
+        } catch (error) {
+            stats.failures++;
+            stats.lastError = error.message;
+            stats.lastErrorAt = new Date().toISOString();
+            stats.lastLatencyMs = Date.now() - startTime;
+            // Entrada não suportada (ex: PDF) não indica provedor fora do ar
+            if (error.code !== 'UNSUPPORTED_INPUT') {
+                stats.cooldownUntil = Date.now() + config.llm.cooldownMs;
+            }
+
+            providerErrors.push({ provider: provider.name, error: error.message });
+            log.warn('Provedor de LLM falhou', { provider: provider.name, code: error.code, error: error.message });
+        }
+    }
+
+    const lastError = new Error(providerErrors[providerErrors.length - 1].error);
+    lastError.code = 'LLM_UNAVAILABLE';
+    lastError.providerErrors = providerErrors;
+    throw lastError;
+}
+
+/**
+ * Status de cada provedor da cadeia (para o /api)
+ * @returns {Array<Object>}
+ */
+function getProvidersStatus() {
+    const now = Date.now();
+    return getProviders().map((provider, index) => {
+        const stats = getStats(provider.name);
+        return {
+            name: provider.name,
+            model: provider.model,
+            order: index + 1,
+            configured: provider.isConfigured(),
+            coolingDown: stats.cooldownUntil > now,
+            timeoutMs: provider.timeoutMs,
+            calls: stats.calls,
+            failures: stats.failures,
+            lastError: stats.lastError,
+            lastErrorAt: stats.lastErrorAt,
+            lastSuccessAt: stats.lastSuccessAt,
+            lastLatencyMs: stats.lastLatencyMs,
+            usage: { ...stats.usage }
+        };
+    });
+}
+
+module.exports = {
+    generate,
+    setProviders,
+    getProvidersStatus,
+    createMockProvider
+};
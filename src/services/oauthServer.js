@@ -0,0 +1,180 @@
+/**
+ * OAuth Callback Server
+ * Servidor HTTP mínimo que recebe o redirect do Google (GOOGLE_REDIRECT_URI),
+ * troca o code por tokens e vincula a conta ao usuário do Telegram via parâmetro state
+ * Outros módulos podem pendurar rotas extras na mesma porta (ex: webhook do Trello)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const googleService = require('./google');
+const tokenStore = require('../utils/tokenStore');
+const { log } = require('../utils/logger');
+const config = require('../config');
+
+// state -> { userId, target, expiresAt }
+const pendingStates = new Map();
+
+// pathname -> handler(req, res, url) para rotas extras
+const extraRoutes = new Map();
+
+let server = null;
+
+function getRedirectUrl() {
+    return new URL(process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/oauth2callback');
+}
+
+function cleanupExpiredStates() {
+    const now = Date.now();
+    for (const [state, entry] of pendingStates) {
+        if (entry.expiresAt < now) pendingStates.delete(state);
+    }
+}
+
+/**
+ * Cria um state de uso único amarrado ao usuário do Telegram
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.target - 'user' (conta própria) ou 'global' (reconexão da conta do servidor por um admin)
+ * @returns {string}
+ */
+function createAuthState(userId, { target = 'user' } = {}) {
+    cleanupExpiredStates();
+    const state = crypto.randomBytes(24).toString('hex');
+    pendingStates.set(state, {
+        userId: String(userId),
+        target,
+        expiresAt: Date.now() + config.googleOAuth.stateTtlMs
+    });
+    return state;
+}
+
+/**
+ * Consome um state (só pode ser usado uma vez)
+ * @returns {Object|null} { userId, target } ou null se inválido/expirado
+ */
+function consumeAuthState(state) {
+    const entry = state && pendingStates.get(state);
+    if (!entry) return null;
+    pendingStates.delete(state);
+    if (entry.expiresAt < Date.now()) return null;
+    return entry;
+}
+
+function renderPage(res, statusCode, title, message) {
+    res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html><html lang="pt-BR"><head><meta charset="utf-8"><title>${title}</title></head>` +
+        `<body style="font-family: sans-serif; text-align: center; padding-top: 60px;">` +
+        `<h2>${title}</h2><p>${message}</p></body></html>`);
+}
+
+async function handleCallback(url, res, onLinked) {
+    const state = url.searchParams.get('state');
+    const code = url.searchParams.get('code');
+    const error = url.searchParams.get('error');
+
+    const entry = consumeAuthState(state);
+    if (!entry) {
+        log.warn('OAuth: state inválido ou expirado');
+        return renderPage(res, 400, '⚠️ Link expirado', 'Volte ao Telegram e envie /conectar_google novamente.');
+    }
+
+    const { userId, target } = entry;
+
+    if (error || !code) {
+        log.warn('OAuth: autorização negada', { userId, error });
+        return renderPage(res, 400, '❌ Autorização cancelada', 'Nenhuma conta foi conectada. Você pode tentar de novo com /conectar_google.');
+    }
+
+    try {
+        const tokens = await googleService.getTokenFromCode(code);
+        if (target === 'global') {
+            googleService.saveGlobalTokens(tokens);
+            googleService.clearUserCache('global');
+        } else {
+            tokenStore.saveUserTokens(userId, tokens);
+            googleService.clearUserCache(userId);
+        }
+        log.google('Conta Google conectada', { userId, target });
+
+        renderPage(res, 200, '✅ Conta conectada!', 'Pode fechar esta página e voltar ao Telegram.');
+        if (onLinked) await onLinked(userId, target);
+    } catch (e) {
+        log.apiError('OAuth', e, { userId });
+        renderPage(res, 500, '❌ Erro ao conectar', 'Não foi possível concluir a autorização. Tente novamente com /conectar_google.');
+    }
+}
+
+/**
+ * Sobe o servidor de callback
+ * Porta: PORT (hospedagens como Railway) ou a porta da GOOGLE_REDIRECT_URI
+ * @param {Object} options
+ * @param {Function} options.onLinked - Chamado com (userId, target) após conectar a conta
+ */
+function startOAuthServer({ onLinked } = {}) {
+    if (server) return server;
+
+    const redirectUrl = getRedirectUrl();
+    const port = Number(process.env.PORT) || Number(redirectUrl.port) || 3000;
+
+    server = http.createServer((req, res) => {
+        const url = new URL(req.url, redirectUrl.origin);
+
+        const route = extraRoutes.get(url.pathname);
+        if (route) {
+            Promise.resolve(route(req, res, url)).catch(e => {
+                log.apiError('HTTP', e, { path: url.pathname });
+                if (!res.headersSent) {
+                    res.writeHead(500);
+                    res.end();
+                }
+            });
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === redirectUrl.pathname) {
+            handleCallback(url, res, onLinked).catch(e => {
+                log.apiError('OAuth', e);
+                if (!res.headersSent) renderPage(res, 500, '❌ Erro', 'Erro inesperado.');
+            });
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+    });
+
+    server.on('error', (e) => {
+        log.error('OAuth: falha no servidor de callback', { port, error: e.message });
+    });
+
+    server.listen(port, () => {
+        log.google('Servidor de callback OAuth ativo', { port, path: redirectUrl.pathname });
+    });
+
+    return server;
+}
+
+/**
+ * Registra uma rota extra no servidor (qualquer método HTTP)
+ * @param {string} pathname - Caminho exato (ex: "/trello/webhook")
+ * @param {Function} handler - (req, res, url) => Promise|void
+ */
+function registerRoute(pathname, handler) {
+    extraRoutes.set(pathname, handler);
+    log.info('Rota HTTP registrada', { path: pathname });
+}
+
+function stopOAuthServer() {
+    if (server) {
+        server.close();
+        server = null;
+    }
+}
+
+module.exports = {
+    createAuthState,
+    startOAuthServer,
+    stopOAuthServer,
+    registerRoute
+};
@@ -2,14 +2,19 @@ const cron = require('node-cron');
 const { DateTime } = require('luxon');
 const googleService = require('./google');
 const trelloService = require('./trello');
-const { log } = require('../utils/logger');
-const { formatFriendlyDate, getEventStatusEmoji } = require('../utils/dateFormatter');
+const tasksService = require('./tasks');
+const { log, runWithContext } = require('../utils/logger');
+const { formatFriendlyDate, getEventStatusEmoji, formatTaskForDisplay } = require('../utils/dateFormatter');
 const { formatTrelloCardListItem, splitTelegramMessage } = require('../utils/trelloFormatter');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
+const userPreferences = require('../utils/userPreferences');
+const rsvp = require('../utils/rsvp');
+const i18n = require('../utils/i18n');
+const { t } = i18n;
 
-const DATA_DIR = fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data');
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data'));
 
 // Garante que o diretório existe
 if (!fs.existsSync(DATA_DIR)) {
@@ -25,12 +30,18 @@ const CACHE_FILE = path.join(DATA_DIR, 'scheduler_cache.json');
 // Cache em memória
 let memoryCache = {
     events: [],
+    tasks: [],
     trelloCards: [],
+    rsvp: null,   // Respostas aos convites na última atualização (ver utils/rsvp.js)
     lastUpdate: null
 };
 
 const CACHE_TTL = config.cache.ttlMs;
 
+// Chats que recebem alertas (definidos no initScheduler)
+let scheduledChatIds = [];
+let schedulerBot = null;
+
 /**
  * Verifica se uma lista é de cards concluídos
  * Função utilitária compartilhada para evitar duplicação
@@ -46,6 +57,114 @@ function isCompletedList(listName) {
         name.includes('arquivado');
 }
 
+function getChatCalendarIds(chatId) {
+    return userPreferences.getPreference(chatId, 'calendars', [googleService.DEFAULT_CALENDAR_ID]);
+}
+
+/**
+ * Executa uma busca para cada chat agendado, autenticando como o próprio usuário
+ * (conta conectada via /conectar_google ou a global)
+ * Cada item recebe ownerChatId para os alertas irem só para o dono
+ * @param {Function} fetcher - (chatId) => Promise<Array>
+ * @param {string} label - Nome do recurso para logs
+ */
+async function fetchForChats(fetcher, label) {
+    if (scheduledChatIds.length === 0) {
+        return fetcher(null);
+    }
+
+    const results = await Promise.allSettled(scheduledChatIds.map(chatId =>
+        runWithContext({ userId: chatId }, async () => {
+            const items = await fetcher(chatId);
+            return items.map(item => ({ ...item, ownerChatId: chatId }));
+        })
+    ));
+
+    const items = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            items.push(...result.value);
+        } else {
+            log.error(`Erro ao buscar ${label} do chat`, { chatId: scheduledChatIds[i], error: result.reason?.message });
+        }
+    });
+
+    if (results.every(r => r.status === 'rejected')) {
+        throw results[0].reason;
+    }
+    return items;
+}
+
+function fetchEventsForChats(timeMin, timeMax) {
+    return fetchForChats(
+        chatId => googleService.listEvents(timeMin, timeMax, chatId ? getChatCalendarIds(chatId) : undefined),
+        'eventos'
+    );
+}
+
+// Falha nas tarefas não pode derrubar a atualização de eventos: mantém o cache anterior
+function fetchTasksForChats() {
+    return fetchForChats(() => tasksService.listTasks(), 'tarefas').catch(e => {
+        log.error('Erro ao buscar tarefas', { error: e.message });
+        return memoryCache.tasks || [];
+    });
+}
+
+// Cards de todos os boards que cada chat acompanha (/quadro)
+function fetchCardsForChats() {
+    return fetchForChats(
+        chatId => trelloService.listCardsForBoards(trelloService.getFollowedBoardIds(chatId)),
+        'cards'
+    );
+}
+
+/**
+ * Executa fn no contexto do chat (userId e idioma), como numa mensagem recebida
+ * Alertas saem do cron, fora de qualquer requisição do Telegram
+ */
+function runForChat(chatId, fn) {
+    const userId = String(chatId);
+    return runWithContext({ userId, lang: i18n.resolveLanguage(userId) }, fn);
+}
+
+/**
+ * Filtra os cards do cache que pertencem a um chat
+ */
+function filterCardsForChat(chatId, cards) {
+    return cards.filter(c => !c.ownerChatId || c.ownerChatId === String(chatId));
+}
+
+/**
+ * Filtra as tarefas do cache que pertencem a um chat
+ */
+function filterTasksForChat(chatId, tasks) {
+    return tasks.filter(t => !t.ownerChatId || t.ownerChatId === String(chatId));
+}
+
+/**
+ * Tarefas pendentes com prazo até hoje (inclui atrasadas)
+ */
+function getDueTasks(tasks, now) {
+    const today = now.toFormat('yyyy-MM-dd');
+    return tasks.filter(t => t.status !== 'completed' && t.due && t.due.substring(0, 10) <= today);
+}
+
+/**
+ * Filtra os eventos do cache que pertencem a um chat
+ */
+function filterEventsForChat(chatId, events) {
+    const calendars = getChatCalendarIds(chatId);
+    return events.filter(e => e.ownerChatId
+        ? e.ownerChatId === String(chatId)
+        // Cache antigo (sem dono): filtra pelas agendas habilitadas
+        : calendars.includes(e.calendarId || googleService.DEFAULT_CALENDAR_ID));
+}
+
+// Chave de notificação por chat (o mesmo evento pode estar no cache de mais de um chat)
+function notificationKey(event) {
+    return `${event.ownerChatId || ''}:${event.id}`;
+}
+
 /**
  * Verifica se o cache está desatualizado
  */
@@ -86,6 +205,7 @@ async function loadCacheFromDisk() {
             const data = fs.readFileSync(CACHE_FILE);
             memoryCache = JSON.parse(data);
             if (!memoryCache.trelloCards) memoryCache.trelloCards = [];
+            if (!memoryCache.tasks) memoryCache.tasks = [];
 
             log.scheduler('Cache carregado do disco', {
                 events: memoryCache.events.length,
@@ -105,6 +225,32 @@ async function loadCacheFromDisk() {
     }
 }
 
+// --- RESPOSTAS AOS CONVITES ---
+
+/**
+ * Compara as respostas dos convidados com a atualização anterior e avisa o organizador
+ * A primeira foto (cache vazio ou antigo) só é guardada
+ * @param {DateTime} now
+ */
+async function refreshRsvp(now) {
+    const end = now.plus({ days: config.scheduler.rsvpLookaheadDays });
+    const snapshot = rsvp.buildSnapshot(await fetchEventsForChats(now.toISO(), end.toISO()));
+    const changes = memoryCache.rsvp ? rsvp.diffSnapshots(memoryCache.rsvp, snapshot) : [];
+    memoryCache.rsvp = snapshot;
+
+    if (changes.length === 0 || !schedulerBot) return;
+    log.scheduler('Respostas a convites', { changes: changes.map(c => ({ summary: c.summary, status: c.status })) });
+
+    const byChat = new Map();
+    changes.filter(c => c.ownerChatId).forEach(change => {
+        byChat.set(change.ownerChatId, [...(byChat.get(change.ownerChatId) || []), change]);
+    });
+    byChat.forEach((chatChanges, chatId) => runForChat(chatId, () => {
+        schedulerBot.telegram.sendMessage(chatId, rsvp.formatChanges(chatChanges))
+            .catch(e => log.warn('Não foi possível avisar respostas a convites', { chatId, error: e.message }));
+    }));
+}
+
 // --- ATUALIZAÇÃO ---
 
 async function refreshDataCache() {
@@ -114,18 +260,26 @@ async function refreshDataCache() {
 
         // 1. Eventos (próximas 12h)
         const end = now.plus({ hours: 12 });
-        const events = await googleService.listEvents(now.toISO(), end.toISO());
+        const events = await fetchEventsForChats(now.toISO(), end.toISO());
 
-        // 2. Trello
-        const trelloCards = await trelloService.listAllCards();
+        // 2. Google Tasks
+        const tasks = await fetchTasksForChats();
 
-        // 3. Salva
+        // 3. Trello (todos os boards acompanhados)
+        const trelloCards = await fetchCardsForChats();
+
+        // 4. Respostas aos convites (falha não derruba o resto do cache)
+        await refreshRsvp(now).catch(e => log.error('Erro ao verificar respostas a convites', { error: e.message }));
+
+        // 5. Salva
         memoryCache.events = events;
+        memoryCache.tasks = tasks;
         memoryCache.trelloCards = trelloCards;
         memoryCache.lastUpdate = now.toISO();
 
         log.scheduler('Dados atualizados', {
             events: events.length,
+            tasks: tasks.length,
             cards: trelloCards.length
         });
 
@@ -145,16 +299,20 @@ async function invalidateCache(type = 'all') {
     try {
         if (type === 'all' || type === 'events') {
             const end = now.plus({ hours: 12 });
-            memoryCache.events = await googleService.listEvents(now.toISO(), end.toISO());
+            memoryCache.events = await fetchEventsForChats(now.toISO(), end.toISO());
+        }
+
+        if (type === 'all' || type === 'tasks') {
+            memoryCache.tasks = await fetchTasksForChats();
         }
 
         if (type === 'all' || type === 'trello') {
-            memoryCache.trelloCards = await trelloService.listAllCards();
+            memoryCache.trelloCards = await fetchCardsForChats();
         }
 
         // Limpa o Set de notificações antigas (para não crescer infinitamente)
         // Mantém apenas os IDs do cache atual para evitar re-notificar se o cache for invalidado
-        const currentEventIds = new Set(memoryCache.events.map(e => e.id));
+        const currentEventIds = new Set(memoryCache.events.map(notificationKey));
         for (const id of notifiedEvents) {
             if (!currentEventIds.has(id)) {
                 notifiedEvents.delete(id);
@@ -169,6 +327,110 @@ async function invalidateCache(type = 'all') {
     }
 }
 
+/**
+ * Monta o resumo matinal de um chat
+ * @param {DateTime} now
+ * @param {Array} todaysEvents - Eventos de hoje (já filtrados pelas agendas do chat)
+ * @param {Array} todoCards - Cards urgentes do Trello (de todos os boards acompanhados pelo chat)
+ * @param {Array} dueTasks - Tarefas do Google Tasks com prazo até hoje
+ * @returns {string}
+ */
+function buildMorningSummary(now, todaysEvents, todoCards, dueTasks = []) {
+    // Eventos não concluídos
+    const pendingEvents = todaysEvents.filter(e => !e.summary.startsWith('✅'));
+
+    let msg = `${t('scheduler.morningTitle', { date: now.toFormat(t('dates.dayMonth')) })}\n\n`;
+
+    // ESTATÍSTICAS RÁPIDAS
+    msg += `${t('scheduler.summaryTitle')}\n`;
+    msg += `   • ${t('scheduler.pendingEvents', { count: pendingEvents.length })}\n`;
+    msg += `   • ${t('scheduler.tasksToday', { count: dueTasks.length })}\n`;
+    msg += `   • ${t('scheduler.trelloCards', { count: todoCards.length })}\n\n`;
+
+    if (todaysEvents.length === 0 && todoCards.length === 0 && dueTasks.length === 0) {
+        msg += t('scheduler.nothingPending');
+    } else {
+        if (todaysEvents.length > 0) {
+            msg += `${t('scheduler.appointments')}\n`;
+            todaysEvents.forEach(e => {
+                const emoji = getEventStatusEmoji(e);
+                const time = formatFriendlyDate(e.start.dateTime || e.start.date, { relative: false });
+                msg += `   ${emoji} ${time} - ${e.summary}\n`;
+            });
+            msg += '\n';
+        }
+
+        if (dueTasks.length > 0) {
+            msg += `${t('scheduler.tasks')}\n`;
+            dueTasks.slice(0, config.scheduler.maxTasksInSummary).forEach(task => {
+                msg += `   ${formatTaskForDisplay(task)}\n`;
+            });
+            if (dueTasks.length > config.scheduler.maxTasksInSummary) {
+                msg += `   _${t('scheduler.moreTasks', { count: dueTasks.length - config.scheduler.maxTasksInSummary })}_\n`;
+            }
+            msg += '\n';
+        }
+
+        if (todoCards.length > 0) {
+            msg += `${t('scheduler.urgentCards')}\n`;
+            todoCards.forEach(c => {
+                msg += formatTrelloCardListItem(c, { descLength: 80, showBoard: true }) + '\n';
+            });
+            msg += '\n';
+        }
+    }
+
+    // Frase Motivacional Aleatória
+    msg += `\n_${getRandomPhrase()}_`;
+
+    return msg;
+}
+
+/**
+ * Monta o check das 14h de um chat
+ * @param {Array} remainingEvents - Eventos restantes de hoje (já filtrados pelas agendas do chat)
+ * @param {Array} todoCards - Cards urgentes do Trello
+ * @returns {string}
+ */
+function buildAfternoonCheck(remainingEvents, todoCards) {
+    let msg = `${t('scheduler.afternoonTitle')}\n\n`;
+
+    // 1. Agenda
+    if (remainingEvents.length > 0) {
+        msg += `${t('scheduler.nextEvents')}\n`;
+        remainingEvents.forEach(e => {
+            const emoji = getEventStatusEmoji(e);
+            const time = formatFriendlyDate(e.start.dateTime || e.start.date, { relative: false, showYear: false });
+            msg += `   ${emoji} ${time} - ${e.summary}\n`;
+        });
+        msg += '\n';
+    }
+
+    // 2. Trello
+    if (todoCards.length > 0) {
+        msg += `${t('scheduler.urgentCardsCount', { count: todoCards.length })}\n`;
+        todoCards.forEach(c => {
+            msg += formatTrelloCardListItem(c, { descLength: 80, showBoard: true }) + '\n';
+        });
+        msg += '\n';
+    }
+
+    if (remainingEvents.length === 0 && todoCards.length === 0) {
+        msg += `${t('scheduler.allClear')}\n\n`;
+    }
+
+    // Frase Motivacional Aleatória
+    msg += `_${getRandomPhrase()}_`;
+
+    return msg;
+}
+
+// Frase motivacional aleatória no idioma do chat
+function getRandomPhrase() {
+    const phrases = t('scheduler.phrases');
+    return phrases[Math.floor(Math.random() * phrases.length)];
+}
+
 function initScheduler(bot) {
     const chatIds = (process.env.ALLOWED_CHAT_IDS || '').split(',').map(id => id.trim()).filter(id => id);
 
@@ -177,6 +439,9 @@ function initScheduler(bot) {
         return;
     }
 
+    scheduledChatIds = chatIds;
+    schedulerBot = bot;
+
     log.scheduler('Iniciando scheduler persistente');
 
     // 1. Tenta carregar do disco primeiro (async)
@@ -212,66 +477,20 @@ function initScheduler(bot) {
                 (e.start.date && e.start.date === todayStr);
         });
 
-        // Eventos não concluídos
-        const pendingEvents = todaysEvents.filter(e => !e.summary.startsWith('✅'));
-
         // Tarefas pendentes - apenas cards com etiqueta "Urgente"
         const todoCards = memoryCache.trelloCards.filter(c =>
             !isCompletedList(c.listName) &&
             c.labels && c.labels.some(l => l.name && l.name.toLowerCase() === 'urgente')
         );
 
-        let msg = `☀️ *Bom dia! Resumo de hoje (${now.toFormat('dd/MM')}):*\n\n`;
-
-        // ESTATÍSTICAS RÁPIDAS
-        msg += `📊 *Resumo:*\n`;
-        msg += `   • ${pendingEvents.length} eventos pendentes\n`;
-        msg += `   • ${todoCards.length} cards no Trello\n\n`;
-
-        if (todaysEvents.length === 0 && todoCards.length === 0) {
-            msg += '🎉 Nada pendente. Você está livre!';
-        } else {
-            if (todaysEvents.length > 0) {
-                msg += `📅 *Compromissos:*\n`;
-                todaysEvents.forEach(e => {
-                    const emoji = getEventStatusEmoji(e);
-                    const time = formatFriendlyDate(e.start.dateTime || e.start.date, { relative: false });
-                    msg += `   ${emoji} ${time} - ${e.summary}\n`;
-                });
-                msg += '\n';
-            }
-
-            if (todoCards.length > 0) {
-                msg += `🗂️ *Trello (🚨 Urgentes):*\n`;
-                todoCards.forEach(c => {
-                    msg += formatTrelloCardListItem(c, { descLength: 80 }) + '\n';
-                });
-                msg += '\n';
-            }
-        }
-
-        // Frase Motivacional Aleatória
-        const phrases = [
-            '"O sucesso é a soma de pequenos esforços repetidos dia após dia." 💪',
-            '"Não pare até se orgulhar." 🚀',
-            '"A disciplina é a mãe do êxito." 🎯',
-            '"Foco na meta!" 🏹',
-            '"Você é capaz de coisas incríveis." ✨',
-            '"Vamos fazer acontecer!" 🔥',
-            '"Um passo de cada vez." 👣',
-            '"Acredite no seu potencial." 💡',
-            '"Persistência é o caminho do êxito." 🛣️'
-        ];
-        const randomPhrase = phrases[Math.floor(Math.random() * phrases.length)];
-        msg += `\n_${randomPhrase}_`;
-
-        // Divide em múltiplas mensagens se ultrapassar o limite do Telegram
-        const parts = splitTelegramMessage(msg);
-        chatIds.forEach(id => {
+        // Cada chat recebe o resumo das suas agendas habilitadas
+        chatIds.forEach(id => runForChat(id, () => {
+            const chatTasks = getDueTasks(filterTasksForChat(id, memoryCache.tasks), now);
+            const parts = splitTelegramMessage(buildMorningSummary(now, filterEventsForChat(id, todaysEvents), filterCardsForChat(id, todoCards), chatTasks));
             parts.forEach(part => {
                 bot.telegram.sendMessage(id, part, { parse_mode: 'Markdown', disable_web_page_preview: true }).catch(e => { });
             });
-        });
+        }));
     }, { timezone: "America/Sao_Paulo" });
 
     // ============================================
@@ -301,55 +520,12 @@ function initScheduler(bot) {
             c.labels && c.labels.some(l => l.name && l.name.toLowerCase() === 'urgente')
         );
 
-        let msg = `🕑 *Check das 14h:*\n\n`;
-
-        // 1. Agenda
-        if (remainingEvents.length > 0) {
-            msg += `📅 *Próximos Eventos:*\n`;
-            remainingEvents.forEach(e => {
-                const emoji = getEventStatusEmoji(e);
-                const time = formatFriendlyDate(e.start.dateTime || e.start.date, { relative: false, showYear: false });
-                msg += `   ${emoji} ${time} - ${e.summary}\n`;
-            });
-            msg += '\n';
-        }
-
-        // 2. Trello
-        if (todoCards.length > 0) {
-            msg += `🗂️ *Trello 🚨 Urgentes (${todoCards.length}):*\n`;
-            todoCards.forEach(c => {
-                msg += formatTrelloCardListItem(c, { descLength: 80 }) + '\n';
-            });
-            msg += '\n';
-        }
-
-        if (remainingEvents.length === 0 && todoCards.length === 0) {
-            msg += '✅ Tudo limpo por enquanto!\n\n';
-        }
-
-        // Frase Motivacional Aleatória
-        const phrases = [
-            '"O sucesso é a soma de pequenos esforços repetidos dia após dia." 💪',
-            '"Não pare até se orgulhar." 🚀',
-            '"A disciplina é a mãe do êxito." 🎯',
-            '"Foco na meta!" 🏹',
-            '"Você é capaz de coisas incríveis." ✨',
-            '"Vamos fazer acontecer!" 🔥',
-            '"Um passo de cada vez." 👣',
-            '"Acredite no seu potencial." 💡',
-            '"Persistência é o caminho do êxito." 🛣️'
-        ];
-        const randomPhrase = phrases[Math.floor(Math.random() * phrases.length)];
-
-        msg += `_${randomPhrase}_`;
-
-        // Divide em múltiplas mensagens se ultrapassar o limite do Telegram
-        const parts = splitTelegramMessage(msg);
-        chatIds.forEach(id => {
+        chatIds.forEach(id => runForChat(id, () => {
+            const parts = splitTelegramMessage(buildAfternoonCheck(filterEventsForChat(id, remainingEvents), filterCardsForChat(id, todoCards)));
             parts.forEach(part => {
                 bot.telegram.sendMessage(id, part, { parse_mode: 'Markdown', disable_web_page_preview: true }).catch(e => { });
             });
-        });
+        }));
     }, { timezone: "America/Sao_Paulo" });
 
     // ============================================
@@ -364,16 +540,20 @@ function initScheduler(bot) {
             const startTime = DateTime.fromISO(event.start.dateTime).setZone('America/Sao_Paulo');
             const diffMinutes = startTime.diff(now, 'minutes').minutes;
 
-            if (diffMinutes >= (config.scheduler.reminderMinutes - 1) && diffMinutes <= (config.scheduler.reminderMinutes + 0.5) && !notifiedEvents.has(event.id)) {
+            if (diffMinutes >= (config.scheduler.reminderMinutes - 1) && diffMinutes <= (config.scheduler.reminderMinutes + 0.5) && !notifiedEvents.has(notificationKey(event))) {
                 const emoji = getEventStatusEmoji(event);
-                const msg = `🔔 *Daqui a ${config.scheduler.reminderMinutes} min:*\n${emoji} ${event.summary}`;
-                const kb = event.hangoutLink
-                    ? { inline_keyboard: [[{ text: "📹 Entrar", url: event.hangoutLink }]] }
-                    : undefined;
-
-                chatIds.forEach(id => bot.telegram.sendMessage(id, msg, { parse_mode: 'Markdown', reply_markup: kb }).catch(e => { }));
 
-                notifiedEvents.add(event.id);
+                chatIds
+                    .filter(id => filterEventsForChat(id, [event]).length > 0)
+                    .forEach(id => runForChat(id, () => {
+                        const msg = `${t('scheduler.reminder', { minutes: config.scheduler.reminderMinutes })}\n${emoji} ${event.summary}`;
+                        const kb = event.hangoutLink
+                            ? { inline_keyboard: [[{ text: t('scheduler.join'), url: event.hangoutLink }]] }
+                            : undefined;
+                        bot.telegram.sendMessage(id, msg, { parse_mode: 'Markdown', reply_markup: kb }).catch(e => { });
+                    }));
+
+                notifiedEvents.add(notificationKey(event));
                 log.scheduler('Lembrete enviado', { eventId: event.id, summary: event.summary });
             }
         }
@@ -382,6 +562,7 @@ function initScheduler(bot) {
 
 module.exports = {
     initScheduler,
+    runForChat,
     refreshEventsCache: refreshDataCache,
     invalidateCache,
     getData
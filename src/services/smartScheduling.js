@@ -5,15 +5,20 @@
 
 const { DateTime } = require('luxon');
 const googleService = require('./google');
+const knowledgeService = require('./knowledge');
 const { log } = require('../utils/logger');
 const config = require('../config');
+const { t } = require('../utils/i18n');
+const { getFreeWindows, isWithinWorkHours } = require('../utils/schedulingRules');
 
 /**
  * Verifica se há conflitos com um novo evento
  * @param {Object} eventData - Dados do evento a ser criado
+ * @param {string[]} calendarIds - Agendas consideradas na verificação (padrão: principal)
+ * @param {Object} rules - Regras de agenda do usuário (sugestões respeitam expediente, foco, intervalo)
  * @returns {Object} - { hasConflict, conflicts, suggestions }
  */
-async function checkConflicts(eventData) {
+async function checkConflicts(eventData, calendarIds = [googleService.DEFAULT_CALENDAR_ID], rules = config.scheduling) {
     try {
         // Se não tem horário específico (dia inteiro), não verifica conflitos
         if (!eventData.start || !eventData.start.includes('T')) {
@@ -28,7 +33,7 @@ async function checkConflicts(eventData) {
         // Busca eventos do dia
         const dayStart = startTime.startOf('day').toISO();
         const dayEnd = startTime.endOf('day').toISO();
-        const events = await googleService.listEvents(dayStart, dayEnd);
+        const events = await googleService.listEvents(dayStart, dayEnd, calendarIds);
 
         const conflicts = [];
 
@@ -55,7 +60,7 @@ async function checkConflicts(eventData) {
         }
 
         // Gera sugestões de horários alternativos
-        const suggestions = generateAlternativeTimes(startTime, endTime, events);
+        const suggestions = generateAlternativeTimes(startTime, endTime, events, rules);
 
         log.info('Conflito detectado', {
             newEvent: eventData.summary,
@@ -76,11 +81,21 @@ async function checkConflicts(eventData) {
 
 /**
  * Gera sugestões de horários alternativos
+ * Seguem as regras de agenda do usuário; expediente, almoço e foco só valem quando o evento original
+ * está no expediente ("jantar às 20h" continua recebendo sugestões à noite)
  */
-function generateAlternativeTimes(originalStart, originalEnd, existingEvents) {
+function generateAlternativeTimes(originalStart, originalEnd, existingEvents, rules = config.scheduling) {
     const duration = originalEnd.diff(originalStart, 'minutes').minutes;
     const suggestions = [];
 
+    const dayRules = isWithinWorkHours(originalStart, originalEnd, rules)
+        ? rules
+        : { ...rules, workStart: '00:00', workEnd: '24:00', lunchStart: null, lunchEnd: null, focusBlocks: [] };
+    const busy = existingEvents
+        .filter(event => event.start.dateTime)
+        .map(event => [Date.parse(event.start.dateTime), Date.parse(event.end.dateTime)]);
+    const windows = getFreeWindows(originalStart, busy, { rules: dayRules });
+
     // Tenta horários próximos (30 min antes, 30 min depois, 1h depois)
     const offsets = [-30, 30, 60, 90, 120];
 
@@ -88,32 +103,19 @@ function generateAlternativeTimes(originalStart, originalEnd, existingEvents) {
         const newStart = originalStart.plus({ minutes: offset });
         const newEnd = newStart.plus({ minutes: duration });
 
-        // Verifica se o novo horário não conflita
-        let hasConflict = false;
-        for (const event of existingEvents) {
-            if (!event.start.dateTime) continue;
-
-            const eventStart = DateTime.fromISO(event.start.dateTime);
-            const eventEnd = DateTime.fromISO(event.end.dateTime);
-
-            if (newStart < eventEnd && newEnd > eventStart) {
-                hasConflict = true;
-                break;
-            }
-        }
-
-        const now = DateTime.now().setZone(config.timezone);
-        if (!hasConflict && newStart > now) {
+        // Cabe inteiro numa janela livre (sem conflito, sem passado, dentro das regras)
+        const fits = windows.some(([start, end]) => newStart.toMillis() >= start && newEnd.toMillis() <= end);
+        if (fits) {
             suggestions.push({
                 start: newStart.toFormat('HH:mm'),
                 end: newEnd.toFormat('HH:mm'),
                 startISO: newStart.toISO(),
                 endISO: newEnd.toISO(),
                 label: offset < 0
-                    ? `${Math.abs(offset)} min antes`
+                    ? t('conflict.minutesBefore', { count: Math.abs(offset) })
                     : offset === 0
-                        ? 'Horário sugerido'
-                        : `${offset} min depois`
+                        ? t('conflict.suggested')
+                        : t('conflict.minutesAfter', { count: offset })
             });
         }
 
@@ -176,23 +178,23 @@ function detectPriority(text) {
  * Formata mensagem de conflito para o usuário
  */
 function formatConflictMessage(eventData, conflictResult) {
-    let msg = `⚠️ *Conflito Detectado!*\n\n`;
-    msg += `Você quer agendar: *${eventData.summary}*\n\n`;
-    msg += `Mas você já tem:\n`;
+    let msg = `${t('conflict.title')}\n\n`;
+    msg += `${t('conflict.wanted', { summary: eventData.summary })}\n\n`;
+    msg += `${t('conflict.existing')}\n`;
 
     for (const conflict of conflictResult.conflicts) {
         msg += `📅 *${conflict.summary}* (${conflict.start} - ${conflict.end})\n`;
     }
 
     if (conflictResult.suggestions.length > 0) {
-        msg += `\n💡 *Sugestões de horários:*\n`;
+        msg += `\n${t('conflict.suggestionsTitle')}\n`;
         for (let i = 0; i < conflictResult.suggestions.length; i++) {
             const sug = conflictResult.suggestions[i];
             msg += `${i + 1}. ${sug.start} - ${sug.end} (${sug.label})\n`;
         }
     }
 
-    msg += `\n_Quer forçar o agendamento ou escolher outro horário?_`;
+    msg += `\n${t('conflict.question')}`;
 
     return msg;
 }
@@ -206,7 +208,7 @@ function validateSchedulingContext(eventData) {
     const warnings = [];
 
     if (!eventData.start) {
-        return { isValid: false, warnings: ['Horário não especificado'] };
+        return { isValid: false, warnings: [t('schedulingWarnings.noStart')] };
     }
 
     const startTime = DateTime.fromISO(eventData.start, { zone: config.timezone });
@@ -215,7 +217,7 @@ function validateSchedulingContext(eventData) {
     if (!startTime.isValid) {
         return {
             isValid: false,
-            warnings: [`Data inválida: ${startTime.invalidReason || 'verifique dia/mês/ano'}`]
+            warnings: [t('schedulingWarnings.invalidDate', { reason: startTime.invalidReason || t('schedulingWarnings.invalidDateHint') })]
         };
     }
 
@@ -223,7 +225,7 @@ function validateSchedulingContext(eventData) {
 
     // Verifica se é no passado
     if (startTime < now && eventData.start.includes('T')) {
-        return { isValid: false, warnings: ['Não é possível agendar no passado'] };
+        return { isValid: false, warnings: [t('schedulingWarnings.past')] };
     }
 
     // Avisos (não bloqueiam, apenas informam)
@@ -231,17 +233,17 @@ function validateSchedulingContext(eventData) {
 
     // Muito cedo (antes das 6h)
     if (hour < 6) {
-        warnings.push('⏰ Evento marcado para madrugada');
+        warnings.push(t('schedulingWarnings.earlyMorning'));
     }
 
     // Muito tarde (depois das 22h)
     if (hour >= 22) {
-        warnings.push('🌙 Evento marcado para tarde da noite');
+        warnings.push(t('schedulingWarnings.lateNight'));
     }
 
     // Fim de semana
     if (startTime.weekday >= 6) {
-        warnings.push('📅 Evento no fim de semana');
+        warnings.push(t('schedulingWarnings.weekend'));
     }
 
     // Evento longo (mais de 3 horas)
@@ -250,11 +252,11 @@ function validateSchedulingContext(eventData) {
 
         // Também valida data de fim
         if (!endTime.isValid) {
-            warnings.push('⚠️ Data de término inválida, usando 1h de duração');
+            warnings.push(t('schedulingWarnings.invalidEnd'));
         } else {
             const duration = endTime.diff(startTime, 'hours').hours;
             if (duration > 3) {
-                warnings.push(`⏱️ Evento longo (${Math.round(duration)} horas)`);
+                warnings.push(t('schedulingWarnings.long', { count: Math.round(duration) }));
             }
         }
     }
@@ -262,10 +264,230 @@ function validateSchedulingContext(eventData) {
     return { isValid: true, warnings };
 }
 
+// ============================================
+// REUNIÕES EM GRUPO
+// ============================================
+
+const EMAIL_REGEX = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+
+// Minúsculas, sem acentos
+const normalize = text => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+
+/**
+ * Pessoas com quem o usuário já teve reunião (convidados dos eventos recentes e próximos)
+ * @returns {Promise<Array<{email: string, name: string|null}>>}
+ */
+async function getKnownAttendees(calendarIds) {
+    const now = DateTime.now().setZone(config.timezone);
+    const events = await googleService.listEvents(
+        now.minus({ days: config.meeting.historyDays }).toISO(),
+        now.plus({ days: 30 }).toISO(),
+        calendarIds
+    );
+
+    const people = new Map();
+    events.flatMap(event => [event.organizer, ...(event.attendees || [])])
+        .filter(person => person?.email && !person.self && !person.resource)
+        .forEach(person => {
+            const email = person.email.toLowerCase();
+            if (!people.get(email)) people.set(email, person.displayName || null);
+        });
+
+    return [...people].map(([email, name]) => ({ email, name }));
+}
+
+// "Lazaro" casa com "Lázaro Souza" ou lazaro.souza@...; todas as palavras citadas precisam aparecer
+function matchesPerson(words, person) {
+    const nameWords = person.name ? normalize(person.name).split(/\s+/) : [];
+    const emailWords = normalize(person.email.split('@')[0]).split(/[._-]+/);
+    return words.every(word => [...nameWords, ...emailWords].some(w => w.startsWith(word)));
+}
+
+// Memória do usuário: "email do Wilfred: wilfred@obra.com"
+function findEmailInKnowledge(name) {
+    const item = knowledgeService.queryInfo(name);
+    if (!item) return null;
+
+    const text = normalize(`${item.key} ${item.value}`);
+    const email = String(item.value).match(EMAIL_REGEX)?.[0];
+    return email && text.includes(normalize(name)) ? email.toLowerCase() : null;
+}
+
+/**
+ * Troca os nomes citados pelos e-mails
+ * Ordem: e-mail escrito na mensagem > convidados de reuniões anteriores > memória (knowledge base)
+ * @param {string[]} people - Nomes ou e-mails como o usuário falou
+ * @param {string[]} calendarIds - Agendas do usuário (onde procurar reuniões anteriores)
+ * @returns {Promise<Object>} { resolved: [{ name, email }], unresolved: [{ name, options }] }
+ *   options lista os e-mails possíveis quando o nome é ambíguo (vazio quando ninguém casou)
+ */
+async function resolveAttendees(people, calendarIds) {
+    const resolved = [];
+    const unresolved = [];
+    let known = null;
+
+    for (const person of people) {
+        const email = person.match(EMAIL_REGEX)?.[0];
+        if (email) {
+            resolved.push({ name: person.replace(EMAIL_REGEX, '').trim() || email, email: email.toLowerCase() });
+            continue;
+        }
+
+        known = known || await getKnownAttendees(calendarIds);
+        const words = normalize(person).split(/\s+/).filter(Boolean);
+        const matches = known.filter(candidate => matchesPerson(words, candidate));
+
+        if (matches.length === 1) {
+            resolved.push({ name: matches[0].name || person, email: matches[0].email });
+        } else if (matches.length > 1) {
+            unresolved.push({ name: person, options: matches.map(m => m.email) });
+        } else {
+            const fromKnowledge = findEmailInKnowledge(person);
+            if (fromKnowledge) resolved.push({ name: person, email: fromKnowledge });
+            else unresolved.push({ name: person, options: [] });
+        }
+    }
+
+    log.info('Participantes resolvidos', {
+        resolved: resolved.map(p => p.email),
+        unresolved: unresolved.map(p => p.name)
+    });
+    return { resolved, unresolved };
+}
+
+/**
+ * Dias procurados: o dia pedido ou os próximos dias úteis
+ * @param {Object} options
+ * @param {string} options.targetDate - YYYY-MM-DD (só esse dia, mesmo fora dos dias úteis: foi pedido)
+ * @param {string} options.from - YYYY-MM-DD a partir do qual procurar (padrão: hoje)
+ * @param {Object} rules - Regras do usuário (schedulingRules)
+ * @returns {Array<DateTime>}
+ */
+function getSearchDays({ targetDate = null, from = null } = {}, rules = config.scheduling) {
+    if (targetDate) return [DateTime.fromISO(targetDate, { zone: config.timezone }).startOf('day')];
+
+    const days = [];
+    let day = (from ? DateTime.fromISO(from, { zone: config.timezone }) : DateTime.now().setZone(config.timezone)).startOf('day');
+    // Limite de segurança: não procura além de um mês
+    for (let i = 0; i < 31 && days.length < config.meeting.searchDays; i++, day = day.plus({ days: 1 })) {
+        if (rules.workDays.includes(day.weekday)) days.push(day);
+    }
+    return days;
+}
+
+/**
+ * Horários livres, já ranqueados
+ * - Dentro das regras do usuário: expediente, almoço, foco, intervalo entre compromissos (period restringe o turno)
+ * - Dia que já chegou ao limite de compromissos do usuário fica de fora
+ * - O início de cada janela livre (arredondado para stepMinutes) vem antes dos horários seguintes
+ *   da mesma janela: opções em janelas diferentes dão mais escolha
+ * - Dias mais próximos primeiro, no máximo maxPerDay por dia (sem limite quando só um dia foi pedido)
+ * @param {Array<{start: string, end: string}>} busy - Ocupação somada de todos (freebusy)
+ * @param {Object} options
+ * @param {Array<DateTime>} options.days - Dias procurados (getSearchDays)
+ * @param {number} options.duration - Minutos
+ * @param {string} options.period - 'morning' | 'afternoon'
+ * @param {Object} options.rules - Regras do usuário (schedulingRules)
+ * @param {Array<{start: string, end: string}>} options.ownBusy - Ocupação só do usuário (limite por dia; padrão: busy)
+ * @returns {Array<{start: string, end: string}>} ISO
+ */
+function findCommonSlots(busy, { days, duration, period = null, rules = config.scheduling, ownBusy = busy }) {
+    const { stepMinutes, maxOptions, maxPerDay } = config.meeting;
+    const length = duration * 60 * 1000;
+    const toMs = slots => slots.map(slot => [Date.parse(slot.start), Date.parse(slot.end)]);
+    const busyMs = toMs(busy);
+    const ownBusyMs = toMs(ownBusy);
+
+    // Início arredondado para o próximo múltiplo de stepMinutes no relógio local (10:07 -> 10:30)
+    const roundUp = ms => {
+        const time = DateTime.fromMillis(ms, { zone: config.timezone });
+        const minutes = time.hour * 60 + time.minute + (time.second || time.millisecond ? 1 : 0);
+        return time.startOf('day').plus({ minutes: Math.ceil(minutes / stepMinutes) * stepMinutes }).toMillis();
+    };
+
+    const perDay = days.length === 1 ? maxOptions : maxPerDay;
+    const options = [];
+    for (const day of days) {
+        if (rules.maxMeetingsPerDay) {
+            const [dayStart, dayEnd] = [day.startOf('day').toMillis(), day.endOf('day').toMillis()];
+            const meetings = ownBusyMs.filter(([start]) => start >= dayStart && start <= dayEnd).length;
+            if (meetings >= rules.maxMeetingsPerDay) continue;
+        }
+
+        // Candidatos de cada janela, um após o outro; rank 0 é o início da janela
+        const candidates = getFreeWindows(day, busyMs, { rules, period }).flatMap(([windowStart, end]) => {
+            const list = [];
+            for (let start = roundUp(windowStart), rank = 0; start + length <= end; start = roundUp(start + length), rank++) {
+                list.push({ start, rank });
+            }
+            return list;
+        });
+
+        const dayOptions = candidates
+            .sort((a, b) => a.rank - b.rank || a.start - b.start)
+            .slice(0, perDay)
+            .sort((a, b) => a.start - b.start)
+            .map(({ start }) => ({
+                start: DateTime.fromMillis(start, { zone: config.timezone }).toISO(),
+                end: DateTime.fromMillis(start + length, { zone: config.timezone }).toISO()
+            }));
+
+        options.push(...dayOptions);
+        if (options.length >= maxOptions) break;
+    }
+
+    return options.slice(0, maxOptions);
+}
+
+/**
+ * Procura horários livres do usuário (e dos convidados, se houver)
+ * @param {Object} params
+ * @param {string[]} params.calendarIds - Agendas do usuário
+ * @param {string[]} params.emails - Convidados (agenda principal de cada um)
+ * @param {string} params.targetDate - YYYY-MM-DD (sem data: próximos dias úteis)
+ * @param {string} params.from - YYYY-MM-DD a partir do qual procurar quando não há targetDate
+ * @param {number} params.duration - Minutos
+ * @param {string} params.period - 'morning' | 'afternoon'
+ * @param {Object} params.rules - Regras do usuário (schedulingRules.getRules)
+ * @param {boolean} params.extend - Dia pedido sem horário: continua pelos dias úteis seguintes
+ * @returns {Promise<Object>} { options: [{ start, end }], unavailable: [emails cuja agenda não pôde ser lida] }
+ */
+async function findFreeSlots({ calendarIds, emails = [], targetDate = null, from = null, duration = config.meeting.defaultDuration, period = null, rules = config.scheduling, extend = false }) {
+    const search = async days => {
+        if (days.length === 0) return { options: [], unavailable: [] };
+
+        const result = await googleService.queryFreeBusy(
+            days[0].toISO(),
+            days[days.length - 1].endOf('day').toISO(),
+            [...calendarIds, ...emails]
+        );
+
+        // Agenda de quem não compartilha não trava a busca: o convite segue e o usuário é avisado
+        const unavailable = emails.filter(email => result[email]?.error);
+        const busy = Object.values(result).filter(r => !r.error).flatMap(r => r.busy);
+        const ownBusy = calendarIds.flatMap(id => result[id]?.busy || []);
+
+        return { options: findCommonSlots(busy, { days, duration, period, rules, ownBusy }), unavailable };
+    };
+
+    let result = await search(getSearchDays({ targetDate, from }, rules));
+    if (result.options.length === 0 && targetDate && extend) {
+        const nextDay = DateTime.fromISO(targetDate, { zone: config.timezone }).plus({ days: 1 }).toISODate();
+        result = await search(getSearchDays({ from: nextDay }, rules));
+    }
+
+    log.info('Horários livres', { people: emails.length, options: result.options.length, unavailable: result.unavailable });
+    return result;
+}
+
 module.exports = {
     checkConflicts,
     detectPriority,
     formatConflictMessage,
     validateSchedulingContext,
-    generateAlternativeTimes
+    generateAlternativeTimes,
+    resolveAttendees,
+    getSearchDays,
+    findCommonSlots,
+    findFreeSlots
 };
@@ -0,0 +1,190 @@
+/**
+ * Google Tasks Service
+ * Terceiro backend (ao lado de Calendar e Trello) para tarefas simples com ou sem prazo
+ * Usa a mesma autenticação do google.js (conta do usuário ou global)
+ */
+
+const { google } = require('googleapis');
+const { DateTime } = require('luxon');
+const { log } = require('../utils/logger');
+const { t } = require('../utils/i18n');
+const { withGoogleRetry } = require('../utils/retry');
+const { getAuthClient } = require('./google');
+const config = require('../config');
+
+const DEFAULT_TASKLIST_ID = process.env.GOOGLE_TASKLIST_ID || '@default';
+
+async function getTasksClient() {
+    const auth = await getAuthClient();
+    return google.tasks({ version: 'v1', auth });
+}
+
+/**
+ * Converte data (YYYY-MM-DD ou ISO) para o formato aceito pelo Tasks
+ * A API só guarda a DATA do prazo (o horário é descartado)
+ */
+function toTaskDue(due) {
+    if (!due) return undefined;
+    const date = DateTime.fromISO(due, { zone: config.timezone });
+    if (!date.isValid) return undefined;
+    return `${date.toFormat('yyyy-MM-dd')}T00:00:00.000Z`;
+}
+
+/**
+ * Lista as listas de tarefas da conta
+ * @returns {Promise<Array<{ id, title }>>}
+ */
+async function listTaskLists() {
+    return withGoogleRetry(async () => {
+        const tasks = await getTasksClient();
+        const response = await tasks.tasklists.list({ maxResults: 100 });
+        const items = (response.data.items || []).map(l => ({ id: l.id, title: l.title }));
+        log.google('Listas de tarefas listadas', { count: items.length });
+        return items;
+    }, 'listTaskLists');
+}
+
+/**
+ * Lista tarefas de uma lista
+ * @param {Object} options
+ * @param {string} options.listId - Lista (padrão: GOOGLE_TASKLIST_ID ou @default)
+ * @param {boolean} options.showCompleted - Inclui concluídas (padrão: false)
+ * @param {string} options.dueMax - ISO: só tarefas com prazo até esta data
+ * @returns {Promise<Array>} Tarefas com listId
+ */
+async function listTasks({ listId = DEFAULT_TASKLIST_ID, showCompleted = false, dueMax = null } = {}) {
+    return withGoogleRetry(async () => {
+        const tasks = await getTasksClient();
+
+        const params = {
+            tasklist: listId,
+            showCompleted,
+            showHidden: showCompleted,
+            maxResults: 100
+        };
+        if (dueMax) params.dueMax = dueMax;
+
+        const response = await tasks.tasks.list(params);
+        const items = (response.data.items || []).map(t => ({ ...t, listId }));
+
+        log.google('Tarefas listadas', { listId, count: items.length });
+        return items;
+    }, 'listTasks');
+}
+
+/**
+ * Cria uma tarefa
+ * @param {Object} taskData - { title, notes, due }
+ * @param {string} listId
+ */
+async function createTask(taskData, listId = DEFAULT_TASKLIST_ID) {
+    return withGoogleRetry(async () => {
+        const tasks = await getTasksClient();
+
+        const resource = { title: taskData.title };
+        if (taskData.notes) resource.notes = taskData.notes;
+        const due = toTaskDue(taskData.due);
+        if (due) resource.due = due;
+
+        log.google('Criando tarefa', { title: taskData.title, listId });
+
+        const response = await tasks.tasks.insert({ tasklist: listId, resource });
+
+        log.google('Tarefa criada', { id: response.data.id });
+        return { ...response.data, listId };
+    }, 'createTask');
+}
+
+/**
+ * Atualiza campos de uma tarefa (patch)
+ * @param {string} taskId
+ * @param {Object} updates - { title, notes, due, status }
+ * @param {string} listId
+ */
+async function updateTask(taskId, updates, listId = DEFAULT_TASKLIST_ID) {
+    return withGoogleRetry(async () => {
+        const tasks = await getTasksClient();
+
+        const resource = {};
+        if (updates.title) resource.title = updates.title;
+        if (updates.notes !== undefined) resource.notes = updates.notes;
+        if (updates.due) resource.due = toTaskDue(updates.due);
+        if (updates.status) resource.status = updates.status;
+
+        log.google('Atualizando tarefa', { taskId });
+
+        const response = await tasks.tasks.patch({ tasklist: listId, task: taskId, resource });
+        return { ...response.data, listId };
+    }, 'updateTask');
+}
+
+/**
+ * Marca uma tarefa como concluída
+ */
+async function completeTask(taskId, listId = DEFAULT_TASKLIST_ID) {
+    return updateTask(taskId, { status: 'completed' }, listId);
+}
+
+/**
+ * Apaga uma tarefa
+ */
+async function deleteTask(taskId, listId = DEFAULT_TASKLIST_ID) {
+    return withGoogleRetry(async () => {
+        const tasks = await getTasksClient();
+
+        log.google('Deletando tarefa', { taskId });
+        await tasks.tasks.delete({ tasklist: listId, task: taskId });
+        return true;
+    }, 'deleteTask');
+}
+
+/**
+ * Move uma tarefa (reordena, vira subtarefa ou muda de lista)
+ * @param {string} taskId
+ * @param {Object} options
+ * @param {string} options.parent - Nova tarefa-pai (subtarefa)
+ * @param {string} options.previous - Tarefa irmã que deve ficar antes
+ * @param {string} options.destinationListId - Move para outra lista
+ * @param {string} listId - Lista atual
+ */
+async function moveTask(taskId, { parent, previous, destinationListId } = {}, listId = DEFAULT_TASKLIST_ID) {
+    return withGoogleRetry(async () => {
+        const tasks = await getTasksClient();
+
+        const params = { tasklist: listId, task: taskId };
+        if (parent) params.parent = parent;
+        if (previous) params.previous = previous;
+        if (destinationListId) params.destinationTasklist = destinationListId;
+
+        log.google('Movendo tarefa', { taskId, destinationListId });
+
+        const response = await tasks.tasks.move(params);
+        return { ...response.data, listId: destinationListId || listId };
+    }, 'moveTask');
+}
+
+/**
+ * Cria a tarefa "Processar manualmente" quando a IA não consegue interpretar uma mensagem
+ * Assim o pedido não se perde e pode ser tratado depois
+ * @param {string} text - Mensagem original do usuário
+ * @param {string} reason - Motivo da falha (para as notas)
+ */
+async function createFallbackTask(text, reason = t('ai.technicalReason')) {
+    const preview = text.length > 40 ? text.substring(0, 40) : text;
+    return createTask({
+        title: t('tasks.fallbackTitle', { preview }),
+        notes: t('tasks.fallbackNotes', { reason, text })
+    });
+}
+
+module.exports = {
+    DEFAULT_TASKLIST_ID,
+    listTaskLists,
+    listTasks,
+    createTask,
+    updateTask,
+    completeTask,
+    deleteTask,
+    moveTask,
+    createFallbackTask
+};
@@ -0,0 +1,134 @@
+/**
+ * Transcription Service
+ * Converte mensagens de voz do Telegram (OGG/Opus) em texto
+ * Backends plugáveis: Gemini (áudio multimodal) e stub local (testes)
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { log } = require('../utils/logger');
+const { t } = require('../utils/i18n');
+const config = require('../config');
+
+// Resposta combinada com o modelo para áudio vazio ou inaudível (igual em todos os idiomas)
+const INAUDIBLE = '[inaudível]';
+
+// ============================================
+// BACKENDS
+// ============================================
+
+/**
+ * Backend Gemini: envia o áudio inline para o modelo multimodal
+ */
+function createGeminiTranscriber() {
+    let model = null;
+
+    return {
+        name: 'gemini',
+        model: config.transcription.geminiModel,
+        async transcribe(buffer, mimeType) {
+            if (!model) {
+                const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+                model = genAI.getGenerativeModel({ model: config.transcription.geminiModel });
+            }
+
+            const result = await model.generateContent([
+                { inlineData: { data: buffer.toString('base64'), mimeType } },
+                // Idioma do usuário só como dica: o texto sai no idioma falado, sem tradução
+                { text: t('media.transcriptionPrompt', { marker: INAUDIBLE }) }
+            ]);
+
+            return result.response.text();
+        }
+    };
+}
+
+/**
+ * Backend stub: não chama nenhuma API (útil para testes e desenvolvimento local)
+ * Retorna TRANSCRIPTION_STUB_TEXT se definido, senão um texto fixo
+ */
+function createStubTranscriber() {
+    return {
+        name: 'stub',
+        model: 'stub',
+        async transcribe(buffer) {
+            return process.env.TRANSCRIPTION_STUB_TEXT || `[áudio de ${buffer.length} bytes]`;
+        }
+    };
+}
+
+const BACKENDS = {
+    gemini: createGeminiTranscriber,
+    stub: createStubTranscriber
+};
+
+let activeTranscriber = null;
+
+/**
+ * Retorna o transcriber ativo (inicializa a partir do config na primeira chamada)
+ */
+function getTranscriber() {
+    if (!activeTranscriber) {
+        setTranscriber(config.transcription.provider);
+    }
+    return activeTranscriber;
+}
+
+/**
+ * Troca o backend de transcrição
+ * @param {string|Object} backend - Nome do backend ('gemini', 'stub') ou objeto { name, transcribe(buffer, mimeType) }
+ */
+function setTranscriber(backend) {
+    if (backend && typeof backend === 'object') {
+        if (typeof backend.transcribe !== 'function') {
+            throw new Error('Transcriber precisa implementar transcribe(buffer, mimeType)');
+        }
+        activeTranscriber = backend;
+    } else {
+        const factory = BACKENDS[backend];
+        if (!factory) {
+            throw new Error(`Transcriber desconhecido: ${backend}`);
+        }
+        activeTranscriber = factory();
+    }
+    log.info('Transcriber configurado', { provider: activeTranscriber.name });
+}
+
+// ============================================
+// API PÚBLICA
+// ============================================
+
+/**
+ * Transcreve um áudio
+ * @param {Buffer} buffer - Conteúdo do arquivo de áudio
+ * @param {string} mimeType - MIME type (padrão: audio/ogg, formato das voice notes do Telegram)
+ * @returns {Promise<string>} Texto transcrito ('' se inaudível)
+ */
+async function transcribeAudio(buffer, mimeType = 'audio/ogg') {
+    const transcriber = getTranscriber();
+    const startTime = Date.now();
+
+    const raw = await transcriber.transcribe(buffer, mimeType);
+    const text = (raw || '').trim();
+
+    log.info('Áudio transcrito', {
+        provider: transcriber.name,
+        bytes: buffer.length,
+        chars: text.length,
+        elapsedMs: Date.now() - startTime
+    });
+
+    if (!text || text === INAUDIBLE) return '';
+    return text;
+}
+
+module.exports = {
+    transcribeAudio,
+    setTranscriber,
+    getStatus: () => {
+        const transcriber = getTranscriber();
+        return {
+            provider: transcriber.name,
+            model: transcriber.model
+        };
+    }
+};
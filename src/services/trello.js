@@ -1,6 +1,7 @@
 const nativeFetch = global.fetch;
-const { log } = require('../utils/logger');
+const { log, getContext } = require('../utils/logger');
 const { withTrelloRetry } = require('../utils/retry');
+const userPreferences = require('../utils/userPreferences');
 
 let rateLimitStats = {
     limit: null,
@@ -30,6 +31,7 @@ async function fetchTrello(url, options) {
 const TRELLO_API_KEY = process.env.TRELLO_API_KEY;
 const TRELLO_TOKEN = process.env.TRELLO_TOKEN;
 const TRELLO_LIST_INBOX = process.env.TRELLO_LIST_ID_INBOX;
+const DEFAULT_BOARD_ID = process.env.TRELLO_BOARD_ID;
 
 const BASE_URL = 'https://api.trello.com/1';
 
@@ -40,7 +42,31 @@ function getAuthParams() {
     return `key=${TRELLO_API_KEY}&token=${TRELLO_TOKEN}`;
 }
 
-async function getLists(boardId = process.env.TRELLO_BOARD_ID) {
+/**
+ * Board ativo da requisição atual
+ * Ordem: board citado na mensagem (contexto trelloBoardId) > escolhido no /quadro > TRELLO_BOARD_ID
+ * @param {string} userId - Padrão: usuário do contexto da requisição
+ * @returns {string}
+ */
+function getActiveBoardId(userId = getContext().userId) {
+    const context = getContext();
+    if (context.trelloBoardId) return context.trelloBoardId;
+    return (userId && userPreferences.getPreference(userId, 'trelloBoard')) || DEFAULT_BOARD_ID;
+}
+
+/**
+ * Boards que o usuário acompanha nos resumos (padrão: só o ativo)
+ * @param {string} userId
+ * @returns {string[]}
+ */
+function getFollowedBoardIds(userId = getContext().userId) {
+    const followed = userId ? userPreferences.getPreference(userId, 'trelloBoards') : null;
+    if (followed && followed.length > 0) return followed;
+    const active = getActiveBoardId(userId);
+    return active ? [active] : [];
+}
+
+async function getLists(boardId = getActiveBoardId()) {
     return withTrelloRetry(async () => {
         if (!boardId) throw new Error('TRELLO_BOARD_ID required (env or param)');
         const url = `${BASE_URL}/boards/${boardId}/lists?${getAuthParams()}`;
@@ -52,7 +78,7 @@ async function getLists(boardId = process.env.TRELLO_BOARD_ID) {
     }, 'getLists');
 }
 
-async function getLabels(boardId = process.env.TRELLO_BOARD_ID) {
+async function getLabels(boardId = getActiveBoardId()) {
     return withTrelloRetry(async () => {
         if (!boardId) throw new Error('TRELLO_BOARD_ID required');
         const url = `${BASE_URL}/boards/${boardId}/labels?${getAuthParams()}`;
@@ -62,7 +88,7 @@ async function getLabels(boardId = process.env.TRELLO_BOARD_ID) {
     }, 'getLabels');
 }
 
-async function getMembers(boardId = process.env.TRELLO_BOARD_ID) {
+async function getMembers(boardId = getActiveBoardId()) {
     return withTrelloRetry(async () => {
         if (!boardId) throw new Error('TRELLO_BOARD_ID required');
         const url = `${BASE_URL}/boards/${boardId}/members?${getAuthParams()}`;
@@ -84,7 +110,7 @@ async function addLabel(cardId, labelId) {
 
 async function createLabel(name, color = null) {
     return withTrelloRetry(async () => {
-        const boardId = await ensureBoardId(process.env.TRELLO_BOARD_ID);
+        const boardId = await ensureBoardId(getActiveBoardId());
         const params = new URLSearchParams({
             key: TRELLO_API_KEY,
             token: TRELLO_TOKEN,
@@ -113,16 +139,37 @@ async function addMember(cardId, memberId) {
     }, 'addMember');
 }
 
+// boardId -> lista de entrada (primeira lista aberta) dos boards sem TRELLO_LIST_ID_INBOX
+const inboxListIds = new Map();
+
+/**
+ * Lista de entrada do board: TRELLO_LIST_ID_INBOX no board padrão, primeira lista nos demais
+ * @param {string} boardId - Padrão: board ativo
+ * @returns {Promise<string>}
+ */
+async function getInboxListId(boardId = getActiveBoardId()) {
+    if (TRELLO_LIST_INBOX && (!boardId || boardId === DEFAULT_BOARD_ID ||
+        await ensureBoardId(boardId) === await ensureBoardId(DEFAULT_BOARD_ID))) {
+        return TRELLO_LIST_INBOX;
+    }
+    if (inboxListIds.has(boardId)) return inboxListIds.get(boardId);
+
+    const lists = await getLists(boardId);
+    if (lists.length === 0) {
+        throw new Error('O quadro não tem listas para receber cards');
+    }
+    inboxListIds.set(boardId, lists[0].id);
+    return lists[0].id;
+}
+
 async function createCard({ name, desc, due, labels, members, idList }) {
-    return withTrelloRetry(async () => {
-        if (!TRELLO_LIST_INBOX) {
-            throw new Error('TRELLO_LIST_ID_INBOX não configurado no .env');
-        }
+    const targetListId = idList || await getInboxListId();
 
+    return withTrelloRetry(async () => {
         const params = new URLSearchParams({
             key: TRELLO_API_KEY,
             token: TRELLO_TOKEN,
-            idList: idList || TRELLO_LIST_INBOX,
+            idList: targetListId,
             name: name,
         });
 
@@ -144,7 +191,9 @@ async function createCard({ name, desc, due, labels, members, idList }) {
     }, 'createCard');
 }
 
-async function listCards(listId = TRELLO_LIST_INBOX) {
+async function listCards(listId = null) {
+    if (!listId) listId = await getInboxListId();
+
     return withTrelloRetry(async () => {
         if (!listId) throw new Error('List ID required');
 
@@ -156,10 +205,10 @@ async function listCards(listId = TRELLO_LIST_INBOX) {
     }, 'listCards');
 }
 
-async function listAllCards() {
+async function listAllCards(boardId = getActiveBoardId()) {
     try {
-        const lists = await getLists();
-        const cards = await getBoardCards();
+        const lists = await getLists(boardId);
+        const cards = await getBoardCards(boardId);
 
         // Cria mapa de id -> nome da lista
         const listMap = {};
@@ -178,10 +227,10 @@ async function listAllCards() {
     }
 }
 
-async function listAllCardsGrouped() {
+async function listAllCardsGrouped(boardId = getActiveBoardId()) {
     try {
-        const lists = await getLists();
-        const cards = await getBoardCards();
+        const lists = await getLists(boardId);
+        const cards = await getBoardCards(boardId);
 
         // Agrupa cards por lista
         const result = lists.map(list => ({
@@ -201,6 +250,50 @@ async function listAllCardsGrouped() {
     }
 }
 
+/**
+ * Lista os boards abertos da conta do token
+ * @returns {Promise<Array<{ id, name, shortUrl }>>}
+ */
+async function listBoards() {
+    return withTrelloRetry(async () => {
+        const url = `${BASE_URL}/members/me/boards?filter=open&fields=id,name,shortUrl,shortLink&${getAuthParams()}`;
+        const response = await fetchTrello(url);
+        if (!response.ok) throw new Error(await response.text());
+
+        const boards = await response.json();
+        // Short IDs já conhecidos (ex: TRELLO_BOARD_ID) resolvem sem chamada extra
+        boards.forEach(b => resolvedBoardIds.set(b.shortLink, b.id));
+        log.trello('Boards listados', { count: boards.length });
+        return boards;
+    }, 'listBoards');
+}
+
+/**
+ * Cards de vários boards, com boardId/boardName em cada card (resumos multi-board)
+ * Falha em um board não derruba os outros
+ * @param {string[]} boardIds
+ * @returns {Promise<Array>}
+ */
+async function listCardsForBoards(boardIds = getFollowedBoardIds()) {
+    if (boardIds.length <= 1) {
+        const boardId = boardIds[0] || getActiveBoardId();
+        return (await listAllCards(boardId)).map(c => ({ ...c, boardId }));
+    }
+
+    let boardNames = new Map();
+    try {
+        const boards = await listBoards();
+        boardNames = new Map(boards.flatMap(b => [[b.id, b.name], [b.shortLink, b.name]]));
+    } catch (error) {
+        log.warn('Não foi possível obter nomes dos boards', { error: error.message });
+    }
+
+    const results = await Promise.all(boardIds.map(async boardId =>
+        (await listAllCards(boardId)).map(c => ({ ...c, boardId, boardName: boardNames.get(boardId) || null }))
+    ));
+    return results.flat();
+}
+
 async function updateCard(cardId, updates) {
     return withTrelloRetry(async () => {
         const params = new URLSearchParams({
@@ -299,13 +392,8 @@ async function deleteCard(cardId) {
     }, 'deleteCard');
 }
 
-/**
- * Busca cards por texto (nome, descrição, etc.)
- * @param {string} query - Texto para buscar
- * @param {string} boardId - ID do board (opcional, usa o do .env)
- * @returns {Promise<Array>} Cards encontrados
- */
-let _resolvedBoardId = null;
+// Short ID -> ID longo (resolvidos via API)
+const resolvedBoardIds = new Map();
 
 /**
  * Resolve o ID do board (Short ID -> Long ID) se necessário
@@ -318,9 +406,8 @@ async function ensureBoardId(boardId) {
         return boardId;
     }
 
-    // Se já resolvemos o ID do env var e é o mesmo solicitado
-    if (_resolvedBoardId && boardId === process.env.TRELLO_BOARD_ID) {
-        return _resolvedBoardId;
+    if (resolvedBoardIds.has(boardId)) {
+        return resolvedBoardIds.get(boardId);
     }
 
     // Busca o ID real na API
@@ -330,10 +417,7 @@ async function ensureBoardId(boardId) {
         if (!response.ok) throw new Error(await response.text());
         const board = await response.json();
 
-        // Cache se for o do env
-        if (boardId === process.env.TRELLO_BOARD_ID) {
-            _resolvedBoardId = board.id;
-        }
+        resolvedBoardIds.set(boardId, board.id);
         return board.id;
     } catch (error) {
         log.error('Erro ao resolver Board ID', { error: error.message, boardId });
@@ -344,18 +428,20 @@ async function ensureBoardId(boardId) {
 /**
  * Busca cards por texto (nome, descrição, etc.)
  * @param {string} query - Texto para buscar
- * @param {string} boardId - ID do board (opcional, usa o do .env)
- * @returns {Promise<Array>} Cards encontrados
+ * @param {string|string[]} boardId - Board ou lista de boards (padrão: board ativo)
+ * @returns {Promise<Array>} Cards encontrados (com idBoard)
  */
-async function searchCards(query, boardId = process.env.TRELLO_BOARD_ID) {
+async function searchCards(query, boardId = getActiveBoardId()) {
     return withTrelloRetry(async () => {
-        const resolvedBoardId = await ensureBoardId(boardId);
+        // Vários boards: busca em todos de uma vez (a API aceita IDs separados por vírgula)
+        const boardIds = Array.isArray(boardId) ? boardId : [boardId];
+        const idBoards = await Promise.all(boardIds.map(ensureBoardId));
 
         const params = new URLSearchParams({
             query: query,
-            idBoards: resolvedBoardId,
+            idBoards: idBoards.join(','),
             modelTypes: 'cards',
-            card_fields: 'id,name,desc,due,idList,labels,shortUrl,closed',
+            card_fields: 'id,name,desc,due,idList,idBoard,labels,shortUrl,closed',
             cards_limit: 50,
             partial: 'true'
         });
@@ -366,7 +452,7 @@ async function searchCards(query, boardId = process.env.TRELLO_BOARD_ID) {
         if (!response.ok) throw new Error(await response.text());
 
         const result = await response.json();
-        log.trello('Busca realizada', { query, encontrados: result.cards?.length || 0 });
+        log.trello('Busca realizada', { query, boards: idBoards.length, encontrados: result.cards?.length || 0 });
         return result.cards || [];
     }, 'searchCards');
 }
@@ -376,11 +462,11 @@ async function searchCards(query, boardId = process.env.TRELLO_BOARD_ID) {
  * @param {string} boardId - ID do board (opcional)
  * @returns {Promise<Array>} Todos os cards do board
  */
-async function getBoardCards(boardId = process.env.TRELLO_BOARD_ID) {
+async function getBoardCards(boardId = getActiveBoardId()) {
     return withTrelloRetry(async () => {
         if (!boardId) throw new Error('TRELLO_BOARD_ID required');
 
-        const fields = 'id,name,desc,due,dueComplete,idList,labels,shortUrl,closed,idMembers,idChecklists';
+        const fields = 'id,name,desc,due,dueComplete,idList,labels,shortUrl,closed,idMembers,idChecklists,badges';
         const url = `${BASE_URL}/boards/${boardId}/cards?fields=${fields}&${getAuthParams()}`;
 
         const response = await fetchTrello(url);
@@ -482,7 +568,7 @@ async function removeLabel(cardId, labelId) {
  * @param {string} boardId - ID do board (opcional)
  * @returns {Promise<Object>} Nova lista
  */
-async function createList(name, boardId = process.env.TRELLO_BOARD_ID) {
+async function createList(name, boardId = getActiveBoardId()) {
     return withTrelloRetry(async () => {
         const resolvedBoardId = await ensureBoardId(boardId);
         const url = `${BASE_URL}/lists?name=${encodeURIComponent(name)}&idBoard=${resolvedBoardId}&${getAuthParams()}`;
@@ -623,7 +709,115 @@ async function deleteChecklist(checklistId) {
     }, 'deleteChecklist');
 }
 
+/**
+ * Anexa um arquivo a um card (upload multipart)
+ * @param {string} cardId - ID do card
+ * @param {Object} file - Arquivo a anexar
+ * @param {Buffer} file.buffer - Conteúdo do arquivo
+ * @param {string} file.fileName - Nome do arquivo (ex: "convite.jpg")
+ * @param {string} file.mimeType - MIME type (ex: "image/jpeg")
+ * @returns {Promise<Object>} Anexo criado
+ */
+async function addAttachment(cardId, { buffer, fileName, mimeType }) {
+    return withTrelloRetry(async () => {
+        const form = new FormData();
+        form.append('file', new Blob([buffer], { type: mimeType }), fileName);
+        form.append('name', fileName);
+        form.append('mimeType', mimeType);
+
+        const url = `${BASE_URL}/cards/${cardId}/attachments?${getAuthParams()}`;
+        const response = await fetchTrello(url, { method: 'POST', body: form });
+        if (!response.ok) throw new Error(await response.text());
+
+        const attachment = await response.json();
+        log.trello('Anexo adicionado', { cardId, attachmentId: attachment.id, fileName });
+        return attachment;
+    }, 'addAttachment');
+}
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+/**
+ * Membro dono do token (o "eu" das notificações)
+ * @returns {Promise<Object>} { id, username, fullName }
+ */
+async function getTokenMember() {
+    return withTrelloRetry(async () => {
+        const url = `${BASE_URL}/members/me?fields=id,username,fullName&${getAuthParams()}`;
+        const response = await fetchTrello(url);
+        if (!response.ok) throw new Error(await response.text());
+        return await response.json();
+    }, 'getTokenMember');
+}
+
+/**
+ * Lista os webhooks registrados com o token atual
+ * @returns {Promise<Array>} Webhooks ({ id, idModel, callbackURL, active })
+ */
+async function listWebhooks() {
+    return withTrelloRetry(async () => {
+        const url = `${BASE_URL}/tokens/${TRELLO_TOKEN}/webhooks?${getAuthParams()}`;
+        const response = await fetchTrello(url);
+        if (!response.ok) throw new Error(await response.text());
+        return await response.json();
+    }, 'listWebhooks');
+}
+
+/**
+ * Registra um webhook para o board (idempotente: reaproveita se já existir para a mesma URL)
+ * O Trello faz um HEAD na callbackURL antes de aceitar, então o servidor precisa estar no ar
+ * @param {string} callbackURL - URL pública que recebe os eventos
+ * @param {string} boardId - Board observado (padrão: board ativo)
+ * @returns {Promise<Object>} Webhook
+ */
+async function registerWebhook(callbackURL, boardId = getActiveBoardId()) {
+    const idModel = await ensureBoardId(boardId);
+
+    const existing = (await listWebhooks()).find(w => w.idModel === idModel && w.callbackURL === callbackURL);
+    if (existing) {
+        log.trello('Webhook já registrado', { id: existing.id, idModel });
+        return existing;
+    }
+
+    return withTrelloRetry(async () => {
+        const params = new URLSearchParams({ callbackURL, idModel, description: 'Assis - notificações de cards' });
+        const url = `${BASE_URL}/webhooks?${params.toString()}&${getAuthParams()}`;
+
+        const response = await fetchTrello(url, { method: 'POST' });
+        if (!response.ok) throw new Error(await response.text());
+
+        const webhook = await response.json();
+        log.trello('Webhook registrado', { id: webhook.id, idModel });
+        return webhook;
+    }, 'registerWebhook');
+}
+
+/**
+ * Remove um webhook
+ * @param {string} webhookId
+ */
+async function deleteWebhook(webhookId) {
+    return withTrelloRetry(async () => {
+        const url = `${BASE_URL}/webhooks/${webhookId}?${getAuthParams()}`;
+        const response = await fetchTrello(url, { method: 'DELETE' });
+        if (!response.ok) throw new Error(await response.text());
+
+        log.trello('Webhook removido', { webhookId });
+        return { success: true, webhookId };
+    }, 'deleteWebhook');
+}
+
 module.exports = {
+    // Boards
+    DEFAULT_BOARD_ID,
+    getActiveBoardId,
+    getFollowedBoardIds,
+    ensureBoardId,
+    listBoards,
+    listCardsForBoards,
+    getInboxListId,
     // Operações básicas
     createCard,
     listCards,
@@ -655,6 +849,12 @@ module.exports = {
     archiveList,
     getCardActions,
     deleteChecklist,
+    addAttachment,
+    // Webhooks
+    getTokenMember,
+    listWebhooks,
+    registerWebhook,
+    deleteWebhook,
     // Status
     getStatus: () => ({
         online: !!process.env.TRELLO_API_KEY,
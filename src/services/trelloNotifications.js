@@ -0,0 +1,459 @@
+/**
+ * Trello Notifications
+ * Avisa no Telegram quando cards atribuídos ao usuário mudam: movidos, comentados, menções e prazo
+ * Recebe os eventos por webhook (TRELLO_WEBHOOK_URL + TRELLO_API_SECRET) ou, sem eles, comparando snapshots do board
+ * Cobre o board padrão e os boards seguidos (/quadro) por quem recebe os avisos
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { DateTime } = require('luxon');
+const trelloService = require('./trello');
+const scheduler = require('./scheduler');
+const { log } = require('../utils/logger');
+const { cleanTrelloName, escapeMarkdown } = require('../utils/trelloFormatter');
+const { t } = require('../utils/i18n');
+const config = require('../config');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+let botInstance = null;
+let watchedMembers = null;   // [{ id, username, chatIds }]
+const snapshots = new Map(); // boardId -> Map cardId -> card (fallback por polling)
+
+// ============================================
+// DESTINATÁRIOS
+// ============================================
+
+function parseChatIds(raw) {
+    return (raw || '').split(',').map(id => id.trim()).filter(id => id);
+}
+
+// Chats que recebem avisos (TRELLO_MEMBER_CHAT_IDS ou, sem mapeamento, ALLOWED_CHAT_IDS)
+function getRecipientChatIds() {
+    const mapping = parseChatIds(process.env.TRELLO_MEMBER_CHAT_IDS);
+    if (mapping.length === 0) return parseChatIds(process.env.ALLOWED_CHAT_IDS);
+    return mapping.map(pair => pair.split(':')[1]?.trim()).filter(Boolean);
+}
+
+/**
+ * Boards observados: o padrão (TRELLO_BOARD_ID) e os seguidos por quem recebe os avisos
+ * Relido a cada ciclo: boards seguidos depois pelo /quadro entram sem reiniciar
+ * @returns {Promise<string[]>} IDs longos, sem repetição
+ */
+async function getWatchedBoardIds() {
+    const boardIds = [trelloService.DEFAULT_BOARD_ID, ...getRecipientChatIds().flatMap(chatId => trelloService.getFollowedBoardIds(chatId))];
+    const resolved = await Promise.all([...new Set(boardIds.filter(Boolean))].map(id => trelloService.ensureBoardId(id)));
+    return [...new Set(resolved)];
+}
+
+/**
+ * Membros do Trello acompanhados e para quais chats avisar
+ * TRELLO_MEMBER_CHAT_IDS="joao:123,maria:456" mapeia usernames para chats
+ * Sem o mapeamento, o dono do token é o "eu" e os avisos vão para ALLOWED_CHAT_IDS
+ */
+async function getWatchedMembers() {
+    if (watchedMembers) return watchedMembers;
+
+    const mapping = parseChatIds(process.env.TRELLO_MEMBER_CHAT_IDS);
+
+    if (mapping.length === 0) {
+        const me = await trelloService.getTokenMember();
+        watchedMembers = [{ id: me.id, username: me.username, chatIds: parseChatIds(process.env.ALLOWED_CHAT_IDS) }];
+    } else {
+        const boardMembers = (await Promise.all((await getWatchedBoardIds()).map(id => trelloService.getMembers(id)))).flat();
+        const byUsername = new Map();
+
+        for (const pair of mapping) {
+            const [username, chatId] = pair.split(':').map(part => part.trim());
+            const member = boardMembers.find(m => m.username?.toLowerCase() === username.replace(/^@/, '').toLowerCase());
+            if (!member || !chatId) {
+                log.warn('Trello: membro do TRELLO_MEMBER_CHAT_IDS não encontrado no board', { username });
+                continue;
+            }
+            const entry = byUsername.get(member.id) || { id: member.id, username: member.username, chatIds: [] };
+            entry.chatIds.push(chatId);
+            byUsername.set(member.id, entry);
+        }
+        watchedMembers = [...byUsername.values()];
+    }
+
+    log.trello('Membros acompanhados', { members: watchedMembers.map(m => m.username) });
+    return watchedMembers;
+}
+
+/**
+ * Chats que devem receber a notificação
+ * Card atribuído ao membro, menção no comentário ou atribuição nova. Ignora o que o próprio membro fez
+ * @param {Object} notification
+ * @param {string[]} cardMemberIds - idMembers do card
+ * @returns {Promise<string[]>}
+ */
+async function resolveRecipients(notification, cardMemberIds = []) {
+    const members = await getWatchedMembers();
+    const chatIds = new Set();
+
+    for (const member of members) {
+        if (notification.actorId && notification.actorId === member.id) continue;
+
+        // Atribuição avisa só quem entrou no card ("Você foi adicionado")
+        if (notification.kind === 'assigned') {
+            if (notification.memberId === member.id) member.chatIds.forEach(id => chatIds.add(id));
+            continue;
+        }
+
+        const isAssigned = cardMemberIds.includes(member.id);
+        const isMentioned = notification.kind === 'comment' &&
+            (notification.mentions || []).includes(member.username?.toLowerCase());
+
+        if (isAssigned || isMentioned) {
+            member.chatIds.forEach(id => chatIds.add(id));
+        }
+    }
+
+    return [...chatIds];
+}
+
+// ============================================
+// NORMALIZAÇÃO (webhook e polling geram o mesmo formato)
+// ============================================
+
+function extractMentions(text) {
+    return [...(text || '').matchAll(/@([a-z0-9_]+)/gi)].map(match => match[1].toLowerCase());
+}
+
+/**
+ * Converte uma action do webhook em notificação
+ * @param {Object} action - payload.action do Trello
+ * @returns {Object|null} { kind, cardId, cardName, cardUrl, actorId, actorName, ... } ou null se irrelevante
+ */
+function parseWebhookAction(action) {
+    if (!action || !action.data?.card) return null;
+
+    const { data } = action;
+    const base = {
+        cardId: data.card.id,
+        cardName: data.card.name,
+        cardUrl: data.card.shortLink ? `https://trello.com/c/${data.card.shortLink}` : null,
+        actorId: action.idMemberCreator || null,
+        actorName: action.memberCreator?.fullName || null
+    };
+
+    if (action.type === 'updateCard' && data.listBefore && data.listAfter) {
+        return { ...base, kind: 'moved', fromList: data.listBefore.name, toList: data.listAfter.name };
+    }
+    if (action.type === 'updateCard' && data.old && 'due' in data.old) {
+        return { ...base, kind: 'due', due: data.card.due || null, previousDue: data.old.due || null };
+    }
+    if (action.type === 'commentCard') {
+        return { ...base, kind: 'comment', text: data.text, mentions: extractMentions(data.text) };
+    }
+    if (action.type === 'addMemberToCard') {
+        return { ...base, kind: 'assigned', memberId: data.idMember };
+    }
+
+    return null;
+}
+
+/**
+ * Compara dois snapshots do board (getBoardCards) e gera as notificações
+ * Sem texto de comentário (só a contagem muda) e sem autor: o polling não sabe quem fez
+ * @param {Map} previous - cardId -> card
+ * @param {Array} currentCards
+ * @returns {Array} Notificações com cardMemberIds (movimentações vêm com fromListId/toListId)
+ */
+function diffSnapshots(previous, currentCards) {
+    const notifications = [];
+
+    for (const card of currentCards) {
+        const before = previous.get(card.id);
+        if (!before || card.closed) continue;
+
+        const base = {
+            cardId: card.id,
+            cardName: card.name,
+            cardUrl: card.shortUrl || null,
+            actorId: null,
+            actorName: null,
+            cardMemberIds: card.idMembers || []
+        };
+
+        if (before.idList !== card.idList) {
+            notifications.push({ ...base, kind: 'moved', fromListId: before.idList, toListId: card.idList });
+        }
+        if ((before.due || null) !== (card.due || null)) {
+            notifications.push({ ...base, kind: 'due', due: card.due || null, previousDue: before.due || null });
+        }
+        const commentsBefore = before.badges?.comments || 0;
+        const commentsNow = card.badges?.comments || 0;
+        if (commentsNow > commentsBefore) {
+            notifications.push({ ...base, kind: 'comment', text: null, mentions: [], newComments: commentsNow - commentsBefore });
+        }
+        for (const memberId of card.idMembers || []) {
+            if (!(before.idMembers || []).includes(memberId)) {
+                notifications.push({ ...base, kind: 'assigned', memberId });
+            }
+        }
+    }
+
+    return notifications;
+}
+
+// ============================================
+// ENVIO
+// ============================================
+
+function formatDue(iso) {
+    if (!iso) return t('trelloNotifications.noDue');
+    const due = DateTime.fromISO(iso).setZone(config.timezone);
+    return t('dates.atTime', { date: due.toFormat(t('dates.dayMonth')), time: due.toFormat(t('dates.time')) });
+}
+
+/**
+ * Monta a mensagem do Telegram (Markdown), no idioma do chat
+ * Nomes e comentários vêm do Trello: limpos dentro de links/negrito, escapados no texto corrido
+ */
+function formatNotification(notification) {
+    const cardName = cleanTrelloName(notification.cardName);
+    const title = notification.cardUrl
+        ? `[${cardName}](${notification.cardUrl})`
+        : `*${cardName}*`;
+    const actor = notification.actorName ? t('trelloNotifications.by', { name: escapeMarkdown(notification.actorName) }) : '';
+
+    switch (notification.kind) {
+        case 'moved':
+            return t('trelloNotifications.moved', { title, actor }) +
+                (notification.fromList && notification.toList
+                    ? `\n${escapeMarkdown(notification.fromList)} → *${cleanTrelloName(notification.toList)}*`
+                    : '');
+        case 'due':
+            return `${t('trelloNotifications.dueChanged', { title, actor })}\n${formatDue(notification.previousDue)} → *${formatDue(notification.due)}*`;
+        case 'comment': {
+            if (!notification.text) {
+                return t('trelloNotifications.newComments', { count: notification.newComments || 1, title });
+            }
+            const name = escapeMarkdown(notification.actorName || t('trelloNotifications.someone'));
+            return `${t('trelloNotifications.commented', { name, title })}\n${escapeMarkdown(notification.text.substring(0, 300))}`;
+        }
+        case 'assigned':
+            return t('trelloNotifications.assigned', { title, actor });
+        default:
+            return t('trelloNotifications.updated', { title, actor });
+    }
+}
+
+async function sendNotification(notification) {
+    let cardMemberIds = notification.cardMemberIds;
+    if (!cardMemberIds) {
+        // Payload do webhook não traz os membros do card
+        try {
+            cardMemberIds = (await trelloService.getCard(notification.cardId)).idMembers || [];
+        } catch (e) {
+            log.warn('Trello: não foi possível buscar membros do card', { cardId: notification.cardId, error: e.message });
+            cardMemberIds = [];
+        }
+    }
+
+    const chatIds = await resolveRecipients(notification, cardMemberIds);
+    if (chatIds.length === 0) return;
+
+    for (const chatId of chatIds) {
+        await scheduler.runForChat(chatId, () => botInstance.telegram.sendMessage(chatId, formatNotification(notification), {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        })).catch(e => log.warn('Não foi possível enviar notificação do Trello', { chatId, error: e.message }));
+    }
+    log.trello('Notificação enviada', { kind: notification.kind, cardId: notification.cardId, chats: chatIds.length });
+}
+
+async function dispatchNotifications(notifications) {
+    for (const notification of notifications) {
+        await sendNotification(notification).catch(e => log.apiError('Trello', e, { cardId: notification.cardId }));
+    }
+}
+
+// ============================================
+// WEBHOOK
+// ============================================
+
+/**
+ * Confere a assinatura do Trello: base64(HMAC-SHA1(secret, corpo + callbackURL))
+ */
+function isValidSignature(rawBody, signature, callbackURL, secret) {
+    if (!signature) return false;
+    const expected = crypto.createHmac('sha1', secret).update(rawBody + callbackURL).digest('base64');
+    const a = Buffer.from(expected);
+    const b = Buffer.from(signature);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Corpo da requisição muito grande'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Handler HTTP do webhook
+ * HEAD = verificação do Trello ao registrar; POST = evento
+ */
+async function handleWebhookRequest(req, res) {
+    if (req.method === 'HEAD' || req.method === 'GET') {
+        res.writeHead(200);
+        return res.end();
+    }
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        return res.end();
+    }
+
+    const rawBody = await readBody(req);
+
+    // Sem secret não há como conferir a origem: nada sem assinatura é aceito
+    const secret = process.env.TRELLO_API_SECRET;
+    if (!secret || !isValidSignature(rawBody, req.headers['x-trello-webhook'], process.env.TRELLO_WEBHOOK_URL, secret)) {
+        log.warn('Trello: webhook com assinatura inválida');
+        res.writeHead(401);
+        return res.end();
+    }
+
+    // Responde rápido: o Trello desativa webhooks que demoram ou falham muito
+    res.writeHead(200);
+    res.end();
+
+    let payload;
+    try {
+        payload = JSON.parse(rawBody);
+    } catch (e) {
+        log.warn('Trello: webhook com JSON inválido');
+        return;
+    }
+
+    log.trello('Webhook recebido', { type: payload.action?.type });
+    scheduler.invalidateCache('trello');
+
+    const notification = parseWebhookAction(payload.action);
+    if (notification) await dispatchNotifications([notification]);
+}
+
+// ============================================
+// POLLING (fallback sem URL pública)
+// ============================================
+
+async function pollBoard(boardId) {
+    try {
+        const cards = await trelloService.getBoardCards(boardId);
+
+        if (!snapshots.has(boardId)) {
+            snapshots.set(boardId, new Map(cards.map(c => [c.id, c])));
+            log.trello('Snapshot inicial do board', { boardId, cards: cards.length });
+            return;
+        }
+
+        const previous = snapshots.get(boardId);
+        snapshots.set(boardId, new Map(cards.map(c => [c.id, c])));
+
+        const notifications = diffSnapshots(previous, cards);
+        if (notifications.length === 0) return;
+
+        const moves = notifications.filter(n => n.kind === 'moved');
+        if (moves.length > 0) {
+            const lists = await trelloService.getLists(boardId);
+            const listNames = new Map(lists.map(l => [l.id, l.name]));
+            moves.forEach(n => {
+                n.fromList = listNames.get(n.fromListId) || null;
+                n.toList = listNames.get(n.toListId) || null;
+            });
+        }
+
+        log.trello('Mudanças detectadas no board', { boardId, count: notifications.length });
+        scheduler.invalidateCache('trello');
+        await dispatchNotifications(notifications);
+    } catch (error) {
+        log.apiError('Trello', error, { operation: 'pollBoard', boardId });
+    }
+}
+
+// Um board de cada vez: o rate limit do Trello é por token
+async function pollBoards() {
+    try {
+        for (const boardId of await getWatchedBoardIds()) {
+            await pollBoard(boardId);
+        }
+    } catch (error) {
+        log.apiError('Trello', error, { operation: 'pollBoards' });
+    }
+}
+
+// Um webhook por board (registerWebhook reaproveita o que já existe)
+async function registerWebhooks(callbackURL) {
+    try {
+        for (const boardId of await getWatchedBoardIds()) {
+            await trelloService.registerWebhook(callbackURL, boardId)
+                .catch(e => log.apiError('Trello', e, { operation: 'registerWebhook', boardId }));
+        }
+    } catch (error) {
+        log.apiError('Trello', error, { operation: 'registerWebhooks' });
+    }
+}
+
+// ============================================
+// INICIALIZAÇÃO
+// ============================================
+
+/**
+ * Liga as notificações: webhook se TRELLO_WEBHOOK_URL e TRELLO_API_SECRET estiverem definidas, senão polling
+ * @param {Object} bot - Instância do Telegraf
+ * @param {Object} options
+ * @param {Object} options.server - Servidor HTTP (já iniciado) onde a rota do webhook foi registrada
+ * @param {Function} options.registerRoute - Registra a rota do webhook no servidor HTTP
+ */
+function initTrelloNotifications(bot, { server, registerRoute } = {}) {
+    if (!process.env.TRELLO_API_KEY || !process.env.TRELLO_TOKEN || !process.env.TRELLO_BOARD_ID) {
+        log.warn('Trello: notificações desativadas (credenciais ou board não configurados)');
+        return;
+    }
+
+    botInstance = bot;
+    const webhookUrl = process.env.TRELLO_WEBHOOK_URL;
+
+    if (webhookUrl && !process.env.TRELLO_API_SECRET) {
+        log.error('Trello: TRELLO_WEBHOOK_URL exige TRELLO_API_SECRET para validar a assinatura; webhook não registrado, usando polling');
+    } else if (webhookUrl && server && registerRoute) {
+        registerRoute(new URL(webhookUrl).pathname, handleWebhookRequest);
+
+        // O Trello valida a URL com HEAD no registro: só registra com o servidor ouvindo
+        const register = () => registerWebhooks(webhookUrl);
+        if (server.listening) register();
+        else server.once('listening', register);
+        // Boards seguidos depois pelo /quadro ganham webhook na hora cheia seguinte
+        cron.schedule('0 * * * *', register);
+
+        log.trello('Notificações via webhook', { url: webhookUrl });
+        return;
+    }
+
+    const minutes = config.trelloNotifications.pollIntervalMinutes;
+    pollBoards();
+    cron.schedule(`*/${minutes} * * * *`, pollBoards);
+    log.trello('Notificações via polling', { intervalMinutes: minutes });
+}
+
+module.exports = {
+    initTrelloNotifications,
+    parseWebhookAction,
+    diffSnapshots,
+    formatNotification
+};
@@ -7,7 +7,7 @@ const fs = require('fs');
 const path = require('path');
 const { log } = require('./logger');
 
-const DATA_DIR = fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data');
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data'));
 const HISTORY_FILE = path.join(DATA_DIR, 'action_history.json');
 
 // Histórico em memória: { oderId: [ações] }
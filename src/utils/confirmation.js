@@ -4,6 +4,7 @@
  */
 
 const { log } = require('./logger');
+const { t } = require('./i18n');
 
 // Armazena confirmações pendentes: { oderId: pendingConfirmation }
 const pendingConfirmations = new Map();
@@ -85,8 +86,8 @@ function getConfirmationKeyboard(confirmationId) {
     return {
         inline_keyboard: [
             [
-                { text: '✅ Confirmar', callback_data: `confirm_yes_${confirmationId}` },
-                { text: '❌ Cancelar', callback_data: `confirm_no_${confirmationId}` }
+                { text: t('common.confirm'), callback_data: `confirm_yes_${confirmationId}` },
+                { text: t('common.cancel'), callback_data: `confirm_no_${confirmationId}` }
             ]
         ]
     };
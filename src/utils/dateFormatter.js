@@ -1,11 +1,12 @@
 /**
  * Formatador de Datas Amigável
- * Converte datas ISO para formatos humanizados em português
+ * Converte datas ISO para formatos humanizados no idioma do usuário
  */
 
 const { DateTime } = require('luxon');
 
 const config = require('../config');
+const { t, getLocale } = require('./i18n');
 
 const TIMEZONE = config.timezone;
 
@@ -37,49 +38,52 @@ function formatFriendlyDate(isoDate, options = {}) {
         const diffDays = date.startOf('day').diff(now.startOf('day'), 'days').days;
 
         if (diffDays === 0) {
-            datePart = 'Hoje';
+            datePart = t('dates.today');
         } else if (diffDays === 1) {
-            datePart = 'Amanhã';
+            datePart = t('dates.tomorrow');
         } else if (diffDays === -1) {
-            datePart = 'Ontem';
+            datePart = t('dates.yesterday');
         } else if (diffDays > 1 && diffDays <= 6) {
             // Próximos dias da semana
-            datePart = capitalizeFirst(date.setLocale('pt-BR').toFormat('cccc'));
+            datePart = capitalizeFirst(date.setLocale(getLocale()).toFormat('cccc'));
         } else if (diffDays > 6 && diffDays <= 13) {
             // Próxima semana
-            datePart = `${capitalizeFirst(date.setLocale('pt-BR').toFormat('cccc'))} que vem`;
+            datePart = t('dates.nextWeekday', { weekday: capitalizeFirst(date.setLocale(getLocale()).toFormat('cccc')) });
         } else {
             // Data completa
-            datePart = date.toFormat('dd/MM');
-            if (showYear || date.year !== now.year) {
-                datePart += `/${date.year}`;
-            }
+            datePart = formatShortDate(date, { showYear: showYear || date.year !== now.year });
         }
     } else {
-        datePart = date.toFormat('dd/MM');
-        if (showYear || date.year !== now.year) {
-            datePart += `/${date.year}`;
-        }
+        datePart = formatShortDate(date, { showYear: showYear || date.year !== now.year });
     }
 
     // Parte do horário
     if (isAllDay) {
-        return `${datePart} (dia todo)`;
+        return t('dates.allDaySuffix', { date: datePart });
     }
 
     if (showTime) {
-        const timePart = date.toFormat('HH:mm');
         // Remove minutos se for hora cheia
-        const friendlyTime = timePart.endsWith(':00')
-            ? date.toFormat('H\'h\'')
-            : date.toFormat('H\'h\'mm');
+        const friendlyTime = date.minute === 0
+            ? date.toFormat(t('dates.hourFormat'))
+            : date.toFormat(t('dates.hourMinuteFormat'));
 
-        return `${datePart} às ${friendlyTime}`;
+        return t('dates.atTime', { date: datePart, time: friendlyTime });
     }
 
     return datePart;
 }
 
+/**
+ * Data curta no formato do idioma (dd/MM em pt-BR, MM/dd em inglês)
+ * @param {DateTime} date
+ * @param {Object} options - showYear: acrescenta o ano
+ * @returns {string}
+ */
+function formatShortDate(date, { showYear = false } = {}) {
+    return date.toFormat(t(showYear ? 'dates.dayMonthYear' : 'dates.dayMonth'));
+}
+
 /**
  * Formata intervalo de tempo
  * @param {string} startIso - Data/hora de início
@@ -95,16 +99,16 @@ function formatTimeRange(startIso, endIso) {
     const isAllDay = !startIso.includes('T');
 
     if (isAllDay) {
-        return 'Dia todo';
+        return t('dates.allDay');
     }
 
-    const startTime = start.toFormat('HH:mm');
+    const startTime = start.toFormat(t('dates.time'));
 
     if (!end) {
         return startTime;
     }
 
-    const endTime = end.toFormat('HH:mm');
+    const endTime = end.toFormat(t('dates.time'));
     return `${startTime} - ${endTime}`;
 }
 
@@ -122,15 +126,15 @@ function getTimeUntil(isoDate) {
     const diff = date.diff(now, ['days', 'hours', 'minutes']);
 
     if (diff.days > 0) {
-        return `em ${Math.floor(diff.days)} dia(s)`;
+        return t('dates.inDays', { count: Math.floor(diff.days) });
     } else if (diff.hours > 0) {
-        return `em ${Math.floor(diff.hours)}h`;
+        return t('dates.inHours', { count: Math.floor(diff.hours) });
     } else if (diff.minutes > 0) {
-        return `em ${Math.floor(diff.minutes)} min`;
+        return t('dates.inMinutes', { count: Math.floor(diff.minutes) });
     } else if (diff.minutes > -5) {
-        return 'agora';
+        return t('dates.now');
     } else {
-        return 'passou';
+        return t('dates.past');
     }
 }
 
@@ -188,7 +192,7 @@ function getEventStatusEmoji(event) {
 function formatEventForDisplay(event) {
     const emoji = getEventStatusEmoji(event);
     const time = formatFriendlyDate(event.start?.dateTime || event.start?.date);
-    const title = event.summary || 'Sem título';
+    const title = event.summary || t('dates.untitled');
 
     let result = `${emoji} ${time} - ${title}`;
 
@@ -197,6 +201,30 @@ function formatEventForDisplay(event) {
         result += `\n   📍 ${event.location}`;
     }
 
+    // Identifica a agenda quando o evento não é da principal
+    if (event.calendarName && !event.calendarPrimary) {
+        result += `\n   🗓️ ${event.calendarName}`;
+    }
+
+    return result;
+}
+
+/**
+ * Formata uma tarefa do Google Tasks para exibição
+ * @param {Object} task - Tarefa da API (due vem como 'YYYY-MM-DDT00:00:00.000Z', só a data vale)
+ * @returns {string}
+ */
+function formatTaskForDisplay(task) {
+    const done = task.status === 'completed';
+    let result = `${done ? '✅' : '⬜'} ${task.title || t('dates.untitled')}`;
+
+    if (task.due) {
+        const dueDate = task.due.substring(0, 10);
+        const overdue = !done && dueDate < DateTime.now().setZone(TIMEZONE).toISODate();
+        // Meia-noite local com showTime: false → só a parte da data ("Amanhã", "Sexta"...)
+        result += ` — ${overdue ? '⚠️ ' : '📅 '}${formatFriendlyDate(`${dueDate}T00:00:00`, { showTime: false })}`;
+    }
+
     return result;
 }
 
@@ -212,9 +240,11 @@ function capitalizeFirst(str) {
 
 module.exports = {
     formatFriendlyDate,
+    formatShortDate,
     formatTimeRange,
     getTimeUntil,
     getEventStatusEmoji,
     formatEventForDisplay,
+    formatTaskForDisplay,
     capitalizeFirst
 };
@@ -0,0 +1,575 @@
+/**
+ * Parser de Datas em Português
+ * Interpreta expressões temporais do pt-BR sem IA (determinístico):
+ * - Dias relativos: "hoje", "amanhã", "depois de amanhã", "ontem"
+ * - Dias da semana: "sexta", "próxima sexta", "sexta que vem", "sexta-feira passada", "quinta da semana que vem"
+ * - Datas: "dia 15", "15/03", "15 de março", "2026-03-15"
+ * - Deslocamentos: "daqui a 2 horas", "em 3 dias", "há 2 dias"
+ * - Horários: "15h", "15h30", "14:30", "às 3 da tarde", "meio-dia"
+ * - Intervalos e durações: "das 14h às 16h", "de 10 às 12", "de segunda a sexta", "semana que vem", "por 2 horas"
+ *
+ * Cada expressão recebe um papel pelo texto que vem antes dela:
+ * - reference: identifica o item citado ("a reunião de segunda", "que era na segunda")
+ * - recurring: faz parte de uma recorrência ("toda segunda", "às segundas")
+ * - until: limite ("até sexta", "até 18h")
+ * - target: o dia/horário pedido (o resto)
+ * Usado para conferir as datas da IA (reconcileIntentDates) e nos fluxos de prazo/horário do index.js
+ */
+
+const { DateTime } = require('luxon');
+
+const config = require('../config');
+
+const TIMEZONE = config.timezone;
+
+const WEEKDAYS = { segunda: 1, terca: 2, quarta: 3, quinta: 4, sexta: 5, sabado: 6, domingo: 7 };
+const MONTHS = ['janeiro', 'fevereiro', 'marco', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+const NUMBER_WORDS = {
+    um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5, seis: 6, sete: 7, oito: 8, nove: 9, dez: 10,
+    onze: 11, doze: 12, quinze: 15, vinte: 20, trinta: 30, quarenta: 40, meia: 0.5
+};
+const PERIODS = { manha: 'morning', tarde: 'afternoon', noite: 'evening', madrugada: 'night' };
+
+const NUM = `(\\d+(?:[.,]\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+const UNIT = '(minutos?|min|horas?|hrs?|h|dias?|semanas?|mes|meses)';
+const DAY_PERIOD = '(?:\\s+(?:da|de|a)\\s+(manha|tarde|noite|madrugada))?';
+const WEEKDAY_NAME = '(segunda|terca|quarta|quinta|sexta|sabado|domingo)';
+// "segunda" também é ordinal: "segunda vez", "quarta parte"
+const NOT_ORDINAL = '(?!\\s+(?:vez|vezes|opcao|parte|etapa|versao|via|fase|coluna|lista|linha|pagina|tentativa|reuniao|tarefa|serie|semana|quinzena|mao))';
+
+/**
+ * Minúsculas sem acento, com o mesmo tamanho do texto original (os índices continuam valendo)
+ */
+function normalize(text) {
+    return Array.from(text.toLowerCase(), char => {
+        const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        return plain.length === char.length ? plain : char;
+    }).join('');
+}
+
+function toAmount(word) {
+    if (word in NUMBER_WORDS) return NUMBER_WORDS[word];
+    return parseFloat(word.replace(',', '.'));
+}
+
+function unitToMinutes(unit) {
+    if (unit.startsWith('min')) return 1;
+    if (unit.startsWith('h')) return 60;
+    return null;
+}
+
+function unitToDuration(unit) {
+    if (unit.startsWith('dia')) return 'days';
+    if (unit.startsWith('semana')) return 'weeks';
+    if (unit.startsWith('mes')) return 'months';
+    return null;
+}
+
+function buildTime(hour, minute = 0, period = null, { assumeAfternoon = false } = {}) {
+    let h = hour;
+    if ((period === 'tarde' || period === 'noite') && h < 12) h += 12;
+    if (period === 'madrugada' && h === 12) h = 0;
+    // "às 3" sem turno: horário comercial, 1h a 6h viram tarde
+    if (!period && assumeAfternoon && h >= 1 && h <= 6) h += 12;
+    if (h > 23 || minute > 59) return null;
+    return { hour: h, minute };
+}
+
+// Próxima ocorrência do dia da semana (hoje conta se inclusive)
+function nextWeekday(today, weekday, inclusive = true) {
+    let diff = (weekday - today.weekday + 7) % 7;
+    if (diff === 0 && !inclusive) diff = 7;
+    return today.plus({ days: diff });
+}
+
+function previousWeekday(today, weekday) {
+    let diff = (today.weekday - weekday + 7) % 7;
+    if (diff === 0) diff = 7;
+    return today.minus({ days: diff });
+}
+
+function weekdayOf(weekStart, weekday) {
+    return weekStart.plus({ days: weekday - 1 });
+}
+
+// Data sem ano: se já passou, é a do ano que vem
+function futureDate(today, month, day, year = null) {
+    let date = DateTime.fromObject({ year: year || today.year, month, day }, { zone: TIMEZONE });
+    if (!date.isValid) return null;
+    if (!year && date < today) date = date.plus({ years: 1 });
+    return date;
+}
+
+// ============================================
+// REGRAS
+// ============================================
+
+// Cada regra devolve os campos da expressão ou null para descartar o trecho
+// kind: date | time | datetime | range | duration | period
+const RULES = [
+    {
+        regex: /\b(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2})(?::\d{2})?)?\b/g,
+        build: m => {
+            const date = DateTime.fromObject({ year: +m[1], month: +m[2], day: +m[3] }, { zone: TIMEZONE });
+            if (!date.isValid) return null;
+            if (m[4] === undefined) return { kind: 'date', date };
+            const time = buildTime(+m[4], +m[5]);
+            return time ? { kind: 'datetime', date, time } : null;
+        }
+    },
+    {
+        regex: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/g,
+        build: (m, today) => {
+            const year = m[3] ? (m[3].length === 2 ? 2000 + +m[3] : +m[3]) : null;
+            const date = futureDate(today, +m[2], +m[1], year);
+            return date ? { kind: 'date', date } : null;
+        }
+    },
+    {
+        regex: new RegExp(`\\b(?:dia\\s+)?(\\d{1,2})º?(?:\\s+de)?\\s+(${MONTHS.join('|')})(?:\\s+(?:de\\s+)?(\\d{4}))?\\b`, 'g'),
+        build: (m, today) => {
+            const date = futureDate(today, MONTHS.indexOf(m[2]) + 1, +m[1], m[3] ? +m[3] : null);
+            return date ? { kind: 'date', date } : null;
+        }
+    },
+    {
+        regex: /\bdia\s+(\d{1,2})º?(?![\/\d])(?:\s+(?:do\s+)?(proximo\s+mes|mes\s+que\s+vem))?\b/g,
+        build: (m, today) => {
+            const day = +m[1];
+            let month = today.startOf('month');
+            if (m[2]) month = month.plus({ months: 1 });
+            else if (day < today.day) month = month.plus({ months: 1 });
+            // Dia que não existe no mês (31 em novembro): vai para o próximo mês que tiver
+            for (let i = 0; i < 3; i++) {
+                const date = DateTime.fromObject({ year: month.year, month: month.month, day }, { zone: TIMEZONE });
+                if (date.isValid) return { kind: 'date', date };
+                month = month.plus({ months: 1 });
+            }
+            return null;
+        }
+    },
+    {
+        regex: /\b(depois\s+de\s+amanha|antes\s+de\s+ontem|anteontem|amanha|hoje|ontem)\b/g,
+        build: (m, today) => {
+            const offsets = { hoje: 0, amanha: 1, ontem: -1, anteontem: -2 };
+            const key = m[1].replace(/\s+/g, ' ');
+            const offset = key === 'depois de amanha' ? 2 : key === 'antes de ontem' ? -2 : offsets[key];
+            return { kind: 'date', date: today.plus({ days: offset }), past: offset < 0 };
+        }
+    },
+    {
+        regex: new RegExp(
+            '\\b(?:(proxim[ao]|ultim[ao]|est[ae]|ess[ae]|nest[ae]|ness[ae])\\s+)?' +
+            `${WEEKDAY_NAME}(s)?(?:[-\\s]feira(s)?)?\\b${NOT_ORDINAL}` +
+            '(?:\\s+(que\\s+vem|passad[ao]|retrasad[ao]|da\\s+semana\\s+que\\s+vem|da\\s+proxima\\s+semana|da\\s+semana\\s+passada))?\\b',
+            'g'
+        ),
+        build: (m, today) => {
+            const [, modifier = '', name, plural, pluralFeira, suffix = ''] = m;
+            const weekday = WEEKDAYS[name];
+            const after = suffix.replace(/\s+/g, ' ');
+
+            if (after === 'da semana que vem' || after === 'da proxima semana') {
+                return { kind: 'date', date: weekdayOf(today.startOf('week').plus({ weeks: 1 }), weekday) };
+            }
+            if (after === 'da semana passada') {
+                return { kind: 'date', date: weekdayOf(today.startOf('week').minus({ weeks: 1 }), weekday), past: true };
+            }
+            if (after.startsWith('retrasad')) {
+                return { kind: 'date', date: previousWeekday(today, weekday).minus({ weeks: 1 }), past: true };
+            }
+            if (after.startsWith('passad') || modifier.startsWith('ultim')) {
+                return { kind: 'date', date: previousWeekday(today, weekday), past: true };
+            }
+            const strict = modifier.startsWith('proxim') || after === 'que vem';
+            return { kind: 'date', date: nextWeekday(today, weekday, !strict), plural: !!(plural || pluralFeira) };
+        }
+    },
+    {
+        regex: /\b(semana\s+que\s+vem|proxima\s+semana|semana\s+passada|(?:est|ess|nest|ness)a\s+semana|(?:proximo\s+)?fi(?:m|nal)\s+de\s+semana(?:\s+que\s+vem|\s+passado)?|mes\s+que\s+vem|proximo\s+mes|mes\s+passado|(?:est|ess|nest|ness)e\s+mes)\b/g,
+        build: (m, today) => {
+            const text = m[1].replace(/\s+/g, ' ');
+            const week = today.startOf('week');
+            const month = today.startOf('month');
+
+            if (text.includes('fim de semana') || text.includes('final de semana')) {
+                let saturday = weekdayOf(week, 6);
+                if (text.startsWith('proximo') || text.endsWith('que vem')) saturday = saturday.plus({ weeks: 1 });
+                if (text.endsWith('passado')) saturday = saturday.minus({ weeks: 1 });
+                // No domingo, "fim de semana" ainda é o atual
+                const start = saturday < today && saturday.plus({ days: 1 }) >= today ? today : saturday;
+                return { kind: 'range', date: start, endDate: saturday.plus({ days: 1 }), past: text.endsWith('passado') };
+            }
+            if (text.includes('semana')) {
+                if (text === 'semana passada') return { kind: 'range', date: week.minus({ weeks: 1 }), endDate: week.minus({ days: 1 }), past: true };
+                if (text.includes('que vem') || text.startsWith('proxima')) return { kind: 'range', date: week.plus({ weeks: 1 }), endDate: week.plus({ days: 13 }) };
+                return { kind: 'range', date: today, endDate: week.plus({ days: 6 }) };
+            }
+            if (text === 'mes passado') {
+                const start = month.minus({ months: 1 });
+                return { kind: 'range', date: start, endDate: start.endOf('month').startOf('day'), past: true };
+            }
+            if (text.includes('que vem') || text.startsWith('proximo')) {
+                const start = month.plus({ months: 1 });
+                return { kind: 'range', date: start, endDate: start.endOf('month').startOf('day') };
+            }
+            return { kind: 'range', date: today, endDate: month.endOf('month').startOf('day') };
+        }
+    },
+    {
+        regex: new RegExp(`\\b(daqui\\s+(?:a\\s+)?|dentro\\s+de\\s+|em\\s+)${NUM}\\s*${UNIT}\\b`, 'g'),
+        build: (m, today, now) => relativeOffset(m[1], toAmount(m[2]), m[3], now, 1)
+    },
+    {
+        regex: new RegExp(`\\b(?:ha\\s+)?${NUM}\\s*${UNIT}\\s+atras\\b|\\bha\\s+${NUM}\\s*${UNIT}\\b`, 'g'),
+        build: (m, today, now) => relativeOffset('', toAmount(m[1] || m[3]), m[2] || m[4], now, -1)
+    },
+    {
+        regex: new RegExp(`\\b(?:por|durante)\\s+(?:(?:cerca\\s+de|uns|umas|mais\\s+ou\\s+menos)\\s+)?${NUM}\\s*(minutos?|min|horas?|hrs?|h)(?:\\s+e\\s+(meia|\\d{1,2}(?:\\s*min(?:utos)?)?))?\\b`, 'g'),
+        build: m => duration(m[1], m[2], m[3])
+    },
+    {
+        // "reunião de 1 hora", "de 30 min" (mas "de 9h às 10h" e "de 15h" são horários)
+        regex: new RegExp(`\\bde\\s+${NUM}\\s*(minutos?|min|horas?|h)(?:\\s+e\\s+(meia|\\d{1,2}(?:\\s*min(?:utos)?)?))?\\b(?!\\s*(?:as|a|ate|-)\\s*\\d)`, 'g'),
+        build: m => (m[2] === 'h' && toAmount(m[1]) > 4) ? null : duration(m[1], m[2], m[3])
+    },
+    {
+        regex: new RegExp(`\\b${NUM}\\s*(minutos?|min|horas?|h)(?:\\s+e\\s+(meia|\\d{1,2}(?:\\s*min(?:utos)?)?))?\\s+de\\s+duracao\\b`, 'g'),
+        build: m => duration(m[1], m[2], m[3])
+    },
+    {
+        regex: new RegExp(`\\b(\\d{1,2})(?::(\\d{2})|h(\\d{2})|\\s*(?:horas?|hrs?|hs|h)\\b)(?:\\s+e\\s+(meia))?${DAY_PERIOD}`, 'g'),
+        build: m => {
+            const minute = m[4] ? 30 : +(m[2] || m[3] || 0);
+            const time = buildTime(+m[1], minute, m[5]);
+            return time ? { kind: 'time', time } : null;
+        }
+    },
+    {
+        // "de 10 às 12", "das 9 às 11h30", "entre 2 e 4 da tarde": número solto logo depois de de/das/entre é hora
+        // (mas "de 10 a 12 de março" e "de 2 a 3 dias" não)
+        regex: new RegExp(
+            '(?<=\\b(de|das|entre)\\s+)(\\d{1,2})\\s*(as|a|ate|-|e)\\s*(\\d{1,2})(?:h(\\d{2})?|:(\\d{2}))?' +
+            `${DAY_PERIOD}\\b(?!\\s*(?:h\\b|horas?|hrs?|min|minutos?|dias?|semanas?|mes|meses|anos?|vezes|pessoas?|\\/|de\\s|${MONTHS.join('|')}))`,
+            'g'
+        ),
+        build: m => {
+            const [, opener, startHour, connector, endHour, endMinuteH, endMinuteColon, period] = m;
+            if (connector === 'e' && opener !== 'entre') return null;
+            const time = buildTime(+startHour, 0, period, { assumeAfternoon: true });
+            const endTime = buildTime(+endHour, +(endMinuteH || endMinuteColon || 0), period, { assumeAfternoon: true });
+            return time && endTime ? { kind: 'time', time, endTime } : null;
+        }
+    },
+    {
+        // "às 3", "às 3 da tarde" (sem "h")
+        regex: new RegExp(`\\bas\\s+(\\d{1,2})(?::(\\d{2}))?(?:\\s+e\\s+(meia))?${DAY_PERIOD}\\b(?!\\s*(?:h\\b|horas?|hrs?|:|\\/|de\\s|dias?|semanas?|mes))`, 'g'),
+        build: m => {
+            const time = buildTime(+m[1], m[3] ? 30 : +(m[2] || 0), m[4], { assumeAfternoon: true });
+            return time ? { kind: 'time', time } : null;
+        }
+    },
+    {
+        // "8 da noite", "7 e meia da manhã"
+        regex: /\b(\d{1,2})(?::(\d{2}))?(?:\s+e\s+(meia))?\s+(?:da|de)\s+(manha|tarde|noite|madrugada)\b/g,
+        build: m => {
+            const time = buildTime(+m[1], m[3] ? 30 : +(m[2] || 0), m[4]);
+            return time ? { kind: 'time', time } : null;
+        }
+    },
+    {
+        regex: /\b(meio[-\s]dia|meia[-\s]noite)(?:\s+e\s+(meia))?\b/g,
+        build: m => ({ kind: 'time', time: { hour: m[1].startsWith('meio') ? 12 : 0, minute: m[2] ? 30 : 0 } })
+    },
+    {
+        regex: /\b(?:de|da|pela|a|na|no|durante\s+a)\s+(manha|tarde|noite|madrugada)\b/g,
+        build: m => ({ kind: 'period', period: PERIODS[m[1]] })
+    }
+];
+
+function relativeOffset(prefix, amount, unit, now, sign) {
+    if (!Number.isFinite(amount) || amount <= 0) return null;
+    // "em 2h" é daqui a 2 horas, mas "em 15h" é horário
+    if (prefix.trim() === 'em' && /^(h|hrs?)$/.test(unit) && amount > 6) return null;
+
+    const perMinute = unitToMinutes(unit);
+    if (perMinute) {
+        const moment = now.plus({ minutes: sign * Math.round(amount * perMinute) });
+        return { kind: 'datetime', date: moment.startOf('day'), time: { hour: moment.hour, minute: moment.minute }, past: sign < 0 };
+    }
+    const key = unitToDuration(unit);
+    if (!key || !Number.isInteger(amount)) return null;
+    return { kind: 'date', date: now.startOf('day').plus({ [key]: sign * amount }), past: sign < 0 };
+}
+
+function duration(amountWord, unit, extra) {
+    const amount = toAmount(amountWord);
+    if (!Number.isFinite(amount) || amount <= 0) return null;
+    let minutes = amount * unitToMinutes(unit);
+    if (extra === 'meia') minutes += 30;
+    else if (extra) minutes += parseInt(extra, 10);
+    return { kind: 'duration', minutes: Math.round(minutes) };
+}
+
+// ============================================
+// EXTRAÇÃO
+// ============================================
+
+const RANGE_CONNECTOR = /^\s*(?:as|a|ao|ate|-|e)\s*$/;
+const RANGE_OPENER = /(?:\b(?:de|das|do|da|entre)\s+)$/;
+
+function detectRole(before, expression) {
+    if (expression.plural || /\b(?:toda|todo|todas|todos)\s+(?:as\s+|os\s+|a\s+|o\s+)?$/.test(before)) return 'recurring';
+    if (/\bate\s+(?:as\s+|a\s+|o\s+)?$/.test(before)) return 'until';
+    if (expression.kind !== 'time' && expression.kind !== 'duration' && expression.kind !== 'period') {
+        if (/\b(?:era|eram|estava|estavam|foi|foram|seria|marcad[ao]s?)\s+(?:(?:n[ao]s?|para|pra|pro|em|de|d[ao]s?)\s+)?$/.test(before)) return 'reference';
+        if (/\b(?:d[aoe]s?)\s+$/.test(before)) return 'reference';
+    }
+    return 'target';
+}
+
+/**
+ * Encontra as expressões temporais do texto
+ * @param {string} text
+ * @param {Object} options
+ * @param {DateTime} options.now - Padrão: agora no fuso do config
+ * @returns {Array<Object>} Expressões na ordem do texto ({ kind, text, index, role, date, time, ... })
+ */
+function extractExpressions(text, { now = DateTime.now().setZone(TIMEZONE) } = {}) {
+    if (!text) return [];
+    const normalized = normalize(text);
+    const today = now.startOf('day');
+
+    const candidates = [];
+    for (const rule of RULES) {
+        rule.regex.lastIndex = 0;
+        for (const match of normalized.matchAll(rule.regex)) {
+            const result = rule.build(match, today, now);
+            if (result) candidates.push({ ...result, index: match.index, length: match[0].length });
+        }
+    }
+
+    // Sobreposição: vence a que começa antes e, empatando, a mais longa
+    candidates.sort((a, b) => a.index - b.index || b.length - a.length);
+    const accepted = [];
+    let lastEnd = -1;
+    for (const candidate of candidates) {
+        if (candidate.index < lastEnd) continue;
+        accepted.push(candidate);
+        lastEnd = candidate.index + candidate.length;
+    }
+
+    // Intervalos: "das 14h às 16h", "14h-16h", "de segunda a sexta", "entre 9h e 10h"
+    const expressions = [];
+    for (let i = 0; i < accepted.length; i++) {
+        const current = accepted[i];
+        const next = accepted[i + 1];
+        const before = normalized.substring(0, current.index);
+        const isPair = next && (
+            (current.kind === 'time' && next.kind === 'time' && !current.endTime) ||
+            (current.kind === 'date' && next.kind === 'date')
+        );
+        const between = isPair ? normalized.substring(current.index + current.length, next.index) : '';
+        const connector = between.trim();
+        const opened = RANGE_OPENER.test(before) || (current.kind === 'time' && connector !== 'e' && connector !== '');
+
+        if (isPair && RANGE_CONNECTOR.test(between) && opened && (connector !== 'e' || /\bentre\s+$/.test(before))) {
+            const merged = current.kind === 'time'
+                ? { kind: 'time', time: current.time, endTime: next.time }
+                : { kind: 'range', date: current.date, endDate: next.date < current.date ? next.date.plus({ weeks: 1 }) : next.date };
+            merged.index = current.index;
+            merged.length = next.index + next.length - current.index;
+            merged.role = detectRole(before.replace(RANGE_OPENER, ''), merged);
+            expressions.push(merged);
+            i++;
+            continue;
+        }
+
+        // "de hoje e amanhã", "segunda, quarta e sexta": a lista toda tem o mesmo papel
+        const previous = expressions[expressions.length - 1];
+        const joined = previous && !!previous.date === !!current.date &&
+            /^\s*(?:,|e|,\s*e)\s*$/.test(normalized.substring(previous.index + previous.length, current.index));
+        current.role = joined ? previous.role : detectRole(before, current);
+        expressions.push(current);
+    }
+
+    return expressions.map(expression => ({ ...expression, text: text.substr(expression.index, expression.length) }));
+}
+
+function formatTime(time) {
+    return time ? `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}` : null;
+}
+
+function toDateTime(date, time) {
+    return date.set({ hour: time.hour, minute: time.minute, second: 0, millisecond: 0 });
+}
+
+function toISO(dateTime) {
+    return dateTime.toISO({ suppressMilliseconds: true, includeOffset: false });
+}
+
+/**
+ * Interpreta as expressões temporais do texto
+ * @param {string} text
+ * @param {Object} options
+ * @param {DateTime} options.now - Padrão: agora no fuso do config
+ * @returns {Object|null} null se não houver data/hora no texto. Campos:
+ *   date ('yyyy-MM-dd', dia pedido), referenceDate (dia do item citado), endDate (fim do intervalo),
+ *   time/endTime ('HH:mm'), start/end (ISO local; sem dia no texto usa hoje e marca dateImplied),
+ *   durationMinutes, period, past, recurring, ambiguous (dias-alvo diferentes), expressions
+ */
+function parseTemporal(text, { now = DateTime.now().setZone(TIMEZONE) } = {}) {
+    const expressions = extractExpressions(text, { now });
+    if (expressions.length === 0) return null;
+
+    const active = expressions.filter(e => e.role !== 'recurring');
+    const withDate = active.filter(e => e.date);
+    const targets = withDate.filter(e => e.role !== 'reference');
+    const references = withDate.filter(e => e.role === 'reference');
+    const times = active.filter(e => e.time);
+    const durationExpr = active.find(e => e.kind === 'duration');
+    const periodExpr = active.find(e => e.kind === 'period');
+
+    const primary = targets[targets.length - 1] || null;
+    const reference = references[references.length - 1] || null;
+    // Sem dia-alvo, a ambiguidade é entre os dias citados como referência
+    const distinctTargets = new Set((targets.length > 0 ? targets : references).map(e => e.date.toISODate()));
+
+    // Horário: o primeiro alvo; um "até 18h" depois dele vira o fim
+    const startTimeExpr = times.find(e => e.role !== 'until') || times[0] || null;
+    const untilTimeExpr = times.find(e => e.role === 'until' && e !== startTimeExpr);
+    const time = startTimeExpr?.time || null;
+    const endTime = startTimeExpr?.endTime || untilTimeExpr?.time || null;
+
+    const baseDate = (primary || reference)?.date || now.startOf('day');
+    const start = time ? toDateTime(baseDate, time) : null;
+    let end = null;
+    if (start && endTime) {
+        end = toDateTime(baseDate, endTime);
+        if (end <= start) end = end.plus({ days: 1 });
+    } else if (start && durationExpr) {
+        end = start.plus({ minutes: durationExpr.minutes });
+    }
+
+    return {
+        date: primary ? primary.date.toISODate() : null,
+        referenceDate: reference ? reference.date.toISODate() : null,
+        endDate: (primary || reference)?.endDate ? (primary || reference).endDate.toISODate() : null,
+        time: formatTime(time),
+        endTime: formatTime(endTime),
+        start: start ? toISO(start) : null,
+        end: end ? toISO(end) : null,
+        dateImplied: !primary && !reference,
+        durationMinutes: durationExpr?.minutes || (start && end ? Math.round(end.diff(start, 'minutes').minutes) : null),
+        period: periodExpr?.period || null,
+        past: !!(primary || reference)?.past,
+        recurring: expressions.some(e => e.role === 'recurring'),
+        ambiguous: distinctTargets.size > 1,
+        expressions: expressions.map(e => ({ text: e.text, kind: e.kind, role: e.role }))
+    };
+}
+
+// ============================================
+// CONFERÊNCIA DAS DATAS DA IA
+// ============================================
+
+const TARGET_DATE_TYPES = ['list_events', 'delete_event', 'complete_event', 'complete_all_events', 'check_availability', 'report', 'smart_schedule', 'find_meeting_time', 'event_rsvp_status'];
+const START_TYPES = ['create_event', 'evento'];
+const DUE_TYPES = ['task_create', 'trello_create', 'trello_update'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+function replaceDatePart(value, date) {
+    return `${date}${value.substring(10)}`;
+}
+
+function shiftDate(value, days) {
+    const shifted = DateTime.fromISO(value.substring(0, 10), { zone: TIMEZONE }).plus({ days }).toISODate();
+    return replaceDatePart(value, shifted);
+}
+
+/**
+ * Corrige o dia de start/end (mantém o horário da IA; desloca o fim junto)
+ * Sem horário da IA e com horário no texto, usa o do texto
+ */
+function reconcileStart(intent, parsed, date, corrections) {
+    if (!intent.start) {
+        if (date && parsed.start) {
+            intent.start = parsed.start;
+            if (parsed.end) intent.end = parsed.end;
+            corrections.push({ tipo: intent.tipo, field: 'start', from: null, to: intent.start });
+        }
+        return;
+    }
+    if (!ISO_DATE.test(intent.start)) return;
+
+    const current = intent.start.substring(0, 10);
+    if (date && current !== date) {
+        const days = DateTime.fromISO(date).diff(DateTime.fromISO(current), 'days').days;
+        const from = intent.start;
+        intent.start = replaceDatePart(intent.start, date);
+        if (intent.end && ISO_DATE.test(intent.end)) intent.end = shiftDate(intent.end, days);
+        corrections.push({ tipo: intent.tipo, field: 'start', from, to: intent.start });
+    }
+
+    // Dia inteiro na IA, mas o texto tem horário: vira evento com hora
+    if (!intent.start.includes('T') && parsed.time && !parsed.dateImplied) {
+        const from = intent.start;
+        const start = DateTime.fromISO(`${intent.start}T${parsed.time}`, { zone: TIMEZONE });
+        intent.start = toISO(start);
+        intent.end = toISO(start.plus({ minutes: parsed.durationMinutes || 60 }));
+        corrections.push({ tipo: intent.tipo, field: 'start', from, to: intent.start });
+    }
+}
+
+function reconcileDateField(intent, field, date, corrections) {
+    if (!date) return;
+    const value = intent[field];
+    if (value && !ISO_DATE.test(value)) return; // ex: target_date "week"
+    if (value && value.substring(0, 10) === date) return;
+
+    intent[field] = value ? replaceDatePart(value, date) : date;
+    corrections.push({ tipo: intent.tipo, field, from: value || null, to: intent[field] });
+}
+
+/**
+ * Confere as datas das intenções da IA com as expressões do texto e corrige as divergentes
+ * Só corrige quando o texto é inequívoco (um único dia-alvo, sem recorrência)
+ * - update_event: target_date = dia citado como referência ("a reunião de segunda"), start = dia-alvo
+ * - Consultas (list_events, delete_event...): target_date = dia citado
+ * - create_event: dia do start (e horário, se a IA deixou dia inteiro)
+ * - Tarefas/cards: dia do prazo (due)
+ * @param {Array<Object>} intents - Alteradas no lugar
+ * @param {string} text - Mensagem do usuário
+ * @param {Object} options
+ * @param {DateTime} options.now
+ * @returns {Array<{ tipo, field, from, to }>} Correções feitas (para log)
+ */
+function reconcileIntentDates(intents, text, { now } = {}) {
+    const parsed = parseTemporal(text, now ? { now } : {});
+    const corrections = [];
+    if (!parsed || parsed.recurring || parsed.ambiguous) return corrections;
+
+    const date = parsed.date || parsed.referenceDate;
+
+    for (const intent of intents) {
+        if (!intent?.tipo || intent.recurrence?.length || intent.all_occurrences) continue;
+
+        if (intent.tipo === 'update_event') {
+            reconcileDateField(intent, 'target_date', parsed.referenceDate, corrections);
+            if (parsed.date && intent.start) reconcileStart(intent, parsed, parsed.date, corrections);
+        } else if (TARGET_DATE_TYPES.includes(intent.tipo)) {
+            reconcileDateField(intent, 'target_date', date, corrections);
+        } else if (START_TYPES.includes(intent.tipo)) {
+            reconcileStart(intent, parsed, date, corrections);
+        } else if (DUE_TYPES.includes(intent.tipo) && intent.due) {
+            reconcileDateField(intent, 'due', date, corrections);
+        }
+    }
+    return corrections;
+}
+
+module.exports = {
+    extractExpressions,
+    parseTemporal,
+    reconcileIntentDates
+};
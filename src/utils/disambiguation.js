@@ -0,0 +1,114 @@
+/**
+ * Desambiguação ("você quis dizer...?")
+ * Cada função de ação recebe campos de controle: a confiança do modelo e, na dúvida,
+ * as outras leituras do mesmo pedido (chamadas marcadas com alternative)
+ * - Abaixo de config.ai.confidenceThreshold, as 2-3 leituras viram botões e só a escolhida executa
+ * - As leituras ficam no ctx.session (ver index.js) até a escolha ou expirar
+ */
+
+const { z } = require('zod');
+const config = require('../config');
+
+// Tipo da intenção que pede a escolha ao usuário (não é função da IA)
+const TIPO = 'disambiguate';
+
+// Campos de controle acrescentados a todas as funções de ação (não chegam ao processIntent)
+const META_SHAPE = {
+    confidence: z.number().min(0).max(1).optional()
+        .describe(`Certeza (0 a 1) de que esta é a ação pedida. Abaixo de ${config.ai.confidenceThreshold}, chame também as outras leituras possíveis`),
+    alternative: z.boolean().optional()
+        .describe('true quando esta chamada é OUTRA leitura do MESMO pedido da chamada anterior (não uma ação a mais)'),
+    label: z.string().optional()
+        .describe('Só quando houver leituras alternativas: a leitura em até 6 palavras, no idioma do usuário (ex: "Apagar a reunião com João")'),
+};
+
+/**
+ * Separa os campos de controle da intenção
+ * @param {Object} call - Intenção vinda da chamada de função
+ * @returns {{ intent: Object, confidence: number, alternative: boolean, label: string|null }}
+ */
+function splitMeta(call) {
+    const { confidence, alternative, label, ...intent } = call;
+    return {
+        intent,
+        // Sem confiança informada, a leitura conta como certa
+        confidence: typeof confidence === 'number' ? confidence : 1,
+        alternative: alternative === true,
+        label: typeof label === 'string' && label.trim() ? label.trim() : null
+    };
+}
+
+/**
+ * Agrupa as leituras (cada alternativa pertence à ação anterior) e decide o que executar
+ * - Grupo confiante (ou sem alternativas): executa a leitura mais provável
+ * - Grupo abaixo do limite: vira { tipo: 'disambiguate', readings } com as mais prováveis
+ * @param {Array<Object>} readings - Saída do splitMeta, na ordem das chamadas
+ * @returns {Array<Object>} Intenções
+ */
+function resolveReadings(readings) {
+    const groups = [];
+    for (const reading of readings) {
+        const current = groups[groups.length - 1];
+        if (reading.alternative && current) current.push(reading);
+        else groups.push([reading]);
+    }
+
+    return groups.map(group => {
+        // sort é estável: em empate, vale a ordem do modelo
+        const sorted = [...group].sort((a, b) => b.confidence - a.confidence);
+        if (sorted.length === 1 || sorted[0].confidence >= config.ai.confidenceThreshold) {
+            return sorted[0].intent;
+        }
+        return {
+            tipo: TIPO,
+            readings: sorted.slice(0, config.ai.maxReadings).map(({ intent, confidence, label }) => ({ intent, confidence, label }))
+        };
+    });
+}
+
+/**
+ * Texto do botão de uma leitura (rótulo do modelo ou tipo + alvo)
+ * @param {{ intent: Object, label: string|null }} reading
+ * @returns {string}
+ */
+function getReadingLabel({ intent, label }) {
+    const target = intent.query || intent.summary || intent.name || intent.title || intent.key || intent.list_query || '';
+    const text = label || `${intent.tipo}${target ? `: ${target}` : ''}`;
+    return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+}
+
+/**
+ * Cria a escolha pendente que vai para o ctx.session
+ * @param {Object} intent - Intenção disambiguate
+ * @param {string} utterance - Mensagem original (vai para o log da escolha)
+ * @returns {Object} { readings, utterance, expiresAt }
+ */
+function createPending(intent, utterance = '') {
+    return {
+        readings: intent.readings,
+        utterance,
+        expiresAt: Date.now() + config.ai.choiceTimeoutMs
+    };
+}
+
+function isExpired(pending) {
+    return !pending || pending.expiresAt < Date.now();
+}
+
+/**
+ * Resumo das leituras para o log (tipo e confiança de cada uma)
+ */
+function describeReadings(readings) {
+    return readings.map(r => ({ tipo: r.intent.tipo, confidence: r.confidence }));
+}
+
+module.exports = {
+    TIPO,
+    META_SHAPE,
+    splitMeta,
+    resolveReadings,
+    getReadingLabel,
+    createPending,
+    isExpired,
+    describeReadings
+};
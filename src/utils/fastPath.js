@@ -0,0 +1,147 @@
+/**
+ * Atalho local (fast path)
+ * Frases frequentes e triviais ("agenda de hoje", "oi", "obrigado", "meu trello") viram
+ * intenções direto por regras, sem a ida e volta ao LLM com o prompt inteiro
+ * - Só frases inteiras: qualquer coisa a mais ("agenda de hoje e cria um card") vai para a IA
+ * - Acertos e a latência economizada (média das chamadas à IA) aparecem no /api
+ */
+
+const { DateTime } = require('luxon');
+const { log } = require('./logger');
+const { t } = require('./i18n');
+const config = require('../config');
+
+// Minúsculas, sem acentos, pontuação nem emojis, espaços simples
+const normalize = text => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+const today = () => DateTime.now().setZone(config.timezone);
+
+// Regras na ordem de teste; patterns comparam com o texto normalizado (frase inteira)
+const RULES = [
+    {
+        name: 'agenda_hoje',
+        patterns: [
+            /^(minha |ver |ver a |mostra |mostra a )?agenda( de hoje| pra hoje| para hoje| do dia)?$/,
+            /^(o )?que (eu )?tenho (pra |para )?hoje$/,
+            /^(meus )?(compromissos|eventos) (de|pra|para) hoje$/
+        ],
+        build: () => [{ tipo: 'list_events', period: 'day' }]
+    },
+    {
+        name: 'agenda_amanha',
+        patterns: [
+            /^(minha |ver |ver a |mostra |mostra a )?agenda (de|pra|para) amanha$/,
+            /^(o )?que (eu )?tenho (pra |para )?amanha$/,
+            /^(meus )?(compromissos|eventos) (de|pra|para) amanha$/
+        ],
+        build: () => [{ tipo: 'list_events', period: 'day', target_date: today().plus({ days: 1 }).toISODate() }]
+    },
+    {
+        name: 'agenda_semana',
+        patterns: [
+            /^(minha |ver |ver a |mostra |mostra a )?agenda da semana$/,
+            /^(o )?que (eu )?tenho (essa|esta|nessa|nesta) semana$/,
+            /^(meus )?(compromissos|eventos) da semana$/
+        ],
+        build: () => [{ tipo: 'list_events', period: 'week' }]
+    },
+    {
+        name: 'trello',
+        patterns: [
+            /^(meu |ver |ver o |ver meu |mostra |mostra o |mostra meu )?(trello|quadro)$/,
+            /^(meus |ver |ver os |ver meus )?cards$/
+        ],
+        build: () => [{ tipo: 'trello_list' }]
+    },
+    {
+        name: 'resumo_dia',
+        patterns: [
+            /^(resumo|relatorio)( do dia| de hoje)?$/,
+            /^(o )?que (eu )?tenho (de )?pendente$/
+        ],
+        build: () => [{ tipo: 'report', period: 'day' }]
+    },
+    {
+        name: 'resumo_semana',
+        patterns: [/^(resumo|relatorio) da semana$/],
+        build: () => [{ tipo: 'report', period: 'week' }]
+    },
+    {
+        name: 'saudacao',
+        patterns: [
+            /^(oi+|ola|opa|e ai|eai|hey|hi|hello|hola)( (bom dia|boa tarde|boa noite|tudo bem|tudo bom))?$/,
+            /^(bom dia|boa tarde|boa noite|buenos dias|buenas tardes|buenas noches|good morning|good afternoon|good evening)$/
+        ],
+        build: () => [{ tipo: 'chat', message: t('fastPath.greeting') }]
+    },
+    {
+        name: 'agradecimento',
+        patterns: [/^(muito )?(obrigad[oa]|brigad[oa]|valeu|vlw|thanks|thank you|gracias)( mesmo| demais)?$/],
+        build: () => [{ tipo: 'chat', message: t('fastPath.thanks') }]
+    },
+    {
+        name: 'confirmacao',
+        patterns: [/^(ok|okay|beleza|blz|show|perfeito|otimo|certo|top|joia)$/],
+        build: () => [{ tipo: 'chat', message: t('fastPath.ack') }]
+    }
+];
+
+// Estatísticas desde o início do processo
+const stats = {
+    hits: 0,
+    misses: 0,
+    llmMs: 0, // Tempo total das mensagens que foram para a IA (base da economia estimada)
+    byRule: {}
+};
+
+/**
+ * Procura uma regra para a mensagem
+ * @param {string} text
+ * @returns {{ rule: string, intents: Array<Object> }|null} null = segue para a IA
+ */
+function match(text) {
+    if (!config.ai.fastPath) return null;
+    const normalized = normalize(text || '');
+    if (!normalized || normalized.length > 40) return null;
+
+    const rule = RULES.find(r => r.patterns.some(pattern => pattern.test(normalized)));
+    if (!rule) return null;
+
+    stats.hits++;
+    stats.byRule[rule.name] = (stats.byRule[rule.name] || 0) + 1;
+    log.bot('Atalho local', { rule: rule.name, text: normalized });
+    return { rule: rule.name, intents: rule.build() };
+}
+
+/**
+ * Registra uma mensagem que precisou da IA
+ * @param {number} elapsedMs - Tempo do interpretMessage
+ */
+function recordMiss(elapsedMs) {
+    stats.misses++;
+    stats.llmMs += elapsedMs;
+}
+
+/**
+ * Taxa de acerto e latência economizada (acertos × tempo médio da IA)
+ * @returns {{ hits: number, total: number, hitRate: number, avgLlmMs: number, savedMs: number, byRule: Object }}
+ */
+function getStats() {
+    const total = stats.hits + stats.misses;
+    const avgLlmMs = stats.misses > 0 ? Math.round(stats.llmMs / stats.misses) : 0;
+    return {
+        hits: stats.hits,
+        total,
+        hitRate: total > 0 ? stats.hits / total : 0,
+        avgLlmMs,
+        savedMs: stats.hits * avgLlmMs,
+        byRule: { ...stats.byRule }
+    };
+}
+
+module.exports = {
+    match,
+    recordMiss,
+    getStats
+};
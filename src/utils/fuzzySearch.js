@@ -137,6 +137,77 @@ function findTrelloListFuzzy(lists, query) {
     return results[0].item;
 }
 
+/**
+ * Busca uma tarefa do Google Tasks por título fuzzy
+ * @param {Array} tasks - Lista de tarefas
+ * @param {string} query - Título aproximado
+ * @returns {Object|null} - Melhor match ou null
+ */
+function findTaskFuzzy(tasks, query) {
+    if (!tasks || tasks.length === 0 || !query) {
+        return null;
+    }
+
+    const fuse = createFuzzySearcher(tasks, ['title', 'notes']);
+    const results = fuse.search(query);
+
+    if (results.length === 0) {
+        return null;
+    }
+
+    return results[0].item;
+}
+
+/**
+ * Busca uma agenda do Google Calendar por nome fuzzy
+ * @param {Array} calendars - Lista de agendas ({ id, summary })
+ * @param {string} query - Nome da agenda (ex: "obras", "família")
+ * @returns {Object|null} - Melhor match ou null
+ */
+function findCalendarFuzzy(calendars, query) {
+    if (!calendars || calendars.length === 0 || !query) {
+        return null;
+    }
+
+    const fuse = createFuzzySearcher(calendars, ['summary', 'id'], {
+        threshold: 0.3,
+        minMatchCharLength: 2
+    });
+
+    const results = fuse.search(query);
+
+    if (results.length === 0) {
+        return null;
+    }
+
+    return results[0].item;
+}
+
+/**
+ * Busca um board do Trello por nome fuzzy
+ * @param {Array} boards - Lista de boards ({ id, name, shortLink })
+ * @param {string} query - Nome do board (ex: "obra", "pessoal")
+ * @returns {Object|null} - Melhor match ou null
+ */
+function findBoardFuzzy(boards, query) {
+    if (!boards || boards.length === 0 || !query) {
+        return null;
+    }
+
+    const fuse = createFuzzySearcher(boards, ['name', 'shortLink'], {
+        threshold: 0.3,
+        minMatchCharLength: 2
+    });
+
+    const results = fuse.search(query);
+
+    if (results.length === 0) {
+        return null;
+    }
+
+    return results[0].item;
+}
+
 /**
  * Retorna múltiplos resultados ordenados por relevância
  * @param {Array} items - Lista de itens
@@ -167,5 +238,8 @@ module.exports = {
     findEventFuzzy,
     findTrelloCardFuzzy,
     findTrelloListFuzzy,
+    findCalendarFuzzy,
+    findBoardFuzzy,
+    findTaskFuzzy,
     findMultiple
 };
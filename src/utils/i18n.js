@@ -0,0 +1,140 @@
+/**
+ * Internacionalização (pt-BR, en, es)
+ * Mensagens do bot em catálogos por idioma (src/locales), com interpolação e plural
+ * - O idioma da requisição vai no contexto do logger (lang), como o userId
+ * - Preferência do usuário (/idioma) vence; sem ela, usa o idioma do Telegram
+ * - Chave ausente no idioma cai no pt-BR (catálogo de referência)
+ */
+
+const config = require('../config');
+const { getContext } = require('./logger');
+const userPreferences = require('./userPreferences');
+
+const CATALOGS = {
+    'pt-BR': require('../locales/pt-BR'),
+    en: require('../locales/en'),
+    es: require('../locales/es')
+};
+
+const FALLBACK_LANGUAGE = 'pt-BR';
+
+// Regras de plural por idioma (Intl resolve "one"/"other" etc.)
+const pluralRules = {};
+
+function getPluralRules(lang) {
+    if (!pluralRules[lang]) pluralRules[lang] = new Intl.PluralRules(lang);
+    return pluralRules[lang];
+}
+
+function isSupported(lang) {
+    return config.i18n.supportedLanguages.includes(lang);
+}
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * Escolhe a forma do plural pelo params.count
+ * Formas: zero (opcional, só para 0), one, other
+ */
+function selectPlural(forms, count, lang) {
+    if (count === 0 && forms.zero !== undefined) return forms.zero;
+    return forms[getPluralRules(lang).select(count)] ?? forms.other;
+}
+
+function interpolate(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+/**
+ * Idioma da requisição atual (contexto do logger) ou o padrão
+ * @returns {string}
+ */
+function getLanguage() {
+    const lang = getContext().lang;
+    return isSupported(lang) ? lang : config.i18n.defaultLanguage;
+}
+
+/**
+ * Traduz uma chave
+ * @param {string} key - Caminho no catálogo (ex: 'events.notFound')
+ * @param {Object} params - Valores para {nome}; count escolhe o plural
+ * @param {string} lang - Padrão: idioma da requisição
+ * @returns {string} A própria chave se não existir em nenhum catálogo
+ */
+function t(key, params = {}, lang = getLanguage()) {
+    let value = lookup(CATALOGS[lang] || {}, key);
+    if (value === undefined) value = lookup(CATALOGS[FALLBACK_LANGUAGE], key);
+    if (value === undefined) return key;
+
+    if (value && typeof value === 'object' && value.other !== undefined) {
+        value = selectPlural(value, Number(params.count) || 0, lang);
+    }
+    return typeof value === 'string' ? interpolate(value, params) : value;
+}
+
+/**
+ * Todas as traduções de uma chave (ex: textos do teclado para o bot.hears)
+ * @param {string} key
+ * @returns {string[]}
+ */
+function allTranslations(key) {
+    const values = config.i18n.supportedLanguages.map(lang => t(key, {}, lang));
+    return [...new Set(values)];
+}
+
+/**
+ * Idioma suportado a partir do language_code do Telegram ("pt-br", "en-US", "es")
+ * @param {string} languageCode
+ * @returns {string|null}
+ */
+function detectLanguage(languageCode) {
+    const code = (languageCode || '').toLowerCase();
+    if (code.startsWith('pt')) return 'pt-BR';
+    if (code.startsWith('en')) return 'en';
+    if (code.startsWith('es')) return 'es';
+    return null;
+}
+
+/**
+ * Idioma escolhido pelo usuário com /idioma (null se nunca escolheu)
+ */
+function getUserLanguage(userId) {
+    const lang = userPreferences.getPreference(userId, 'language');
+    return isSupported(lang) ? lang : null;
+}
+
+function setUserLanguage(userId, lang) {
+    if (!isSupported(lang)) throw Object.assign(new Error(`Idioma não suportado: ${lang}`), { code: 'UNSUPPORTED_LANGUAGE' });
+    userPreferences.setPreference(userId, 'language', lang);
+}
+
+/**
+ * Idioma efetivo: preferência salva > idioma do Telegram > padrão
+ * @param {string} userId
+ * @param {string} languageCode - ctx.from.language_code (opcional)
+ * @returns {string}
+ */
+function resolveLanguage(userId, languageCode) {
+    return (userId && getUserLanguage(userId)) || detectLanguage(languageCode) || config.i18n.defaultLanguage;
+}
+
+/**
+ * Locale para Luxon/Intl (datas, números)
+ */
+function getLocale(lang = getLanguage()) {
+    return t('locale', {}, lang);
+}
+
+module.exports = {
+    t,
+    allTranslations,
+    getLanguage,
+    getLocale,
+    detectLanguage,
+    getUserLanguage,
+    setUserLanguage,
+    resolveLanguage,
+    isSupported
+};
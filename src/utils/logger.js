@@ -13,7 +13,7 @@ const config = require('../config');
 const localStorage = new AsyncLocalStorage();
 
 const isDev = process.env.NODE_ENV !== 'production';
-const DATA_DIR = fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data');
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data'));
 const LOGS_DIR = path.join(DATA_DIR, 'logs');
 
 // Garante que o diretório de logs existe
@@ -111,6 +111,7 @@ const logger = pino(
 // Helpers para contexto
 const createChildLogger = (context) => logger.child(context);
 const runWithContext = (context, callback) => localStorage.run(context, callback);
+const getContext = () => localStorage.getStore() || {};
 
 // Métodos de conveniência
 const log = {
@@ -175,4 +176,4 @@ const cleanOldLogs = async () => {
 // Agenda limpeza (não bloqueia inicialização)
 cleanOldLogs();
 
-module.exports = { logger, log, createChildLogger, runWithContext, LOGS_DIR };
+module.exports = { logger, log, createChildLogger, runWithContext, getContext, LOGS_DIR };
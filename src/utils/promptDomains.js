@@ -0,0 +1,83 @@
+/**
+ * Domínios do prompt (pré-roteamento)
+ * O classifier.txt marca as seções de cada domínio com {{#agenda}}...{{/agenda}} (idem trello e memoria);
+ * antes de chamar a IA, palavras-chave da mensagem escolhem quais seções vão no prompt
+ * - Na dúvida (nenhum domínio reconhecido nem turno anterior) vai o prompt inteiro
+ * - Seções sem marcação (regras gerais, datas, chat...) vão sempre
+ */
+
+const config = require('../config');
+
+const DOMAINS = ['agenda', 'trello', 'memoria'];
+
+// Palavras-chave por domínio, testadas no texto normalizado (pt-BR, en, es)
+const KEYWORDS = {
+    agenda: /\b(agenda\w*|agend\w+|marc(a|ar|e)|eventos?|reuniao|reunioes|compromissos?|calendario|convite|convidad\w+|confirm\w+|consulta|call|aula|daily|almoco|jantar|horario|livre|disponivel|encaixa\w*|expediente|foco|intervalo|modelos?|tarefas?|lembrete|lembrar de|me lembra|prazo|pagar|comprar|hoje|amanha|ontem|semana|segunda|terca|quarta|quinta|sexta|sabado|domingo|\d{1,2}h|\d{1,2}:\d{2}|meetings?|events?|schedule|tasks?|today|tomorrow|reunion|cita|tareas?|manana)\b/,
+    trello: /\b(trello|cards?|cartao|quadros?|boards?|listas?|lists?|checklist|etiquetas?|labels?|sprint|projeto|tipo de caso|pendencia|tablero|tarjetas?)\b/,
+    memoria: /\b(guard\w+|anot\w+|salv\w+|lembra que|senhas?|codigos?|wifi|memoria|qual (e|eh|era) (a|o)|qual (a|o)|passwords?|remember|save|contrasena|recuerda)\b/
+};
+
+// Minúsculas, sem acentos
+const normalize = text => text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Domínios citados na mensagem
+ * @param {string} text
+ * @returns {string[]} Vazio quando nenhuma palavra-chave aparece
+ */
+function detectDomains(text = '') {
+    const normalized = normalize(text);
+    return DOMAINS.filter(domain => KEYWORDS[domain].test(normalized));
+}
+
+/**
+ * Domínio de um tipo de intenção (null para chat, report...)
+ * @param {string} tipo
+ * @returns {string|null}
+ */
+function getDomainOfTipo(tipo = '') {
+    if (tipo.startsWith('trello')) return 'trello';
+    if (tipo.endsWith('_info')) return 'memoria';
+    if (/event|task|schedule|availability|meeting|template/.test(tipo)) return 'agenda';
+    return null;
+}
+
+/**
+ * Escolhe os domínios do prompt para a mensagem
+ * @param {string} text - Mensagem do usuário
+ * @param {Object} options
+ * @param {Array<Object>} options.previous - Intenções do turno anterior ("e amanhã?" continua na agenda)
+ * @param {Object} options.pending - Pedido incompleto sendo completado (slotFilling)
+ * @returns {string[]} Domínios (todos quando não dá para decidir ou o recorte está desligado)
+ */
+function selectDomains(text, { previous = [], pending = null } = {}) {
+    if (!config.ai.promptSlicing) return DOMAINS;
+
+    const selected = new Set(detectDomains(text));
+    [...previous, pending?.intent].filter(Boolean).forEach(intent => {
+        const domain = getDomainOfTipo(intent.tipo);
+        if (domain) selected.add(domain);
+    });
+
+    return selected.size > 0 ? DOMAINS.filter(domain => selected.has(domain)) : DOMAINS;
+}
+
+/**
+ * Remove do template as seções de domínios que não foram escolhidos
+ * @param {string} template - Texto com blocos {{#dominio}}...{{/dominio}}
+ * @param {string[]} domains
+ * @returns {string}
+ */
+function sliceTemplate(template, domains) {
+    return template
+        .replace(/\{\{#(\w+)\}\}\n([\s\S]*?)\{\{\/\1\}\}\n/g, (_, domain, body) => (domains.includes(domain) ? body : ''))
+        .replace(/\n{3,}/g, '\n\n');
+}
+
+module.exports = {
+    DOMAINS,
+    detectDomains,
+    getDomainOfTipo,
+    selectDomains,
+    sliceTemplate
+};
@@ -4,6 +4,7 @@
  */
 
 const { log } = require('./logger');
+const { t } = require('./i18n');
 
 class RateLimiter {
     constructor(options = {}) {
@@ -42,7 +43,7 @@ class RateLimiter {
                 allowed: false,
                 remaining: 0,
                 resetIn: waitTime,
-                message: `⏳ Espere ${waitTime}s antes de enviar mais mensagens.`
+                message: t('rateLimit.wait', { seconds: waitTime })
             };
         }
 
@@ -63,7 +64,7 @@ class RateLimiter {
                 allowed: false,
                 remaining: 0,
                 resetIn: waitTime,
-                message: `🚫 Muitas mensagens! Espere ${waitTime}s.`
+                message: t('rateLimit.blocked', { seconds: waitTime })
             };
         }
 
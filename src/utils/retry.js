@@ -114,16 +114,39 @@ function isRetryableError(error) {
     return false;
 }
 
+/**
+ * Detecta token do Google revogado/expirado (exige novo consentimento)
+ */
+function isInvalidGrantError(error) {
+    return error?.message?.includes('invalid_grant') ||
+        error?.response?.data?.error === 'invalid_grant';
+}
+
+// Handler registrado pelo google.js para tratar invalid_grant (estado de reautenticação)
+let invalidGrantHandler = null;
+
+function setInvalidGrantHandler(handler) {
+    invalidGrantHandler = handler;
+}
+
 /**
  * Wrapper pré-configurado para APIs do Google
+ * invalid_grant não é retentado: repassa ao handler, que pode trocar o erro
  */
-function withGoogleRetry(fn, operationName) {
-    return withRetry(fn, {
-        maxRetries: 3,
-        initialDelay: 1000,
-        shouldRetry: isRetryableError,
-        operationName: `Google ${operationName}`
-    });
+async function withGoogleRetry(fn, operationName) {
+    try {
+        return await withRetry(fn, {
+            maxRetries: 3,
+            initialDelay: 1000,
+            shouldRetry: isRetryableError,
+            operationName: `Google ${operationName}`
+        });
+    } catch (error) {
+        if (invalidGrantHandler && isInvalidGrantError(error)) {
+            throw invalidGrantHandler(error) || error;
+        }
+        throw error;
+    }
 }
 
 /**
@@ -143,5 +166,7 @@ module.exports = {
     withGoogleRetry,
     withTrelloRetry,
     isRetryableError,
+    isInvalidGrantError,
+    setInvalidGrantHandler,
     sleep
 };
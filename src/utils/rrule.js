@@ -0,0 +1,453 @@
+/**
+ * Regras de Recorrência (RRULE - RFC 5545)
+ * Valida as regras geradas pela IA, descreve no idioma do usuário e calcula as próximas ocorrências
+ * Suporta o subconjunto usado pelo Google Calendar: FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS, WKST
+ */
+
+const { DateTime } = require('luxon');
+
+const config = require('../config');
+const i18n = require('./i18n');
+const { t } = i18n;
+
+const TIMEZONE = config.timezone;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+
+// Código RFC -> weekday do luxon (1 = segunda)
+const WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+
+// Limite de períodos percorridos ao calcular ocorrências (evita loop em regras que quase nunca casam)
+const MAX_PERIODS = 5000;
+
+function invalidRule(key, params = {}) {
+    const error = new Error(t(`rrule.errors.${key}`, params));
+    error.code = 'INVALID_RRULE';
+    return error;
+}
+
+function parseIntegerList(value, key, min, max) {
+    return value.split(',').map(item => {
+        if (!/^[+-]?\d+$/.test(item)) throw invalidRule('numbers', { key, item });
+        const number = parseInt(item, 10);
+        if (number === 0 || number < min || number > max) {
+            throw invalidRule('outOfRange', { key, item });
+        }
+        return number;
+    });
+}
+
+function parseUntil(value) {
+    const dateOnly = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (dateOnly) {
+        const date = DateTime.fromObject(
+            { year: +dateOnly[1], month: +dateOnly[2], day: +dateOnly[3] },
+            { zone: TIMEZONE }
+        );
+        if (date.isValid) return date.endOf('day');
+    }
+
+    const dateTime = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+    if (dateTime) {
+        const date = DateTime.fromObject(
+            { year: +dateTime[1], month: +dateTime[2], day: +dateTime[3], hour: +dateTime[4], minute: +dateTime[5], second: +dateTime[6] },
+            { zone: dateTime[7] ? 'utc' : TIMEZONE }
+        );
+        if (date.isValid) return date;
+    }
+
+    throw invalidRule('until', { value });
+}
+
+/**
+ * Interpreta uma linha RRULE
+ * @param {string} input - "RRULE:FREQ=WEEKLY;BYDAY=MO,WE" (o prefixo é opcional)
+ * @returns {Object} { freq, interval, count, until, byDay: [{ day, n }], byMonthDay, byMonth, bySetPos, wkst }
+ * @throws {Error} code = 'INVALID_RRULE' com a explicação no idioma do usuário
+ */
+function parseRRule(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+        throw invalidRule('empty');
+    }
+
+    const body = input.trim().replace(/^RRULE:/i, '');
+    const rule = { interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [], wkst: 'MO' };
+    const seen = new Set();
+
+    for (const part of body.split(';').filter(Boolean)) {
+        const [rawKey, value] = part.split('=');
+        const key = (rawKey || '').toUpperCase();
+
+        if (!value) throw invalidRule('noValue', { part });
+        if (!SUPPORTED_PARTS.includes(key)) throw invalidRule('unsupported', { key });
+        if (seen.has(key)) throw invalidRule('repeated', { key });
+        seen.add(key);
+
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(value.toUpperCase())) {
+                    throw invalidRule('frequency', { value });
+                }
+                rule.freq = value.toUpperCase();
+                break;
+            case 'INTERVAL':
+            case 'COUNT': {
+                if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+                    throw invalidRule('positiveInteger', { key });
+                }
+                rule[key.toLowerCase()] = parseInt(value, 10);
+                break;
+            }
+            case 'UNTIL':
+                rule.until = parseUntil(value);
+                break;
+            case 'BYDAY':
+                rule.byDay = value.toUpperCase().split(',').map(item => {
+                    const match = item.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+                    if (!match) throw invalidRule('byDay', { item });
+                    const n = match[1] ? parseInt(match[1], 10) : null;
+                    if (n === 0 || (n && Math.abs(n) > 53)) throw invalidRule('byDayPosition', { item });
+                    return { day: match[2], n };
+                });
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = parseIntegerList(value, key, -31, 31);
+                break;
+            case 'BYMONTH':
+                rule.byMonth = parseIntegerList(value, key, 1, 12);
+                break;
+            case 'BYSETPOS':
+                rule.bySetPos = parseIntegerList(value, key, -366, 366);
+                break;
+            case 'WKST':
+                if (!WEEKDAYS[value.toUpperCase()]) throw invalidRule('wkst', { value });
+                rule.wkst = value.toUpperCase();
+                break;
+        }
+    }
+
+    if (!rule.freq) throw invalidRule('freqRequired');
+    if (rule.count && rule.until) throw invalidRule('countAndUntil');
+    if (rule.byDay.some(d => d.n) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+        throw invalidRule('ordinalFrequency');
+    }
+    if (rule.byMonthDay.length && rule.freq === 'WEEKLY') {
+        throw invalidRule('monthDayWeekly');
+    }
+    if (rule.bySetPos.length && !rule.byDay.length && !rule.byMonthDay.length) {
+        throw invalidRule('setPos');
+    }
+
+    return rule;
+}
+
+/**
+ * Valida a lista de recorrência de um evento (RRULE, EXDATE, RDATE)
+ * @param {string[]|string} recurrence
+ * @returns {{ valid: boolean, error?: string, rules: Object[] }}
+ */
+function validateRecurrence(recurrence) {
+    const lines = Array.isArray(recurrence) ? recurrence : [recurrence];
+    const rules = [];
+
+    try {
+        for (const line of lines) {
+            if (typeof line !== 'string') throw invalidRule('line');
+            const upper = line.trim().toUpperCase();
+
+            if (upper.startsWith('EXDATE') || upper.startsWith('RDATE')) {
+                if (!/^(EXDATE|RDATE)(;[^:]+)?:\d{8}(T\d{6}Z?)?(,\d{8}(T\d{6}Z?)?)*$/.test(upper)) {
+                    throw invalidRule('date', { line });
+                }
+                continue;
+            }
+
+            rules.push(parseRRule(line));
+        }
+
+        if (rules.length === 0) throw invalidRule('noRule');
+        if (rules.length > 1) throw invalidRule('multipleRules');
+
+        return { valid: true, rules };
+    } catch (error) {
+        if (error.code !== 'INVALID_RRULE') throw error;
+        return { valid: false, error: error.message, rules };
+    }
+}
+
+// --- DESCRIÇÃO NO IDIOMA DO USUÁRIO ---
+
+// "segunda, terça e quarta"
+function joinList(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')}${t('rrule.and')}${items[items.length - 1]}`;
+}
+
+// Gênero do dia para artigos e ordinais: 'm' ("todo sábado", "no último domingo") ou 'f' ("toda segunda")
+function genderOf(day) {
+    return t('rrule.masculineDays').includes(day) ? 'm' : 'f';
+}
+
+function dayNames(byDay) {
+    return joinList(byDay.map(d => t(`rrule.weekdays.${d.day}`)));
+}
+
+function monthNames(months) {
+    return joinList(months.map(m => DateTime.fromObject({ month: m }).setLocale(i18n.getLocale()).toFormat('LLLL')));
+}
+
+// 2 -> "2ª" / "second", -1 -> "última" / "last"
+function ordinal(n, gender) {
+    if (n === -1) return t(`rrule.last.${gender}`);
+    if (n < 0) return t(`rrule.fromEnd.${gender}`, { n: Math.abs(n) });
+    return t('rrule.ordinalWords')[n - 1] || t(`rrule.ordinal.${gender}`, { n });
+}
+
+function isWeekdaysOnly(byDay) {
+    const days = byDay.map(d => d.day).sort();
+    return days.length === 5 && ['FR', 'MO', 'TH', 'TU', 'WE'].every((d, i) => days[i] === d);
+}
+
+function isWeekendOnly(byDay) {
+    const days = byDay.map(d => d.day).sort();
+    return days.length === 2 && days[0] === 'SA' && days[1] === 'SU';
+}
+
+/**
+ * Descreve dias da semana: every = "toda segunda e quarta", on = "na segunda e quarta"
+ */
+function describeWeekdays(byDay) {
+    if (isWeekdaysOnly(byDay)) return { every: t('rrule.everyWorkday'), on: t('rrule.onWorkdays') };
+    if (isWeekendOnly(byDay)) return { every: t('rrule.everyWeekend'), on: t('rrule.onWeekend') };
+
+    const days = dayNames(byDay);
+    const gender = genderOf(byDay[0].day);
+    return { every: t(`rrule.every.${gender}`, { days }), on: t(`rrule.on.${gender}`, { days }) };
+}
+
+function describeMonthlyPart(rule, start) {
+    if (rule.bySetPos.length === 1 && rule.byDay.length) {
+        const pos = rule.bySetPos[0];
+        if (isWeekdaysOnly(rule.byDay)) return t('rrule.nthWorkday', { ordinal: ordinal(pos, 'm') });
+        const gender = genderOf(rule.byDay[0].day);
+        return t(`rrule.onOrdinal.${gender}`, { days: `${ordinal(pos, gender)} ${dayNames(rule.byDay)}` });
+    }
+    if (rule.byDay.length && rule.byDay.every(d => d.n)) {
+        const days = joinList(rule.byDay.map(d => `${ordinal(d.n, genderOf(d.day))} ${t(`rrule.weekdays.${d.day}`)}`));
+        return t(`rrule.onOrdinal.${genderOf(rule.byDay[0].day)}`, { days });
+    }
+    if (rule.byDay.length) {
+        return describeWeekdays(rule.byDay).on;
+    }
+    if (rule.byMonthDay.length) {
+        if (rule.byMonthDay.length === 1 && rule.byMonthDay[0] === -1) return t('rrule.lastDay');
+        const days = rule.byMonthDay.map(d => (d < 0 ? t('rrule.monthDayFromEnd', { n: Math.abs(d) }) : String(d)));
+        return t('rrule.onMonthDay', { days: joinList(days) });
+    }
+    if (start) return t('rrule.onMonthDay', { days: start.day });
+    return '';
+}
+
+/**
+ * Descreve a regra no idioma do usuário ("toda segunda e quarta, até 15/12")
+ * @param {Object|string} ruleOrText - Regra já interpretada ou linha RRULE
+ * @param {Object} options
+ * @param {string} options.start - Início do evento (ISO), usado quando a regra não diz o dia
+ * @returns {string}
+ */
+function humanizeRRule(ruleOrText, { start = null } = {}) {
+    const rule = typeof ruleOrText === 'string' ? parseRRule(ruleOrText) : ruleOrText;
+    const startDate = start ? DateTime.fromISO(start, { zone: TIMEZONE }) : null;
+    const interval = rule.interval || 1;
+    let text;
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            text = rule.byDay.length ? describeWeekdays(rule.byDay).every : t('rrule.daily', { count: interval });
+            break;
+        }
+        case 'WEEKLY': {
+            const byDay = rule.byDay.length
+                ? rule.byDay
+                : startDate ? [{ day: Object.keys(WEEKDAYS).find(k => WEEKDAYS[k] === startDate.weekday) }] : [];
+
+            if (!byDay.length) {
+                text = t('rrule.weekly', { count: interval });
+            } else {
+                const { every, on } = describeWeekdays(byDay);
+                text = interval === 1 ? every : `${t('rrule.weekly', { count: interval })}, ${on}`;
+            }
+            break;
+        }
+        case 'MONTHLY': {
+            const part = describeMonthlyPart(rule, startDate);
+            text = t('rrule.monthly', { count: interval });
+            if (part) text += `, ${part}`;
+            break;
+        }
+        case 'YEARLY': {
+            const months = rule.byMonth.length ? rule.byMonth : startDate ? [startDate.month] : [];
+            text = t('rrule.yearly', { count: interval });
+            if (months.length && rule.byMonthDay.length === 1 && !rule.byDay.length) {
+                text += ` ${t('rrule.onDayOfMonths', { day: rule.byMonthDay[0], months: monthNames(months) })}`;
+            } else if (months.length && rule.byDay.length) {
+                text += `, ${t('rrule.ofMonths', { part: describeMonthlyPart(rule, startDate), months: monthNames(months) })}`;
+            } else if (startDate && !rule.byMonthDay.length) {
+                text += ` ${t('rrule.onDate', { date: startDate.toFormat(t('dates.dayMonth')) })}`;
+            }
+            break;
+        }
+    }
+
+    if (rule.count) {
+        text += `, ${t('rrule.times', { count: rule.count })}`;
+    } else if (rule.until) {
+        const until = rule.until.setZone(TIMEZONE);
+        const sameYear = until.year === (startDate || DateTime.now().setZone(TIMEZONE)).year;
+        text += `, ${t('rrule.untilDate', { date: until.toFormat(t(sameYear ? 'dates.dayMonth' : 'dates.dayMonthYear')) })}`;
+    }
+
+    return text;
+}
+
+// --- CÁLCULO DE OCORRÊNCIAS ---
+
+function weekdayMatches(date, byDay, scopeStart, scopeEnd) {
+    return byDay.some(({ day, n }) => {
+        if (date.weekday !== WEEKDAYS[day]) return false;
+        if (!n) return true;
+        // Posição do dia da semana dentro do período (mês ou ano)
+        if (n > 0) return Math.floor(date.diff(scopeStart, 'days').days / 7) + 1 === n;
+        return Math.floor(scopeEnd.diff(date, 'days').days / 7) + 1 === -n;
+    });
+}
+
+function monthDayMatches(date, byMonthDay) {
+    return byMonthDay.some(d => (d > 0 ? date.day === d : date.day === date.daysInMonth + d + 1));
+}
+
+// Dias de um mês que casam com a regra (usado por MONTHLY e YEARLY)
+function monthCandidates(monthStart, rule, dtstart) {
+    const monthEnd = monthStart.endOf('month').startOf('day');
+    const days = [];
+
+    if (!rule.byDay.length && !rule.byMonthDay.length) {
+        if (dtstart.day <= monthStart.daysInMonth) days.push(monthStart.set({ day: dtstart.day }));
+        return days;
+    }
+
+    for (let date = monthStart; date <= monthEnd; date = date.plus({ days: 1 })) {
+        if (rule.byDay.length && !weekdayMatches(date, rule.byDay, monthStart, monthEnd)) continue;
+        if (rule.byMonthDay.length && !monthDayMatches(date, rule.byMonthDay)) continue;
+        days.push(date);
+    }
+    return days;
+}
+
+// Dias candidatos de um período (dia, semana, mês ou ano), já filtrados por BYMONTH
+function periodCandidates(periodStart, rule, dtstart) {
+    let days = [];
+
+    switch (rule.freq) {
+        case 'DAILY':
+            days = [periodStart];
+            if (rule.byDay.length) days = days.filter(d => rule.byDay.some(b => WEEKDAYS[b.day] === d.weekday));
+            if (rule.byMonthDay.length) days = days.filter(d => monthDayMatches(d, rule.byMonthDay));
+            break;
+        case 'WEEKLY': {
+            const weekdays = rule.byDay.length ? rule.byDay.map(b => WEEKDAYS[b.day]) : [dtstart.weekday];
+            for (let i = 0; i < 7; i++) {
+                const date = periodStart.plus({ days: i });
+                if (weekdays.includes(date.weekday)) days.push(date);
+            }
+            break;
+        }
+        case 'MONTHLY':
+            days = monthCandidates(periodStart, rule, dtstart);
+            break;
+        case 'YEARLY': {
+            // BYDAY em regra anual é interpretado dentro de cada mês (ex: "2º domingo de maio")
+            const months = rule.byMonth.length ? rule.byMonth : [dtstart.month];
+            const yearRule = rule.byMonthDay.length || rule.byDay.length ? rule : { ...rule, byMonthDay: [dtstart.day] };
+            for (const month of months) {
+                days.push(...monthCandidates(periodStart.set({ month }), yearRule, dtstart));
+            }
+            break;
+        }
+    }
+
+    if (rule.byMonth.length && rule.freq !== 'YEARLY') {
+        days = days.filter(d => rule.byMonth.includes(d.month));
+    }
+
+    days.sort((a, b) => a.toMillis() - b.toMillis());
+
+    if (rule.bySetPos.length) {
+        days = rule.bySetPos
+            .map(pos => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+            .filter(Boolean)
+            .sort((a, b) => a.toMillis() - b.toMillis());
+    }
+
+    return days;
+}
+
+function firstPeriodStart(dtstart, rule) {
+    switch (rule.freq) {
+        case 'DAILY': return dtstart.startOf('day');
+        case 'WEEKLY': {
+            const offset = (dtstart.weekday - WEEKDAYS[rule.wkst] + 7) % 7;
+            return dtstart.startOf('day').minus({ days: offset });
+        }
+        case 'MONTHLY': return dtstart.startOf('month');
+        default: return dtstart.startOf('year');
+    }
+}
+
+const PERIOD_UNITS = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' };
+
+/**
+ * Calcula as próximas ocorrências da série
+ * @param {Object|string} ruleOrText - Regra já interpretada ou linha RRULE
+ * @param {string} start - Início do evento (ISO, primeira ocorrência possível)
+ * @param {Object} options
+ * @param {number} options.limit - Quantidade de ocorrências (padrão: 5)
+ * @param {string} options.after - Só retorna ocorrências a partir desta data (ISO, padrão: início)
+ * @returns {DateTime[]} Ocorrências no fuso configurado, com o horário do início
+ */
+function getNextOccurrences(ruleOrText, start, { limit = 5, after = null } = {}) {
+    const rule = typeof ruleOrText === 'string' ? parseRRule(ruleOrText) : ruleOrText;
+    const dtstart = DateTime.fromISO(start, { zone: TIMEZONE });
+    const afterDate = after ? DateTime.fromISO(after, { zone: TIMEZONE }) : dtstart;
+    const time = { hour: dtstart.hour, minute: dtstart.minute, second: dtstart.second };
+    const unit = PERIOD_UNITS[rule.freq];
+    const periodStart = firstPeriodStart(dtstart, rule);
+
+    const occurrences = [];
+    let emitted = 0; // COUNT conta desde o início, inclusive o que fica antes de "after"
+
+    for (let i = 0; i < MAX_PERIODS && occurrences.length < limit; i++) {
+        const period = periodStart.plus({ [unit]: i * (rule.interval || 1) });
+
+        for (const day of periodCandidates(period, rule, dtstart)) {
+            const occurrence = day.set(time);
+            if (occurrence < dtstart) continue;
+            if (rule.until && occurrence > rule.until) return occurrences;
+            if (rule.count && emitted >= rule.count) return occurrences;
+
+            emitted++;
+            if (occurrence >= afterDate) occurrences.push(occurrence);
+            if (occurrences.length >= limit) break;
+        }
+    }
+
+    return occurrences;
+}
+
+module.exports = {
+    parseRRule,
+    validateRecurrence,
+    humanizeRRule,
+    getNextOccurrences
+};
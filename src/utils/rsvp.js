@@ -0,0 +1,135 @@
+/**
+ * Respostas aos convites (RSVP)
+ * O scheduler guarda, a cada atualização do cache, o responseStatus dos convidados das reuniões
+ * que o usuário organiza; a diferença entre duas atualizações vira aviso no Telegram
+ * - Só avisa mudanças para accepted, declined ou tentative (needsAction é "ainda não respondeu")
+ * - Evento que acabou de entrar na janela não avisa: as respostas podem ser antigas
+ */
+
+const { formatFriendlyDate } = require('./dateFormatter');
+const { t } = require('./i18n');
+
+const ANSWERED = ['accepted', 'declined', 'tentative'];
+
+/**
+ * Convidados de verdade: sem o próprio usuário e sem salas/recursos
+ */
+function getGuests(event) {
+    return (event.attendees || []).filter(a => !a.self && !a.resource && a.email);
+}
+
+function hasGuests(event) {
+    return getGuests(event).length > 0;
+}
+
+function getGuestName(attendee) {
+    return attendee.displayName || attendee.email;
+}
+
+// Mesma chave das notificações do scheduler: o evento pode estar no cache de mais de um chat
+function snapshotKey(event) {
+    return `${event.ownerChatId || ''}:${event.id}`;
+}
+
+/**
+ * Foto das respostas das reuniões organizadas pelo usuário
+ * @param {Array<Object>} events - Eventos do Google Calendar (com ownerChatId)
+ * @returns {Object} chave -> { summary, start, ownerChatId, guests: { email: { name, status, comment } } }
+ */
+function buildSnapshot(events) {
+    const snapshot = {};
+    for (const event of events) {
+        if (!event.organizer?.self || !hasGuests(event)) continue;
+
+        const guests = {};
+        getGuests(event).forEach(attendee => {
+            guests[attendee.email] = {
+                name: getGuestName(attendee),
+                status: attendee.responseStatus || 'needsAction',
+                comment: attendee.comment || null
+            };
+        });
+        snapshot[snapshotKey(event)] = {
+            summary: event.summary,
+            start: event.start?.dateTime || event.start?.date,
+            ownerChatId: event.ownerChatId || null,
+            guests
+        };
+    }
+    return snapshot;
+}
+
+/**
+ * Respostas novas entre duas fotos
+ * @param {Object} previous - Foto da atualização anterior
+ * @param {Object} current - Foto atual
+ * @returns {Array<Object>} [{ ownerChatId, summary, start, name, status, comment }]
+ */
+function diffSnapshots(previous, current) {
+    const changes = [];
+    for (const [key, event] of Object.entries(current)) {
+        const before = previous[key];
+        if (!before) continue;
+
+        for (const [email, guest] of Object.entries(event.guests)) {
+            const previousStatus = before.guests[email]?.status || 'needsAction';
+            if (guest.status === previousStatus || !ANSWERED.includes(guest.status)) continue;
+            changes.push({
+                ownerChatId: event.ownerChatId,
+                summary: event.summary,
+                start: event.start,
+                name: guest.name,
+                status: guest.status,
+                comment: guest.comment
+            });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Aviso de respostas novas (um texto por chat, com todas as mudanças)
+ * @param {Array<Object>} changes - Saída do diffSnapshots
+ * @returns {string}
+ */
+function formatChanges(changes) {
+    const lines = changes.map(change => {
+        let line = t(`rsvp.${change.status}`, { name: change.name, summary: change.summary, date: formatFriendlyDate(change.start) });
+        if (change.comment) line += `\n${t('rsvp.comment', { comment: change.comment })}`;
+        return line;
+    });
+    return [t('rsvp.title'), ...lines].join('\n');
+}
+
+/**
+ * Quem confirmou, recusou, ficou no talvez ou não respondeu
+ * @param {Object} event - Evento do Google Calendar
+ * @returns {string}
+ */
+function formatStatus(event) {
+    const guests = getGuests(event);
+    const byStatus = status => guests
+        .filter(a => (ANSWERED.includes(a.responseStatus) ? a.responseStatus : 'needsAction') === status)
+        .map(getGuestName);
+
+    const accepted = byStatus('accepted');
+    const lines = [
+        t('rsvp.statusTitle', { summary: event.summary, date: formatFriendlyDate(event.start?.dateTime || event.start?.date) }),
+        t('rsvp.confirmedCount', { count: guests.length, accepted: accepted.length }),
+        ''
+    ];
+    [['accepted', accepted], ['tentative', byStatus('tentative')], ['declined', byStatus('declined')], ['needsAction', byStatus('needsAction')]]
+        .filter(([, names]) => names.length > 0)
+        .forEach(([status, names]) => lines.push(t(`rsvp.group.${status}`, { names: names.join(', ') })));
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    getGuests,
+    hasGuests,
+    buildSnapshot,
+    diffSnapshots,
+    formatChanges,
+    formatStatus
+};
@@ -0,0 +1,242 @@
+/**
+ * Regras de agenda por usuário
+ * Expediente, almoço, intervalo entre compromissos, blocos de foco e limite de compromissos por dia
+ * - Padrões em config.scheduling; o que o usuário muda fica nas preferências dele ('scheduling')
+ * - Valem ao procurar horário (smart_schedule, find_meeting_time) e ao sugerir alternativas em conflitos
+ */
+
+const { DateTime } = require('luxon');
+const config = require('../config');
+const userPreferences = require('./userPreferences');
+const i18n = require('./i18n');
+const { t } = i18n;
+
+const TIME_REGEX = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Campos que o usuário pode mudar
+const FIELDS = ['workDays', 'workStart', 'workEnd', 'lunchStart', 'lunchEnd', 'bufferMinutes', 'focusBlocks', 'maxMeetingsPerDay'];
+
+function invalid(reason) {
+    return Object.assign(new Error(`Regras de agenda inválidas: ${reason}`), { code: 'INVALID_SCHEDULING_RULES', reason });
+}
+
+/**
+ * "HH:mm" em minutos desde a meia-noite ("24:00" = fim do dia, só para uso interno)
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// "8:00" -> "08:00" (os horários são comparados e mostrados como texto)
+function normalizeTime(time) {
+    if (!TIME_REGEX.test(String(time))) throw invalid('time');
+    const [hours, minutes] = time.split(':');
+    return `${hours.padStart(2, '0')}:${minutes}`;
+}
+
+function validateDays(days) {
+    if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+        throw invalid('workDays');
+    }
+    return [...new Set(days)].sort();
+}
+
+/**
+ * Confere e normaliza as regras (horários "HH:mm", início antes do fim, almoço dentro do expediente)
+ * @param {Object} rules
+ * @returns {Object}
+ * @throws {Error} code INVALID_SCHEDULING_RULES, reason = campo com problema
+ */
+function validateRules(rules) {
+    const result = { ...rules, workDays: validateDays(rules.workDays) };
+
+    result.workStart = normalizeTime(rules.workStart);
+    result.workEnd = normalizeTime(rules.workEnd);
+    if (toMinutes(result.workStart) >= toMinutes(result.workEnd)) throw invalid('workHours');
+
+    if (rules.lunchStart && rules.lunchEnd) {
+        result.lunchStart = normalizeTime(rules.lunchStart);
+        result.lunchEnd = normalizeTime(rules.lunchEnd);
+        if (toMinutes(result.lunchStart) >= toMinutes(result.lunchEnd) ||
+            toMinutes(result.lunchStart) < toMinutes(result.workStart) ||
+            toMinutes(result.lunchEnd) > toMinutes(result.workEnd)) {
+            throw invalid('lunch');
+        }
+    } else {
+        result.lunchStart = null;
+        result.lunchEnd = null;
+    }
+
+    result.focusBlocks = (rules.focusBlocks || []).map(block => {
+        const focus = { days: validateDays(block.days), start: normalizeTime(block.start), end: normalizeTime(block.end) };
+        if (toMinutes(focus.start) >= toMinutes(focus.end)) throw invalid('focus');
+        return focus;
+    });
+
+    if (!Number.isInteger(rules.bufferMinutes) || rules.bufferMinutes < 0 || rules.bufferMinutes > 240) throw invalid('buffer');
+    if (rules.maxMeetingsPerDay !== null && (!Number.isInteger(rules.maxMeetingsPerDay) || rules.maxMeetingsPerDay < 1)) {
+        throw invalid('maxMeetings');
+    }
+
+    return result;
+}
+
+/**
+ * Regras do usuário (padrões de config.scheduling + o que ele mudou)
+ * @param {string|number} userId
+ * @returns {Object}
+ */
+function getRules(userId) {
+    const saved = userId ? userPreferences.getPreference(userId, 'scheduling', {}) : {};
+    return { ...config.scheduling, ...saved };
+}
+
+/**
+ * Muda parte das regras do usuário (só grava o que difere do padrão)
+ * @param {string|number} userId
+ * @param {Object} changes - Campos de config.scheduling a mudar
+ * @returns {Object} Regras resultantes
+ * @throws {Error} code INVALID_SCHEDULING_RULES
+ */
+function updateRules(userId, changes) {
+    const updated = { ...getRules(userId) };
+    FIELDS.filter(field => changes[field] !== undefined).forEach(field => { updated[field] = changes[field]; });
+
+    const rules = validateRules(updated);
+    const saved = Object.fromEntries(FIELDS
+        .filter(field => JSON.stringify(rules[field]) !== JSON.stringify(config.scheduling[field]))
+        .map(field => [field, rules[field]]));
+
+    userPreferences.setPreference(userId, 'scheduling', Object.keys(saved).length > 0 ? saved : null);
+    return rules;
+}
+
+/**
+ * Mudanças pedidas na conversa (intenção set_scheduling_preferences) no formato das regras
+ * Blocos de foco são acrescentados aos atuais; clear_focus troca todos pelos do pedido
+ * @param {Object} intent
+ * @param {Object} current - Regras atuais do usuário
+ * @returns {Object}
+ */
+function changesFromIntent(intent, current) {
+    let focusBlocks;
+    if (intent.clear_focus) focusBlocks = intent.focus_blocks || [];
+    else if (intent.focus_blocks?.length) focusBlocks = [...current.focusBlocks, ...intent.focus_blocks];
+
+    return {
+        workDays: intent.work_days,
+        workStart: intent.work_start,
+        workEnd: intent.work_end,
+        lunchStart: intent.no_lunch ? null : intent.lunch_start,
+        lunchEnd: intent.no_lunch ? null : intent.lunch_end,
+        bufferMinutes: intent.buffer_minutes,
+        // 0 = tirar o limite
+        maxMeetingsPerDay: intent.max_meetings_per_day === 0 ? null : intent.max_meetings_per_day,
+        focusBlocks
+    };
+}
+
+function resetRules(userId) {
+    userPreferences.setPreference(userId, 'scheduling', null);
+}
+
+/**
+ * O intervalo [start, end] cai no expediente do dia (dia útil, entre o início e o fim)
+ * @param {DateTime} start
+ * @param {DateTime} end
+ * @param {Object} rules
+ * @returns {boolean}
+ */
+function isWithinWorkHours(start, end, rules) {
+    const dayStart = start.startOf('day');
+    return rules.workDays.includes(start.weekday) &&
+        start >= dayStart.plus({ minutes: toMinutes(rules.workStart) }) &&
+        end <= dayStart.plus({ minutes: toMinutes(rules.workEnd) });
+}
+
+/**
+ * Janelas livres de um dia, em milissegundos
+ * Expediente menos passado, almoço, blocos de foco e compromissos (com o intervalo antes e depois)
+ * @param {DateTime} day - Dia procurado (fuso do usuário)
+ * @param {Array<Array<number>>} busy - Ocupação [[início, fim]] em ms
+ * @param {Object} options
+ * @param {Object} options.rules - Regras do usuário
+ * @param {string} options.period - 'morning' (até o almoço) | 'afternoon' (depois do almoço)
+ * @returns {Array<Array<number>>} [[início, fim]] em ordem
+ */
+function getFreeWindows(day, busy, { rules, period = null }) {
+    const at = time => day.startOf('day').plus({ minutes: toMinutes(time) }).toMillis();
+    const buffer = rules.bufferMinutes * 60 * 1000;
+
+    let start = Math.max(at(rules.workStart), Date.now());
+    let end = at(rules.workEnd);
+    // Sem almoço, o turno vira ao meio-dia
+    if (period === 'morning') end = Math.min(end, at(rules.lunchStart || '12:00'));
+    if (period === 'afternoon') start = Math.max(start, at(rules.lunchEnd || '12:00'));
+
+    const blocked = [
+        ...(rules.lunchStart && rules.lunchEnd ? [[at(rules.lunchStart), at(rules.lunchEnd)]] : []),
+        ...rules.focusBlocks.filter(block => block.days.includes(day.weekday)).map(block => [at(block.start), at(block.end)]),
+        ...busy.map(([busyStart, busyEnd]) => [busyStart - buffer, busyEnd + buffer])
+    ];
+
+    let windows = end > start ? [[start, end]] : [];
+    for (const [blockStart, blockEnd] of blocked) {
+        windows = windows.flatMap(([windowStart, windowEnd]) => {
+            if (blockEnd <= windowStart || blockStart >= windowEnd) return [[windowStart, windowEnd]];
+            return [[windowStart, blockStart], [blockEnd, windowEnd]].filter(([s, e]) => e > s);
+        });
+    }
+    return windows.sort((a, b) => a[0] - b[0]);
+}
+
+// "seg, ter, qua" no idioma do usuário
+function formatDays(days) {
+    const monday = DateTime.now().setLocale(i18n.getLocale()).startOf('week');
+    return days.map(day => monday.plus({ days: day - 1 }).toFormat('ccc')).join(', ');
+}
+
+/**
+ * Resumo das regras para o /expediente
+ * @param {Object} rules
+ * @returns {string}
+ */
+function formatRules(rules) {
+    const focus = rules.focusBlocks.length > 0
+        ? rules.focusBlocks.map(block => `${formatDays(block.days)} ${block.start}–${block.end}`).join('; ')
+        : t('schedulingRules.none');
+
+    return [
+        t('schedulingRules.title'),
+        '',
+        t('schedulingRules.workDays', { days: formatDays(rules.workDays) }),
+        t('schedulingRules.workHours', { start: rules.workStart, end: rules.workEnd }),
+        rules.lunchStart
+            ? t('schedulingRules.lunch', { start: rules.lunchStart, end: rules.lunchEnd })
+            : t('schedulingRules.noLunch'),
+        rules.bufferMinutes > 0
+            ? t('schedulingRules.buffer', { count: rules.bufferMinutes })
+            : t('schedulingRules.noBuffer'),
+        t('schedulingRules.focus', { blocks: focus }),
+        rules.maxMeetingsPerDay
+            ? t('schedulingRules.maxMeetings', { count: rules.maxMeetingsPerDay })
+            : t('schedulingRules.noMaxMeetings'),
+        '',
+        t('schedulingRules.hint')
+    ].join('\n');
+}
+
+module.exports = {
+    toMinutes,
+    getRules,
+    updateRules,
+    changesFromIntent,
+    resetRules,
+    validateRules,
+    isWithinWorkHours,
+    getFreeWindows,
+    formatRules
+};
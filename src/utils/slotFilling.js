@@ -0,0 +1,161 @@
+/**
+ * Slot Filling
+ * Completa pedidos incompletos em vários turnos ("Reunião amanhã" → "Qual o horário?" → "às 15h")
+ * - Campos obrigatórios vêm dos schemas zod (validation.js) + os que o bot precisa para executar
+ * - A intenção parcial fica no ctx.session (ver index.js) até ser completada, cancelada ou expirar
+ */
+
+const { schemas, TIPO_ALIASES } = require('./validation');
+const config = require('../config');
+const { t, getLanguage } = require('./i18n');
+
+// Campos que o schema aceita sem, mas sem os quais a ação não faz sentido
+const EXTRA_REQUIRED = {
+    create_event: ['summary', 'start']
+};
+
+// Campos de texto livre: a resposta do usuário entra direto, sem passar pela IA
+const FREE_TEXT_SLOTS = ['summary', 'name', 'title', 'message', 'list', 'list_query', 'member', 'checklist_name', 'item', 'comment', 'text', 'key', 'value', 'email'];
+
+// Perguntas por campo (com o tipo, quando o mesmo campo muda de sentido): chaves slots.* do catálogo
+const QUESTIONS = ['create_event.start', 'create_event.summary', 'find_meeting_time.attendees', 'trello_create.name', 'trello_move.list', 'task_create.title', 'query', 'start', 'email', 'member', 'due'];
+
+const CANCEL_WORDS = ['cancelar', 'cancela', 'cancel', 'deixa', 'deixa pra la', 'deixa para la', 'esquece', 'esquece isso', 'nada'];
+
+const normalize = str => str.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[.!]+$/, '').trim();
+
+function getSchema(tipo) {
+    return schemas[TIPO_ALIASES[tipo] || tipo] || schemas[tipo];
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '') ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Campos obrigatórios do tipo (na ordem do schema)
+ * @param {string} tipo
+ * @returns {string[]}
+ */
+function getRequiredSlots(tipo) {
+    const schema = getSchema(tipo);
+    if (!schema?.shape) return [];
+
+    const required = Object.entries(schema.shape)
+        .filter(([key, field]) => key !== 'tipo' && !field.safeParse(undefined).success)
+        .map(([key]) => key);
+
+    const extra = (EXTRA_REQUIRED[TIPO_ALIASES[tipo] || tipo] || []).filter(key => !required.includes(key));
+    return [...required, ...extra];
+}
+
+/**
+ * Campos obrigatórios que faltam na intenção
+ * @param {Object} intent
+ * @returns {string[]}
+ */
+function getMissingSlots(intent) {
+    // Resposta de chat nunca vira pergunta
+    if (!intent?.tipo || intent.tipo === 'chat') return [];
+    return getRequiredSlots(intent.tipo).filter(key => isEmpty(intent[key]));
+}
+
+/**
+ * Pergunta para o próximo campo que falta
+ * Sem pergunta cadastrada, usa a descrição do campo no schema
+ */
+function getQuestion(tipo, slot) {
+    const canonical = TIPO_ALIASES[tipo] || tipo;
+    const questionKey = [`${canonical}.${slot}`, slot].find(key => QUESTIONS.includes(key));
+    if (questionKey) return t(`slots.${questionKey}`);
+
+    // Descrições dos schemas são em português: nos outros idiomas pergunta pelo nome do campo
+    const description = getLanguage() === 'pt-BR' ? getSchema(tipo)?.shape?.[slot]?.description : null;
+    return description
+        ? t('slots.missingDescribed', { description: description.split(/[.(]/)[0].trim().toLowerCase() })
+        : t('slots.missingField', { field: slot });
+}
+
+/**
+ * Cria o pedido pendente que vai para o ctx.session
+ * @param {Object} intent - Intenção parcial
+ * @param {string} utterance - Mensagem original (a IA usa para completar datas relativas etc.)
+ * @returns {Object} { intent, missing, utterance, question, expiresAt }
+ */
+function createPending(intent, utterance = '') {
+    const missing = getMissingSlots(intent);
+    return {
+        intent,
+        missing,
+        utterance,
+        question: getQuestion(intent.tipo, missing[0]),
+        expiresAt: Date.now() + config.slotFilling.timeoutMs
+    };
+}
+
+function isExpired(pending) {
+    return !pending || pending.expiresAt < Date.now();
+}
+
+function isCancel(text) {
+    return CANCEL_WORDS.includes(normalize(text || ''));
+}
+
+/**
+ * Tenta preencher o próximo campo direto com o texto da resposta (só campos de texto livre)
+ * @returns {Object|null} Intenção com o campo preenchido ou null se precisar da IA
+ */
+function fillFromText(pending, text) {
+    const slot = pending.missing[0];
+    const value = (text || '').trim();
+    if (!FREE_TEXT_SLOTS.includes(slot) || !value) return null;
+
+    const field = getSchema(pending.intent.tipo)?.shape?.[slot];
+    if (field && !field.safeParse(value).success) return null;
+
+    return { ...pending.intent, [slot]: value };
+}
+
+/**
+ * Junta a intenção pendente com a resposta interpretada pela IA (campos novos vencem)
+ * Campos vazios da resposta não apagam os já conhecidos
+ */
+function mergeIntent(pendingIntent, answerIntent) {
+    const merged = { ...pendingIntent };
+    for (const [key, value] of Object.entries(answerIntent)) {
+        if (!isEmpty(value)) merged[key] = value;
+    }
+    return merged;
+}
+
+/**
+ * Contexto do pedido pendente para o prompt do sistema
+ * @param {Object} pending
+ * @returns {string}
+ */
+function describeForPrompt(pending) {
+    if (!pending) return '';
+    const { tipo, ...known } = pending.intent;
+    return [
+        'PEDIDO PENDENTE (o usuário está respondendo a uma pergunta sua):',
+        `- Pedido original: "${pending.utterance}"`,
+        `- Ação: ${tipo} com ${JSON.stringify(known)}`,
+        `- Faltando: ${pending.missing.join(', ')}`,
+        `- Pergunta feita: "${pending.question}"`,
+        `Se a mensagem responder à pergunta, chame ${tipo} com TODOS os campos (os já conhecidos + os novos, ` +
+        'resolvendo datas relativas pelo pedido original). Se for outro assunto, ignore o pedido pendente.'
+    ].join('\n');
+}
+
+module.exports = {
+    getRequiredSlots,
+    getMissingSlots,
+    getQuestion,
+    createPending,
+    isExpired,
+    isCancel,
+    fillFromText,
+    mergeIntent,
+    describeForPrompt
+};
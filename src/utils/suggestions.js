@@ -4,6 +4,14 @@
  */
 
 const { Markup } = require('telegraf');
+const { t } = require('./i18n');
+
+// Títulos que merecem lembrete extra, nos três idiomas (o título vem como o usuário escreveu)
+const IMPORTANT_KEYWORDS = [
+    'reunião', 'entrevista', 'apresentação', 'prazo',
+    'meeting', 'interview', 'presentation', 'deadline',
+    'reunión', 'presentación', 'plazo'
+];
 
 /**
  * Gera sugestões após criar um evento
@@ -12,36 +20,29 @@ const { Markup } = require('telegraf');
  * @returns {Object} - { message, keyboard }
  */
 function getEventSuggestions(event, eventData) {
-    const suggestions = [];
     const buttons = [];
 
     // Se não tem Meet, sugere adicionar
     if (!event.hangoutLink && !eventData.online) {
-        suggestions.push('📹 Adicionar link do Meet');
-        buttons.push(Markup.button.callback('📹 Add Meet', `event_add_meet:${event.id}`));
+        buttons.push(Markup.button.callback(t('suggestions.addMeet'), `event_add_meet:${event.id}`));
     }
 
     // Se não tem descrição, sugere adicionar
     if (!eventData.description) {
-        suggestions.push('📝 Adicionar descrição');
-        buttons.push(Markup.button.callback('📝 Descrição', `suggest_add_desc:${event.id}`));
+        buttons.push(Markup.button.callback(t('suggestions.description'), `suggest_add_desc:${event.id}`));
     }
 
     // Se não tem local e não é online, sugere definir local
     if (!eventData.location && !event.hangoutLink) {
-        suggestions.push('📍 Definir local');
-        buttons.push(Markup.button.callback('📍 Local', `suggest_add_location:${event.id}`));
+        buttons.push(Markup.button.callback(t('suggestions.location'), `suggest_add_location:${event.id}`));
     }
 
     // Sugere criar lembrete extra para eventos importantes (baseado em palavras-chave)
-    const importantKeywords = ['reunião', 'meeting', 'entrevista', 'apresentação', 'deadline'];
-    const isImportant = importantKeywords.some(kw =>
-        (eventData.summary || '').toLowerCase().includes(kw)
-    );
+    const summary = (eventData.summary || '').toLowerCase();
+    const isImportant = IMPORTANT_KEYWORDS.some(kw => summary.includes(kw));
 
     if (isImportant) {
-        suggestions.push('⏰ Lembrete extra (1h antes)');
-        buttons.push(Markup.button.callback('⏰ +Lembrete', `suggest_extra_reminder:${event.id}`));
+        buttons.push(Markup.button.callback(t('suggestions.extraReminder'), `suggest_extra_reminder:${event.id}`));
     }
 
 
@@ -57,7 +58,7 @@ function getEventSuggestions(event, eventData) {
     }
 
     return {
-        message: '💡 _Sugestões:_',
+        message: t('suggestions.title'),
         keyboard: Markup.inlineKeyboard(rows)
     };
 }
@@ -73,21 +74,21 @@ function getTrelloSuggestions(card, cardData) {
 
     // Se não tem checklist, sugere adicionar
     if (!cardData.checklist || cardData.checklist.length === 0) {
-        buttons.push(Markup.button.callback('☑️ Add Checklist', `suggest_trello_checklist:${card.id}`));
+        buttons.push(Markup.button.callback(t('suggestions.addChecklist'), `suggest_trello_checklist:${card.id}`));
     }
 
     // Se não tem prazo, sugere definir
     if (!cardData.due) {
-        buttons.push(Markup.button.callback('📅 Definir Prazo', `suggest_trello_due:${card.id}`));
+        buttons.push(Markup.button.callback(t('suggestions.setDue'), `suggest_trello_due:${card.id}`));
     }
 
     // Se não tem descrição, sugere adicionar
     if (!cardData.desc) {
-        buttons.push(Markup.button.callback('📝 Add Descrição', `suggest_trello_desc:${card.id}`));
+        buttons.push(Markup.button.callback(t('suggestions.addDescription'), `suggest_trello_desc:${card.id}`));
     }
 
     // Sugere adicionar etiqueta
-    buttons.push(Markup.button.callback('🏷️ Add Etiqueta', `suggest_trello_label:${card.id}`));
+    buttons.push(Markup.button.callback(t('suggestions.addLabel'), `suggest_trello_label:${card.id}`));
 
     if (buttons.length === 0) {
         return null;
@@ -99,7 +100,7 @@ function getTrelloSuggestions(card, cardData) {
     }
 
     return {
-        message: '💡 _Quer completar o card?_',
+        message: t('suggestions.cardTitle'),
         keyboard: Markup.inlineKeyboard(rows)
     };
 }
@@ -110,8 +111,8 @@ function getTrelloSuggestions(card, cardData) {
 function getConflictButtons(eventData, suggestions) {
     const buttons = [
         [
-            Markup.button.callback('✅ Forçar Agendamento', 'conflict_force'),
-            Markup.button.callback('❌ Cancelar', 'conflict_cancel')
+            Markup.button.callback(t('suggestions.forceSchedule'), 'conflict_force'),
+            Markup.button.callback(t('common.cancel'), 'conflict_cancel')
         ]
     ];
 
@@ -127,14 +128,18 @@ function getConflictButtons(eventData, suggestions) {
 }
 
 /**
- * Botões para perguntar sobre recorrência
+ * Botões para perguntar o escopo de uma alteração em evento recorrente
+ * callback_data: rec_scope:<ação>:<escopo>:<ref> (códigos curtos por causa do limite de 64 bytes)
+ * O ID da ocorrência fica na sessão (ref); o ID completo pode passar do limite
+ * @param {number} ref - Referência da ocorrência na sessão
+ * @param {string} action - 'e' (menu de edição), 'd' (cancelar evento) ou 'u' (atualização pendente)
  */
-function getRecurrenceButtons(eventId) {
+function getRecurrenceButtons(ref, action = 'e') {
     return Markup.inlineKeyboard([
-        [
-            Markup.button.callback('📅 Só esta vez', `recurrence_single:${eventId}`),
-            Markup.button.callback('🔄 Todas as vezes', `recurrence_all:${eventId}`)
-        ]
+        [Markup.button.callback(t('suggestions.scopeSingle'), `rec_scope:${action}:s:${ref}`)],
+        [Markup.button.callback(t('suggestions.scopeFollowing'), `rec_scope:${action}:f:${ref}`)],
+        [Markup.button.callback(t('suggestions.scopeAll'), `rec_scope:${action}:a:${ref}`)],
+        [Markup.button.callback(t('common.cancel'), 'rec_scope_cancel')]
     ]);
 }
 
@@ -0,0 +1,146 @@
+/**
+ * Token Store
+ * Guarda os tokens OAuth do Google de cada usuário, criptografados em disco (AES-256-GCM)
+ * A chave vem de TOKEN_ENCRYPTION_KEY e nunca é gravada junto com os dados
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data'));
+const TOKENS_FILE = path.join(DATA_DIR, 'google_tokens.json');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Registros criptografados em memória: { userId: { iv, tag, data, updatedAt } }
+let records = {};
+
+function loadRecords() {
+    try {
+        if (fs.existsSync(TOKENS_FILE)) {
+            records = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf-8'));
+            log.info('Tokens Google por usuário carregados', { users: Object.keys(records).length });
+        }
+    } catch (e) {
+        log.error('Erro ao carregar tokens Google', { error: e.message });
+        records = {};
+    }
+}
+
+// Escrita atômica: grava em arquivo temporário e renomeia (evita arquivo corrompido em crash)
+function saveRecords() {
+    try {
+        if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+        const tmpFile = `${TOKENS_FILE}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(records, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpFile, TOKENS_FILE);
+    } catch (e) {
+        log.error('Erro ao salvar tokens Google', { error: e.message });
+    }
+}
+
+function getKey() {
+    const secret = process.env.TOKEN_ENCRYPTION_KEY;
+    if (!secret) {
+        throw new Error('TOKEN_ENCRYPTION_KEY não configurada');
+    }
+    // Normaliza qualquer segredo para 32 bytes
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encrypt(payload) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf-8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function decrypt(record) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(record.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(record.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf-8'));
+}
+
+/**
+ * Indica se a criptografia está configurada (pré-requisito para conectar contas)
+ * @returns {boolean}
+ */
+function isEncryptionConfigured() {
+    return !!process.env.TOKEN_ENCRYPTION_KEY;
+}
+
+/**
+ * Salva (ou atualiza) os tokens de um usuário
+ * O Google só devolve refresh_token no primeiro consentimento: se vier sem, mantém o anterior
+ * @param {string} userId
+ * @param {Object} tokens - Credenciais do OAuth2Client
+ */
+function saveUserTokens(userId, tokens) {
+    const id = String(userId);
+    const previous = getUserTokens(id) || {};
+    const merged = { ...previous, ...tokens };
+    if (!tokens.refresh_token && previous.refresh_token) {
+        merged.refresh_token = previous.refresh_token;
+    }
+
+    records[id] = { ...encrypt(merged), updatedAt: new Date().toISOString() };
+    saveRecords();
+    log.info('Tokens Google salvos', { userId: id, offlineAccess: !!merged.refresh_token });
+}
+
+/**
+ * Retorna os tokens descriptografados de um usuário
+ * @param {string} userId
+ * @returns {Object|null} Credenciais ou null se não houver (ou se não for possível descriptografar)
+ */
+function getUserTokens(userId) {
+    const record = records[String(userId)];
+    if (!record) return null;
+
+    try {
+        return decrypt(record);
+    } catch (e) {
+        log.error('Não foi possível descriptografar tokens Google', { userId: String(userId), error: e.message });
+        return null;
+    }
+}
+
+/**
+ * Indica se o usuário tem uma conta Google conectada
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function hasUserTokens(userId) {
+    return !!records[String(userId)];
+}
+
+/**
+ * Remove os tokens de um usuário
+ * @param {string} userId
+ */
+function deleteUserTokens(userId) {
+    const id = String(userId);
+    if (!records[id]) return false;
+    delete records[id];
+    saveRecords();
+    log.info('Tokens Google removidos', { userId: id });
+    return true;
+}
+
+// Carrega na inicialização
+loadRecords();
+
+module.exports = {
+    isEncryptionConfigured,
+    saveUserTokens,
+    getUserTokens,
+    hasUserTokens,
+    deleteUserTokens
+};
@@ -3,17 +3,29 @@
  * Garante que os cards sejam exibidos de forma limpa e sem quebrar o Markdown
  */
 
+const { t } = require('./i18n');
+
 /**
  * Limpa o nome do card para evitar quebrar o Markdown do Telegram
  * @param {string} name 
  * @returns {string}
  */
 function cleanTrelloName(name) {
-    if (!name) return 'Sem título';
+    if (!name) return t('dates.untitled');
     // Remove caracteres que podem quebrar a formatação Markdown (brackets, parenteses, bold/italics markers)
     return name.replace(/[\[\]\(\)\*_`]/g, '').trim();
 }
 
+/**
+ * Escapa texto livre (comentários, nomes de pessoas e listas) para o Markdown do Telegram
+ * Só vale fora de negrito/links: dentro deles, use cleanTrelloName
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return String(text || '').replace(/([_*`\[])/g, '\\$1');
+}
+
 /**
  * Gera um snippet da descrição do card, limpando markdown e quebras de linha
  * Preserva informações úteis como pendências e observações
@@ -93,6 +105,7 @@ function formatTrelloCardListItem(card, options = {}) {
         showDesc = true,
         descLength = 120,
         showEmoji = true,
+        showBoard = false,
         isClosed = false
     } = options;
 
@@ -102,6 +115,11 @@ function formatTrelloCardListItem(card, options = {}) {
 
     let line = `   ${emoji}[${name}](${url})`;
 
+    // Só cards de resumos multi-board trazem boardName
+    if (showBoard && card.boardName) {
+        line += ` · 🗂️ ${cleanTrelloName(card.boardName)}`;
+    }
+
     if (showDesc && card.desc) {
         const snippet = cleanTrelloDesc(card.desc, descLength);
         if (snippet) {
@@ -145,6 +163,7 @@ function splitTelegramMessage(message, maxLength = 4000) {
 
 module.exports = {
     cleanTrelloName,
+    escapeMarkdown,
     cleanTrelloDesc,
     formatTrelloCardListItem,
     splitTelegramMessage
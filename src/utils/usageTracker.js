@@ -0,0 +1,275 @@
+/**
+ * Usage Tracker
+ * Contabiliza tokens e custo estimado da IA por usuário, por dia, por tipo de intenção e por modelo
+ * Persiste em disco (sobrevive a deploys) e aplica os orçamentos do config.usage.budgets
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { log, getContext } = require('./logger');
+const config = require('../config');
+const { t } = require('./i18n');
+
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data'));
+const USAGE_FILE = path.join(DATA_DIR, 'usage.json');
+
+// Uso em memória: { userId: { days: { 'yyyy-MM-dd': bucket }, notices: { chave: true } } }
+let usage = {};
+
+function loadUsage() {
+    try {
+        if (fs.existsSync(USAGE_FILE)) {
+            usage = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf-8'));
+            log.info('Uso da IA carregado', { users: Object.keys(usage).length });
+        }
+    } catch (e) {
+        log.error('Erro ao carregar uso da IA', { error: e.message });
+        usage = {};
+    }
+}
+
+function saveUsage() {
+    try {
+        if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(USAGE_FILE, JSON.stringify(usage, null, 2));
+    } catch (e) {
+        log.error('Erro ao salvar uso da IA', { error: e.message });
+    }
+}
+
+function emptyTotals() {
+    return { requests: 0, promptTokens: 0, cachedTokens: 0, candidateTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function addTotals(target, source) {
+    // Dias gravados antes de um campo existir (ex: cachedTokens) começam do zero
+    Object.keys(emptyTotals()).forEach(key => { target[key] = (target[key] || 0) + (source[key] || 0); });
+    return target;
+}
+
+function now() {
+    return DateTime.now().setZone(config.timezone);
+}
+
+/**
+ * Preço do modelo (US$ por 1M tokens), pelo prefixo mais longo do config.usage.pricing
+ * @returns {{ input: number, output: number }|null} null se o modelo não tiver preço configurado
+ */
+function getModelPricing(model = '') {
+    const key = Object.keys(config.usage.pricing)
+        .filter(prefix => model.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? config.usage.pricing[key] : null;
+}
+
+/**
+ * Custo estimado de uma chamada
+ * Tokens lidos do cache de contexto (parte do promptTokens) saem pelo config.usage.cachedInputRatio
+ * @param {string} model
+ * @param {Object} callUsage - { promptTokens, cachedTokens, candidateTokens }
+ * @returns {number} US$
+ */
+function estimateCost(model, callUsage = {}) {
+    const pricing = getModelPricing(model);
+    if (!pricing) return 0;
+    const cached = Math.min(callUsage.cachedTokens || 0, callUsage.promptTokens || 0);
+    const input = ((callUsage.promptTokens || 0) - cached + cached * config.usage.cachedInputRatio) * pricing.input;
+    return (input + (callUsage.candidateTokens || 0) * pricing.output) / 1e6;
+}
+
+function pruneOldDays(entry) {
+    const cutoff = now().minus({ days: config.usage.retentionDays }).toFormat('yyyy-MM-dd');
+    Object.keys(entry.days).forEach(day => {
+        if (day < cutoff) delete entry.days[day];
+    });
+    const currentMonth = now().toFormat('yyyy-MM');
+    Object.keys(entry.notices).forEach(key => {
+        // Chave "nível:período:data": avisos de meses passados não servem mais
+        if (!key.split(':')[2].startsWith(currentMonth)) delete entry.notices[key];
+    });
+}
+
+/**
+ * Registra o uso de uma chamada ao LLM
+ * O consumo é dividido igualmente entre os tipos de intenção do turno
+ * @param {string} userId - Padrão: usuário do contexto da requisição
+ * @param {Object} data
+ * @param {Object} data.usage - { promptTokens, cachedTokens, candidateTokens, totalTokens }
+ * @param {string} data.model - Modelo que respondeu (para o preço)
+ * @param {string[]} data.tipos - Tipos de intenção do turno (ex: ['create_event']) ou rótulo interno
+ */
+function recordUsage(userId, { usage: callUsage, model, tipos = [] } = {}) {
+    if (!callUsage) return;
+    const id = String(userId || getContext().userId || 'sistema');
+
+    if (!usage[id]) usage[id] = { days: {}, notices: {} };
+    const entry = usage[id];
+    const day = now().toFormat('yyyy-MM-dd');
+    if (!entry.days[day]) entry.days[day] = { ...emptyTotals(), byTipo: {}, byModel: {} };
+    const bucket = entry.days[day];
+
+    const totals = {
+        requests: 1,
+        promptTokens: callUsage.promptTokens || 0,
+        cachedTokens: callUsage.cachedTokens || 0,
+        candidateTokens: callUsage.candidateTokens || 0,
+        totalTokens: callUsage.totalTokens || 0,
+        costUsd: estimateCost(model, callUsage)
+    };
+    addTotals(bucket, totals);
+
+    const modelKey = model || 'desconhecido';
+    bucket.byModel[modelKey] = addTotals(bucket.byModel[modelKey] || emptyTotals(), totals);
+
+    const labels = tipos.length > 0 ? tipos : ['outros'];
+    const share = {};
+    Object.keys(totals).forEach(key => { share[key] = totals[key] / labels.length; });
+    labels.forEach(tipo => {
+        bucket.byTipo[tipo] = addTotals(bucket.byTipo[tipo] || emptyTotals(), share);
+    });
+
+    if (!getModelPricing(modelKey)) {
+        log.debug('Modelo sem preço configurado (custo contado como zero)', { model: modelKey });
+    }
+
+    pruneOldDays(entry);
+    saveUsage();
+}
+
+/**
+ * Soma os dias de um usuário que começam com o prefixo (dia 'yyyy-MM-dd' ou mês 'yyyy-MM')
+ */
+function sumPeriod(entry, prefix) {
+    const result = { ...emptyTotals(), byTipo: {}, byModel: {} };
+    if (!entry) return result;
+
+    Object.entries(entry.days)
+        .filter(([day]) => day.startsWith(prefix))
+        .forEach(([, bucket]) => {
+            addTotals(result, bucket);
+            for (const group of ['byTipo', 'byModel']) {
+                Object.entries(bucket[group] || {}).forEach(([key, value]) => {
+                    result[group][key] = addTotals(result[group][key] || emptyTotals(), value);
+                });
+            }
+        });
+    return result;
+}
+
+/**
+ * Uso de um usuário: hoje, mês atual, mês anterior e os últimos dias
+ * @param {string} userId
+ * @param {Object} options
+ * @param {number} options.days - Quantos dias na lista diária (padrão: 7)
+ * @returns {Object} { today, month, previousMonth, daily: [{ day, ...totais }] }
+ */
+function getUserUsage(userId, { days = 7 } = {}) {
+    const entry = usage[String(userId)];
+    const today = now();
+
+    const daily = [];
+    for (let i = 0; i < days; i++) {
+        const day = today.minus({ days: i }).toFormat('yyyy-MM-dd');
+        const bucket = entry?.days[day];
+        daily.push({ day, ...(bucket ? addTotals(emptyTotals(), bucket) : emptyTotals()) });
+    }
+
+    return {
+        today: sumPeriod(entry, today.toFormat('yyyy-MM-dd')),
+        month: sumPeriod(entry, today.toFormat('yyyy-MM')),
+        previousMonth: sumPeriod(entry, today.minus({ months: 1 }).toFormat('yyyy-MM')),
+        daily
+    };
+}
+
+/**
+ * Uso somado de todos os usuários (para o /api)
+ * @returns {{ today: Object, month: Object, users: number }}
+ */
+function getGlobalUsage() {
+    const today = now();
+    const result = { today: emptyTotals(), month: emptyTotals(), users: Object.keys(usage).length };
+
+    Object.values(usage).forEach(entry => {
+        addTotals(result.today, sumPeriod(entry, today.toFormat('yyyy-MM-dd')));
+        addTotals(result.month, sumPeriod(entry, today.toFormat('yyyy-MM')));
+    });
+    return result;
+}
+
+/**
+ * Situação do usuário frente aos orçamentos (o limite mais grave vence)
+ * @param {string} userId
+ * @returns {{ level: 'ok'|'soft'|'hard', period: 'day'|'month'|null, spentUsd: number, limitUsd: number|null }}
+ */
+function getBudgetStatus(userId) {
+    const { dailySoftUsd, dailyHardUsd, monthlySoftUsd, monthlyHardUsd } = config.usage.budgets;
+    const entry = usage[String(userId)];
+    const today = now();
+    const spentToday = sumPeriod(entry, today.toFormat('yyyy-MM-dd')).costUsd;
+    const spentMonth = sumPeriod(entry, today.toFormat('yyyy-MM')).costUsd;
+
+    const checks = [
+        { level: 'hard', period: 'day', spentUsd: spentToday, limitUsd: dailyHardUsd },
+        { level: 'hard', period: 'month', spentUsd: spentMonth, limitUsd: monthlyHardUsd },
+        { level: 'soft', period: 'day', spentUsd: spentToday, limitUsd: dailySoftUsd },
+        { level: 'soft', period: 'month', spentUsd: spentMonth, limitUsd: monthlySoftUsd }
+    ];
+
+    const exceeded = checks.find(check => check.limitUsd && check.spentUsd >= check.limitUsd);
+    return exceeded || { level: 'ok', period: null, spentUsd: spentToday, limitUsd: null };
+}
+
+/**
+ * Indica se o usuário deve usar o modelo econômico (passou de um limite rígido)
+ */
+function shouldUseEconomyModel(userId) {
+    return getBudgetStatus(userId).level === 'hard';
+}
+
+/**
+ * Aviso de orçamento para o usuário, uma vez por nível e período
+ * @param {string} userId
+ * @returns {string|null} Mensagem (Markdown) ou null se não houver nada novo a avisar
+ */
+function takeBudgetNotice(userId) {
+    const status = getBudgetStatus(userId);
+    if (status.level === 'ok') return null;
+
+    const id = String(userId);
+    const periodKey = status.period === 'day' ? now().toFormat('yyyy-MM-dd') : now().toFormat('yyyy-MM');
+    const noticeKey = `${status.level}:${status.period}:${periodKey}`;
+    if (!usage[id]) usage[id] = { days: {}, notices: {} };
+    if (usage[id].notices[noticeKey]) return null;
+
+    usage[id].notices[noticeKey] = true;
+    saveUsage();
+    log.warn('Orçamento de IA atingido', { userId: id, ...status });
+
+    const spent = t('usage.spentOf', { spent: formatUsd(status.spentUsd), limit: formatUsd(status.limitUsd) });
+    if (status.level === 'hard') {
+        return t('usage.noticeHard', { period: t(status.period === 'day' ? 'usage.periodDay' : 'usage.periodMonth'), spent });
+    }
+    return t(status.period === 'day' ? 'usage.noticeSoftDay' : 'usage.noticeSoftMonth', { spent });
+}
+
+/**
+ * Formata valor em dólar com precisão suficiente para centavos de centavo
+ */
+function formatUsd(value = 0) {
+    return value > 0 && value < 0.01 ? value.toFixed(4) : value.toFixed(2);
+}
+
+loadUsage();
+
+module.exports = {
+    recordUsage,
+    estimateCost,
+    getUserUsage,
+    getGlobalUsage,
+    getBudgetStatus,
+    shouldUseEconomyModel,
+    takeBudgetNotice,
+    formatUsd
+};
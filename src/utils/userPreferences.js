@@ -0,0 +1,93 @@
+/**
+ * Preferências por usuário
+ * Guarda configurações individuais (agendas habilitadas, etc.) em disco
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : path.join(__dirname, '../../data'));
+const PREFERENCES_FILE = path.join(DATA_DIR, 'user_preferences.json');
+
+// Preferências em memória: { userId: { chave: valor } }
+let preferences = {};
+
+// Carrega preferências do disco
+function loadPreferences() {
+    try {
+        if (fs.existsSync(PREFERENCES_FILE)) {
+            const data = fs.readFileSync(PREFERENCES_FILE, 'utf-8');
+            preferences = JSON.parse(data);
+            log.info('Preferências de usuários carregadas', { users: Object.keys(preferences).length });
+        }
+    } catch (e) {
+        log.error('Erro ao carregar preferências de usuários', { error: e.message });
+        preferences = {};
+    }
+}
+
+// Salva preferências no disco
+function savePreferences() {
+    try {
+        if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(PREFERENCES_FILE, JSON.stringify(preferences, null, 2));
+    } catch (e) {
+        log.error('Erro ao salvar preferências de usuários', { error: e.message });
+    }
+}
+
+/**
+ * Lê uma preferência do usuário
+ * @param {string} userId
+ * @param {string} key - Nome da preferência
+ * @param {any} defaultValue - Valor retornado se não existir
+ * @returns {any}
+ */
+function getPreference(userId, key, defaultValue = null) {
+    const userPrefs = preferences[String(userId)];
+    if (!userPrefs || userPrefs[key] === undefined) return defaultValue;
+    return userPrefs[key];
+}
+
+/**
+ * Define uma preferência do usuário (persiste imediatamente)
+ * @param {string} userId
+ * @param {string} key
+ * @param {any} value - undefined/null remove a preferência
+ */
+function setPreference(userId, key, value) {
+    const id = String(userId);
+    if (!preferences[id]) preferences[id] = {};
+
+    if (value === undefined || value === null) {
+        delete preferences[id][key];
+    } else {
+        preferences[id][key] = value;
+    }
+
+    savePreferences();
+    log.debug('Preferência atualizada', { userId: id, key });
+}
+
+/**
+ * Retorna o valor de uma preferência para todos os usuários que a definiram
+ * @param {string} key
+ * @returns {Object} { userId: valor }
+ */
+function getPreferenceForAllUsers(key) {
+    const result = {};
+    for (const [userId, userPrefs] of Object.entries(preferences)) {
+        if (userPrefs[key] !== undefined) result[userId] = userPrefs[key];
+    }
+    return result;
+}
+
+// Carrega na inicialização
+loadPreferences();
+
+module.exports = {
+    getPreference,
+    setPreference,
+    getPreferenceForAllUsers
+};
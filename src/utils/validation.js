@@ -5,189 +5,437 @@
 
 const { z } = require('zod');
 const { log } = require('./logger');
+const { validateRecurrence } = require('./rrule');
 
 // Schema base para todas as respostas
 const baseSchema = z.object({
     tipo: z.string()
 }).passthrough();
 
+// Campos reaproveitados
+// As descrições (.describe) viram a documentação das funções do Gemini (ver aiTools.js)
+const querySchema = z.string().min(1, 'Query de busca é obrigatória');
+const cardQuerySchema = querySchema.describe('Nome (ou número, ex: "02") do card. Seja ESPECÍFICO');
+const eventQuerySchema = querySchema.describe('Texto para achar o evento. Seja ESPECÍFICO ("reunião João", não só "reunião")');
+const dateSchema = z.string().describe('Data YYYY-MM-DD');
+const dateTimeSchema = z.string().describe('Data/hora ISO 8601 ("YYYY-MM-DDTHH:mm:ss") ou só a data ("YYYY-MM-DD") para dia inteiro');
+const targetDateSchema = dateSchema.describe('Data específica (YYYY-MM-DD). OBRIGATÓRIA quando o usuário cita um dia que não é hoje ("amanhã", "sexta", "dia 15")');
+const listQuerySchema = z.string().describe('Nome da lista do Trello (ex: "A Fazer"), sem parênteses ou qualificadores');
+
 // Schema para eventos do Calendar
 const eventSchema = z.object({
     tipo: z.enum(['create_event', 'evento']),
-    summary: z.string().min(1, 'Título do evento é obrigatório'),
-    start: z.string().optional(),
-    end: z.string().optional(),
+    // Obrigatório (slotFilling), exceto com modelo: o título vem do modelo
+    summary: z.string().min(1, 'Título do evento é obrigatório').optional().describe('Título do evento. Com `template`, OMITA se o usuário não disser outro título'),
+    template: z.string().optional().describe('Modelo de evento citado (lista em MODELOS DE EVENTO, no contexto): "agenda uma visita de obra sexta 10h" → "Visita de obra". Com modelo, envie só o que o usuário disse (normalmente só `start`): título, duração, local e convidados vêm do modelo'),
+    start: dateTimeSchema.optional(),
+    end: dateTimeSchema.optional().describe('Fim do evento. Sem duração informada: reunião/aula/almoço 1h, consulta 30 min'),
     description: z.string().optional(),
     location: z.string().optional(),
-    online: z.boolean().optional(),
-    attendees: z.array(z.string().email()).optional(),
-    recurrence: z.array(z.string()).optional(),
-});
+    online: z.boolean().optional().describe('true para criar link do Google Meet'),
+    attendees: z.array(z.string().email()).optional().describe('E-mails dos convidados'),
+    recurrence: z.array(z.string()).optional().superRefine((recurrence, ctx) => {
+        if (!recurrence || recurrence.length === 0) return;
+        const result = validateRecurrence(recurrence);
+        if (!result.valid) ctx.addIssue({ code: 'custom', message: `Recorrência inválida: ${result.error}` });
+    }).describe('Regras RRULE (ex: ["RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261215"])'),
+    priority: z.string().optional().describe('"high" ou "medium" quando o pedido for urgente/importante'),
+    calendar_query: z.string().optional().describe('Nome da agenda quando o usuário cita uma ("na agenda da obra" → "obra")'), // Nome da agenda de destino (ex: "obra")
+    all_occurrences: z.boolean().optional(),
+}).describe('Criar evento no Google Calendar (compromisso com data e hora)');
+
+const templateCreateSchema = z.object({
+    tipo: z.literal('template_create'),
+    name: z.string().min(1, 'Nome do modelo é obrigatório').describe('Nome do modelo, como o usuário vai citá-lo ("Visita de obra", "1:1")'),
+    summary: z.string().optional().describe('Título dos eventos, só se for diferente do nome'),
+    duration: z.number().int().min(5).max(24 * 60).optional().describe('Duração em minutos ("2h" → 120)'),
+    location: z.string().optional().describe('Local ou endereço'),
+    description: z.string().optional(),
+    attendees: z.array(z.string().email()).optional().describe('E-mails de quem é sempre convidado'),
+    online: z.boolean().optional().describe('true para criar link do Google Meet'),
+}).describe('Criar ou atualizar um modelo de evento ("cria um modelo Visita de obra: 2h, na Rua das Flores 100, convidando eng@obra.com")');
+
+const templateListSchema = z.object({
+    tipo: z.literal('template_list'),
+}).describe('Listar os modelos de evento do usuário');
+
+const templateDeleteSchema = z.object({
+    tipo: z.literal('template_delete'),
+    name: z.string().min(1, 'Nome do modelo é obrigatório').describe('Nome do modelo'),
+}).describe('Apagar um modelo de evento');
 
 const listEventsSchema = z.object({
     tipo: z.literal('list_events'),
-    period: z.enum(['day', 'week', 'month']).optional().default('day'),
-});
+    period: z.enum(['day', 'week', 'month']).optional().default('day').describe('Período a partir da data alvo'),
+    target_date: targetDateSchema.optional(),
+    calendar_query: z.string().optional().describe('Nome da agenda para filtrar ("agenda da família" → "família")'),
+}).describe('Listar eventos da agenda ("o que tenho amanhã?", "agenda da semana")');
+
+// Escopo em eventos recorrentes: só esta, esta e as seguintes, todas
+const recurrenceScopeSchema = z.enum(['single', 'following', 'all'])
+    .describe('Eventos recorrentes: "single" (só esta), "following" (esta e as próximas), "all" (todas). Se o usuário não deixar claro, OMITA');
 
 const updateEventSchema = z.object({
     tipo: z.literal('update_event'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-    target_date: z.string().optional(),
-    summary: z.string().optional(),
-    start: z.string().optional(),
-    end: z.string().optional(),
+    query: eventQuerySchema,
+    target_date: targetDateSchema.optional(),
+    summary: z.string().optional().describe('Novo título'),
+    start: dateTimeSchema.optional().describe('Novo início'),
+    end: dateTimeSchema.optional().describe('Novo fim'),
     description: z.string().optional(),
     location: z.string().optional(),
-});
+    scope: recurrenceScopeSchema.optional(),
+    all_occurrences: z.boolean().optional(),
+}).describe('Alterar um evento existente (horário, título, local...)');
 
 const deleteEventSchema = z.object({
     tipo: z.enum(['delete_event', 'complete_event']),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-    target_date: z.string().optional(),
+    query: eventQuerySchema,
+    target_date: targetDateSchema.optional(),
+    scope: recurrenceScopeSchema.optional(),
+    all_occurrences: z.boolean().optional(),
+}).describe('Apagar/cancelar um evento');
+
+const completeEventSchema = deleteEventSchema.extend({
+    tipo: z.literal('complete_event'),
+}).describe('Marcar um evento como concluído (adiciona ✅ no título)');
+
+const checkAvailabilitySchema = z.object({
+    tipo: z.literal('check_availability'),
+    target_date: targetDateSchema.optional(),
+    period: z.enum(['morning', 'afternoon', 'day']).optional(),
+}).describe('Verificar horários livres/ocupados de um dia');
+
+const smartScheduleSchema = z.object({
+    tipo: z.literal('smart_schedule'),
+    summary: z.string().min(1, 'Título do evento é obrigatório').describe('Título do evento'),
+    duration: z.number().optional().describe('Duração em minutos (padrão 60)'),
+    target_date: z.string().optional().describe('Data alvo (YYYY-MM-DD) ou "week" para a próxima semana'),
+    period: z.enum(['morning', 'afternoon']).optional().describe('Preferência de turno'),
+}).describe('Agendar automaticamente no primeiro horário livre ("encaixa 1h de estudo amanhã")');
+
+// Horário "HH:mm" das regras de agenda
+const clockSchema = z.string().regex(/^\d{1,2}:\d{2}$/, 'Use HH:mm');
+const weekdaysSchema = z.array(z.number().int().min(1).max(7)).min(1)
+    .describe('Dias da semana: 1 = segunda ... 7 = domingo');
+
+const setSchedulingPreferencesSchema = z.object({
+    tipo: z.literal('set_scheduling_preferences'),
+    work_days: weekdaysSchema.optional().describe('Dias de trabalho, 1 = segunda ... 7 = domingo ("trabalho de segunda a sábado" → [1,2,3,4,5,6])'),
+    work_start: clockSchema.optional().describe('Início do expediente (HH:mm)'),
+    work_end: clockSchema.optional().describe('Fim do expediente (HH:mm)'),
+    lunch_start: clockSchema.optional().describe('Início do almoço (HH:mm)'),
+    lunch_end: clockSchema.optional().describe('Fim do almoço (HH:mm)'),
+    no_lunch: z.boolean().optional().describe('true quando o usuário diz que não tem horário de almoço fixo'),
+    buffer_minutes: z.number().int().min(0).optional().describe('Intervalo mínimo entre compromissos, em minutos'),
+    max_meetings_per_day: z.number().int().min(0).optional().describe('Máximo de compromissos por dia (0 = sem limite)'),
+    focus_blocks: z.array(z.object({
+        days: weekdaysSchema,
+        start: clockSchema.describe('Início (HH:mm)'),
+        end: clockSchema.describe('Fim (HH:mm)'),
+    })).optional().describe('Blocos de foco a ACRESCENTAR, onde nada deve ser marcado ("terça de manhã é foco" → [{ "days": [2], "start": "09:00", "end": "12:00" }])'),
+    clear_focus: z.boolean().optional().describe('true para apagar os blocos de foco atuais'),
+}).describe('Mudar as regras usadas para achar horário: expediente, almoço, intervalo, foco e limite de reuniões ("meu expediente é das 8h às 17h", "deixa 15 min entre reuniões")');
+
+const findMeetingTimeSchema = z.object({
+    tipo: z.literal('find_meeting_time'),
+    attendees: z.array(z.string().min(1)).min(1, 'Informe quem participa da reunião')
+        .describe('Participantes além do usuário, como ele falou: nomes ("Lazaro") ou e-mails'),
+    summary: z.string().optional().describe('Título da reunião, se dito. Sem título, OMITA'),
+    duration: z.number().optional().describe('Duração em minutos (padrão 60)'),
+    target_date: targetDateSchema.optional(),
+    period: z.enum(['morning', 'afternoon']).optional().describe('Preferência de turno'),
+}).describe('Achar horário livre em comum com outras pessoas e marcar a reunião com todos convidados ("marca uma reunião com o Lazaro e o Wilfred na quinta")');
+
+const eventAttendeeSchema = z.object({
+    tipo: z.enum(['event_add_attendee', 'event_remove_attendee']),
+    query: eventQuerySchema,
+    email: z.string().min(1, 'E-mail é obrigatório').describe('E-mail do convidado'),
 });
 
+const eventAddAttendeeSchema = eventAttendeeSchema.extend({
+    tipo: z.literal('event_add_attendee'),
+}).describe('Adicionar convidado a um evento');
+
+const eventRemoveAttendeeSchema = eventAttendeeSchema.extend({
+    tipo: z.literal('event_remove_attendee'),
+}).describe('Remover convidado de um evento');
+
+const eventSetReminderSchema = z.object({
+    tipo: z.literal('event_set_reminder'),
+    query: eventQuerySchema,
+    minutes: z.number().describe('Minutos antes do evento'),
+    method: z.enum(['email', 'popup']).optional(),
+}).describe('Configurar lembrete de um evento');
+
+const eventGetDetailSchema = z.object({
+    tipo: z.literal('event_get_detail'),
+    query: eventQuerySchema,
+    field: z.enum(['location', 'description', 'start', 'attendees', 'duration']).describe('Detalhe perguntado'),
+}).describe('Responder um detalhe de um evento ("onde é a reunião?", "quem vai?")');
+
+const eventRsvpStatusSchema = z.object({
+    tipo: z.literal('event_rsvp_status'),
+    query: querySchema.optional().describe('Reunião perguntada ("quem confirmou na reunião de obra?" → "reunião de obra"). Sem reunião citada, OMITA: vale a próxima com convidados'),
+    target_date: targetDateSchema.optional(),
+}).describe('Quem confirmou, recusou ou ainda não respondeu ao convite de uma reunião ("quem confirmou a reunião de obra?")');
+
+// Quadro citado na mensagem ("no quadro da obra"); sem ele vale o quadro ativo do /quadro
+const boardQuerySchema = z.string().optional()
+    .describe('Nome do quadro quando o usuário cita um ("no quadro da obra" → "obra"). Sem menção, OMITA');
+
 // Schema para Trello
 const trelloCreateSchema = z.object({
     tipo: z.enum(['trello_create', 'trello']),
-    name: z.string().min(1, 'Nome do card é obrigatório'),
-    desc: z.string().optional(),
-    due: z.string().optional(),
-    checklist: z.array(z.string()).optional(),
-    checklist_name: z.string().optional(),
-    list_query: z.string().optional(),
-    label_query: z.union([z.array(z.string()), z.string()]).optional(),
-    priority: z.string().optional(),
-}).passthrough();
+    board_query: boardQuerySchema,
+    name: z.string().min(1, 'Nome do card é obrigatório').describe('Nome do card. Com "Cliente: X" e "Tipo de caso: Y", use "X - Y"'),
+    desc: z.string().optional().describe('Apenas as Observações, em markdown (nada de cliente, pendência, prioridade ou status)'),
+    due: z.string().optional().describe('Prazo (YYYY-MM-DD ou ISO)'),
+    checklist: z.array(z.string()).optional().describe('Itens de checklist, um por item ("Pendência atual: a; b" → ["a", "b"])'),
+    checklist_name: z.string().optional().describe('Nome da checklist ("Pendência atual" quando houver). Padrão: "Checklist"'),
+    list_query: listQuerySchema.optional().describe('Lista de destino ("Status: X" → X, sem qualificadores)'),
+    label_query: z.union([z.array(z.string()), z.string()]).optional().describe('Etiquetas ("Tipo de caso" e "Prioridade" entram aqui)'),
+    priority: z.string().optional().describe('"high", "medium" ou valor customizado (ex: "Rotina", "Urgente")'),
+}).passthrough().describe('Criar card no Trello (projeto, tarefa com checklist ou acompanhamento)');
 
 const trelloListSchema = z.object({
     tipo: z.literal('trello_list'),
-    list_query: z.string().optional(),
-}).passthrough();
+    board_query: boardQuerySchema,
+    list_query: listQuerySchema.optional().describe('Filtrar por lista'),
+    limit: z.number().optional().describe('Quantidade de cards'),
+    sort: z.enum(['newest', 'oldest']).optional(),
+    filter: z.enum(['due_today', 'overdue', 'mem']).optional().describe('"mem" = meus cards'),
+}).passthrough().describe('Listar cards do quadro');
+
+const trelloListListsSchema = z.object({
+    tipo: z.literal('trello_list_lists'),
+    board_query: boardQuerySchema,
+}).describe('Listar as listas (colunas) do quadro');
+
+const trelloCreateListSchema = z.object({
+    tipo: z.literal('trello_create_list'),
+    board_query: boardQuerySchema,
+    name: z.string().min(1, 'Nome da lista é obrigatório').describe('Nome da nova lista'),
+}).describe('Criar uma lista no quadro');
+
+const trelloMoveAllCardsSchema = z.object({
+    tipo: z.literal('trello_move_all_cards'),
+    board_query: boardQuerySchema,
+    from_list: z.string().min(1, 'Lista de origem é obrigatória').describe('Lista de origem'),
+    to_list: z.string().min(1, 'Lista de destino é obrigatória').describe('Lista de destino'),
+}).describe('Mover TODOS os cards de uma lista para outra');
 
 const trelloUpdateSchema = z.object({
     tipo: z.literal('trello_update'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-    name: z.string().optional(),
-    desc: z.string().optional(),
-    due: z.string().optional(),
-}).passthrough();
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    name: z.string().optional().describe('Novo nome'),
+    desc: z.string().optional().describe('Nova descrição'),
+    due: z.string().optional().describe('Novo prazo'),
+}).passthrough().describe('Atualizar nome, descrição ou prazo de um card');
 
 const trelloMoveSchema = z.object({
     tipo: z.literal('trello_move'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-    list: z.string().min(1, 'Nome da lista destino é obrigatório'),
-});
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    list: z.string().min(1, 'Nome da lista destino é obrigatório').describe('Lista de destino'),
+}).describe('Mover um card para outra lista');
 
 const trelloArchiveSchema = z.object({
     tipo: z.literal('trello_archive'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-});
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+}).describe('Arquivar um card');
 
 const trelloAddCommentSchema = z.object({
     tipo: z.literal('trello_add_comment'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-    comment: z.string().min(1, 'Comentário é obrigatório'),
-});
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    comment: z.string().min(1, 'Comentário é obrigatório').describe('Texto do comentário'),
+}).describe('Comentar em um card');
 
 const trelloAddLabelSchema = z.object({
     tipo: z.literal('trello_add_label'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-    label: z.string().min(1, 'Nome da etiqueta é obrigatório'),
-});
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    label: z.string().min(1, 'Nome da etiqueta é obrigatório').describe('Nome ou cor da etiqueta'),
+}).describe('Adicionar etiqueta a um card');
 
 const trelloAddMemberSchema = z.object({
     tipo: z.literal('trello_add_member'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-    member: z.string().min(1, 'Nome do membro é obrigatório'),
-});
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    member: z.string().min(1, 'Nome do membro é obrigatório').describe('Nome do membro'),
+}).describe('Adicionar membro a um card');
 
 // Novos schemas para endpoints avançados do Trello
 const trelloDeleteSchema = z.object({
     tipo: z.literal('trello_delete'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-});
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+}).describe('Deletar um card PERMANENTEMENTE (diferente de arquivar)');
 
 const trelloSearchSchema = z.object({
     tipo: z.literal('trello_search'),
-    query: z.string().min(1, 'Termo de busca é obrigatório'),
-});
+    board_query: boardQuerySchema.describe('Quadro citado. Sem ele, busca em todos os quadros acompanhados'),
+    query: z.string().min(1, 'Termo de busca é obrigatório').describe('Termo de busca (nome, descrição...)'),
+}).describe('Mostrar ao usuário os cards que contêm um termo');
 
 const trelloGetSchema = z.object({
     tipo: z.literal('trello_get'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-});
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+}).describe('Ver detalhes completos de um card (descrição, checklists, anexos, membros)');
 
 const trelloChecklistSchema = z.object({
     tipo: z.literal('trello_checklist'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-});
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+}).describe('Ver as checklists de um card');
+
+const checkItemSchema = z.union([z.string(), z.number()]).transform(val => String(val))
+    .describe('Nome ou posição (1, 2, 3...) do item');
 
 const trelloCheckItemSchema = z.object({
     tipo: z.literal('trello_check_item'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-    item: z.union([z.string(), z.number()]).transform(val => String(val)),
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    item: checkItemSchema,
     state: z.enum(['complete', 'incomplete']).optional().default('complete'),
-});
+}).describe('Marcar/desmarcar item de checklist');
 
 const trelloDeleteCheckItemSchema = z.object({
     tipo: z.literal('trello_delete_check_item'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-    item: z.union([z.string(), z.number()]).transform(val => String(val)),
-});
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    item: checkItemSchema,
+}).describe('Deletar item de checklist');
+
+const trelloAddChecklistItemSchema = z.object({
+    tipo: z.literal('trello_add_checklist_item'),
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    item: z.string().min(1, 'Texto do item é obrigatório').describe('Texto do item'),
+    checklist_name: z.string().optional().describe('Checklist de destino (se o card tiver mais de uma)'),
+}).describe('Adicionar item em uma checklist EXISTENTE de um card');
 
 const trelloRemoveLabelSchema = z.object({
     tipo: z.literal('trello_remove_label'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-    label: z.string().min(1, 'Nome da etiqueta é obrigatório'),
-});
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    label: z.string().min(1, 'Nome da etiqueta é obrigatório').describe('Nome ou cor da etiqueta'),
+}).describe('Remover etiqueta de um card');
+
+const trelloDueCompleteSchema = z.object({
+    tipo: z.literal('trello_due_complete'),
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    complete: z.boolean().optional().describe('true marca (padrão), false desmarca'),
+}).describe('Marcar a entrega (prazo) de um card como concluída ("card X foi entregue")');
+
+const trelloRenameListSchema = z.object({
+    tipo: z.literal('trello_rename_list'),
+    board_query: boardQuerySchema,
+    list_query: listQuerySchema.describe('Nome atual da lista'),
+    new_name: z.string().min(1, 'Novo nome é obrigatório').describe('Novo nome da lista'),
+}).describe('Renomear uma lista');
+
+const trelloArchiveListSchema = z.object({
+    tipo: z.literal('trello_archive_list'),
+    board_query: boardQuerySchema,
+    list_query: listQuerySchema,
+}).describe('Arquivar/fechar uma lista inteira');
+
+const trelloCardActivitySchema = z.object({
+    tipo: z.literal('trello_card_activity'),
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    limit: z.number().optional().describe('Quantidade de atividades (padrão 10)'),
+}).describe('Ver histórico/atividades de um card');
+
+const trelloOverdueSchema = z.object({
+    tipo: z.literal('trello_overdue'),
+    board_query: boardQuerySchema,
+}).describe('Listar cards com prazo vencido');
+
+const trelloBoardStatsSchema = z.object({
+    tipo: z.literal('trello_board_stats'),
+    board_query: boardQuerySchema,
+}).describe('Estatísticas gerais do quadro ("resumo do board", "números do trello")');
+
+const trelloDeleteChecklistSchema = z.object({
+    tipo: z.literal('trello_delete_checklist'),
+    board_query: boardQuerySchema,
+    query: cardQuerySchema,
+    checklist_name: z.string().optional().describe('Qual checklist (se o card tiver mais de uma)'),
+}).describe('Deletar uma checklist inteira de um card');
 
 // Schema para chat
 const chatSchema = z.object({
     tipo: z.enum(['chat', 'neutro']),
-    message: z.string(),
-});
+    message: z.string().describe('Resposta curta (2-3 linhas), com emojis e markdown (*negrito*, _itálico_)'),
+}).describe('Responder ao usuário sem executar ação: cumprimentos, dúvidas sobre o bot, pedidos fora do escopo ou quando faltar informação (ex: horário)');
 
 // Schema para Knowledge Base (Memória de Longo Prazo)
 const storeInfoSchema = z.object({
     tipo: z.literal('store_info'),
-    key: z.string().min(1, 'Chave da informação é obrigatória'),
-    value: z.string().min(1, 'Valor da informação é obrigatório'),
-    category: z.string().optional(),
-});
+    key: z.string().min(1, 'Chave da informação é obrigatória').describe('Palavras-chave para achar depois (ex: "senha wifi mãe")'),
+    value: z.string().min(1, 'Valor da informação é obrigatório').describe('Informação completa'),
+    category: z.string().optional().describe('"pessoal", "trabalho", "casa"...'),
+}).describe('Guardar uma informação permanente (senhas, códigos, contatos, notas)');
 
 const queryInfoSchema = z.object({
     tipo: z.literal('query_info'),
-    query: z.string().min(1, 'Query de busca é obrigatória'),
-});
+    query: z.string().min(1, 'Query de busca é obrigatória').describe('O que buscar (ex: "senha wifi")'),
+}).describe('Consultar uma informação guardada ("qual a senha do wifi?")');
 
 const listInfoSchema = z.object({
     tipo: z.literal('list_info'),
-    category: z.string().optional(),
-});
+    category: z.string().optional().describe('Filtrar por categoria'),
+}).describe('Listar as informações guardadas');
 
 const deleteInfoSchema = z.object({
     tipo: z.literal('delete_info'),
-    key: z.string().min(1, 'Chave da informação é obrigatória'),
-});
+    key: z.string().min(1, 'Chave da informação é obrigatória').describe('Chave da informação'),
+}).describe('Apagar uma informação guardada');
 
 // Schema para Relatórios
 const reportSchema = z.object({
     tipo: z.literal('report'),
     period: z.enum(['day', 'week', 'month']).optional().default('day'),
-    target_date: z.string().optional()
-});
+    target_date: targetDateSchema.optional()
+}).describe('Relatório unificado de eventos, tarefas e Trello ("resumo do dia", "o que tenho pendente?")');
 
 // Schema para Concluir todos os eventos
 const completeAllEventsSchema = z.object({
     tipo: z.literal('complete_all_events'),
-    period: z.string().optional().default('day'),
-});
+    period: z.string().optional().default('day').describe('"day" (hoje), "week" ou uma data YYYY-MM-DD'),
+}).describe('Marcar TODOS os eventos de um período como concluídos ("já fiz todos de hoje")');
 
 // Schema para Limpar lista do Trello
 const trelloClearListSchema = z.object({
     tipo: z.literal('trello_clear_list'),
-    list_query: z.string().min(1, 'Nome da lista é obrigatório'),
-});
+    board_query: boardQuerySchema,
+    list_query: listQuerySchema.min(1, 'Nome da lista é obrigatório'),
+}).describe('Arquivar TODOS os cards de uma lista');
+
+// Schemas para Google Tasks
+const taskCreateSchema = z.object({
+    tipo: z.literal('task_create'),
+    title: z.string().min(1, 'Título da tarefa é obrigatório').describe('Título curto da tarefa'),
+    notes: z.string().optional().describe('Detalhes'),
+    due: dateSchema.optional().describe('Prazo (YYYY-MM-DD). O Google Tasks guarda só a data'), // YYYY-MM-DD
+}).describe('Criar tarefa simples SEM horário (lembrete, afazer, compra, pagamento)');
+
+const taskListSchema = z.object({
+    tipo: z.literal('task_list'),
+    show_completed: z.boolean().optional().default(false).describe('Incluir concluídas'),
+}).describe('Listar tarefas pendentes do Google Tasks');
+
+const taskCompleteSchema = z.object({
+    tipo: z.literal('task_complete'),
+    query: z.string().min(1, 'Query de busca é obrigatória').describe('Texto para achar a tarefa'),
+}).describe('Marcar tarefa como concluída');
 
 // Mapeamento de tipo para schema
 const schemaMap = {
@@ -196,11 +444,26 @@ const schemaMap = {
     'list_events': listEventsSchema,
     'update_event': updateEventSchema,
     'delete_event': deleteEventSchema,
-    'complete_event': deleteEventSchema,
+    'complete_event': completeEventSchema,
     'complete_all_events': completeAllEventsSchema,
+    'check_availability': checkAvailabilitySchema,
+    'smart_schedule': smartScheduleSchema,
+    'find_meeting_time': findMeetingTimeSchema,
+    'template_create': templateCreateSchema,
+    'template_list': templateListSchema,
+    'template_delete': templateDeleteSchema,
+    'set_scheduling_preferences': setSchedulingPreferencesSchema,
+    'event_add_attendee': eventAddAttendeeSchema,
+    'event_remove_attendee': eventRemoveAttendeeSchema,
+    'event_set_reminder': eventSetReminderSchema,
+    'event_get_detail': eventGetDetailSchema,
+    'event_rsvp_status': eventRsvpStatusSchema,
     'trello_create': trelloCreateSchema,
     'trello': trelloCreateSchema,
     'trello_list': trelloListSchema,
+    'trello_list_lists': trelloListListsSchema,
+    'trello_create_list': trelloCreateListSchema,
+    'trello_move_all_cards': trelloMoveAllCardsSchema,
     'trello_update': trelloUpdateSchema,
     'trello_move': trelloMoveSchema,
     'trello_archive': trelloArchiveSchema,
@@ -214,7 +477,15 @@ const schemaMap = {
     'trello_checklist': trelloChecklistSchema,
     'trello_check_item': trelloCheckItemSchema,
     'trello_delete_check_item': trelloDeleteCheckItemSchema,
+    'trello_add_checklist_item': trelloAddChecklistItemSchema,
     'trello_remove_label': trelloRemoveLabelSchema,
+    'trello_due_complete': trelloDueCompleteSchema,
+    'trello_rename_list': trelloRenameListSchema,
+    'trello_archive_list': trelloArchiveListSchema,
+    'trello_card_activity': trelloCardActivitySchema,
+    'trello_overdue': trelloOverdueSchema,
+    'trello_board_stats': trelloBoardStatsSchema,
+    'trello_delete_checklist': trelloDeleteChecklistSchema,
     'trello_clear_list': trelloClearListSchema,
     'chat': chatSchema,
     'neutro': chatSchema,
@@ -224,6 +495,17 @@ const schemaMap = {
     'list_info': listInfoSchema,
     'delete_info': deleteInfoSchema,
     'report': reportSchema,
+    // Google Tasks
+    'task_create': taskCreateSchema,
+    'task_list': taskListSchema,
+    'task_complete': taskCompleteSchema,
+};
+
+// Tipos alternativos aceitos na validação, mas que não viram funções próprias
+const TIPO_ALIASES = {
+    'evento': 'create_event',
+    'trello': 'trello_create',
+    'neutro': 'chat',
 };
 
 /**
@@ -255,7 +537,7 @@ function validateAIResponse(response) {
         const result = schema.safeParse(response);
 
         if (!result.success) {
-            const errors = result.error.errors.map(e =>
+            const errors = result.error.issues.map(e =>
                 `${e.path.join('.')}: ${e.message}`
             );
 
@@ -325,7 +607,8 @@ function sanitizeAIResponse(response) {
     }
 
     // Garante que summary existe para eventos
-    if (sanitized.tipo === 'create_event' || sanitized.tipo === 'evento') {
+    // (com modelo, o título vem do modelo)
+    if ((sanitized.tipo === 'create_event' || sanitized.tipo === 'evento') && !sanitized.template) {
         sanitized.summary = sanitized.summary || 'Evento sem título';
     }
 
@@ -336,6 +619,7 @@ module.exports = {
     validateAIResponse,
     validateAIResponseArray,
     sanitizeAIResponse,
-    // Export schemas for testing
+    TIPO_ALIASES,
+    // Schemas por tipo (também geram as declarações de função da IA)
     schemas: schemaMap
 };
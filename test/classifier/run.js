@@ -0,0 +1,237 @@
+/**
+ * Regressão do classificador (golden set)
+ * Reproduz as frases das fixtures pelo interpretMessage contra respostas gravadas do modelo
+ * - Relógio congelado na data "now" da fixture (getSystemPrompt gera as mesmas datas sempre)
+ * - Cada intenção passa pelo validateAIResponse e é comparada com a esperada
+ * - Modo gravação (--record): chama a API real com o prompt atual e regrava as respostas
+ *
+ * Uso:
+ *   npm run test:classifier           → replay das respostas gravadas (não chama API; também roda no npm test)
+ *   npm run test:classifier -- trello → só fixtures cujo nome contém "trello"
+ *   npm run test:record           → grava respostas novas (precisa de GEMINI_API_KEY ou outro provedor)
+ *   npm run test:record -- trello → grava só as fixtures filtradas
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+
+const RECORD = process.argv.includes('--record');
+const FILTER = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const PROMPT_PATHS = ['classifier.txt', 'context.txt'].map(file => path.join(__dirname, '../../src/prompts', file));
+
+// Isola o teste dos dados reais: histórico, memória e uso vão para um diretório temporário
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'classifier-golden-'));
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+if (RECORD) require('dotenv').config();
+
+const { DateTime, Settings } = require('luxon');
+const llm = require('../../src/services/llm');
+const aiTools = require('../../src/services/aiTools');
+const { interpretMessage, clearConversation } = require('../../src/services/ai');
+const { validateAIResponse } = require('../../src/utils/validation');
+const config = require('../../src/config');
+
+// Valor esperado que aceita qualquer coisa (ex: texto livre de uma resposta de chat)
+const ANY = '*';
+// null no esperado: o campo tem que estar ausente (ex: start omitido para o bot perguntar)
+
+function getPromptHash() {
+    const hash = crypto.createHash('sha256');
+    PROMPT_PATHS.forEach(file => hash.update(fs.readFileSync(file)));
+    return hash.digest('hex').substring(0, 12);
+}
+
+function loadFixtures() {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .filter(file => !FILTER || file.includes(FILTER))
+        .sort()
+        .map(file => ({
+            name: path.basename(file, '.json'),
+            file: path.join(FIXTURES_DIR, file),
+            ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf-8'))
+        }));
+}
+
+function format(value) {
+    return util.inspect(value, { depth: 4, breakLength: Infinity });
+}
+
+/**
+ * Compara intenções recebidas com as esperadas (só os campos presentes na esperada)
+ * @returns {string[]} Diferenças encontradas
+ */
+function diffIntents(expected, actual) {
+    const diffs = [];
+    if (expected.length !== actual.length) {
+        diffs.push(`quantidade: esperado ${expected.length}, recebido ${actual.length} (${actual.map(i => i.tipo).join(', ')})`);
+    }
+
+    expected.forEach((expectedIntent, index) => {
+        const actualIntent = actual[index] || {};
+        for (const [key, value] of Object.entries(expectedIntent)) {
+            if (value === ANY && actualIntent[key] !== undefined) continue;
+            if (value === null && (actualIntent[key] === undefined || actualIntent[key] === null)) continue;
+            if (!util.isDeepStrictEqual(actualIntent[key], value)) {
+                diffs.push(`[${index}].${key}: esperado ${format(value)}, recebido ${format(actualIntent[key])}`);
+            }
+        }
+    });
+    return diffs;
+}
+
+// ============================================
+// MODELO E CONSULTAS (replay ou gravação)
+// ============================================
+
+// Turno em execução: respostas e consultas a reproduzir (replay) ou gravadas (record)
+let currentTurn = null;
+
+function installReplay() {
+    llm.setProviders([llm.createMockProvider(() => {
+        const next = currentTurn.responses.shift();
+        if (!next) throw new Error('Fixture sem resposta gravada para esta rodada (regrave com npm run test:record)');
+        return next;
+    })]);
+
+    aiTools.executeLookup = async (name, args) => {
+        const next = currentTurn.lookups.shift();
+        if (!next || next.name !== name) {
+            currentTurn.problems.push(`consulta inesperada: ${name} ${format(args)}`);
+            return { error: 'Consulta não gravada na fixture' };
+        }
+        return next.response;
+    };
+}
+
+function installRecorder() {
+    const realGenerate = llm.generate;
+    llm.generate = async (request) => {
+        const response = await realGenerate(request);
+        const recorded = { functionCalls: response.functionCalls };
+        if (response.text) recorded.text = response.text;
+        currentTurn.responses.push(recorded);
+        currentTurn.recordedWith = `${response.provider}/${response.model}`;
+        return response;
+    };
+
+    const realExecuteLookup = aiTools.executeLookup;
+    aiTools.executeLookup = async (name, args, context) => {
+        const response = await realExecuteLookup(name, args, context);
+        currentTurn.lookups.push({ name, args, response });
+        return response;
+    };
+}
+
+// ============================================
+// EXECUÇÃO
+// ============================================
+
+/**
+ * Roda uma fixture (todos os turnos em sequência, compartilhando o histórico)
+ * @returns {Promise<{ passed: boolean, lines: string[] }>}
+ */
+async function runFixture(fixture, promptHash) {
+    const userId = `golden-${fixture.name}`;
+    const now = DateTime.fromISO(fixture.now, { zone: config.timezone });
+    if (!now.isValid) return { passed: false, lines: [`data "now" inválida: ${fixture.now}`] };
+    Settings.now = () => now.toMillis();
+
+    const lines = [];
+    let passed = true;
+    let recordedWith = null;
+
+    for (const [index, turn] of fixture.turns.entries()) {
+        currentTurn = {
+            responses: RECORD ? [] : [...(turn.responses || [])],
+            lookups: RECORD ? [] : [...(turn.lookups || [])],
+            problems: []
+        };
+
+        const result = await interpretMessage(turn.utterance, userId);
+        const actual = Array.isArray(result) ? result : [result];
+        const problems = [...currentTurn.problems];
+
+        actual.forEach((intent, i) => {
+            if (intent.fallback_reason) problems.push(`[${i}] IA falhou: ${intent.fallback_reason}`);
+            const validation = validateAIResponse(intent);
+            if (!validation.valid) problems.push(`[${i}] inválida: ${validation.errors.join('; ')}`);
+        });
+        if (!RECORD && currentTurn.responses.length > 0) {
+            problems.push(`${currentTurn.responses.length} resposta(s) gravada(s) não usada(s)`);
+        }
+
+        if (RECORD) {
+            if (!turn.expected) {
+                turn.expected = actual;
+                lines.push(`   📝 turno ${index + 1}: esperado gerado a partir da resposta — revise a fixture`);
+            }
+            fixture.turns[index] = { ...turn, responses: currentTurn.responses, lookups: currentTurn.lookups };
+            recordedWith = currentTurn.recordedWith || recordedWith;
+        }
+
+        problems.push(...diffIntents(turn.expected || [], actual));
+        if (problems.length > 0) {
+            passed = false;
+            lines.push(`   turno ${index + 1}: "${turn.utterance.split('\n')[0]}"`);
+            problems.forEach(problem => lines.push(`     - ${problem}`));
+        }
+    }
+
+    clearConversation(userId);
+
+    if (RECORD) {
+        const { name, file, ...content } = fixture;
+        content.promptHash = promptHash;
+        content.recordedWith = recordedWith;
+        content.recordedAt = new Date().toISOString().substring(0, 10);
+        fs.writeFileSync(file, JSON.stringify(content, null, 2) + '\n');
+    } else if (fixture.promptHash && fixture.promptHash !== promptHash) {
+        lines.push('   ⚠️ prompt alterado desde a gravação (npm run test:record confere com o modelo real)');
+    }
+
+    return { passed, lines };
+}
+
+async function main() {
+    const fixtures = loadFixtures();
+    if (fixtures.length === 0) {
+        console.error(`Nenhuma fixture encontrada${FILTER ? ` para "${FILTER}"` : ''} em ${FIXTURES_DIR}`);
+        process.exit(1);
+    }
+
+    if (RECORD) {
+        const configured = llm.getProvidersStatus().filter(p => p.configured && p.name !== 'mock');
+        if (configured.length === 0) {
+            console.error('Modo gravação precisa de um provedor real (GEMINI_API_KEY ou OPENAI_*). Nada foi gravado.');
+            process.exit(1);
+        }
+        installRecorder();
+    } else {
+        installReplay();
+    }
+
+    const promptHash = getPromptHash();
+    console.log(`Classificador — ${fixtures.length} fixture(s) (${RECORD ? 'gravação' : 'replay'}, prompt ${promptHash})\n`);
+
+    let failures = 0;
+    for (const fixture of fixtures) {
+        const { passed, lines } = await runFixture(fixture, promptHash);
+        if (!passed) failures++;
+        console.log(`${passed ? '✅' : '❌'} ${fixture.name}${fixture.description ? ` — ${fixture.description}` : ''}`);
+        lines.forEach(line => console.log(line));
+    }
+
+    console.log(`\n${fixtures.length - failures}/${fixtures.length} passaram`);
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,84 @@
+/**
+ * Testes do parser de datas (src/utils/dateParser.js)
+ * Casos em cases.json, cada um com o relógio congelado em "now":
+ * - parse: texto → campos esperados do parseTemporal (só os presentes; null = ausente)
+ * - reconcile: intenções da IA + texto → intenções depois do reconcileIntentDates
+ *
+ * Uso:
+ *   npm run test:dates            → todos os casos (também roda no npm test)
+ *   npm run test:dates -- sexta   → só casos cujo texto contém "sexta"
+ */
+
+const path = require('path');
+const util = require('util');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { DateTime } = require('luxon');
+const { parseTemporal, reconcileIntentDates } = require('../../src/utils/dateParser');
+const config = require('../../src/config');
+const cases = require(path.join(__dirname, 'cases.json'));
+
+const FILTER = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+function format(value) {
+    return util.inspect(value, { depth: 4, breakLength: Infinity });
+}
+
+/**
+ * Compara só os campos presentes no esperado
+ * @returns {string[]} Diferenças encontradas
+ */
+function diffFields(expected, actual, prefix = '') {
+    const diffs = [];
+    for (const [key, value] of Object.entries(expected)) {
+        const received = actual?.[key];
+        if (value === null && (received === undefined || received === null)) continue;
+        if (!util.isDeepStrictEqual(received, value)) {
+            diffs.push(`${prefix}${key}: esperado ${format(value)}, recebido ${format(received)}`);
+        }
+    }
+    return diffs;
+}
+
+function runCase(testCase) {
+    const now = DateTime.fromISO(testCase.now, { zone: config.timezone });
+    if (!now.isValid) return [`data "now" inválida: ${testCase.now}`];
+
+    if (testCase.intents) {
+        const intents = JSON.parse(JSON.stringify(testCase.intents));
+        reconcileIntentDates(intents, testCase.text, { now });
+        const diffs = [];
+        if (intents.length !== testCase.expected.length) diffs.push(`quantidade: esperado ${testCase.expected.length}, recebido ${intents.length}`);
+        testCase.expected.forEach((expected, index) => diffs.push(...diffFields(expected, intents[index], `[${index}].`)));
+        return diffs;
+    }
+
+    const result = parseTemporal(testCase.text, { now });
+    if (testCase.expected === null) return result ? [`esperado nenhuma data, recebido ${format(result.expressions)}`] : [];
+    if (!result) return ['nenhuma data encontrada'];
+    return diffFields(testCase.expected, result);
+}
+
+function main() {
+    const selected = cases.filter(testCase => !FILTER || testCase.text.toLowerCase().includes(FILTER.toLowerCase()));
+    console.log(`Parser de datas — ${selected.length} caso(s)\n`);
+
+    let failures = 0;
+    for (const testCase of selected) {
+        const diffs = runCase(testCase);
+        const label = `${testCase.intents ? '[reconcile] ' : ''}"${testCase.text}" (${testCase.now})`;
+        if (diffs.length > 0) {
+            failures++;
+            console.log(`❌ ${label}`);
+            diffs.forEach(diff => console.log(`     - ${diff}`));
+        } else {
+            console.log(`✅ ${label}`);
+        }
+    }
+
+    console.log(`\n${selected.length - failures}/${selected.length} passaram`);
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,119 @@
+/**
+ * Cobertura das chaves de tradução (src/locales)
+ * - Toda chave literal usada no código (t('...'), allTranslations('...')) existe nos três catálogos
+ * - Chave montada (t(`rsvp.${status}`)) precisa ao menos do prefixo nos três
+ * - en e es têm as mesmas chaves, plurais e {parâmetros} do pt-BR (catálogo de referência)
+ *
+ * Uso:
+ *   npm run test:i18n   → também roda no npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const SRC_DIR = path.join(__dirname, '../../src');
+const LANGUAGES = ['pt-BR', 'en', 'es'];
+const REFERENCE = 'pt-BR';
+
+const catalogs = Object.fromEntries(LANGUAGES.map(lang => [lang, require(path.join(SRC_DIR, 'locales', lang))]));
+
+const LITERAL_KEY = /\b(?:t|allTranslations)\((['"])([\w-]+(?:\.[\w-]+)+)\1/g;
+const TEMPLATE_KEY = /\bt\(`([\w-]+(?:\.[\w-]+)*)\.\$\{/g;
+
+const isPlural = value => value && typeof value === 'object' && !Array.isArray(value) && value.other !== undefined;
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+// { 'events.today': 'hoje', ... } — plurais e listas contam como uma chave só
+function flatten(node, prefix = '', out = {}) {
+    for (const [key, value] of Object.entries(node)) {
+        const fullKey = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value) && !isPlural(value)) flatten(value, fullKey, out);
+        else out[fullKey] = value;
+    }
+    return out;
+}
+
+function placeholders(value) {
+    return [...new Set(JSON.stringify(value).match(/\{\w+\}/g) || [])].sort().join(', ');
+}
+
+function sourceFiles(dir, out = []) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && entry.name !== 'locales') sourceFiles(fullPath, out);
+        else if (entry.isFile() && entry.name.endsWith('.js')) out.push(fullPath);
+    }
+    return out;
+}
+
+/**
+ * @returns {string[]} Problemas encontrados
+ */
+function checkUsedKeys() {
+    const problems = [];
+    for (const file of sourceFiles(SRC_DIR)) {
+        const source = fs.readFileSync(file, 'utf8');
+        const relative = path.relative(path.join(__dirname, '../..'), file);
+
+        for (const [, , key] of source.matchAll(LITERAL_KEY)) {
+            const missing = LANGUAGES.filter(lang => lookup(catalogs[lang], key) === undefined);
+            if (missing.length > 0) problems.push(`${relative}: "${key}" ausente em ${missing.join(', ')}`);
+        }
+        for (const [, prefix] of source.matchAll(TEMPLATE_KEY)) {
+            const missing = LANGUAGES.filter(lang => typeof lookup(catalogs[lang], prefix) !== 'object');
+            if (missing.length > 0) problems.push(`${relative}: prefixo "${prefix}" ausente em ${missing.join(', ')}`);
+        }
+    }
+    return [...new Set(problems)];
+}
+
+/**
+ * @returns {string[]} Problemas encontrados
+ */
+function checkParity(lang) {
+    const reference = flatten(catalogs[REFERENCE]);
+    const catalog = flatten(catalogs[lang]);
+    const problems = [];
+
+    for (const [key, value] of Object.entries(reference)) {
+        if (!(key in catalog)) {
+            problems.push(`"${key}" ausente`);
+            continue;
+        }
+        if (isPlural(value) !== isPlural(catalog[key])) problems.push(`"${key}": plural só em um dos catálogos`);
+        if (placeholders(value) !== placeholders(catalog[key])) {
+            problems.push(`"${key}": parâmetros {${placeholders(value)}} no ${REFERENCE}, {${placeholders(catalog[key])}} no ${lang}`);
+        }
+    }
+    Object.keys(catalog).filter(key => !(key in reference)).forEach(key => problems.push(`"${key}" não existe no ${REFERENCE}`));
+    return problems;
+}
+
+function main() {
+    const checks = [
+        ['chaves usadas no código', checkUsedKeys()],
+        ...LANGUAGES.filter(lang => lang !== REFERENCE).map(lang => [`catálogo ${lang} igual ao ${REFERENCE}`, checkParity(lang)])
+    ];
+    console.log(`Traduções — ${checks.length} verificação(ões)\n`);
+
+    let failures = 0;
+    for (const [label, problems] of checks) {
+        if (problems.length > 0) {
+            failures++;
+            console.log(`❌ ${label}`);
+            problems.forEach(problem => console.log(`     - ${problem}`));
+        } else {
+            console.log(`✅ ${label}`);
+        }
+    }
+
+    console.log(`\n${checks.length - failures}/${checks.length} passaram`);
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
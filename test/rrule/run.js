@@ -0,0 +1,82 @@
+/**
+ * Testes das regras de recorrência (src/utils/rrule.js)
+ * Casos em cases.json, no fuso configurado (America/Sao_Paulo):
+ * - occurrences: próximas ocorrências a partir de "start" (ISO com offset, para pegar o horário de verão)
+ * - text: descrição da regra (humanizeRRule) no idioma "lang" (padrão: pt-BR)
+ * - error: a regra é rejeitada pelo validateRecurrence com uma mensagem que contém este trecho
+ *
+ * Uso:
+ *   npm run test:rrule              → todos os casos (também roda no npm test)
+ *   npm run test:rrule -- BYSETPOS  → só casos cuja regra contém "BYSETPOS"
+ */
+
+const path = require('path');
+const util = require('util');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { validateRecurrence, humanizeRRule, getNextOccurrences } = require('../../src/utils/rrule');
+const { runWithContext } = require('../../src/utils/logger');
+const cases = require(path.join(__dirname, 'cases.json'));
+
+const FILTER = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+const ISO_WITH_OFFSET = "yyyy-MM-dd'T'HH:mm:ssZZ";
+
+function format(value) {
+    return util.inspect(value, { depth: 4, breakLength: Infinity });
+}
+
+/**
+ * @returns {string[]} Diferenças encontradas
+ */
+function runCase(testCase) {
+    const check = validateRecurrence([testCase.rule]);
+
+    if (testCase.error !== undefined) {
+        if (check.valid) return [`esperado erro com "${testCase.error}", mas a regra foi aceita`];
+        return check.error.includes(testCase.error) ? [] : [`erro: esperado trecho "${testCase.error}", recebido "${check.error}"`];
+    }
+    if (!check.valid) return [`regra rejeitada: ${check.error}`];
+
+    const rule = check.rules[0];
+    const diffs = [];
+
+    if (testCase.occurrences) {
+        const received = getNextOccurrences(rule, testCase.start, { limit: testCase.limit || 5, after: testCase.after || null })
+            .map(date => date.toFormat(ISO_WITH_OFFSET));
+        if (!util.isDeepStrictEqual(received, testCase.occurrences)) {
+            diffs.push(`ocorrências: esperado ${format(testCase.occurrences)}, recebido ${format(received)}`);
+        }
+    }
+
+    if (testCase.text !== undefined) {
+        const text = humanizeRRule(rule, { start: testCase.start || null });
+        if (text !== testCase.text) diffs.push(`texto: esperado ${format(testCase.text)}, recebido ${format(text)}`);
+    }
+
+    return diffs;
+}
+
+function main() {
+    const selected = cases.filter(testCase => !FILTER || testCase.rule.toUpperCase().includes(FILTER.toUpperCase()));
+    console.log(`Recorrência — ${selected.length} caso(s)\n`);
+
+    let failures = 0;
+    for (const testCase of selected) {
+        const lang = testCase.lang || 'pt-BR';
+        const diffs = runWithContext({ lang }, () => runCase(testCase));
+        const label = `${testCase.rule}${testCase.start ? ` (${testCase.start})` : ''}${testCase.lang ? ` [${lang}]` : ''}`;
+        if (diffs.length > 0) {
+            failures++;
+            console.log(`❌ ${label}`);
+            diffs.forEach(diff => console.log(`     - ${diff}`));
+        } else {
+            console.log(`✅ ${label}`);
+        }
+    }
+
+    console.log(`\n${selected.length - failures}/${selected.length} passaram`);
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,125 @@
+/**
+ * Testes da busca de horário (src/services/smartScheduling.js) e das regras de agenda (src/utils/schedulingRules.js)
+ * Casos em cases.json, cada um com o relógio congelado em "now" e as regras padrão
+ * (config.scheduling) mais o que o caso muda em "rules"; horários locais (config.timezone):
+ * - searchDays: { targetDate, from } → dias do getSearchDays (YYYY-MM-DD)
+ * - slots: { days, busy, ownBusy, duration, period } → opções do findCommonSlots ([início, fim])
+ * - windows: { day, busy, period } → janelas livres do getFreeWindows (["HH:mm", "HH:mm"])
+ * - validate: regras → campos esperados do validateRules (só os presentes) ou "error" com o reason
+ *
+ * Uso:
+ *   npm run test:scheduling            → todos os casos (também roda no npm test)
+ *   npm run test:scheduling -- manhã   → só casos cujo nome contém "manhã"
+ */
+
+const path = require('path');
+const util = require('util');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { DateTime, Settings } = require('luxon');
+const { getSearchDays, findCommonSlots } = require('../../src/services/smartScheduling');
+const { getFreeWindows, validateRules } = require('../../src/utils/schedulingRules');
+const config = require('../../src/config');
+const cases = require(path.join(__dirname, 'cases.json'));
+
+const FILTER = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+const LOCAL_TIME = "yyyy-MM-dd'T'HH:mm";
+
+function format(value) {
+    return util.inspect(value, { depth: 4, breakLength: Infinity });
+}
+
+const local = text => DateTime.fromISO(text, { zone: config.timezone });
+
+// [["2026-03-10T09:00", "2026-03-10T10:00"]] → [{ start, end }] em ISO com offset (formato do freebusy)
+const toBusy = (list = []) => list.map(([start, end]) => ({ start: local(start).toISO(), end: local(end).toISO() }));
+
+/**
+ * Compara só os campos presentes no esperado
+ * @returns {string[]} Diferenças encontradas
+ */
+function diffFields(expected, actual) {
+    return Object.entries(expected)
+        .filter(([key, value]) => !util.isDeepStrictEqual(actual[key], value))
+        .map(([key, value]) => `${key}: esperado ${format(value)}, recebido ${format(actual[key])}`);
+}
+
+function runValidate(testCase) {
+    try {
+        const rules = validateRules({ ...config.scheduling, ...testCase.validate });
+        return testCase.error ? [`esperado erro "${testCase.error}", mas as regras foram aceitas`] : diffFields(testCase.expected, rules);
+    } catch (error) {
+        if (error.code !== 'INVALID_SCHEDULING_RULES') throw error;
+        return error.reason === testCase.error ? [] : [`erro: esperado ${format(testCase.error)}, recebido ${format(error.reason)}`];
+    }
+}
+
+/**
+ * Congela o relógio do luxon e do Date.now durante fn
+ */
+function withClock(now, fn) {
+    if (!now) return fn();
+    const realNow = Date.now;
+    const frozen = local(now).toMillis();
+    Settings.now = () => frozen;
+    Date.now = () => frozen;
+    try {
+        return fn();
+    } finally {
+        Settings.now = realNow;
+        Date.now = realNow;
+    }
+}
+
+function runCase(testCase) {
+    if (testCase.validate) return runValidate(testCase);
+    if (!local(testCase.now).isValid) return [`data "now" inválida: ${testCase.now}`];
+    const rules = { ...config.scheduling, ...testCase.rules };
+
+    let received;
+    if (testCase.searchDays) {
+        received = getSearchDays(testCase.searchDays, rules).map(day => day.toISODate());
+    } else if (testCase.windows) {
+        const { day, busy, period = null } = testCase.windows;
+        const toTime = ms => DateTime.fromMillis(ms, { zone: config.timezone }).toFormat('HH:mm');
+        received = getFreeWindows(local(day), busy.map(([start, end]) => [local(start).toMillis(), local(end).toMillis()]), { rules, period })
+            .map(([start, end]) => [toTime(start), toTime(end)]);
+    } else {
+        const { days, busy, ownBusy, duration = config.meeting.defaultDuration, period = null } = testCase.slots;
+        received = findCommonSlots(toBusy(busy), {
+            days: days.map(day => local(day).startOf('day')),
+            duration,
+            period,
+            rules,
+            ownBusy: ownBusy ? toBusy(ownBusy) : undefined
+        }).map(slot => [DateTime.fromISO(slot.start, { zone: config.timezone }).toFormat(LOCAL_TIME), DateTime.fromISO(slot.end, { zone: config.timezone }).toFormat(LOCAL_TIME)]);
+    }
+
+    return util.isDeepStrictEqual(received, testCase.expected)
+        ? []
+        : [`esperado ${format(testCase.expected)}, recebido ${format(received)}`];
+}
+
+function main() {
+    const selected = cases.filter(testCase => !FILTER || testCase.name.toLowerCase().includes(FILTER.toLowerCase()));
+    console.log(`Busca de horário — ${selected.length} caso(s)\n`);
+
+    let failures = 0;
+    for (const testCase of selected) {
+        const diffs = withClock(testCase.now, () => runCase(testCase));
+        const label = testCase.now ? `${testCase.name} (${testCase.now})` : testCase.name;
+        if (diffs.length > 0) {
+            failures++;
+            console.log(`❌ ${label}`);
+            diffs.forEach(diff => console.log(`     - ${diff}`));
+        } else {
+            console.log(`✅ ${label}`);
+        }
+    }
+
+    console.log(`\n${selected.length - failures}/${selected.length} passaram`);
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+main();